@@ -29,6 +29,8 @@
  * @property {Array.<String>} [sortBy]
  * @property {String} [saveRequest]
  * @property {String} [loadRequest]
+ * @property {String} [output]
+ * @property {Number} [pageSize]
  */
 
 /**
@@ -39,4 +41,18 @@
  * @property {String} export
  * @property {Boolean} [force]
  * @property {Boolean} [dryRun]
- */
\ No newline at end of file
+ * @property {Boolean} [typescript]
+ * @property {String} [jsonSchema]
+ */
+
+/**
+ * @typedef CLI.OpenAPICommandLineOptions
+ * @property {CLI.CommandLineOptions} cli
+ * @property {String} [method="openapi"]
+ * @property {String} resource
+ * @property {String} [output]
+ * @property {String} [title]
+ * @property {String} [apiVersion]
+ * @property {Array.<String>} [server]
+ * @property {String} [pathProperty]
+ */
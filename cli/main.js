@@ -79,7 +79,8 @@ class Main {
             .option('-c, --count', 'Retrieve the count of records only (no data records).')
             .option('-sb, --sort-by <sorts>', 'List of properties to sort by. You can specify a direction after each property name (e.g. "-sb {FirstName} desc, {LastName} asc").')
             .option('--save <filepath>', 'Saves the GET request to file. You can re-use these request files in place of the resource (see: <requestFile>).')
-            .option('-O, --output <outputpath>', 'Saves the engine response to the specified file.')
+            .option('-O, --output <outputpath>', 'Saves the engine response to the specified file. Results are streamed to the file in pages when using the "json" or "yaml" format.')
+            .option('--page-size <size>', 'The number of objects retrieved per page when streaming results to an --output file.', parseInt)
             .action(this.request.bind(this));
         this.cmd
             .command('options').description(
@@ -90,17 +91,37 @@ class Main {
                 '> stashku -v --test options --dry-run "*"\n\n' +
                 'Example:\n' +
                 'Run a request on a specific resource and export to a "models" directory.\n' +
-                '> stashku options dbo.Contacts -x ./models'
+                '> stashku options dbo.Contacts -x ./models\n\n' +
+                'Example:\n' +
+                'Generate models from a JSON Schema file (no requests are run) and export to a "models" directory.\n' +
+                '> stashku options ./schema.json -x ./models'
             )
-            .argument('<resource|requestFile|listingFile|"*">', 'The name of the resource being targeted in the request, a path to a file containing a saved options request, a path to a JSON file with an array of resources to be optioned (multiple requests), or a value "*" (use quotes) to target all resources in the request.')
+            .argument('<resource|requestFile|listingFile|schemaFile|"*">', 'The name of the resource being targeted in the request, a path to a file containing a saved options request, a path to a JSON file with an array of resources to be optioned (multiple requests), a path to a JSON Schema file describing the models (no requests are run), or a value "*" (use quotes) to target all resources in the request.')
             .option('--dry-run', 'Perform a dry-run of an export. Instead of writing files or creating directories directories, the generated files will be written to the console.')
             .option('--save <filepath>', 'Saves the OPTIONS request to file. You can re-use these request files in place of the resource (see: <requestFile>).')
             .option('-O, --output <outputpath>', 'Saves the engine response to the specified file.')
             .option('-x, --export <exportPath>', 'Generates base and extending JavaScript classes around the resulting OPTIONS response and writes them to a folder. If the extending class is already present, it is not overwritten, however, the base class is always written to a base/ subdirectory.')
             .option('-f, --force', 'Combined with the -x,--export option. Forces the overwrite of the extending JavaScript model class file.')
+            .option('--dts, --typescript', 'Combined with the -x,--export option. Also generates TypeScript declaration (.d.ts) files alongside the base and extending JavaScript model class files.')
+            .option('--json-schema <filepath>', 'Writes a JSON Schema (draft 2020-12) document describing the resulting models to the specified file. You can re-use these files in place of the resource (see: <schemaFile>).')
             // .option('-r, --remove', 'Combined with the -x,--export option. Removes any base-models and extending models not explicitly returned from the options request. Only class-based models *.js files that appear to extend a "Base*Model" class are removed.')
             // .option('--rebuild', 'Combined with the -x,--export option. Completely remove all *.js files in the target directory before writing models.')
             .action(this.request.bind(this));
+        this.cmd
+            .command('openapi').description(
+                'Runs OPTIONS requests on the target resources and generates an OpenAPI 3.1 document describing the HTTP ' +
+                'endpoints serving them (see "StashKu.router").\n\n' +
+                'Example:\n' +
+                'Generate a YAML document of all resources on the testing (in-memory engine) and write it to a file.\n' +
+                '> stashku --test --format yaml openapi "*" -O ./openapi.yaml'
+            )
+            .argument('<resource|listingFile|schemaFile|"*">', 'The name of the resource being documented, a path to a JSON file with an array of resources to be documented, a path to a JSON Schema file describing the models, or a value "*" (use quotes) to document all resources.')
+            .option('-O, --output <outputpath>', 'Writes the OpenAPI document to the specified file instead of the console.')
+            .option('--title <title>', 'The title of the API.')
+            .option('--api-version <version>', 'The version of the API.')
+            .option('--server <urls...>', 'The URLs of the servers hosting the API.')
+            .addOption(new Option('--path-property <property>', 'The model property used as the path of the endpoints.').choices(['resource', 'name', 'slug', 'plural.name', 'plural.slug']))
+            .action(this.request.bind(this));
     }
 
     /**
@@ -27,34 +27,63 @@ class OptionsExporter {
     constructor() { }
 
     /**
-     * 
+     * Exports the model types of an OPTIONS response as JavaScript model classes (and optionally TypeScript
+     * declarations). Relationships between the model types are generated from the foreign-key `references` of their
+     * property definitions (see `relationships`).
      * @param {Response} optionsResponse - The response to an `OptionsRequest`.
-     * @param {{dirPath: String, overwrite: Boolean}} [outputConfig] - Configuration options for writing results to
-     *   a directory.
-     * @returns {Map.<String, {base: String, extending: String}>}
+     * @param {{dirPath: String, overwrite: Boolean, typescript: Boolean}} [outputConfig] - Configuration options for
+     *   writing results to a directory. When `typescript` is `true`, TypeScript declaration (.d.ts) files are
+     *   generated alongside each JavaScript class file.
+     * @returns {Map.<String, {base: String, extending: String, baseDeclaration: String, extendingDeclaration: String}>}
      */
     async export(optionsResponse, outputConfig) {
         let mapping = new Map();
         if (optionsResponse.returned > 0) {
+            let slugOf = (mt) => mt?.$stashku?.slug || Strings.slugify(mt.name, '-', true, true);
+            let relationships = this.relationships(optionsResponse.data);
             for (let mt of optionsResponse.data) {
+                let rels = relationships.get(mt);
+                let config = mt.$stashku;
+                let imports = [];
+                for (let name in rels) {
+                    let related = rels[name].model();
+                    if (imports.some(i => i.name === related.name) === false) {
+                        imports.push({ name: related.name, slug: slugOf(related) });
+                    }
+                }
+                if (imports.length) {
+                    config = Object.assign({}, mt.$stashku, {
+                        relationships: Object.assign({}, rels, mt.$stashku.relationships)
+                    });
+                }
                 let blueprint = {
                     name: mt.name,
-                    slug: mt?.$stashku?.slug || Strings.slugify(mt.name, '-', true, true),
-                    config: mt.$stashku,
+                    slug: slugOf(mt),
+                    config: config,
+                    imports: imports,
+                    relationships: rels,
                     timestamp: new Date(),
                     resource: mt.$stashku.resource,
                     mapping: ModelUtility.map(mt),
                     toJavaScriptString: this.toJavaScriptString,
                     makePropertyJSDoc: this.makePropertyJSDoc,
-                    toJavascriptPropertyDefaultReference: this.toJavascriptPropertyDefaultReference
+                    makeRelationshipJSDoc: this.makeRelationshipJSDoc,
+                    toJavascriptPropertyDefaultReference: this.toJavascriptPropertyDefaultReference,
+                    toTypeScriptType: this.toTypeScriptType.bind(this),
+                    toTypeScriptInstanceType: this.toTypeScriptInstanceType
                 };
                 let baseModelContent = dots['base-typed-model'](blueprint);
                 let anyModelContent = dots['model']();
                 let extModelContent = dots['typed-model'](blueprint);
-                mapping.set(mt.$stashku.resource, {
+                let contents = {
                     base: baseModelContent,
                     extending: extModelContent
-                });
+                };
+                if (outputConfig && outputConfig.typescript) {
+                    contents.baseDeclaration = dots['base-typed-model-dts'](blueprint);
+                    contents.extendingDeclaration = dots['typed-model-dts'](blueprint);
+                }
+                mapping.set(mt.$stashku.resource, contents);
                 if (outputConfig && outputConfig.dirPath) {
                     await fairu
                         .with(p => p.join(outputConfig.dirPath, 'base/', `base-${blueprint.slug}.js`))
@@ -68,12 +97,84 @@ class OptionsExporter {
                         .when((ps) => outputConfig.overwrite || ps.exists === false)
                         .write(extModelContent);
                     await fairu.cp(path.join(__dirname, '../modeling/modeling.d.js'), path.join(outputConfig.dirPath, 'base/', 'modeling.d.js'));
+                    if (outputConfig.typescript) {
+                        await fairu
+                            .with(p => p.join(outputConfig.dirPath, 'base/', `base-${blueprint.slug}.d.ts`))
+                            .write(contents.baseDeclaration);
+                        await fairu
+                            .with(p => p.join(outputConfig.dirPath, 'base/', 'model.d.ts'))
+                            .when((ps) => outputConfig.overwrite || ps.exists === false)
+                            .write(dots['model-dts']());
+                        await fairu
+                            .with(p => p.join(outputConfig.dirPath, `${blueprint.slug}.d.ts`))
+                            .when((ps) => outputConfig.overwrite || ps.exists === false)
+                            .write(contents.extendingDeclaration);
+                        await fairu.cp(path.join(__dirname, '../modeling/modeling.d.ts'), path.join(outputConfig.dirPath, 'base/', 'modeling.d.ts'));
+                    }
                 }
             }
         }
         return mapping;
     }
 
+    /**
+     * Builds the relationships between the model types of an OPTIONS response from the foreign-key `references` of
+     * their property definitions. A property referencing the resource of another model type adds:
+     * - a "belongsTo" relationship to its model, named after the property without its "ID" suffix.
+     * - a "hasMany" relationship to the referenced model, named after the plural name of the referencing model.
+     * 
+     * References to resources without a model type in the response are ignored. Each relationship `model` is a
+     * function returning the related model type, written as an arrow function returning the related class when
+     * exported.
+     * @param {Array.<Modeling.AnyModelType>} modelTypes - The model types of an OPTIONS response.
+     * @returns {Map.<Modeling.AnyModelType, Object.<String, Modeling.RelationshipDefinition>>}
+     */
+    relationships(modelTypes) {
+        let relationships = new Map(modelTypes.map(mt => [mt, {}]));
+        let taken = (mt, name) => !name
+            || ModelUtility.map(mt).has(name)
+            || typeof relationships.get(mt)[name] !== 'undefined'
+            || typeof mt.$stashku?.relationships?.[name] !== 'undefined';
+        let reference = (mt) => {
+            let ref = () => mt;
+            ref.toString = () => `() => ${mt.name}`;
+            return ref;
+        };
+        for (let mt of modelTypes) {
+            for (let [k, v] of ModelUtility.map(mt)) {
+                let related = (v?.references ? modelTypes.find(r => r.$stashku?.resource === v.references.resource) : null);
+                if (!related) {
+                    continue;
+                }
+                let foreignKey = Array.from(ModelUtility.map(related)).find(([_, rv]) => rv.target === v.references.target)?.[0];
+                if (!foreignKey) {
+                    continue;
+                }
+                let name = Strings.camelify(k.replace(/[_-]?id$/i, '') || related.$stashku?.name || related.name, false);
+                if (taken(mt, name)) {
+                    name += 'Related';
+                }
+                relationships.get(mt)[name] = {
+                    type: ModelUtility.RELATIONSHIP.BELONGS_TO,
+                    model: reference(related),
+                    localKey: k,
+                    foreignKey
+                };
+                let manyName = Strings.camelify(mt.$stashku?.plural?.name || Strings.plural(mt.name), false);
+                if (taken(related, manyName)) {
+                    manyName += 'By' + Strings.camelify(k, true);
+                }
+                relationships.get(related)[manyName] = {
+                    type: ModelUtility.RELATIONSHIP.HAS_MANY,
+                    model: reference(mt),
+                    localKey: foreignKey,
+                    foreignKey: k
+                };
+            }
+        }
+        return relationships;
+    }
+
     /**
      * Converts a supported StashKu model property value to a string representation. 
      * @param {*} value - The value to be converted to a string.
@@ -170,10 +271,33 @@ class OptionsExporter {
             output += (output ? '\n' + indentRoot : '') + ' * This is a primary-key property (it helps uniquely identify a model).';
         }
         //determine type
-        output += (output ? '\n' + indentRoot : '') + ` * @type {${definition.type}}`;
+        let jsDocType = ModelUtility.registeredType(definition.type)?.jsDocType ?? definition.type;
+        output += (output ? '\n' + indentRoot : '') + ` * @type {${jsDocType}}`;
         return `${output}\n${indentRoot} */`;
     }
 
+    /**
+     * Creates the JSDoc `@property` tags (without an opening or closing) describing the related model instances
+     * attached to a model when relationships are included in a GET request.
+     * @param {Object.<String, Modeling.RelationshipDefinition>} relationships - The relationships of the model.
+     * @param {Number} [indentLevel=0] - The level of indent applied to contents (4-spaces per level).
+     * @returns {String}
+     */
+    makeRelationshipJSDoc(relationships, indentLevel = 0) {
+        let indentRoot = '    '.repeat(indentLevel);
+        let output = '';
+        for (let name in relationships) {
+            let rel = relationships[name];
+            let related = rel.model();
+            if (rel.type === ModelUtility.RELATIONSHIP.HAS_MANY) {
+                output += `\n${indentRoot} * @property {Array.<${related.name}>} [${name}] - The related "${related.$stashku?.resource}" models (by "${rel.foreignKey}"), when included.`;
+            } else {
+                output += `\n${indentRoot} * @property {${related.name}} [${name}] - The related "${related.$stashku?.resource}" model (by "${rel.localKey}"), when included.`;
+            }
+        }
+        return output;
+    }
+
     /**
      * Creates a string representation of the property definition object.
      * @param {String} className - The name of the model class.
@@ -191,6 +315,73 @@ class OptionsExporter {
         }
         return `${className}.${propertyName}.default`;
     }
+
+    /**
+     * Converts a value into a TypeScript type string, using literal types for strings, numbers, and booleans, and
+     * object type literals for plain objects.
+     * @param {*} value - The value to be converted to a type string.
+     * @param {Number} [indentLevel=0] - The level of indent applied to contents (4-spaces per level).
+     * @param {Boolean} [indentFirstLine=false] - Enable or disable indenting the first line of the returned string.
+     * @returns {String}
+     */
+    toTypeScriptType(value, indentLevel = 0, indentFirstLine = false) {
+        let indent = '    ';
+        let indentRoot = indent.repeat(indentLevel);
+        let valueType = typeof value;
+        let output = (indentFirstLine ? indentRoot : '');
+        let parents = arguments[3] || [];
+        if (parents && value && parents.some(a => a === value)) {
+            output += 'any';
+        } else if (value && value.constructor === Object) {
+            let keys = Object.keys(value);
+            if (keys.length > 0) {
+                parents.push(value);
+                output += '{';
+                for (let k of keys) {
+                    let name = (/^[A-Za-z_$][\w$]*$/.test(k) ? k : `'${k.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`);
+                    output += `\n${indentRoot}${indent}${name}: ${this.toTypeScriptType(value[k], indentLevel + 1, false, parents)};`;
+                }
+                output += `\n${indentRoot}}`;
+            } else {
+                output += '{}';
+            }
+        } else if (Array.isArray(value)) {
+            output += 'any[]';
+        } else if (value === null || valueType === 'undefined') {
+            output += String(value);
+        } else if (valueType === 'string') {
+            output += `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+        } else if (valueType === 'number') {
+            output += (isFinite(value) ? value.toString() : 'number');
+        } else if (valueType === 'boolean') {
+            output += value.toString();
+        } else if (valueType === 'bigint') {
+            output += `${value}n`;
+        } else if (value instanceof Date) {
+            output += 'Date';
+        } else if (value instanceof Buffer) {
+            output += 'Buffer';
+        } else if (valueType === 'function') {
+            output += 'Function';
+        } else {
+            output += 'any';
+        }
+        return output;
+    }
+
+    /**
+     * Returns the TypeScript type of a model instance property value from its StashKu property definition, using the
+     * `tsType` of the registered type handler (see `ModelUtility.registerType`).
+     * @param {Modeling.PropertyDefinition} definition - The StashKu property definition.
+     * @returns {String}
+     */
+    toTypeScriptInstanceType(definition) {
+        let tsType = ModelUtility.registeredType(definition?.type)?.tsType;
+        if (!tsType || tsType === 'any') {
+            return 'any';
+        }
+        return `${tsType} | null`;
+    }
 }
 
 export default OptionsExporter;
\ No newline at end of file
@@ -1,4 +1,8 @@
 import OptionsExporter from './options-exporter.js';
+import Response from '../response.js';
+import ModelUtility from '../modeling/model-utility.js';
+import ModelGenerator from '../modeling/model-generator.js';
+import ThemeModel from '../test/models/theme-model.js';
 import {Strings} from '@appku/common';
 
 function TestFunc(a, b, c) {
@@ -43,4 +47,143 @@ describe('#toJavaScriptString', () => {
             expect(exporter.toJavaScriptString(test[1], 1, true)).toBe(Strings.indent(test[2]));
         });
     }
-});
\ No newline at end of file
+});
+describe('#toTypeScriptType', () => {
+    let exporter = new OptionsExporter();
+    let tests = [
+        ['an undefined', undefined, 'undefined'],
+        ['a null', null, 'null'],
+        ['a number', -123.45, '-123.45'],
+        ['an infinite', Infinity, 'number'],
+        ['a boolean', true, 'true'],
+        ['a string', 'it\'s', '\'it\\\'s\''],
+        ['a date', new Date(), 'Date'],
+        ['a buffer', Buffer.from([0x01]), 'Buffer'],
+        ['a function', TestFunc, 'Function'],
+        ['an array', [1, 2], 'any[]'],
+        ['an empty object', {}, '{}'],
+        ['an object', { a: 1, 'b-c': 'hello', d: { e: false } }, '{\n    a: 1;\n    \'b-c\': \'hello\';\n    d: {\n        e: false;\n    };\n}'],
+    ];
+    for (let test of tests) {
+        it(`converts ${test[0]} value.`, () => {
+            expect(exporter.toTypeScriptType(test[1])).toBe(test[2]);
+            expect(exporter.toTypeScriptType(test[1], 1, true)).toBe(Strings.indent(test[2]));
+        });
+    }
+});
+
+describe('#toTypeScriptInstanceType', () => {
+    let exporter = new OptionsExporter();
+    it('converts the property definition type to a nullable TypeScript type.', () => {
+        expect(exporter.toTypeScriptInstanceType({ target: 'a', type: 'String' })).toBe('string | null');
+        expect(exporter.toTypeScriptInstanceType({ target: 'a', type: 'Number' })).toBe('number | null');
+        expect(exporter.toTypeScriptInstanceType({ target: 'a', type: 'Date' })).toBe('Date | null');
+        expect(exporter.toTypeScriptInstanceType({ target: 'a', type: 'Array' })).toBe('any[] | null');
+    });
+    it('returns "any" for unknown types.', () => {
+        expect(exporter.toTypeScriptInstanceType({ target: 'a' })).toBe('any');
+        expect(exporter.toTypeScriptInstanceType({ target: 'a', type: 'Object' })).toBe('any');
+    });
+    it('uses the TypeScript type of registered types.', () => {
+        expect(exporter.toTypeScriptInstanceType({ target: 'a', type: 'URL' })).toBe('URL | null');
+        expect(exporter.toTypeScriptInstanceType({ target: 'a', type: 'Decimal' })).toBe('string | null');
+        ModelUtility.registerType('Point', { tsType: 'number[]' });
+        expect(exporter.toTypeScriptInstanceType({ target: 'a', type: 'Point' })).toBe('number[] | null');
+        ModelUtility.registerType('Point', null);
+    });
+});
+
+describe('#makePropertyJSDoc', () => {
+    let exporter = new OptionsExporter();
+    it('uses the JSDoc type of registered types.', () => {
+        expect(exporter.makePropertyJSDoc('a', { target: 'a', type: 'Decimal' })).toBe('/**\n * @type {String}\n */');
+        ModelUtility.registerType('Point', { jsDocType: 'Array.<Number>' });
+        expect(exporter.makePropertyJSDoc('a', { target: 'a', type: 'Point' })).toBe('/**\n * @type {Array.<Number>}\n */');
+        ModelUtility.registerType('Point', null);
+        expect(exporter.makePropertyJSDoc('a', { target: 'a', type: 'Point' })).toBe('/**\n * @type {Point}\n */');
+    });
+});
+
+describe('#relationships', () => {
+    let exporter = new OptionsExporter();
+    let themes = ModelGenerator.generateModelType('themes', new Map([
+        ['ID', { target: 'ID', type: 'Number' }]
+    ]));
+    let products = ModelGenerator.generateModelType('products', new Map([
+        ['ID', { target: 'ID', type: 'Number' }],
+        ['ThemeID', { target: 'ThemeID', type: 'Number', references: { resource: 'themes', target: 'ID' } }],
+        ['CategoryID', { target: 'CategoryID', type: 'Number', references: { resource: 'categories', target: 'ID' } }]
+    ]));
+    it('creates "belongsTo" and "hasMany" relationships from property references.', () => {
+        let relationships = exporter.relationships([themes, products]);
+        let rel = relationships.get(products);
+        expect(Object.keys(rel)).toEqual(['theme']);
+        expect(rel.theme).toMatchObject({ type: 'belongsTo', localKey: 'themeID', foreignKey: 'ID' });
+        expect(rel.theme.model()).toBe(themes);
+        expect(rel.theme.model.toString()).toBe('() => ThemeModel');
+        rel = relationships.get(themes);
+        expect(Object.keys(rel)).toEqual(['products']);
+        expect(rel.products).toMatchObject({ type: 'hasMany', localKey: 'ID', foreignKey: 'themeID' });
+        expect(rel.products.model()).toBe(products);
+        //the relationships resolve at runtime
+        expect(ModelUtility.relationships(Object.assign(class { }, { $stashku: { relationships: rel } })).get('products').model).toBe(products);
+    });
+    it('ignores references to resources without a model type.', () => {
+        let relationships = exporter.relationships([products]);
+        expect(relationships.get(products)).toEqual({});
+    });
+    it('avoids relationship names taken by properties.', () => {
+        let parts = ModelGenerator.generateModelType('parts', new Map([
+            ['ID', { target: 'ID', type: 'Number' }],
+            ['Theme', { target: 'Theme', type: 'String' }],
+            ['ThemeID', { target: 'ThemeID', type: 'Number', references: { resource: 'themes', target: 'ID' } }],
+            ['AltThemeID', { target: 'AltThemeID', type: 'Number', references: { resource: 'themes', target: 'ID' } }]
+        ]));
+        let relationships = exporter.relationships([themes, parts]);
+        expect(Object.keys(relationships.get(parts))).toEqual(['altTheme', 'themeRelated']);
+        expect(Object.keys(relationships.get(themes))).toEqual(['parts', 'partsByThemeID']);
+    });
+});
+
+describe('#export', () => {
+    let exporter = new OptionsExporter();
+    let res = new Response([ThemeModel], 1, 0, 1);
+    it('generates JavaScript model classes.', async () => {
+        let mapping = await exporter.export(res);
+        let contents = mapping.get('themes');
+        expect(contents.base).toMatch(/class BaseThemeModel extends Model/);
+        expect(contents.extending).toMatch(/class ThemeModel extends BaseThemeModel/);
+        expect(contents.baseDeclaration).toBeUndefined();
+    });
+    it('generates TypeScript declarations when the "typescript" option is enabled.', async () => {
+        let mapping = await exporter.export(res, { typescript: true });
+        let contents = mapping.get('themes');
+        expect(contents.baseDeclaration).toMatch(/declare class BaseThemeModel extends Model/);
+        expect(contents.baseDeclaration).toMatch(/\n {4}Name: string \| null;/);
+        expect(contents.baseDeclaration).toMatch(/static get Name\(\): Modeling\.PropertyDefinition & {\n {8}target: 'Name';/);
+        expect(contents.baseDeclaration).toMatch(/static get \$stashku\(\): Modeling\.Configuration & {\n {8}resource: 'themes';/);
+        expect(contents.extendingDeclaration).toMatch(/import BaseThemeModel from '\.\/base\/base-theme\.js';/);
+        expect(contents.extendingDeclaration).toMatch(/declare class ThemeModel extends BaseThemeModel/);
+    });
+    it('writes the relationships of referencing model types.', async () => {
+        let themes = ModelGenerator.generateModelType('themes', new Map([
+            ['ID', { target: 'ID', type: 'Number' }]
+        ]));
+        let products = ModelGenerator.generateModelType('products', new Map([
+            ['ID', { target: 'ID', type: 'Number' }],
+            ['ThemeID', { target: 'ThemeID', type: 'Number', references: { resource: 'themes', target: 'ID' } }]
+        ]));
+        let mapping = await exporter.export(new Response([themes, products], 2, 0, 2), { typescript: true });
+        let contents = mapping.get('products');
+        expect(contents.base).toMatch(/\nimport ThemeModel from '\.\.\/theme\.js';\n/);
+        expect(contents.base).toMatch(/ \* @property {ThemeModel} \[theme\]/);
+        expect(contents.base).toMatch(/relationships: {\n {16}theme: {\n {20}type: 'belongsTo',\n {20}model: \(\) => ThemeModel,\n {20}localKey: 'themeID',\n {20}foreignKey: 'ID'\n/);
+        expect(contents.baseDeclaration).toMatch(/\n {4}theme\?: ThemeModel \| null;/);
+        contents = mapping.get('themes');
+        expect(contents.base).toMatch(/\nimport ProductModel from '\.\.\/product\.js';\n/);
+        expect(contents.base).toMatch(/ \* @property {Array\.<ProductModel>} \[products\]/);
+        expect(contents.baseDeclaration).toMatch(/\n {4}products\?: ProductModel\[\];/);
+        //model types are not changed
+        expect(themes.$stashku.relationships).toBeUndefined();
+    });
+});
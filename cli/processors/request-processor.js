@@ -5,10 +5,14 @@ import OptionsRequest from '../../requests/options-request.js';
 import Filter from '../../filter.js';
 import Sort from '../../sort.js';
 import ModelUtility from '../../modeling/model-utility.js';
+import ModelGenerator from '../../modeling/model-generator.js';
+import Response from '../../response.js';
 import BaseProcessor from './base-processor.js';
 import StashKu from '../../stashku.js';
 import OptionsExporter from '../options-exporter.js';
+import OpenAPIGenerator from '../../modeling/openapi-generator.js';
 import fairu from '@appku/fairu';
+import fs from 'fs/promises';
 import path from 'path';
 
 const __dirname = (
@@ -26,13 +30,14 @@ class RequestProcessor extends BaseProcessor {
     /**
      * Runs a standard RESTful StashKu request using command line options to define the request metadata. Callers can
      * optionally save output to file.
-     * @param {CLI.GetCommandLineOptions | CLI.OptionsCommandLineOptions} options - The command line options of the request.
+     * @param {CLI.GetCommandLineOptions | CLI.OptionsCommandLineOptions | CLI.OpenAPICommandLineOptions} options - The
+     * command line options of the request.
      */
     constructor(options) {
         super(options);
 
         /**
-         * @type {CLI.GetCommandLineOptions | CLI.OptionsCommandLineOptions}
+         * @type {CLI.GetCommandLineOptions | CLI.OptionsCommandLineOptions | CLI.OpenAPICommandLineOptions}
          */
         this.options = options;
     }
@@ -43,6 +48,7 @@ class RequestProcessor extends BaseProcessor {
     async start() {
         if (this.options.cli.test || this.options.cli.samples) {
             this.stash = new StashKu({ engine: this.options.cli.engine || 'memory' });
+            await this.stash.configure();
             this.stash.engine.data.set('products', (await fairu.with(path.join(__dirname, '../templates/samples/data-products.json')).format(fairu.Format.json).read())[0].data);
             this.stash.engine.data.set('themes', (await fairu.with(path.join(__dirname, '../templates/samples/data-themes.json')).format(fairu.Format.json).read())[0].data);
         } else {
@@ -57,9 +63,14 @@ class RequestProcessor extends BaseProcessor {
         }
         //build the request
         let multiResource = [this.options.resource];
+        let modelTypes = [];
         let req = null;
         if (reqFile && reqFile.length && reqFile[0].readable) {
-            if (Array.isArray(reqFile[0].data)) {
+            let schemaTypes = this.fromJSONSchema(reqFile[0].data);
+            if (schemaTypes) {
+                await this.startJSONSchema(schemaTypes);
+                return;
+            } else if (Array.isArray(reqFile[0].data)) {
                 multiResource = reqFile[0].data;
             } else {
                 req = StashKu.requestFromObject(reqFile[0].data);
@@ -68,12 +79,14 @@ class RequestProcessor extends BaseProcessor {
         for (let resource of multiResource) {
             if (this.options.method === 'get') {
                 req = this.buildGet(req, resource);
-            } else if (this.options.method === 'options') {
+            } else if (this.options.method === 'options' || this.options.method === 'openapi') {
                 req = this.buildOptions(req, resource);
             } else {
                 throw new Error(`No supported method specified for processing ("${this.options.method}" is invalid or unsupported).`);
             }
-            console.info(`Running StashKu ${req.method.toUpperCase()} request:`, JSON.stringify(req, null, 4));
+            if (this.options.method !== 'openapi') { //keep the console output a valid document
+                console.info(`Running StashKu ${req.method.toUpperCase()} request:`, JSON.stringify(req, null, 4));
+            }
             await this.stash.engine;
             //save query to file (do this early to help facilitate troubleshooting).
             if (this.options.save) {
@@ -84,43 +97,198 @@ class RequestProcessor extends BaseProcessor {
                 console.debug(`Running GET request on "${this.stash.engine?.name}" engine for the "${resource}" resource.`);
                 console.debug('Request metadata:', JSON.stringify(req.metadata, null, 4));
             }
-            let res = await this.stash[this.options.method](req);
-            //output response to console
-            if (!this.options.cli.quiet) {
-                let outputObj = res;
-                //handle options requests sending a constructor instead of instance.
-                if (this.options.method === 'options') {
-                    outputObj = Object.assign({}, res, { data: [] });
-                    for (let i = 0; i < res.returned; i++) {
-                        outputObj.data.push(ModelUtility.schema(res.data[i]));
-                    }
+            if (this.options.method === 'get' && this.options.output && !req.metadata.count && this.options.cli.format !== 'toml') {
+                //stream large results straight to file
+                let written = await this.streamOutput(req);
+                if (!this.options.cli.quiet) {
+                    console.info(`Wrote ${written} object(s) to "${this.options.output}".`);
                 }
-                console.log(fairu.stringify(this.options.cli.format, outputObj));
+                req = null;
+                continue;
+            }
+            if (this.options.method === 'openapi') {
+                //collect the model types to be documented
+                let res = await this.stash.options(req);
+                modelTypes.push(...res.data);
+                req = null;
+                continue;
+            }
+            let res = await this.stash[this.options.method](req);
+            if (this.options.method === 'options') {
+                modelTypes.push(...res.data);
+            }
+            await this.output(res);
+            req = null;
+        }
+        if (this.options.method === 'openapi') {
+            await this.writeOpenAPI(modelTypes);
+        } else if (this.options.method === 'options' && this.options.jsonSchema) {
+            await this.writeJSONSchema(modelTypes);
+        }
+    }
+
+    /**
+     * Runs the command on model types generated from a JSON Schema file instead of on the responses of OPTIONS
+     * requests. Only the "options" and "openapi" commands support JSON Schema files.
+     * @param {Array.<Modeling.AnyModelType>} modelTypes - The model types generated from the JSON Schema.
+     */
+    async startJSONSchema(modelTypes) {
+        if (this.options.method === 'openapi') {
+            await this.writeOpenAPI(modelTypes);
+        } else if (this.options.method === 'options') {
+            await this.output(new Response(modelTypes, modelTypes.length, 0, modelTypes.length));
+            if (this.options.jsonSchema) {
+                await this.writeJSONSchema(modelTypes);
+            }
+        } else {
+            throw new Error(`A JSON Schema file can't be used with the "${this.options.method}" command.`);
+        }
+    }
+
+    /**
+     * Generates model types from the data of a JSON Schema file, which may hold a single object schema, an array of
+     * object schemas, or object schemas under `$defs` (keyed by title). If the data is not a JSON Schema, `null` is
+     * returned.
+     * @param {*} data - The data read from the file.
+     * @returns {Array.<Modeling.AnyModelType>}
+     */
+    fromJSONSchema(data) {
+        let isSchema = (v) => !!(v && typeof v === 'object' && typeof v.properties === 'object' && v.properties !== null);
+        if (Array.isArray(data)) {
+            if (data.length && data.every(isSchema)) {
+                return data.map(v => ModelGenerator.fromJSONSchema(v));
             }
-            //save output to file
-            if (this.options.output) {
-                await fairu.with(this.options.output).format(this.options.cli.format).write(res);
+        } else if (isSchema(data)) {
+            return [ModelGenerator.fromJSONSchema(data)];
+        } else if (data && typeof data.$defs === 'object' && data.$defs !== null) {
+            let defs = Object.entries(data.$defs).filter(([, v]) => isSchema(v));
+            if (defs.length) {
+                return defs.map(([k, v]) => ModelGenerator.fromJSONSchema(Object.assign({ title: k }, v)));
             }
-            //handle options exporting
+        }
+        return null;
+    }
+
+    /**
+     * Outputs the response of a request to the console and/or output file, and handles exporting OPTIONS model types.
+     * @param {Response} res - The response to output.
+     */
+    async output(res) {
+        //output response to console
+        if (!this.options.cli.quiet) {
+            let outputObj = res;
+            //handle options requests sending a constructor instead of instance.
             if (this.options.method === 'options') {
-                let exportMap = await new OptionsExporter().export(res, {
-                    dirPath: this.options.export,
-                    overwrite: !!this.options.force
-                });
-                if (!this.options.cli.quiet && this.options.dryRun) {
-                    for (let [r, mt] of exportMap) {
-                        if (mt) {
-                            console.log(`/** ${r} base: **/\n${mt.base}\n\n/**${r} extending: **/\n${mt.extending}`);
-                        } else {
-                            console.log(`${r}: <null>`);
+                outputObj = Object.assign({}, res, { data: [] });
+                for (let i = 0; i < res.returned; i++) {
+                    outputObj.data.push(ModelUtility.schema(res.data[i]));
+                }
+            }
+            console.log(fairu.stringify(this.options.cli.format, outputObj));
+        }
+        //save output to file
+        if (this.options.output) {
+            await fairu.with(this.options.output).format(this.options.cli.format).write(res);
+        }
+        //handle options exporting
+        if (this.options.method === 'options') {
+            let exportMap = await new OptionsExporter().export(res, {
+                dirPath: this.options.export,
+                overwrite: !!this.options.force,
+                typescript: !!this.options.typescript
+            });
+            if (!this.options.cli.quiet && this.options.dryRun) {
+                for (let [r, mt] of exportMap) {
+                    if (mt) {
+                        console.log(`/** ${r} base: **/\n${mt.base}\n\n/**${r} extending: **/\n${mt.extending}`);
+                        if (mt.baseDeclaration) {
+                            console.log(`\n/** ${r} base declaration: **/\n${mt.baseDeclaration}\n\n/**${r} extending declaration: **/\n${mt.extendingDeclaration}`);
                         }
+                    } else {
+                        console.log(`${r}: <null>`);
                     }
                 }
             }
-            req = null;
         }
     }
 
+    /**
+     * Generates a JSON Schema document describing the model types under `$defs` (keyed by the model name) and writes
+     * it to the `--json-schema` file.
+     * @param {Array.<Modeling.AnyModelType>} modelTypes - The model types to describe.
+     */
+    async writeJSONSchema(modelTypes) {
+        let doc = {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $defs: {}
+        };
+        for (let mt of modelTypes) {
+            let schema = ModelUtility.jsonSchema(mt);
+            delete schema.$schema;
+            doc.$defs[schema.title] = schema;
+        }
+        await fairu.with(this.options.jsonSchema).format(fairu.Format.json).write(doc);
+        if (!this.options.cli.quiet) {
+            console.info(`Wrote a JSON Schema of ${modelTypes.length} model(s) to "${this.options.jsonSchema}".`);
+        }
+    }
+
+    /**
+     * Generates an OpenAPI document describing the model types and writes it to the output file or console.
+     * @param {Array.<Modeling.AnyModelType>} modelTypes - The model types to document.
+     */
+    async writeOpenAPI(modelTypes) {
+        let doc = OpenAPIGenerator.generate(modelTypes, {
+            title: this.options.title,
+            version: this.options.apiVersion,
+            servers: this.options.server,
+            pathProperty: this.options.pathProperty
+        });
+        let format = (this.options.cli.format === 'yaml' ? 'yaml' : 'json');
+        if (this.options.output) {
+            await fairu.with(this.options.output).format(format).write(doc);
+            if (!this.options.cli.quiet) {
+                console.info(`Wrote an OpenAPI document of ${modelTypes.length} model(s) to "${this.options.output}".`);
+            }
+        } else {
+            console.log(fairu.stringify(format, doc));
+        }
+    }
+
+    /**
+     * Streams the objects of a GET request into the output file, one page at a time, so the full result set is never
+     * held in memory. The file holds the `data`, `affected`, and `returned` properties of a saved response, but no
+     * `total`, as the total count of matching objects in the engine is not known while streaming. Only the "json" and
+     * "yaml" formats can be streamed.
+     * @param {GetRequest} req - The GET request to stream.
+     * @returns {Promise.<Number>} Returns the number of objects written.
+     */
+    async streamOutput(req) {
+        let format = this.options.cli.format;
+        let indent = (str, spaces) => str.trimEnd().split('\n').map(ln => ' '.repeat(spaces) + ln).join('\n');
+        let count = 0;
+        let handle = await fs.open(this.options.output, 'w');
+        try {
+            await handle.write(format === 'yaml' ? 'data:' : '{\n    "data": [');
+            for await (let obj of this.stash.stream(req, { pageSize: this.options.pageSize })) {
+                if (format === 'yaml') {
+                    await handle.write('\n' + indent(fairu.stringify(format, [obj]), 2));
+                } else {
+                    await handle.write((count ? ',' : '') + '\n' + indent(JSON.stringify(obj, null, 4), 8));
+                }
+                count++;
+            }
+            if (format === 'yaml') {
+                await handle.write(`${count ? '' : ' []'}\naffected: 0\nreturned: ${count}\n`);
+            } else {
+                await handle.write(`${count ? '\n    ' : ''}],\n    "affected": 0,\n    "returned": ${count}\n}\n`);
+            }
+        } finally {
+            await handle.close();
+        }
+        return count;
+    }
+
     /**
      * Builds a `GetRequest` from the command-line/processor options.
      * @param {GetRequest} req - An exisiting `GetRequest` to build upon.
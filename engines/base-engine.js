@@ -61,6 +61,40 @@ class BaseEngine {
      */
     async destroy() { }
 
+    /**
+     * Begins a new transaction and returns a transaction-scoped engine instance. StashKu sends all requests made
+     * within the transaction to the returned engine, then hands it back to this engine's `commit` or `rollback`
+     * function to complete the transaction as one unit.
+     *
+     * Engines that support transactions should override `begin`, `commit`, and `rollback` together.
+     * @throws A 501 REST error if not overriden and supported by the storage engine.
+     * @returns {Promise.<BaseEngine>}
+     * @abstract
+     */
+    async begin() {
+        throw new RESTError(501, `Transactions are not supported on the StashKu "${this.name}" storage engine.`);
+    }
+
+    /**
+     * Commits all changes made through a transaction-scoped engine returned from `begin`.
+     * @throws A 501 REST error if not overriden and supported by the storage engine.
+     * @param {BaseEngine} transaction - The transaction-scoped engine to commit.
+     * @abstract
+     */
+    async commit(transaction) {
+        throw new RESTError(501, `Transactions are not supported on the StashKu "${this.name}" storage engine.`);
+    }
+
+    /**
+     * Discards all changes made through a transaction-scoped engine returned from `begin`.
+     * @throws A 501 REST error if not overriden and supported by the storage engine.
+     * @param {BaseEngine} transaction - The transaction-scoped engine to roll back.
+     * @abstract
+     */
+    async rollback(transaction) {
+        throw new RESTError(501, `Transactions are not supported on the StashKu "${this.name}" storage engine.`);
+    }
+
     /**
      * Sets the storage engine configuration property. This function is called automatically by StashKu when the engine
      * is initialized or when the configuration source has been changed.
@@ -113,6 +147,20 @@ class BaseEngine {
         }
     }
 
+    /**
+     * Streams the objects matching a GET `request` directly from the storage medium. Engines that can natively stream
+     * results may override this function to return an async iterable of the (unmodeled) objects, retrieving them
+     * in chunks of about `options.pageSize` objects.
+     * 
+     * By default `null` is returned, and StashKu streams the objects by paging through them with GET requests.
+     * @param {GetRequest} request - The GET request to stream the objects of.
+     * @param {{pageSize: Number}} options - The stream options.
+     * @returns {Promise.<AsyncIterable>}
+     */
+    async stream(request, options) {
+        return null;
+    }
+
     /**
      * Run a POST `request` and creates (then returns) objects in storage.
      * 
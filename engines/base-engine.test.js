@@ -49,6 +49,30 @@ describe('#destroy', () => {
     });
 });
 
+describe('#begin', () => {
+    it('throws a 501 error when not overridden.', async () => {
+        await expect(new TestEngine('test').begin()).rejects.toThrow(/not supported/);
+    });
+});
+
+describe('#commit', () => {
+    it('throws a 501 error when not overridden.', async () => {
+        await expect(new TestEngine('test').commit({})).rejects.toThrow(/not supported/);
+    });
+});
+
+describe('#rollback', () => {
+    it('throws a 501 error when not overridden.', async () => {
+        await expect(new TestEngine('test').rollback({})).rejects.toThrow(/not supported/);
+    });
+});
+
+describe('#stream', () => {
+    it('returns null when not overridden.', async () => {
+        expect(await new TestEngine('test').stream(new GetRequest().from('test'), { pageSize: 10 })).toBeNull();
+    });
+});
+
 describe('#configure', () => {
     it('sets the config property on the engine.', () => {
         let engine = new TestEngine('yarg');
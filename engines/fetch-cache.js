@@ -0,0 +1,86 @@
+/**
+ * @typedef FetchCacheEntry
+ * @property {String} [etag] - The `ETag` header value of the cached response.
+ * @property {String} [lastModified] - The `Last-Modified` header value of the cached response.
+ * @property {String} body - The body text of the cached response.
+ */
+
+/**
+ * The default response cache store of the fetch engine, holding a limited number of entries in memory. When the
+ * limit is reached, the least-recently used entry is evicted.
+ *
+ * Custom stores may be used in its place by implementing the same `get`, `set`, `delete`, and `keys` methods, which
+ * may return promises.
+ */
+class FetchCache {
+    /**
+     * Creates a new `FetchCache` instance.
+     * @throws Error if the size is not a positive number.
+     * @param {Number} [size=100] - The maximum number of entries held in the cache.
+     */
+    constructor(size = 100) {
+        if (typeof size !== 'number' || size < 1) {
+            throw new Error('The "size" argument must be a number greater than zero.');
+        }
+
+        /**
+         * The maximum number of entries held in the cache.
+         * @type {Number}
+         */
+        this.size = size;
+
+        /**
+         * @type {Map.<String, FetchCacheEntry>}
+         * @private
+         */
+        this._entries = new Map();
+    }
+
+    /**
+     * Returns the cached entry for the key, marking it as the most-recently used. If no entry is cached, `null` is
+     * returned.
+     * @param {String} key - The cache key.
+     * @returns {FetchCacheEntry}
+     */
+    get(key) {
+        let entry = this._entries.get(key);
+        if (typeof entry === 'undefined') {
+            return null;
+        }
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Caches an entry under the key, evicting the least-recently used entry if the cache is full.
+     * @param {String} key - The cache key.
+     * @param {FetchCacheEntry} entry - The entry to cache.
+     */
+    set(key, entry) {
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        while (this._entries.size > this.size) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Removes the cached entry for the key (if any).
+     * @param {String} key - The cache key.
+     */
+    delete(key) {
+        this._entries.delete(key);
+    }
+
+    /**
+     * Returns the keys of all cached entries.
+     * @returns {Array.<String>}
+     */
+    keys() {
+        return Array.from(this._entries.keys());
+    }
+
+}
+
+export default FetchCache;
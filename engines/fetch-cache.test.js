@@ -0,0 +1,49 @@
+import FetchCache from './fetch-cache.js';
+
+describe('#constructor', () => {
+    it('defaults to a size of 100 entries.', () => {
+        expect(new FetchCache().size).toBe(100);
+        expect(new FetchCache(5).size).toBe(5);
+    });
+    it('throws when the size is invalid.', () => {
+        expect(() => new FetchCache(0)).toThrow(/size/);
+        expect(() => new FetchCache('10')).toThrow(/size/);
+    });
+});
+
+describe('#get', () => {
+    it('returns null when the key is not cached.', () => {
+        expect(new FetchCache().get('a')).toBeNull();
+    });
+    it('returns the cached entry.', () => {
+        let cache = new FetchCache();
+        cache.set('a', { etag: '"1"', body: '{}' });
+        expect(cache.get('a')).toEqual({ etag: '"1"', body: '{}' });
+    });
+});
+
+describe('#set', () => {
+    it('evicts the least-recently used entry when full.', () => {
+        let cache = new FetchCache(2);
+        cache.set('a', { body: 'a' });
+        cache.set('b', { body: 'b' });
+        cache.get('a');
+        cache.set('c', { body: 'c' });
+        expect(cache.keys()).toEqual(['a', 'c']);
+        cache.set('a', { body: 'a2' });
+        cache.set('d', { body: 'd' });
+        expect(cache.keys()).toEqual(['a', 'd']);
+        expect(cache.get('a').body).toBe('a2');
+    });
+});
+
+describe('#delete', () => {
+    it('removes the cached entry.', () => {
+        let cache = new FetchCache();
+        cache.set('a', { body: 'a' });
+        cache.delete('a');
+        cache.delete('b');
+        expect(cache.get('a')).toBeNull();
+        expect(cache.keys()).toEqual([]);
+    });
+});
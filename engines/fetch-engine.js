@@ -10,29 +10,146 @@ import Filter from '../filter.js';
 import Logger from '../logger.js';
 import ModelGenerator from '../modeling/model-generator.js';
 import BaseEngine from './base-engine.js';
+import FetchCache from './fetch-cache.js';
 import Sort from '../sort.js';
 
 const IS_BROWSER = !(typeof process !== 'undefined' && process.version);
 let GlobalFetch = null;
 let GlobalFetchHeaders = null;
+let GlobalFetchResponse = null;
 /* istanbul ignore next */
 const lazyLoadGlobalFetch = async () => {
     if (!GlobalFetch) {
         if (IS_BROWSER) {
             GlobalFetch = window.fetch; // eslint-disable-line no-undef
             GlobalFetchHeaders = window.Headers; // eslint-disable-line no-undef
+            GlobalFetchResponse = window.Response; // eslint-disable-line no-undef
         } else if (typeof fetch !== 'undefined' && Headers) { // eslint-disable-line no-undef
             GlobalFetch = fetch; // eslint-disable-line no-undef
             GlobalFetchHeaders = Headers; // eslint-disable-line no-undef
+            GlobalFetchResponse = globalThis.Response; // eslint-disable-line no-undef
         } else {
             let pkg = 'node-fetch'; //set import package as variable, so compilers like esbuild ignore the next line.
             let module = await import(/* webpackIgnore: true */ pkg);
             GlobalFetchHeaders = module.Headers;
+            GlobalFetchResponse = module.Response;
             GlobalFetch = module.default;
         }
     }
 };
 
+/**
+ * Parses the value of a `Retry-After` response header (either a number of seconds or an HTTP date) into a number
+ * of milliseconds to wait. If the value is missing or invalid, `null` is returned.
+ * @param {String} value - The header value.
+ * @returns {Number}
+ * @ignore
+ */
+const parseRetryAfter = (value) => {
+    if (value === null || typeof value === 'undefined' || value === '') {
+        return null;
+    } else if (/^\s*\d+(\.\d+)?\s*$/.test(value)) {
+        return parseFloat(value) * 1000;
+    }
+    let date = Date.parse(value);
+    if (isNaN(date)) {
+        return null;
+    }
+    return Math.max(0, date - Date.now());
+};
+
+/**
+ * Returns a promise that resolves after the given number of milliseconds, or rejects early if the signal is
+ * aborted.
+ * @param {Number} ms - The number of milliseconds to wait.
+ * @param {AbortSignal} [signal] - Optional signal that cancels the wait.
+ * @returns {Promise}
+ * @ignore
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    let onAbort = null;
+    let timer = setTimeout(() => {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+    }, ms);
+    if (signal) {
+        onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('The operation was aborted.'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+});
+
+/**
+ * Encodes a string as base64, supporting non-latin characters. `Buffer` is used on platforms without a global `btoa`
+ * (node 14 and earlier).
+ * @param {String} value - The value to encode.
+ * @returns {String}
+ * @ignore
+ */
+const base64 = (value) => {
+    let binary = '';
+    for (let b of new TextEncoder().encode(value)) {
+        binary += String.fromCharCode(b);
+    }
+    return (typeof btoa === 'function' ? btoa(binary) : Buffer.from(binary, 'binary').toString('base64'));
+};
+
+/**
+ * @callback FetchEngine.AuthTokenCallback
+ * @param {DeleteRequest | GetRequest | PatchRequest | PostRequest | PutRequest | OptionsRequest} request - The 
+ * StashKu request being sent, or `null` when the engine is listing resources.
+ * @param {Boolean} refresh - `true` when the previous token was rejected by the HTTP endpoint (401) and a new token
+ * should be obtained.
+ * @returns {String|Promise.<String>} The bearer token to send.
+ */
+
+/**
+ * @typedef FetchEngine.AuthProvider
+ * @property {String} type - The type of authentication, one of the `FetchEngine.AUTH` values: `"bearer"`, 
+ * `"basic"`, `"apiKey"`, or `"token"`.
+ * @property {String} [token] - The static bearer token (`"bearer"` type).
+ * @property {String} [username] - The user name (`"basic"` type).
+ * @property {String} [password] - The password (`"basic"` type).
+ * @property {String} [header="X-API-Key"] - The name of the HTTP header to send the API key in (`"apiKey"` type).
+ * @property {String} [key] - The API key (`"apiKey"` type).
+ * @property {FetchEngine.AuthTokenCallback} [callback] - The callback returning a bearer token (`"token"` type).
+ */
+
+/**
+ * @typedef FetchEngine.RetryConfiguration
+ * @property {Number} [attempts=0] - The maximum number of times a failed fetch request is retried. By default
+ * failed requests are not retried.
+ * @property {Number} [delay=250] - The base number of milliseconds to wait before the first retry. The wait doubles
+ * with each further retry (exponential backoff) and is randomized by up to half (jitter).
+ * @property {Number} [maxDelay=10000] - The maximum number of milliseconds to wait before any retry, including
+ * waits requested by a `Retry-After` response header.
+ * @property {Array.<String>} [methods=["GET","PUT","DELETE","OPTIONS"]] - The (idempotent) request methods that 
+ * may be retried.
+ * @property {Array.<Number>} [statuses=[408,429,502,503,504]] - The HTTP response status codes that are retried.
+ * Network errors and timeouts are always retried.
+ */
+
+/**
+ * @typedef FetchEngine.CacheStore
+ * @property {function(String):(FetchCacheEntry|Promise.<FetchCacheEntry>)} get - Returns the cached entry for a key,
+ * or `null`.
+ * @property {function(String, FetchCacheEntry)} set - Caches an entry under a key.
+ * @property {function(String)} delete - Removes the cached entry for a key.
+ * @property {function():(Array.<String>|Promise.<Array.<String>>)} keys - Returns the keys of all cached entries.
+ */
+
+/**
+ * @typedef FetchEngine.CacheConfiguration
+ * @property {Boolean} [enabled=false] - Enables caching of GET responses. Defaults to `true` when a cache 
+ * configuration object is given.
+ * @property {Number} [size=100] - The maximum number of responses held by the default in-memory (LRU) store.
+ * @property {FetchEngine.CacheStore} [store] - A custom cache store to use instead of the default in-memory store.
+ */
+
 /**
  * @typedef FetchEngine.ModelConfiguration
  * @property {String} [pathProperty="resource"] - Instructs StashKu which property from the `$stashku` object on
@@ -54,6 +171,26 @@ const lazyLoadGlobalFetch = async () => {
  * the requestor.
  * @property {FetchEngine.ModelConfiguration} [model]
  * @property {RequestInit} [fetch] - Optional fetch defaults to apply before request-specific configuration is set.
+ * @property {Number} [timeout=0] - The number of milliseconds to wait for each fetch attempt before it is aborted.
+ * If `0` (default), requests do not time out.
+ * @property {FetchEngine.RetryConfiguration} [retry] - Optional settings to retry failed fetch requests.
+ * @property {FetchEngine.AuthProvider|FetchEngine.AuthTokenCallback} [auth] - Optional provider used to authenticate
+ * fetch requests. A callback function is shorthand for a `"token"` provider.
+ * @property {String} [query="bracket"] - The encoding of GET request query parameters, one of the 
+ * `FetchEngine.QUERY` values: `"bracket"` (nested objects are expanded into bracketed parameters), `"filter"` 
+ * (filters are sent as filter strings), or `"base64"` (the whole request is sent as base64url-encoded JSON in a
+ * single `q` parameter).
+ * @property {Boolean|FetchEngine.CacheConfiguration} [cache=false] - Optional settings to cache GET responses that 
+ * carry an `ETag` or `Last-Modified` header. Cached responses are revalidated with conditional requests.
+ */
+
+/**
+ * @typedef FetchEngine.RequestHeader
+ * @property {AbortSignal} [signal] - An `AbortSignal` that cancels the in-flight fetch request (and any pending
+ * retries) when aborted. This header is never sent to the HTTP endpoint.
+ * @property {FetchEngine.AuthProvider|FetchEngine.AuthTokenCallback} [auth] - An authentication provider to use 
+ * instead of the configured `auth` provider, such as one forwarding the credentials of a server's caller. This header
+ * is never sent to the HTTP endpoint.
  */
 
 /**
@@ -81,6 +218,20 @@ class FetchEngine extends BaseEngine {
             trailingSlash: false,
             omitResource: false
         };
+
+        /**
+         * The tokens last returned by "token" authentication providers, keyed by provider.
+         * @type {WeakMap.<*, String>}
+         * @private
+         */
+        this._tokens = new WeakMap();
+
+        /**
+         * The cache store of GET responses, or `null` when caching is disabled.
+         * @type {FetchEngine.CacheStore}
+         * @private
+         */
+        this._cache = null;
     }
 
     /**
@@ -92,12 +243,26 @@ class FetchEngine extends BaseEngine {
         let defaults = {
             root: null,
             path: null,
-            trailingSlash: false
+            trailingSlash: false,
+            timeout: 0,
+            query: 'bracket'
         };
         let modelDefaults = {
             header: false,
             pathProperty: 'resource'
         };
+        let cacheDefaults = {
+            enabled: false,
+            size: 100,
+            store: null
+        };
+        let retryDefaults = {
+            attempts: 0,
+            delay: 250,
+            maxDelay: 10000,
+            methods: ['GET', 'PUT', 'DELETE', 'OPTIONS'],
+            statuses: [408, 429, 502, 503, 504]
+        };
         if (IS_BROWSER === false || (typeof process !== 'undefined' && typeof process.env === 'object')) {
             if (typeof process.env.STASHKU_FETCH_ROOT === 'string') {
                 defaults.root = process.env.STASHKU_FETCH_ROOT;
@@ -117,14 +282,54 @@ class FetchEngine extends BaseEngine {
             if (typeof process.env.STASHKU_FETCH_MODEL_PATH_PROPERTY === 'string') {
                 modelDefaults.pathProperty = process.env.STASHKU_FETCH_MODEL_PATH_PROPERTY;
             }
+            if (typeof process.env.STASHKU_FETCH_QUERY === 'string') {
+                defaults.query = process.env.STASHKU_FETCH_QUERY;
+            }
+            let timeout = parseInt(process.env.STASHKU_FETCH_TIMEOUT);
+            if (isNaN(timeout) === false) {
+                defaults.timeout = timeout;
+            }
+            let attempts = parseInt(process.env.STASHKU_FETCH_RETRY_ATTEMPTS);
+            if (isNaN(attempts) === false) {
+                retryDefaults.attempts = attempts;
+            }
+            let delay = parseInt(process.env.STASHKU_FETCH_RETRY_DELAY);
+            if (isNaN(delay) === false) {
+                retryDefaults.delay = delay;
+            }
+            let maxDelay = parseInt(process.env.STASHKU_FETCH_RETRY_MAX_DELAY);
+            if (isNaN(maxDelay) === false) {
+                retryDefaults.maxDelay = maxDelay;
+            }
+            if (typeof process.env.STASHKU_FETCH_CACHE === 'string') {
+                cacheDefaults.enabled = !!process.env.STASHKU_FETCH_CACHE.match(/^[tTyY1]/);
+            }
+            let cacheSize = parseInt(process.env.STASHKU_FETCH_CACHE_SIZE);
+            if (isNaN(cacheSize) === false) {
+                cacheDefaults.size = cacheSize;
+            }
         }
         defaults = Object.assign(defaults, config);
         defaults.model = Object.assign({}, modelDefaults, defaults.model);
+        defaults.retry = Object.assign({}, retryDefaults, defaults.retry);
+        if (typeof defaults.cache === 'boolean') {
+            defaults.cache = { enabled: defaults.cache };
+        } else if (defaults.cache && typeof defaults.cache.enabled === 'undefined') {
+            defaults.cache = Object.assign({ enabled: true }, defaults.cache);
+        }
+        defaults.cache = Object.assign({}, cacheDefaults, defaults.cache);
         //validate config
         if (this.config?.model?.pathProperty && ['resource', 'name', 'slug', 'plural.name', 'plural.slug'].indexOf(this.config.model.pathProperty) < 0) {
             throw new Error(`Invalid "model.pathProperty" configuration value "${this.config?.model?.pathProperty}". The value must be "resource", "name", "slug", "plural.name", or "plural.slug".`);
         }
+        if (QUERY_ENCODINGS.indexOf(defaults.query) < 0) {
+            throw new Error(`Invalid "query" configuration value "${defaults.query}". The value must be one of: "${QUERY_ENCODINGS.join('", "')}".`);
+        }
+        if (defaults.auth && typeof defaults.auth !== 'function' && AUTH_TYPES.indexOf(defaults.auth.type) < 0) {
+            throw new Error(`Invalid "auth.type" configuration value "${defaults.auth.type}". The value must be one of: "${AUTH_TYPES.join('", "')}".`);
+        }
         this.config = defaults;
+        this._cache = (defaults.cache.enabled ? (defaults.cache.store || new FetchCache(defaults.cache.size)) : null);
     }
 
     /**
@@ -188,13 +393,30 @@ class FetchEngine extends BaseEngine {
 
     /**
      * Makes a fetch call to a remote endpoint and returns the response.
+     * 
+     * Each attempt is aborted if it does not complete within the configured `timeout`. Failed attempts of retryable
+     * methods are retried (as configured) after an exponential backoff with jitter, or after the wait requested by
+     * a `Retry-After` response header. An `AbortSignal` given in the settings cancels the request and any pending
+     * retries.
+     * 
+     * The request is authenticated by the request's `auth` header provider, or the configured `auth` provider. If
+     * the endpoint responds with a 401 status and the provider is a `"token"` provider, a new token is requested
+     * and the request is sent once more.
+     * 
+     * When caching is enabled, GET requests for a cached URI are sent with `If-None-Match` and `If-Modified-Since`
+     * headers, and a 304 response is served from the cache. Successful requests using any other method (except
+     * OPTIONS) invalidate the cached responses of the resource.
+     * @throws 504 `RESTError` when the final attempt timed out.
+     * @throws 500 `RESTError` when the request was aborted or could not be made.
      * @param {String} resourcePath - The resource (path) to fetch.
      * @param {*} data - The data to be sent.
      * @param {RequestInit} settings - The `fetch` settings to apply.
+     * @param {DeleteRequest | GetRequest | PatchRequest | PostRequest | PutRequest | OptionsRequest} [request] - The
+     * StashKu request being sent.
      * @returns {Promise.<globalThis.Response>}
      * @private
      */
-    async _fetch(resourcePath, data, settings) {
+    async _fetch(resourcePath, data, settings, request) {
         await lazyLoadGlobalFetch();
         settings = Object.assign({
             method: 'GET',
@@ -219,27 +441,280 @@ class FetchEngine extends BaseEngine {
                 settings.body = JSON.stringify(data);
             }
         }
-        let result = null;
-        try {
-            result = await GlobalFetch(targetURI, settings);
-            //check for standard response errors, and throw.
-            if (!result.ok) {
-                let payload = await result.json();
-                if (payload && typeof payload.code === 'number') {
-                    let resError = new RESTError(payload.code, payload.message || `Failed to fetch URI "${targetURI}": ${result.status} ${result.statusText}`);
-                    resError.data = payload.data;
-                    throw resError;
+        let signal = settings.signal;
+        let timeout = this.config.timeout;
+        let retry = this.config.retry;
+        let retries = (retry && retry.attempts > 0 && retry.methods.indexOf(settings.method) >= 0 ? retry.attempts : 0);
+        let provider = request?.metadata?.headers?.get('auth') || this.config.auth;
+        let reauthenticate = !!provider && (typeof provider === 'function' || provider.type === FetchEngine.AUTH.TOKEN);
+        if (provider) {
+            settings.headers = new GlobalFetchHeaders(settings.headers);
+            await this._authenticate(settings.headers, provider, request, false);
+        }
+        let cached = null;
+        if (this._cache && settings.method === 'GET') {
+            cached = await this._cache.get(targetURI);
+            if (cached) {
+                settings.headers = new GlobalFetchHeaders(settings.headers);
+                if (cached.etag) {
+                    settings.headers.set('If-None-Match', cached.etag);
+                }
+                if (cached.lastModified) {
+                    settings.headers.set('If-Modified-Since', cached.lastModified);
                 }
-                throw new RESTError(result.status, `Failed to fetch URI "${targetURI}": ${result.status} ${result.statusText}`);
             }
-        } catch (err) {
-            if (err instanceof RESTError) {
-                throw err;
+        }
+        for (let attempt = 0; ;) {
+            let controller = null;
+            let timer = null;
+            let timedOut = false;
+            let onAbort = null;
+            if (timeout > 0 || signal) {
+                controller = new AbortController(); // eslint-disable-line no-undef
+                settings.signal = controller.signal;
+                if (signal) {
+                    onAbort = () => controller.abort();
+                    if (signal.aborted) {
+                        controller.abort();
+                    } else {
+                        signal.addEventListener('abort', onAbort, { once: true });
+                    }
+                }
+                if (timeout > 0) {
+                    timer = setTimeout(() => {
+                        timedOut = true;
+                        controller.abort();
+                    }, timeout);
+                }
+            }
+            let result = null;
+            let served = false;
+            let failure = null;
+            let retryAfter = null;
+            try {
+                result = await GlobalFetch(targetURI, settings);
+                //check for standard response errors, and throw.
+                if (result.status === 304 && cached) {
+                    result = new GlobalFetchResponse(cached.body, {
+                        status: 200,
+                        statusText: 'OK',
+                        headers: { 'Content-Type': 'application/json' }
+                    });
+                    served = true;
+                } else if (result.status === 401 && reauthenticate) {
+                    failure = new RESTError(401, `Failed to fetch URI "${targetURI}": ${result.status} ${result.statusText}`);
+                } else if (!result.ok) {
+                    if (attempt < retries && retry.statuses.indexOf(result.status) >= 0) {
+                        failure = new RESTError(result.status, `Failed to fetch URI "${targetURI}": ${result.status} ${result.statusText}`);
+                        retryAfter = parseRetryAfter(result.headers?.get('Retry-After'));
+                    } else {
+                        let payload = null;
+                        try {
+                            payload = await result.json();
+                        } catch (parseErr) {
+                            //not a JSON error body (such as an HTML error page), so it is not retried.
+                            throw new RESTError(result.status, `Failed to fetch URI "${targetURI}": ${result.status} ${result.statusText}`, parseErr);
+                        }
+                        if (payload && typeof payload.code === 'number') {
+                            let resError = new RESTError(payload.code, payload.message || `Failed to fetch URI "${targetURI}": ${result.status} ${result.statusText}`);
+                            resError.data = payload.data;
+                            throw resError;
+                        }
+                        throw new RESTError(result.status, `Failed to fetch URI "${targetURI}": ${result.status} ${result.statusText}`);
+                    }
+                }
+            } catch (err) {
+                if (err instanceof RESTError) {
+                    throw err;
+                } else if (signal && signal.aborted) {
+                    throw new RESTError(500, `The fetch request for URI "${targetURI}" was aborted.`, err);
+                } else if (timedOut) {
+                    failure = new RESTError(504, `The fetch request for URI "${targetURI}" timed out after ${timeout}ms.`, err);
+                } else {
+                    failure = new RESTError(500, `Failed run fetch for URI "${targetURI}": ${err.message}`, err);
+                }
+            } finally {
+                clearTimeout(timer);
+                if (onAbort) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            }
+            if (!failure) {
+                if (this._cache && !served) {
+                    await this._cacheUpdate(targetURI, settings.method, result);
+                }
+                return result;
+            } else if (failure.code === 401 && reauthenticate) {
+                //authenticate with a new token and try once more.
+                reauthenticate = false;
+                await this._authenticate(settings.headers, provider, request, true);
+                continue;
+            } else if (attempt >= retries) {
+                throw failure;
+            }
+            attempt++;
+            //wait before retrying
+            let backoff = Math.min(retry.delay * Math.pow(2, attempt - 1), retry.maxDelay);
+            backoff = backoff / 2 + Math.random() * backoff / 2;
+            if (retryAfter !== null) {
+                backoff = Math.min(retryAfter, retry.maxDelay);
+            }
+            if (this.log) {
+                this.log.debug(`Retrying fetch request for URI "${targetURI}" in ${Math.round(backoff)}ms (attempt ${attempt} of ${retries}): ${failure.message}`);
+            }
+            try {
+                await wait(backoff, signal);
+            } catch (err) {
+                throw new RESTError(500, `The fetch request for URI "${targetURI}" was aborted.`, err);
+            }
+        }
+    }
+
+    /**
+     * Updates the response cache after a successful fetch request. GET responses carrying an `ETag` or 
+     * `Last-Modified` header are cached under the request URI. Requests using any other method (except OPTIONS)
+     * remove all cached responses of the same resource URI.
+     * @param {String} targetURI - The URI of the fetch request.
+     * @param {String} method - The HTTP method of the fetch request.
+     * @param {globalThis.Response} result - The fetch response.
+     * @private
+     */
+    async _cacheUpdate(targetURI, method, result) {
+        if (method === 'GET') {
+            let etag = result.headers?.get('ETag') ?? null;
+            let lastModified = result.headers?.get('Last-Modified') ?? null;
+            if (etag || lastModified) {
+                await this._cache.set(targetURI, { etag, lastModified, body: await result.clone().text() });
             } else {
-                throw new RESTError(500, `Failed run fetch for URI "${targetURI}": ${err.message}`, err);
+                await this._cache.delete(targetURI);
+            }
+        } else if (method !== 'OPTIONS') {
+            for (let key of await this._cache.keys()) {
+                if (key === targetURI || key.startsWith(targetURI + '?')) {
+                    await this._cache.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Sets the authentication headers of a fetch request from an authentication provider. Tokens returned by a
+     * `"token"` provider are reused until a refresh is requested.
+     * @throws 500 `RESTError` if the provider type is not supported.
+     * @throws 401 `RESTError` if a `"token"` provider callback fails to return a token.
+     * @param {Headers} headers - The fetch request headers to set.
+     * @param {FetchEngine.AuthProvider|FetchEngine.AuthTokenCallback} provider - The authentication provider.
+     * @param {DeleteRequest | GetRequest | PatchRequest | PostRequest | PutRequest | OptionsRequest} request - The
+     * StashKu request being sent, if any.
+     * @param {Boolean} refresh - Whether a new token should be requested from a `"token"` provider.
+     * @private
+     */
+    async _authenticate(headers, provider, request, refresh) {
+        let callback = (typeof provider === 'function' ? provider : provider.callback);
+        let type = (typeof provider === 'function' ? FetchEngine.AUTH.TOKEN : provider.type);
+        switch (type) {
+            case FetchEngine.AUTH.BEARER:
+                headers.set('Authorization', `Bearer ${provider.token}`);
+                break;
+            case FetchEngine.AUTH.BASIC:
+                headers.set('Authorization', `Basic ${base64(`${provider.username ?? ''}:${provider.password ?? ''}`)}`);
+                break;
+            case FetchEngine.AUTH.API_KEY:
+                headers.set(provider.header || 'X-API-Key', provider.key);
+                break;
+            case FetchEngine.AUTH.TOKEN: {
+                let token = (refresh ? null : this._tokens.get(provider));
+                if (!token) {
+                    try {
+                        token = await callback(request ?? null, refresh);
+                    } catch (err) {
+                        throw new RESTError(401, `Failed to authenticate the fetch request: ${err.message}`, err);
+                    }
+                    if (!token || typeof token !== 'string') {
+                        throw new RESTError(401, 'Failed to authenticate the fetch request: the "token" provider did not return a token.');
+                    }
+                    this._tokens.set(provider, token);
+                }
+                headers.set('Authorization', `Bearer ${token}`);
+                break;
+            }
+            default:
+                throw new RESTError(500, `Invalid authentication provider type "${type}".`);
+        }
+    }
+
+    /**
+     * Creates the payload sent to the HTTP endpoint from a request. Request headers that should not be sent, such
+     * as the `signal`, `auth`, and (unless configured) `model` headers, are removed.
+     * @param {DeleteRequest | GetRequest | PatchRequest | PostRequest | PutRequest | OptionsRequest} request - The 
+     * StashKu request to create the payload from.
+     * @returns {*}
+     * @private
+     */
+    _payload(request) {
+        let payload = request.toJSON();
+        if (payload.headers) {
+            delete payload.headers.signal;
+            delete payload.headers.auth;
+            if (!this.config?.model?.header) {
+                delete payload.headers.model;
             }
+            if (Object.keys(payload.headers).length === 0) {
+                delete payload.headers;
+            }
+        }
+        return payload;
+    }
+
+    /**
+     * Encodes the payload of a GET request into the query parameters object sent to the HTTP endpoint, using the
+     * configured `query` encoding:
+     * - `"bracket"`: The payload is sent as-is, with nested objects expanded into bracketed parameters.
+     * - `"filter"`: As with `"bracket"`, but the `where` and `having` filters are sent as filter strings.
+     * - `"base64"`: The whole payload is sent as base64url-encoded JSON in a single `q` parameter.
+     * @param {GetRequest} request - The GET request.
+     * @param {*} payload - The payload created from the request.
+     * @returns {*}
+     * @private
+     */
+    _query(request, payload) {
+        let meta = request.metadata;
+        switch (this.config.query) {
+            case FetchEngine.QUERY.FILTER:
+                if (payload.where) {
+                    payload.where = meta.where.toString();
+                }
+                if (payload.having) {
+                    payload.having = meta.having.toString();
+                }
+                return payload;
+            case FetchEngine.QUERY.BASE64:
+                if (payload.where) {
+                    payload.where = meta.where.toJSON();
+                }
+                if (payload.having) {
+                    payload.having = meta.having.toJSON();
+                }
+                return { q: base64(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') };
+        }
+        return payload;
+    }
+
+    /**
+     * Returns the `fetch` settings specific to a request, including the request method and the `signal` header (if
+     * present).
+     * @param {DeleteRequest | GetRequest | PatchRequest | PostRequest | PutRequest | OptionsRequest} request - The 
+     * StashKu request.
+     * @returns {RequestInit}
+     * @private
+     */
+    _settings(request) {
+        let settings = { method: request.method };
+        let signal = request.metadata.headers?.get('signal');
+        if (signal) {
+            settings.signal = signal;
         }
-        return result;
+        return settings;
     }
 
     /**
@@ -287,24 +762,20 @@ class FetchEngine extends BaseEngine {
         //validate
         await super.get(request);
         //make the request, wrap errors in RESTError
-        let payload = request.toJSON();
+        let payload = this._payload(request);
         let resourcePath = this._getResourcePath(request);
-        if (!this.config?.model?.header && payload.headers) {
-            delete payload.headers.model;
-            if (Object.keys(payload.headers).length === 0) {
-                delete payload.headers;
-            }
-        }
         if (this.config.omitResource) {
             delete payload.from;
         }
-        let res = await this._fetch(resourcePath, payload);
+        let res = await this._fetch(resourcePath, this._query(request, payload), this._settings(request), request);
         if (res.ok === false) {
             throw new RESTError(res.status, `Error from fetched resource ("${this._uri(resourcePath)}") in "${request.method}" request: ${res.statusText}`);
         }
         try {
             let payload = await res.json();
-            return new Response(payload.data, payload.total, payload.affected, payload.returned, res.status);
+            let response = new Response(payload.data, payload.total, payload.affected, payload.returned, res.status);
+            response.cursor = payload.cursor ?? null;
+            return response;
         } catch (err) {
             throw new RESTError(500, `Error attempting to parse fetch response as JSON resource ("${this._uri(resourcePath)}") in "${request.method}" request: ${err.message}`, err);
         }
@@ -320,19 +791,13 @@ class FetchEngine extends BaseEngine {
         await super.post(request);
         //process
         if (request.metadata.objects && request.metadata.objects.length) {
-            let payload = request.toJSON();
+            let payload = this._payload(request);
             let resourcePath = this._getResourcePath(request);
-            if (!this.config?.model?.header && payload.headers) {
-                delete payload.headers.model;
-                if (Object.keys(payload.headers).length === 0) {
-                    delete payload.headers;
-                }
-            }
             if (this.config.omitResource) {
                 delete payload.to;
             }
             //make the request, wrap errors in RESTError
-            let res = await this._fetch(resourcePath, payload, { method: request.method });
+            let res = await this._fetch(resourcePath, payload, this._settings(request), request);
             if (res.ok === false) {
                 throw new RESTError(res.status, `Error from fetched resource ("${this._uri(resourcePath)}") in "${request.method}" request: ${res.statusText}`);
             }
@@ -358,19 +823,13 @@ class FetchEngine extends BaseEngine {
         await super.put(request);
         //process
         if (request.metadata.objects && request.metadata.objects.length) {
-            let payload = request.toJSON();
+            let payload = this._payload(request);
             let resourcePath = this._getResourcePath(request);
-            if (!this.config?.model?.header && payload.headers) {
-                delete payload.headers.model;
-                if (Object.keys(payload.headers).length === 0) {
-                    delete payload.headers;
-                }
-            }
             if (this.config.omitResource) {
                 delete payload.to;
             }
             //make the request, wrap errors in RESTError
-            let res = await this._fetch(resourcePath, payload, { method: request.method });
+            let res = await this._fetch(resourcePath, payload, this._settings(request), request);
             if (res.ok === false) {
                 throw new RESTError(res.status, `Error from fetched resource ("${this._uri(resourcePath)}") in "${request.method}" request: ${res.statusText}`);
             }
@@ -394,19 +853,13 @@ class FetchEngine extends BaseEngine {
         await super.patch(request);
         //process
         if (request.metadata.template) {
-            let payload = request.toJSON();
+            let payload = this._payload(request);
             let resourcePath = this._getResourcePath(request);
-            if (!this.config?.model?.header && payload.headers) {
-                delete payload.headers.model;
-                if (Object.keys(payload.headers).length === 0) {
-                    delete payload.headers;
-                }
-            }
             if (this.config.omitResource) {
                 delete payload.to;
             }
             //make the request, wrap errors in RESTError
-            let res = await this._fetch(resourcePath, payload, { method: request.method });
+            let res = await this._fetch(resourcePath, payload, this._settings(request), request);
             if (res.ok === false) {
                 throw new RESTError(res.status, `Error from fetched resource on path ("${this._uri(resourcePath)}") in "${request.method}" request: ${res.statusText}`);
             }
@@ -430,19 +883,13 @@ class FetchEngine extends BaseEngine {
         await super.delete(request);
         //process
         if (request.metadata.all || (request.metadata.where && Filter.isEmpty(request.metadata.where) === false)) {
-            let payload = request.toJSON();
+            let payload = this._payload(request);
             let resourcePath = this._getResourcePath(request);
-            if (!this.config?.model?.header && payload.headers) {
-                delete payload.headers.model;
-                if (Object.keys(payload.headers).length === 0) {
-                    delete payload.headers;
-                }
-            }
             if (this.config.omitResource) {
                 delete payload.from;
             }
             //make the request, wrap errors in RESTError
-            let res = await this._fetch(resourcePath, payload, { method: request.method });
+            let res = await this._fetch(resourcePath, payload, this._settings(request), request);
             if (res.ok === false) {
                 throw new RESTError(res.status, `Error from fetched resource ("${this._uri(resourcePath)}") in "${request.method}" request: ${res.statusText}`);
             }
@@ -466,16 +913,10 @@ class FetchEngine extends BaseEngine {
         //validate
         await super.options(request);
         //process
-        let payload = request.toJSON();
+        let payload = this._payload(request);
         let resourcePath = this._getResourcePath(request);
-        if (!this.config?.model?.header && payload.headers) {
-            delete payload.headers.model;
-            if (Object.keys(payload.headers).length === 0) {
-                delete payload.headers;
-            }
-        }
         //make the request, wrap errors in RESTError
-        let res = await this._fetch(resourcePath, payload, { method: request.method });
+        let res = await this._fetch(resourcePath, payload, this._settings(request), request);
         if (res.ok === false) {
             throw new RESTError(res.status, `Error from fetched resource ("${this._uri(resourcePath)}") in "${request.method}" request: ${res.statusText}`);
         }
@@ -489,4 +930,35 @@ class FetchEngine extends BaseEngine {
 
 }
 
+/**
+ * @readonly
+ */
+FetchEngine.QUERY = {
+    BRACKET: 'bracket',
+    FILTER: 'filter',
+    BASE64: 'base64'
+};
+
+/**
+ * @readonly
+ */
+FetchEngine.AUTH = {
+    BEARER: 'bearer',
+    BASIC: 'basic',
+    API_KEY: 'apiKey',
+    TOKEN: 'token'
+};
+
+/**
+ * Array of supported authentication provider types.
+ * @type {Array.<String>}
+ */
+const AUTH_TYPES = Object.keys(FetchEngine.AUTH).map(k => FetchEngine.AUTH[k]);
+
+/**
+ * Array of supported query parameter encodings.
+ * @type {Array.<String>}
+ */
+const QUERY_ENCODINGS = Object.keys(FetchEngine.QUERY).map(k => FetchEngine.QUERY[k]);
+
 export default FetchEngine;
\ No newline at end of file
@@ -11,7 +11,10 @@ import Logger from '../logger.js';
 import Response from '../response.js';
 import fs from 'fs/promises';
 import FetchEngine from './fetch-engine.js';
+import FetchCache from './fetch-cache.js';
+import HttpRequestLoader from '../node/http-request-loader.js';
 import fetchMock from 'jest-fetch-mock';
+import jest from 'jest-mock';
 
 class ContactPersonModel {
     static get FirstName() { return 'first'; }
@@ -134,6 +137,34 @@ describe('#configure', () => {
         expect(e.config.model.pathProperty).toBe('slug');
         delete process.env.STASHKU_FETCH_MODEL_PATH_PROPERTY;
     });
+    it('sets default timeout and retry properties with retries disabled.', () => {
+        let e = new FetchEngine();
+        e.configure();
+        expect(e.config.timeout).toBe(0);
+        expect(e.config.retry).toEqual({
+            attempts: 0,
+            delay: 250,
+            maxDelay: 10000,
+            methods: ['GET', 'PUT', 'DELETE', 'OPTIONS'],
+            statuses: [408, 429, 502, 503, 504]
+        });
+    });
+    it('sets the timeout and retry properties from the environmental variables.', () => {
+        let e = new FetchEngine();
+        process.env.STASHKU_FETCH_TIMEOUT = '5000';
+        process.env.STASHKU_FETCH_RETRY_ATTEMPTS = '3';
+        process.env.STASHKU_FETCH_RETRY_DELAY = '100';
+        process.env.STASHKU_FETCH_RETRY_MAX_DELAY = '2000';
+        e.configure({ retry: { delay: 50 } });
+        expect(e.config.timeout).toBe(5000);
+        expect(e.config.retry.attempts).toBe(3);
+        expect(e.config.retry.delay).toBe(50);
+        expect(e.config.retry.maxDelay).toBe(2000);
+        delete process.env.STASHKU_FETCH_TIMEOUT;
+        delete process.env.STASHKU_FETCH_RETRY_ATTEMPTS;
+        delete process.env.STASHKU_FETCH_RETRY_DELAY;
+        delete process.env.STASHKU_FETCH_RETRY_MAX_DELAY;
+    });
 });
 
 describe('#_uri', () => {
@@ -290,6 +321,191 @@ describe('#_fetch', () => {
     });
 });
 
+describe('#_fetch (timeouts & retries)', () => {
+    beforeEach(() => {
+        fetchMock.resetMocks();
+    });
+    it('retries idempotent requests on retryable response statuses.', async () => {
+        fetchMock.mockResponses(
+            ['', { status: 503 }],
+            ['', { status: 502 }],
+            [JSON.stringify({ data: 1 }), { status: 200 }]
+        );
+        let e = new FetchEngine();
+        e.configure({ retry: { attempts: 2, delay: 1 } });
+        let res = await e._fetch('', null, { method: 'PUT' });
+        expect(await res.json()).toEqual({ data: 1 });
+        expect(fetchMock.mock.calls.length).toBe(3);
+    });
+    it('throws the last failure when out of retries.', async () => {
+        fetchMock.mockResponse(JSON.stringify({ code: 503, message: 'down' }), { status: 503 });
+        let e = new FetchEngine();
+        e.configure({ retry: { attempts: 1, delay: 1 } });
+        await expect(e._fetch('', null, null)).rejects.toThrow('down');
+        expect(fetchMock.mock.calls.length).toBe(2);
+    });
+    it('does not retry non-idempotent methods or non-retryable statuses.', async () => {
+        fetchMock.mockResponse('{}', { status: 503 });
+        let e = new FetchEngine();
+        e.configure({ retry: { attempts: 2, delay: 1 } });
+        await expect(e._fetch('', null, { method: 'POST' })).rejects.toThrow(RESTError);
+        expect(fetchMock.mock.calls.length).toBe(1);
+        fetchMock.resetMocks();
+        fetchMock.mockResponse('{}', { status: 400 });
+        await expect(e._fetch('', null, null)).rejects.toThrow(RESTError);
+        expect(fetchMock.mock.calls.length).toBe(1);
+    });
+    it('does not retry non-retryable statuses with a non-JSON body.', async () => {
+        fetchMock.mockResponse('<html><body>Not Found</body></html>', { status: 404 });
+        let e = new FetchEngine();
+        e.configure({ retry: { attempts: 3, delay: 1 } });
+        await expect(e._fetch('', null, null)).rejects.toMatchObject({ code: 404 });
+        expect(fetchMock.mock.calls.length).toBe(1);
+    });
+    it('retries network errors.', async () => {
+        fetchMock.mockRejectOnce(new Error('connection reset'));
+        fetchMock.mockResponseOnce(JSON.stringify({ data: 1 }));
+        let e = new FetchEngine();
+        e.configure({ retry: { attempts: 1, delay: 1 } });
+        let res = await e._fetch('', null, null);
+        expect(await res.json()).toEqual({ data: 1 });
+    });
+    it('honors the Retry-After response header.', async () => {
+        fetchMock.mockResponses(
+            ['', { status: 429, headers: { 'Retry-After': '0.05' } }],
+            [JSON.stringify({ data: 1 }), { status: 200 }]
+        );
+        let e = new FetchEngine();
+        e.configure({ retry: { attempts: 1, delay: 5000 } });
+        let start = Date.now();
+        await e._fetch('', null, null);
+        let elapsed = Date.now() - start;
+        expect(elapsed).toBeGreaterThanOrEqual(40);
+        expect(elapsed).toBeLessThan(1000);
+    });
+    it('throws a 504 error when an attempt times out.', async () => {
+        fetchMock.mockResponse(() => new Promise(resolve => setTimeout(() => resolve('{}'), 100)));
+        let e = new FetchEngine();
+        e.configure({ timeout: 10 });
+        expect.assertions(2);
+        try {
+            await e._fetch('', null, null);
+        } catch (err) {
+            expect(err.code).toBe(504);
+            expect(err.message).toMatch(/timed out/);
+        }
+    });
+    it('cancels the request and pending retries when the signal is aborted.', async () => {
+        fetchMock.mockResponse('{}', { status: 503 });
+        let e = new FetchEngine();
+        e.configure({ retry: { attempts: 5, delay: 5000 } });
+        let controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        let start = Date.now();
+        await expect(e._fetch('', null, { signal: controller.signal })).rejects.toThrow(/aborted/);
+        expect(Date.now() - start).toBeLessThan(1000);
+        expect(fetchMock.mock.calls.length).toBe(1);
+    });
+    it('throws when the request "signal" header is already aborted.', async () => {
+        fetchMock.mockResponseOnce(JSON.stringify({ data: [] }));
+        let e = new FetchEngine();
+        e.configure();
+        let controller = new AbortController();
+        controller.abort();
+        await expect(e.get(new GetRequest().from('themes').headers({ signal: controller.signal }))).rejects.toThrow(/aborted/);
+    });
+    it('passes the request "signal" header to fetch without sending it.', async () => {
+        fetchMock.mockResponseOnce(JSON.stringify({ data: [] }));
+        let e = new FetchEngine();
+        e.configure();
+        let controller = new AbortController();
+        await e.get(new GetRequest().from('themes').headers({ signal: controller.signal }));
+        expect(fetchMock.mock.calls[0][0]).toEqual('/themes?from=themes');
+        expect(fetchMock.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+    });
+});
+
+describe('#_fetch (authentication)', () => {
+    beforeEach(() => {
+        fetchMock.resetMocks();
+    });
+    it('throws when the configured auth provider type is invalid.', () => {
+        let e = new FetchEngine();
+        expect(() => e.configure({ auth: { type: 'magic' } })).toThrow(/auth\.type/);
+    });
+    it('sends a static bearer token.', async () => {
+        let e = new FetchEngine();
+        e.configure({ auth: { type: 'bearer', token: 'abc' } });
+        await e._fetch('', null, null);
+        expect(fetchMock.mock.calls[0][1].headers.get('authorization')).toBe('Bearer abc');
+        expect(fetchMock.mock.calls[0][1].headers.get('accept')).toBe('application/json');
+    });
+    it('sends basic credentials.', async () => {
+        let e = new FetchEngine();
+        e.configure({ auth: { type: 'basic', username: 'bob', password: 'secret' } });
+        await e._fetch('', null, null);
+        expect(fetchMock.mock.calls[0][1].headers.get('authorization')).toBe('Basic ' + Buffer.from('bob:secret').toString('base64'));
+    });
+    it('sends an API key header.', async () => {
+        let e = new FetchEngine();
+        e.configure({ auth: { type: 'apiKey', key: 'k1' }, fetch: { headers: { 'X-Custom': 'yes' } } });
+        await e._fetch('', null, null);
+        expect(fetchMock.mock.calls[0][1].headers.get('x-api-key')).toBe('k1');
+        expect(fetchMock.mock.calls[0][1].headers.get('x-custom')).toBe('yes');
+        fetchMock.resetMocks();
+        e.configure({ auth: { type: 'apiKey', header: 'Api-Token', key: 'k2' } });
+        await e._fetch('', null, null);
+        expect(fetchMock.mock.calls[0][1].headers.get('api-token')).toBe('k2');
+    });
+    it('reuses tokens from a callback provider and refreshes them once on a 401.', async () => {
+        let calls = [];
+        let e = new FetchEngine();
+        e.configure({
+            auth: async (request, refresh) => {
+                calls.push(refresh);
+                return `token${calls.length}`;
+            }
+        });
+        await e._fetch('', null, null);
+        await e._fetch('', null, null);
+        expect(calls).toEqual([false]);
+        expect(fetchMock.mock.calls[1][1].headers.get('authorization')).toBe('Bearer token1');
+        fetchMock.mockResponses(['{}', { status: 401 }], [JSON.stringify({ data: 1 }), { status: 200 }]);
+        let res = await e._fetch('', null, null);
+        expect(await res.json()).toEqual({ data: 1 });
+        expect(calls).toEqual([false, true]);
+        expect(fetchMock.mock.calls[3][1].headers.get('authorization')).toBe('Bearer token2');
+    });
+    it('throws a 401 error when the refreshed token is also rejected.', async () => {
+        fetchMock.mockResponse(JSON.stringify({ code: 401, message: 'nope' }), { status: 401 });
+        let e = new FetchEngine();
+        e.configure({ auth: { type: 'token', callback: () => 'abc' } });
+        await expect(e._fetch('', null, null)).rejects.toThrow('nope');
+        expect(fetchMock.mock.calls.length).toBe(2);
+    });
+    it('throws a 401 error when the callback fails.', async () => {
+        let e = new FetchEngine();
+        e.configure({ auth: () => { throw new Error('expired'); } });
+        expect.assertions(2);
+        try {
+            await e._fetch('', null, null);
+        } catch (err) {
+            expect(err.code).toBe(401);
+            expect(fetchMock.mock.calls.length).toBe(0);
+        }
+    });
+    it('uses the request "auth" header provider without sending it.', async () => {
+        fetchMock.mockResponseOnce(JSON.stringify({ data: [] }));
+        let e = new FetchEngine();
+        e.configure({ auth: { type: 'bearer', token: 'engine' } });
+        let callback = jest.fn(async (request) => request.metadata.headers.get('user'));
+        await e.get(new GetRequest().from('themes').headers({ auth: callback, user: 'caller' }));
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(fetchMock.mock.calls[0][0]).toEqual('/themes?from=themes&headers[user]=caller'.replace(/\[/g, '%5B').replace(/\]/g, '%5D'));
+        expect(fetchMock.mock.calls[0][1].headers.get('authorization')).toBe('Bearer caller');
+    });
+});
+
 describe('#_getResourcePath', () => {
     let testHeader = {
         resource: 'resource-abc',
@@ -370,6 +586,198 @@ describe('#get', () => {
     });
 });
 
+describe('#get (aggregates)', () => {
+    beforeEach(() => {
+        fetchMock.resetMocks();
+    });
+    it('forwards grouping, aggregates, and having conditions in the query string.', async () => {
+        fetchMock.mockResponseOnce(JSON.stringify({ data: [{ Category: 'A', sum_Price: 3 }], total: 1, affected: 0, returned: 1 }));
+        let e = new FetchEngine();
+        e.configure();
+        let req = new GetRequest()
+            .from('products')
+            .groupBy('Category')
+            .sum('Price')
+            .having(f => f.and('sum_Price', Filter.OP.GREATERTHAN, 2));
+        let res = await e.get(req);
+        expect(res.data).toEqual([{ Category: 'A', sum_Price: 3 }]);
+        let params = new URL(fetchMock.mock.calls[0][0], 'http://localhost').searchParams;
+        expect(params.get('groupBy[0]')).toBe('Category');
+        expect(params.get('aggregates[0][fn]')).toBe('sum');
+        expect(params.get('aggregates[0][property]')).toBe('Price');
+        expect(params.get('aggregates[0][as]')).toBe('sum_Price');
+        expect(JSON.parse(params.get('having'))).toEqual(req.metadata.having.toJSON());
+    });
+});
+
+describe('#get (cursors)', () => {
+    beforeEach(() => {
+        fetchMock.resetMocks();
+    });
+    it('forwards the cursor in the query string and returns the response cursor.', async () => {
+        fetchMock.mockResponseOnce(JSON.stringify({ data: [{ ID: 3 }], total: 5, affected: 0, returned: 1, cursor: 'next' }));
+        let e = new FetchEngine();
+        e.configure();
+        let res = await e.get(new GetRequest().from('themes').sort('ID').take(1).after('abc'));
+        expect(res.cursor).toBe('next');
+        let params = new URL(fetchMock.mock.calls[0][0], 'http://localhost').searchParams;
+        expect(params.get('after')).toBe('abc');
+        fetchMock.mockResponseOnce(JSON.stringify({ data: [], total: 0, affected: 0, returned: 0 }));
+        res = await e.get(new GetRequest().from('themes').sort('ID').before('abc'));
+        expect(res.cursor).toBeNull();
+        params = new URL(fetchMock.mock.calls[1][0], 'http://localhost').searchParams;
+        expect(params.get('before')).toBe('abc');
+    });
+});
+
+describe('#get (query encoding)', () => {
+    const request = () => new GetRequest()
+        .from('themes')
+        .properties('Name', 'Category')
+        .where(f => f.and('Name', f.OP.STARTSWITH, 'say "hi"').or(Filter.and('ID', f.OP.IN, [1, 2, 3]).and('Hex', f.OP.ISNOTNULL)))
+        .groupBy('Category')
+        .aggregate('count', 'ID')
+        .having(f => f.and('count_ID', f.OP.GREATERTHAN, 2))
+        .sort(Sort.desc('Name'))
+        .take(5);
+    const load = (uri) => HttpRequestLoader({ method: 'GET', url: uri, httpVersion: '1.1' });
+    beforeEach(() => {
+        fetchMock.resetMocks();
+        fetchMock.mockResponse(JSON.stringify({ data: [] }));
+    });
+    it('defaults to the "bracket" encoding.', () => {
+        let e = new FetchEngine();
+        e.configure();
+        expect(e.config.query).toBe('bracket');
+    });
+    it('throws when the encoding is not supported.', () => {
+        let e = new FetchEngine();
+        expect(() => e.configure({ query: 'xml' })).toThrow(/query/);
+    });
+    it('sets the encoding from the environmental variable.', () => {
+        let e = new FetchEngine();
+        process.env.STASHKU_FETCH_QUERY = 'base64';
+        e.configure();
+        expect(e.config.query).toBe('base64');
+        delete process.env.STASHKU_FETCH_QUERY;
+    });
+    for (let encoding of ['bracket', 'filter', 'base64']) {
+        it(`round-trips a request through the "${encoding}" encoding.`, async () => {
+            let e = new FetchEngine();
+            e.configure({ query: encoding });
+            let req = request();
+            await e.get(req);
+            let uri = fetchMock.mock.calls[0][0];
+            if (encoding === 'filter') {
+                expect(decodeURIComponent(uri)).toContain('where={Name} STARTSWITH "say \\"hi\\""');
+            } else if (encoding === 'base64') {
+                expect(uri).toMatch(/^\/themes\?q=[\w-]+$/);
+            }
+            let loaded = await load(uri);
+            expect(loaded.metadata.from).toBe('themes');
+            expect(loaded.metadata.properties).toEqual(['Name', 'Category']);
+            expect(loaded.metadata.where.tree).toEqual(req.metadata.where.tree);
+            expect(loaded.metadata.having.tree).toEqual(req.metadata.having.tree);
+            expect(loaded.metadata.groupBy).toEqual(['Category']);
+            expect(loaded.metadata.aggregates).toEqual(req.metadata.aggregates);
+            expect(loaded.metadata.sorts).toEqual(req.metadata.sorts);
+            expect(parseInt(loaded.metadata.take)).toBe(5);
+        });
+    }
+    it('round-trips a request through the "base64" encoding without the global "btoa" and "atob" functions.', async () => {
+        let globals = { btoa: global.btoa, atob: global.atob };
+        try {
+            delete global.btoa;
+            delete global.atob;
+            let e = new FetchEngine();
+            e.configure({ query: 'base64' });
+            let req = request();
+            await e.get(req);
+            let loaded = await load(fetchMock.mock.calls[0][0]);
+            expect(loaded.metadata.where.tree).toEqual(req.metadata.where.tree);
+        } finally {
+            Object.assign(global, globals);
+        }
+    });
+    it('sends a shorter query with the "filter" and "base64" encodings.', async () => {
+        let lengths = {};
+        for (let encoding of ['bracket', 'filter', 'base64']) {
+            fetchMock.resetMocks();
+            fetchMock.mockResponse(JSON.stringify({ data: [] }));
+            let e = new FetchEngine();
+            e.configure({ query: encoding });
+            await e.get(request());
+            lengths[encoding] = fetchMock.mock.calls[0][0].length;
+        }
+        expect(lengths.filter).toBeLessThan(lengths.bracket);
+        expect(lengths.base64).toBeLessThan(lengths.bracket);
+    });
+});
+
+describe('#get (caching)', () => {
+    beforeEach(() => {
+        fetchMock.resetMocks();
+    });
+    it('is disabled by default.', () => {
+        let e = new FetchEngine();
+        e.configure();
+        expect(e.config.cache).toEqual({ enabled: false, size: 100, store: null });
+        expect(e._cache).toBeNull();
+    });
+    it('is enabled by a cache configuration object or the environmental variables.', () => {
+        let e = new FetchEngine();
+        e.configure({ cache: { size: 5 } });
+        expect(e._cache).toBeInstanceOf(FetchCache);
+        expect(e._cache.size).toBe(5);
+        let store = new Map();
+        e.configure({ cache: { store } });
+        expect(e._cache).toBe(store);
+        process.env.STASHKU_FETCH_CACHE = 'true';
+        process.env.STASHKU_FETCH_CACHE_SIZE = '20';
+        e.configure();
+        expect(e._cache.size).toBe(20);
+        delete process.env.STASHKU_FETCH_CACHE;
+        delete process.env.STASHKU_FETCH_CACHE_SIZE;
+    });
+    it('sends conditional requests and serves 304 responses from the cache.', async () => {
+        let data = { data: [{ hello: 'world' }], total: 1, affected: 0, returned: 1 };
+        fetchMock.mockResponses(
+            [JSON.stringify(data), { status: 200, headers: { 'ETag': '"v1"', 'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT' } }],
+            () => Promise.resolve({ status: 304, body: null })
+        );
+        let e = new FetchEngine();
+        e.configure({ cache: true });
+        let res = await e.get(new GetRequest().from('themes'));
+        expect(res.data).toEqual(data.data);
+        expect(fetchMock.mock.calls[0][1].headers.get('if-none-match')).toBeNull();
+        res = await e.get(new GetRequest().from('themes'));
+        expect(res.data).toEqual(data.data);
+        expect(res.code).toBe(200);
+        expect(fetchMock.mock.calls[1][1].headers.get('if-none-match')).toBe('"v1"');
+        expect(fetchMock.mock.calls[1][1].headers.get('if-modified-since')).toBe('Wed, 21 Oct 2015 07:28:00 GMT');
+    });
+    it('does not cache responses without validators.', async () => {
+        fetchMock.mockResponse(JSON.stringify({ data: [] }));
+        let e = new FetchEngine();
+        e.configure({ cache: true });
+        await e.get(new GetRequest().from('themes'));
+        expect(e._cache.keys()).toEqual([]);
+    });
+    it('invalidates cached responses of a resource on changes.', async () => {
+        fetchMock.mockResponse(JSON.stringify({ data: [] }), { headers: { 'ETag': '"v1"' } });
+        let e = new FetchEngine();
+        e.configure({ cache: true });
+        await e.get(new GetRequest().from('themes'));
+        await e.get(new GetRequest().from('themes').take(5));
+        await e.get(new GetRequest().from('themes-archive'));
+        expect(e._cache.keys().length).toBe(3);
+        await e.options(new OptionsRequest('themes'));
+        expect(e._cache.keys().length).toBe(3);
+        await e.post(new PostRequest().to('themes').objects({ hello: 'world' }));
+        expect(e._cache.keys()).toEqual(['/themes-archive?from=themes-archive']);
+    });
+});
+
 describe('#post', () => {
     beforeEach(() => {
         fetchMock.resetMocks();
@@ -9,8 +9,11 @@ import RESTError from '../rest-error.js';
 import Filter from '../filter.js';
 import Logger from '../logger.js';
 import ModelGenerator from '../modeling/model-generator.js';
+import ModelUtility from '../modeling/model-utility.js';
 import BaseEngine from './base-engine.js';
+import MemoryIndex from './memory-index.js';
 import Sort from '../sort.js';
+import {Strings} from '@appku/common';
 
 const IS_BROWSER = !(typeof process !== 'undefined' && process.version);
 
@@ -31,6 +34,101 @@ const objectEqual = (source, target) => {
     return true;
 };
 
+/**
+ * Returns a string key of an object's primary key values that can be used to match objects by their keys.
+ * @param {*} object - The object to key.
+ * @param {Array.<String>} pk - The primary key property names.
+ * @returns {String}
+ * @ignore
+ */
+const keyOf = (object, pk) => JSON.stringify(pk.map(k => (object[k] instanceof Date ? object[k].getTime() : object[k])));
+
+/**
+ * Returns a new random (version 4) UUID string.
+ * @returns {String}
+ * @ignore
+ */
+const uuid = () => {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        let r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+};
+
+/**
+ * Encodes a binary string as base64, using `Buffer` on platforms without a global `btoa` (node 14 and earlier).
+ * @param {String} binary - The binary string to encode.
+ * @returns {String}
+ * @ignore
+ */
+const toBase64 = (binary) => (typeof btoa === 'function' ? btoa(binary) : Buffer.from(binary, 'binary').toString('base64'));
+
+/**
+ * Decodes a base64 string into a binary string, using `Buffer` on platforms without a global `atob` (node 14 and
+ * earlier).
+ * @param {String} value - The base64 string to decode.
+ * @returns {String}
+ * @ignore
+ */
+const fromBase64 = (value) => (typeof atob === 'function' ? atob(value) : Buffer.from(value, 'base64').toString('binary'));
+
+/**
+ * Encodes the sort property values of an object into an opaque, URL-safe cursor string.
+ * @param {*} object - The object the cursor points to.
+ * @param {Array.<Sort>} sorts - The sorts of the request.
+ * @returns {String}
+ * @ignore
+ */
+const encodeCursor = (object, sorts) => {
+    let values = sorts.map(s => (object[s.property] instanceof Date ? { $date: object[s.property].toISOString() } : object[s.property]));
+    let binary = '';
+    for (let b of new TextEncoder().encode(JSON.stringify(values))) {
+        binary += String.fromCharCode(b);
+    }
+    return toBase64(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes a cursor string into an object with the sort property values it points to.
+ * @throws 400 `RESTError` if the cursor is malformed or does not match the sorts.
+ * @param {String} cursor - The cursor to decode.
+ * @param {Array.<Sort>} sorts - The sorts of the request.
+ * @returns {*}
+ * @ignore
+ */
+const decodeCursor = (cursor, sorts) => {
+    let values = null;
+    try {
+        let binary = fromBase64(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+        values = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    } catch (err) {
+        throw new RESTError(400, 'The cursor is malformed and could not be read.');
+    }
+    if (Array.isArray(values) === false || values.length !== sorts.length) {
+        throw new RESTError(400, 'The cursor does not match the sorts of the request.');
+    }
+    let anchor = {};
+    for (let i = 0; i < sorts.length; i++) {
+        let v = values[i];
+        anchor[sorts[i].property] = (v && typeof v === 'object' && v.$date ? new Date(v.$date) : v);
+    }
+    return anchor;
+};
+
+/**
+ * @typedef MemoryEnginePersistConfiguration
+ * @property {String} [path] - The path to a directory of JSON (`*.json`) and/or NDJSON (`*.ndjson`) files, one
+ * per resource, that are loaded into memory when the engine is configured. Changes made by POST, PUT, PATCH, and 
+ * DELETE requests are written back to the resource's file. If not set, persistence is disabled.
+ * @property {String} [format="json"] - The file format used when writing a resource that was not loaded from an
+ * existing file, either `"json"` or `"ndjson"`.
+ * @property {Number} [debounce=250] - The number of milliseconds to wait after the last change before the changed
+ * resources are written to file.
+ */
+
 /**
  * @typedef MemoryEngineConfiguration
  * @property {Boolean} caseSensitive - Controls whether all resource names are stored in lower-case, and tracked
@@ -39,6 +137,17 @@ const objectEqual = (source, target) => {
  * will be ignored.
  * @property {Number} limit - Limits the maximum number of objects that can be stored in the memory engine per resource
  * name. If this limit is reached, POST requests will throw an error.
+ * @property {MemoryEnginePersistConfiguration} [persist] - Optional settings to load and save resources to files.
+ * @property {Object.<String, Array.<String|MemoryIndexDefinition>>} [indexes] - Optional secondary indexes to
+ * maintain, keyed by resource name. Each index is either a property name (for a hash index) or an index definition
+ * object.
+ * @property {Object.<String, Array.<String|Array.<String>>>} [unique] - Optional unique constraints to enforce on
+ * POST, PUT, and PATCH requests, keyed by resource name. Each constraint is either a property name or an array of
+ * property names whose combined values must be unique across the resource's objects. The primary-key (`pk`)
+ * properties of a request's `model` header are also enforced as unique when present.
+ * @property {Object.<String, Object.<String, String>>} [generators] - Optional property value generators, keyed by
+ * resource name and then property name. Each value is one of the `MemoryEngine.GENERATOR` values. The `generated`
+ * and `default` property values of a request's `model` header are also applied when present.
  */
 
 /**
@@ -71,18 +180,63 @@ class MemoryEngine extends BaseEngine {
             caseSensitive: null,
             limit: 0
         };
+
+        /**
+         * State of the file persistence of resources.
+         * @type {{files: Map.<String, String>, pending: Set.<String>, timer: *, flushing: Promise}}
+         * @private
+         */
+        this._persist = {
+            files: new Map(),
+            pending: new Set(),
+            timer: null,
+            flushing: null
+        };
+
+        /**
+         * The secondary indexes of each resource.
+         * @type {Map.<String, {indexes: Map.<String, MemoryIndex>, source: Array, size: Number, order: Map.<*, Number>, next: Number}>}
+         * @private
+         */
+        this._indexes = new Map();
+
+        /**
+         * The number of changes made to each resource, used to detect changes made outside of a transaction.
+         * @type {Map.<String, Number>}
+         * @private
+         */
+        this._versions = new Map();
+
+        /**
+         * When this engine is a transaction-scoped engine, holds the engine the transaction was started on, the
+         * names of resources copied (and changed) within the transaction, and the resources and their change counts
+         * on the parent engine when the transaction began.
+         * @type {{parent: MemoryEngine, changed: Set.<String>, complete: Boolean, data: Map.<String, Array>, versions: Map.<String, Number>}}
+         * @private
+         */
+        this._transaction = null;
     }
 
     /**
      * @inheritdoc
+     * @description
+     * When a `persist.path` is configured, the resource files in the directory are loaded into memory and a promise
+     * is returned that resolves when loading has completed.
      * @param {MemoryEngineConfiguration} config - The configuration object for the storage engine.
+     * @param {Logger} [logger] - Optional `Logger` instance to set on the engine.
+     * @returns {Promise|undefined}
      */
-    configure(config) {
-        super.configure(config);
+    configure(config, logger) {
+        super.configure(config, logger);
         let defaults = {
             caseSensitive: null,
             limit: 0
         };
+        let persistDefaults = {
+            path: null,
+            format: 'json',
+            debounce: 250
+        };
         if (IS_BROWSER === false || (typeof process !== 'undefined' && typeof process.env === 'object')) {
             let limit = parseInt(process.env.STASHKU_MEMORY_LIMIT);
             if (limit) {
@@ -91,8 +245,697 @@ class MemoryEngine extends BaseEngine {
             if (typeof process.env.STASHKU_MEMORY_CASE_SENSITIVE === 'string') {
                 defaults.caseSensitive = !!process.env.STASHKU_MEMORY_CASE_SENSITIVE.match(/^[tTyY1]/);
             }
+            if (typeof process.env.STASHKU_MEMORY_PERSIST_PATH === 'string') {
+                persistDefaults.path = process.env.STASHKU_MEMORY_PERSIST_PATH;
+            }
+            if (typeof process.env.STASHKU_MEMORY_PERSIST_FORMAT === 'string') {
+                persistDefaults.format = process.env.STASHKU_MEMORY_PERSIST_FORMAT;
+            }
+            let debounce = parseInt(process.env.STASHKU_MEMORY_PERSIST_DEBOUNCE);
+            if (isNaN(debounce) === false) {
+                persistDefaults.debounce = debounce;
+            }
+        }
+        defaults = Object.assign(defaults, config);
+        defaults.persist = Object.assign({}, persistDefaults, defaults.persist);
+        //validate config
+        if (['json', 'ndjson'].indexOf(defaults.persist.format) < 0) {
+            throw new Error(`Invalid "persist.format" configuration value "${defaults.persist.format}". The value must be "json" or "ndjson".`);
+        }
+        if (defaults.generators) {
+            for (let resource in defaults.generators) {
+                for (let property in defaults.generators[resource]) {
+                    let generator = defaults.generators[resource][property];
+                    if (GENERATORS.indexOf(generator) < 0) {
+                        throw new Error(`Invalid "generators" configuration value "${generator}" for property "${property}" of resource "${resource}". The value must be one of: "${GENERATORS.join('", "')}".`);
+                    }
+                }
+            }
+        }
+        if (defaults.unique) {
+            for (let resource in defaults.unique) {
+                let constraints = defaults.unique[resource];
+                let valid = Array.isArray(constraints) && constraints.every(c => (
+                    typeof c === 'string'
+                    || (Array.isArray(c) && c.length && c.every(p => typeof p === 'string'))
+                ));
+                if (!valid) {
+                    throw new Error(`Invalid "unique" configuration value for resource "${resource}". The value must be an array of property names or arrays of property names.`);
+                }
+            }
+        }
+        this.config = defaults;
+        this._indexes.clear();
+        if (this.config.indexes) {
+            for (let resource in this.config.indexes) {
+                this.index(resource, ...this.config.indexes[resource]);
+            }
+        }
+        if (this.config.persist.path) {
+            return this.load();
+        }
+    }
+
+    /**
+     * @inheritdoc
+     * @description
+     * Any changes still pending a write to file are flushed before the engine is destroyed.
+     */
+    async destroy() {
+        await this.flush();
+    }
+
+    /**
+     * @override
+     * @description
+     * The returned transaction-scoped engine shares the stored resources of this engine until a resource is first
+     * changed within the transaction, at which point the resource is copied (copy-on-write). Changes are only visible
+     * to this engine once the transaction is committed.
+     * @returns {Promise.<MemoryEngine>}
+     */
+    async begin() {
+        let transaction = new MemoryEngine();
+        transaction.config = Object.assign({}, this.config, {
+            persist: Object.assign({}, this.config?.persist, { path: null }) //only the committing engine persists.
+        });
+        transaction.log = this.log;
+        transaction.data = new Map(this.data);
+        for (let [resource, catalog] of this._indexes) {
+            transaction.index(resource, ...Array.from(catalog.indexes.values()).map(i => ({ property: i.property, type: i.type })));
+        }
+        transaction._transaction = {
+            parent: this,
+            changed: new Set(),
+            complete: false,
+            data: new Map(this.data),
+            versions: new Map(this._versions)
+        };
+        return transaction;
+    }
+
+    /**
+     * @override
+     * @description
+     * Replaces the resources of this engine with the copies changed within the transaction. If the same resources
+     * were changed on this engine (outside of the transaction) after it began, the commit is rejected and the
+     * transaction remains active so it can be rolled back.
+     * @throws Error if the transaction was not started on this engine or has already completed.
+     * @throws 409 `RESTError` if a resource changed within the transaction was changed outside of it after it began.
+     * @param {MemoryEngine} transaction - The transaction-scoped engine to commit.
+     */
+    async commit(transaction) {
+        if (transaction?._transaction?.parent === this && !transaction._transaction.complete) {
+            for (let resource of transaction._transaction.changed) {
+                if (
+                    this.data.get(resource) !== transaction._transaction.data.get(resource)
+                    || this._versions.get(resource) !== transaction._transaction.versions.get(resource)
+                ) {
+                    throw new RESTError(409, `The transaction cannot be committed because the resource "${resource}" was changed outside of the transaction after it began.`);
+                }
+            }
+        }
+        this._transactionComplete(transaction);
+        for (let resource of transaction._transaction.changed) {
+            this.data.set(resource, transaction.data.get(resource));
+            if (this._transaction) {
+                this._transaction.changed.add(resource); //committed into an outer transaction
+            }
+            this._changed(resource);
+        }
+    }
+
+    /**
+     * @override
+     * @throws Error if the transaction was not started on this engine or has already completed.
+     * @param {MemoryEngine} transaction - The transaction-scoped engine to roll back.
+     */
+    async rollback(transaction) {
+        this._transactionComplete(transaction);
+        transaction.data.clear();
+    }
+
+    /**
+     * Validates that the given transaction-scoped engine was started on this engine and marks it complete.
+     * @throws Error if the transaction was not started on this engine or has already completed.
+     * @param {MemoryEngine} transaction - The transaction-scoped engine.
+     * @private
+     */
+    _transactionComplete(transaction) {
+        if (!transaction || !transaction._transaction || transaction._transaction.parent !== this) {
+            throw new Error('The "transaction" argument must be a transaction started on this engine.');
+        } else if (transaction._transaction.complete) {
+            throw new Error('The transaction has already been committed or rolled back.');
+        }
+        transaction._transaction.complete = true;
+    }
+
+    /**
+     * Returns the stored objects of a resource that are about to be changed. Within a transaction, the resource's
+     * objects are copied on the first change so the engine the transaction was started on is not affected.
+     * @param {String} resource - The name of the resource in memory.
+     * @returns {Array}
+     * @private
+     */
+    _writable(resource) {
+        let objects = this.data.get(resource);
+        if (this._transaction && this._transaction.changed.has(resource) === false) {
+            objects = objects.map(o => Object.assign({}, o));
+            this.data.set(resource, objects);
+            this._transaction.changed.add(resource);
+        }
+        return objects;
+    }
+
+    /**
+     * Marks a resource as changed after objects were added, replaced, or removed, bumping its version (checked when
+     * a transaction commits) and scheduling it to be persisted.
+     * @param {String} resource - The name of the resource in memory.
+     * @private
+     */
+    _changed(resource) {
+        this._versions.set(resource, (this._versions.get(resource) ?? 0) + 1);
+        this._persistLater(resource);
+    }
+
+    /**
+     * Loads every JSON (`*.json`) and NDJSON (`*.ndjson`) file in the configured `persist.path` directory into memory,
+     * using the file name (without extension) as the resource name. Existing in-memory resources with the same name
+     * are replaced. If the directory does not exist, nothing is loaded.
+     * 
+     * @throws Error when used on an unsupported platform (browser).
+     * @throws Error when a file could not be read or parsed.
+     * @returns {Promise}
+     */
+    async load() {
+        if (IS_BROWSER) {
+            throw new Error('The memory engine file persistence is not supported on this platform.');
+        }
+        let dirPath = this.config?.persist?.path;
+        if (!dirPath) {
+            return;
+        }
+        //set import package as variable, so compilers like esbuild ignore the import
+        let pkgFS = 'fs/promises';
+        let pkgPath = 'path';
+        let fs = (await import(/* webpackIgnore: true */pkgFS)).default;
+        let path = (await import(/* webpackIgnore: true */pkgPath)).default;
+        let fileNames = [];
+        try {
+            fileNames = await fs.readdir(dirPath);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return; //nothing to load yet, the directory is created on first write.
+            }
+            throw err;
+        }
+        for (let fileName of fileNames) {
+            let ext = path.extname(fileName).toLowerCase();
+            if (ext !== '.json' && ext !== '.ndjson') {
+                continue;
+            }
+            let filePath = path.join(dirPath, fileName);
+            let resource = decodeURIComponent(path.basename(fileName, path.extname(fileName)));
+            if (!this.config.caseSensitive) {
+                resource = resource.toLowerCase();
+            }
+            let content = await fs.readFile(filePath, 'utf8');
+            let objects = null;
+            try {
+                if (ext === '.ndjson') {
+                    objects = content.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+                } else {
+                    objects = content.trim() ? JSON.parse(content) : [];
+                }
+            } catch (err) {
+                throw new Error(`Failed to parse memory engine resource file "${filePath}": ${err.message}`);
+            }
+            if (Array.isArray(objects) === false) {
+                throw new Error(`Failed to load memory engine resource file "${filePath}". The file must contain an array of objects.`);
+            }
+            this.data.set(resource, objects);
+            this._persist.files.set(resource, filePath);
+        }
+    }
+
+    /**
+     * Immediately writes all resources with changes still pending to their files in the configured `persist.path`
+     * directory. Each file is written to a temporary file first and then renamed over the original so that a failed
+     * write never leaves a partially written resource file behind.
+     * 
+     * If persistence is not configured, or there are no pending changes, this function does nothing.
+     * @throws Error if a resource file could not be written.
+     * @returns {Promise}
+     */
+    async flush() {
+        if (this._persist.timer) {
+            clearTimeout(this._persist.timer);
+            this._persist.timer = null;
+        }
+        while (this._persist.flushing) {
+            await this._persist.flushing;
+        }
+        let dirPath = this.config?.persist?.path;
+        if (!dirPath || this._persist.pending.size === 0) {
+            return;
+        }
+        let resources = Array.from(this._persist.pending);
+        this._persist.pending.clear();
+        this._persist.flushing = this._write(dirPath, resources);
+        try {
+            await this._persist.flushing;
+        } catch (err) {
+            //failed, so keep the resources pending for the next attempt.
+            for (let r of resources) {
+                this._persist.pending.add(r);
+            }
+            throw err;
+        } finally {
+            this._persist.flushing = null;
+        }
+    }
+
+    /**
+     * Writes the specified resources to their files in the given directory. Resources no longer found in memory have
+     * their file removed.
+     * @param {String} dirPath - The directory to write resource files into.
+     * @param {Array.<String>} resources - The names of the resources to write.
+     * @returns {Promise}
+     * @private
+     */
+    async _write(dirPath, resources) {
+        //set import package as variable, so compilers like esbuild ignore the import
+        let pkgFS = 'fs/promises';
+        let pkgPath = 'path';
+        let fs = (await import(/* webpackIgnore: true */pkgFS)).default;
+        let path = (await import(/* webpackIgnore: true */pkgPath)).default;
+        await fs.mkdir(dirPath, { recursive: true });
+        for (let resource of resources) {
+            let filePath = this._persist.files.get(resource);
+            if (!filePath) {
+                filePath = path.join(dirPath, `${encodeURIComponent(resource)}.${this.config.persist.format}`);
+            }
+            if (this.data.has(resource) === false) {
+                await fs.rm(filePath, { force: true });
+                this._persist.files.delete(resource);
+                continue;
+            }
+            let objects = this.data.get(resource);
+            let content = null;
+            if (path.extname(filePath).toLowerCase() === '.ndjson') {
+                content = objects.map(o => JSON.stringify(o)).join('\n') + (objects.length ? '\n' : '');
+            } else {
+                content = JSON.stringify(objects, null, 4);
+            }
+            let tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+            try {
+                await fs.writeFile(tempPath, content, 'utf8');
+                await fs.rename(tempPath, filePath);
+            } catch (err) {
+                await fs.rm(tempPath, { force: true });
+                throw new Error(`Failed to write memory engine resource file "${filePath}": ${err.message}`);
+            }
+            this._persist.files.set(resource, filePath);
+        }
+    }
+
+    /**
+     * Marks a resource as changed and schedules a (debounced) write of pending changes to file. If persistence is
+     * not configured, this function does nothing.
+     * @param {String} resource - The name of the resource in memory that was changed.
+     * @private
+     */
+    _persistLater(resource) {
+        if (this.config?.persist?.path) {
+            this._persist.pending.add(resource);
+            if (this._persist.timer) {
+                clearTimeout(this._persist.timer);
+            }
+            this._persist.timer = setTimeout(() => {
+                this._persist.timer = null;
+                this.flush().catch(err => {
+                    if (this.log) {
+                        this.log.error(`Failed to write memory engine changes to file: ${err.message}`, err);
+                    }
+                });
+            }, this.config.persist.debounce);
+        }
+    }
+
+    /**
+     * Declares secondary indexes on a resource's property values, used to find the objects matching the `where`
+     * filter of GET, PATCH, and DELETE requests without scanning every object in the resource. Indexes are built
+     * when first used and kept up to date by requests sent to the engine.
+     * 
+     * If a model type is given instead of a resource name and no index definitions are specified, a hash index is
+     * declared for each of the model's primary key (`pk`) properties.
+     * @throws Error if the resource or an index definition is invalid.
+     * @param {String|Modeling.AnyModelType} resourceOrModelType - The name of the resource or a model type.
+     * @param  {...String|MemoryIndexDefinition} [definitions] - The property names (for hash indexes) or index 
+     * definitions to declare.
+     * @returns {MemoryEngine}
+     */
+    index(resourceOrModelType, ...definitions) {
+        let resource = resourceOrModelType;
+        if (ModelUtility.isValidType(resourceOrModelType)) {
+            resource = ModelUtility.resource(resourceOrModelType, 'get');
+            if (definitions.length === 0) {
+                definitions = ModelUtility.pk(resourceOrModelType);
+            }
+        }
+        if (!resource || typeof resource !== 'string') {
+            throw new Error('The "resourceOrModelType" argument must be a resource name or valid model type.');
+        }
+        if (!this.config.caseSensitive) {
+            resource = resource.toLowerCase();
+        }
+        let catalog = this._indexes.get(resource);
+        if (!catalog) {
+            catalog = { indexes: new Map(), source: null, size: 0, order: new Map(), next: 0 };
+            this._indexes.set(resource, catalog);
+        }
+        for (let def of definitions) {
+            if (typeof def === 'string') {
+                def = { property: def };
+            }
+            let index = new MemoryIndex(def?.property, def?.type);
+            catalog.indexes.set(index.property, index);
+        }
+        catalog.source = null; //rebuild on next use
+        return this;
+    }
+
+    /**
+     * Returns the secondary index catalog of the resource, rebuilding the indexes when the resource's objects have
+     * been replaced or changed outside of the engine. If no indexes are declared for the resource, `null` is
+     * returned.
+     * @param {String} resource - The name of the resource in memory.
+     * @returns {{indexes: Map.<String, MemoryIndex>, source: Array, size: Number, order: Map.<*, Number>, next: Number}}
+     * @private
+     */
+    _catalog(resource) {
+        let catalog = this._indexes.get(resource);
+        let source = this.data.get(resource);
+        if (!catalog || !catalog.indexes.size || !source) {
+            return null;
+        }
+        if (catalog.source !== source || catalog.size !== source.length) {
+            catalog.order.clear();
+            for (let i = 0; i < source.length; i++) {
+                catalog.order.set(source[i], i);
+            }
+            for (let index of catalog.indexes.values()) {
+                index.build(source);
+            }
+            catalog.source = source;
+            catalog.size = source.length;
+            catalog.next = source.length;
+        }
+        return catalog;
+    }
+
+    /**
+     * Plans how to find the objects of a resource matching a filter. When the filter's top-level "and" conditions
+     * include an `eq`, `in`, range (`lt`, `lte`, `gt`, `gte`), or `startswith` condition on an indexed property, the
+     * candidate objects found through the most selective index are returned (in storage order). The candidates
+     * must still be tested against the filter. If no index can be used, `null` is returned and the resource should
+     * be scanned.
+     * @param {String} resource - The name of the resource in memory.
+     * @param {Filter} where - The filter to plan for.
+     * @returns {Array}
+     * @private
+     */
+    _plan(resource, where) {
+        let catalog = this._catalog(resource);
+        if (!catalog || !where || !where.tree) {
+            return null;
+        }
+        //collect the conditions that must all be met.
+        let conditions = [];
+        let collect = (group) => {
+            if (group.logic === Filter.LOGIC.AND || group.filters.length === 1) {
+                for (let f of group.filters) {
+                    if (f.logic && Array.isArray(f.filters)) {
+                        collect(f);
+                    } else if (f.property && f.op) {
+                        conditions.push(f);
+                    }
+                }
+            }
+        };
+        collect(where.tree);
+        //find the smallest set of candidates.
+        let best = null;
+        let ranges = new Map();
+        for (let c of conditions) {
+            let index = catalog.indexes.get(c.property);
+            if (!index) {
+                continue;
+            }
+            let candidates = null;
+            switch (c.op) {
+                case Filter.OP.LESSTHAN:
+                case Filter.OP.LESSTHANOREQUAL:
+                case Filter.OP.GREATERTHAN:
+                case Filter.OP.GREATERTHANOREQUAL:
+                    //combined per property below.
+                    ranges.set(c.property, (ranges.get(c.property) || []).concat(c));
+                    break;
+                default:
+                    candidates = index.lookup(c.op, c.value);
+            }
+            if (candidates && (!best || candidates.length < best.length)) {
+                best = candidates;
+            }
+        }
+        for (let [property, rangeConditions] of ranges) {
+            let candidates = catalog.indexes.get(property).range(...rangeConditions);
+            if (candidates && (!best || candidates.length < best.length)) {
+                best = candidates;
+            }
+        }
+        if (best) {
+            best.sort((a, b) => catalog.order.get(a) - catalog.order.get(b));
+        }
+        return best;
+    }
+
+    /**
+     * Adds newly stored objects to the resource's indexes (if any).
+     * @param {String} resource - The name of the resource in memory.
+     * @param {Array} objects - The objects added to the end of the resource.
+     * @private
+     */
+    _indexAdd(resource, objects) {
+        let catalog = this._indexes.get(resource);
+        if (catalog && catalog.source) {
+            if (catalog.source !== this.data.get(resource) || catalog.size + objects.length !== catalog.source.length) {
+                catalog.source = null; //out of sync, rebuild on next use
+                return;
+            }
+            for (let o of objects) {
+                catalog.order.set(o, catalog.next++);
+                for (let index of catalog.indexes.values()) {
+                    index.add(o);
+                }
+            }
+            catalog.size += objects.length;
+        }
+    }
+
+    /**
+     * Re-indexes changed objects in the resource's indexes (if any).
+     * @param {String} resource - The name of the resource in memory.
+     * @param {Array} objects - The stored objects that were changed.
+     * @private
+     */
+    _indexUpdate(resource, objects) {
+        let catalog = this._indexes.get(resource);
+        if (catalog && catalog.source) {
+            if (catalog.source !== this.data.get(resource) || catalog.size !== catalog.source.length) {
+                catalog.source = null; //out of sync, rebuild on next use
+                return;
+            }
+            for (let o of objects) {
+                for (let index of catalog.indexes.values()) {
+                    index.update(o);
+                }
+            }
+        }
+    }
+
+    /**
+     * Removes deleted objects from the resource's indexes (if any).
+     * @param {String} resource - The name of the resource in memory.
+     * @param {Array} objects - The objects removed from the resource.
+     * @private
+     */
+    _indexRemove(resource, objects) {
+        let catalog = this._indexes.get(resource);
+        if (catalog && catalog.source) {
+            if (catalog.source !== this.data.get(resource) || catalog.size - objects.length !== catalog.source.length) {
+                catalog.source = null; //out of sync, rebuild on next use
+                return;
+            }
+            for (let o of objects) {
+                catalog.order.delete(o);
+                for (let index of catalog.indexes.values()) {
+                    index.remove(o);
+                }
+            }
+            catalog.size -= objects.length;
+        }
+    }
+
+    /**
+     * Returns the unique constraints enforced on a resource for the given request. These are the constraints
+     * declared in the engine's `unique` configuration and the primary-key (`pk`) properties of the request's
+     * `model` header, if present.
+     * @param {String} resource - The name of the resource in memory.
+     * @param {PostRequest | PutRequest | PatchRequest} request - The request changing the resource.
+     * @returns {Array.<Array.<String>>}
+     * @private
+     */
+    _constraints(resource, request) {
+        let constraints = new Map();
+        let unique = this.config?.unique;
+        if (unique) {
+            for (let name in unique) {
+                if ((this.config.caseSensitive ? name : name.toLowerCase()) === resource) {
+                    for (let c of unique[name]) {
+                        let properties = Array.isArray(c) ? c : [c];
+                        constraints.set(JSON.stringify(properties), properties);
+                    }
+                }
+            }
+        }
+        let headers = request.metadata.headers;
+        let pk = (headers && headers.has('model') ? headers.get('model')?.pk : null);
+        if (Array.isArray(pk) && pk.length) {
+            constraints.set(JSON.stringify(pk), pk);
+        }
+        return Array.from(constraints.values());
+    }
+
+    /**
+     * Creates a function that applies the property value generators and defaults of a resource to objects being
+     * stored for the given request. These are the generators declared in the engine's `generators` configuration
+     * and the `generated` and `default` property values of the request's `model` header, if present.
+     * 
+     * When an object is created, missing (`null` or `undefined`) property values are generated or defaulted. When an
+     * object is updated, only "updatedAt" timestamps are generated. Auto-incremented values start after the highest
+     * value already stored or given in the request's objects.
+     * @throws 500 `RESTError` if a `generated` value of the request's `model` header is not supported.
+     * @param {String} resource - The name of the resource in memory.
+     * @param {PostRequest | PutRequest | PatchRequest} request - The request changing the resource.
+     * @param {Array} [objects] - The objects being created by the request.
+     * @returns {function(*, Boolean):*} Returns a function accepting an object and whether it is being created, that 
+     * applies the generators to the object and returns it.
+     * @private
+     */
+    _generator(resource, request, objects = []) {
+        let generators = new Map();
+        let defaults = new Map();
+        let configured = this.config?.generators;
+        if (configured) {
+            for (let name in configured) {
+                if ((this.config.caseSensitive ? name : name.toLowerCase()) === resource) {
+                    for (let property in configured[name]) {
+                        generators.set(property, configured[name][property]);
+                    }
+                }
+            }
+        }
+        let headers = request.metadata.headers;
+        let header = (headers && headers.has('model') ? headers.get('model') : null);
+        for (let property in header?.generated) {
+            if (GENERATORS.indexOf(header.generated[property]) < 0) {
+                throw new RESTError(500, `The generated value "${header.generated[property]}" of model property "${property}" is not supported.`);
+            }
+            generators.set(property, header.generated[property]);
+        }
+        for (let property in header?.defaults) {
+            defaults.set(property, header.defaults[property]);
+        }
+        let counters = new Map();
+        for (let [property, generator] of generators) {
+            if (generator === MemoryEngine.GENERATOR.INCREMENT) {
+                let max = 0;
+                for (let o of (this.data.get(resource) || []).concat(objects)) {
+                    if (o && typeof o[property] === 'number' && o[property] > max) {
+                        max = o[property];
+                    }
+                }
+                counters.set(property, max);
+            }
+        }
+        let missing = (o, property) => (o[property] === null || typeof o[property] === 'undefined');
+        return (o, created) => {
+            let now = new Date();
+            for (let [property, generator] of generators) {
+                if (generator === MemoryEngine.GENERATOR.UPDATED_AT && (created === false || missing(o, property))) {
+                    o[property] = now;
+                } else if (created && missing(o, property)) {
+                    switch (generator) {
+                        case MemoryEngine.GENERATOR.INCREMENT:
+                            counters.set(property, counters.get(property) + 1);
+                            o[property] = counters.get(property);
+                            break;
+                        case MemoryEngine.GENERATOR.UUID: o[property] = uuid(); break;
+                        case MemoryEngine.GENERATOR.CREATED_AT: o[property] = now; break;
+                    }
+                }
+            }
+            if (created) {
+                for (let [property, value] of defaults) {
+                    if (missing(o, property) && generators.has(property) === false) {
+                        o[property] = (typeof value === 'function' ? value() : value);
+                    }
+                }
+            }
+            return o;
+        };
+    }
+
+    /**
+     * Validates that pending changes to a resource will not violate its unique constraints. Each change pairs the
+     * stored object being changed (or `null` for a new object) with the object as it will be once stored. Values
+     * are only compared when every property of a constraint has a non-null value.
+     * @throws 409 `RESTError` when a changed object has the same constrained values as another object. The
+     * conflicting property values are set on the error's `data`.
+     * @param {String} resource - The name of the resource in memory.
+     * @param {Array.<Array.<String>>} constraints - The unique constraints to enforce.
+     * @param {Array.<{target:*, next:*}>} changes - The pending changes to the resource.
+     * @private
+     */
+    _unique(resource, constraints, changes) {
+        if (!constraints.length || !changes.length) {
+            return;
+        }
+        let stored = this.data.get(resource) || [];
+        let targets = new Set(changes.map(c => c.target).filter(t => t));
+        for (let properties of constraints) {
+            let keys = new Set();
+            let check = (o, changed) => {
+                if (properties.some(p => o[p] === null || typeof o[p] === 'undefined')) {
+                    return;
+                }
+                let key = keyOf(o, properties);
+                if (changed && keys.has(key)) {
+                    let err = new RESTError(409, `An object already exists matching the unique constraint on "${properties.join('", "')}".`);
+                    err.data = Object.fromEntries(properties.map(p => [p, o[p]]));
+                    throw err;
+                }
+                keys.add(key);
+            };
+            for (let o of stored) {
+                if (targets.has(o) === false) {
+                    check(o, false);
+                }
+            }
+            for (let c of changes) {
+                check(c.next, true);
+            }
         }
-        this.config = Object.assign(defaults, config);
     }
 
     /**
@@ -127,6 +970,7 @@ class MemoryEngine extends BaseEngine {
     /**
      * @override
      * @throws 404 Error when the requested resource is has not been stored in memory.
+     * @throws 400 Error when a cursor is given without sorts, or is malformed.
      * @param {GetRequest} request - The GET request to send to the storage engine.
      * @returns {Promise.<Response>} Returns the data objects from storage matching request criteria.
      */
@@ -141,10 +985,18 @@ class MemoryEngine extends BaseEngine {
         //find objects
         let matches = this.data.get(from);
         if (meta.where && Filter.isEmpty(meta.where) === false) {
-            matches = matches.filter(v => meta.where.test(v));
+            matches = (this._plan(from, meta.where) || matches).filter(v => meta.where.test(v));
         }
         //ensure we have a new array with new object references (shallow copy).
         matches = matches.map(v => Object.assign({}, v));
+        //apply grouping and aggregates
+        let grouped = !!((meta.groupBy && meta.groupBy.length) || (meta.aggregates && meta.aggregates.length));
+        if (grouped) {
+            matches = this._group(matches, meta.groupBy, meta.aggregates);
+            if (meta.having && Filter.isEmpty(meta.having) === false) {
+                matches = matches.filter(v => meta.having.test(v));
+            }
+        }
         //apply distinct
         if (meta.distinct) {
             matches = matches.reduce((pv, cu, i, arr) => {
@@ -156,31 +1008,54 @@ class MemoryEngine extends BaseEngine {
             }, []);
         }
         //perform sorts (no need to run if just counting)
+        const fieldSorter = (sorts) => (a, b) => sorts.map(s => {
+            let dir = 1;
+            if (s.dir === Sort.DIR.DESC) {
+                dir = -1;
+            }
+            return a[s.property] > b[s.property] ? dir : a[s.property] < b[s.property] ? -(dir) : 0;
+        }).reduce((p, n) => p ? p : n, 0);
         if (!meta.count && meta.sorts && meta.sorts.length) {
-            const fieldSorter = (sorts) => (a, b) => sorts.map(s => {
-                let dir = 1;
-                if (s.dir === Sort.DIR.DESC) {
-                    dir = -1;
-                }
-                return a[s.property] > b[s.property] ? dir : a[s.property] < b[s.property] ? -(dir) : 0;
-            }).reduce((p, n) => p ? p : n, 0);
             matches.sort(fieldSorter(meta.sorts));
         }
         //apply paging
         let total = matches.length; //save the total before reducing
+        let cursor = meta.after || meta.before;
+        if (cursor) {
+            if (!meta.sorts || meta.sorts.length === 0) {
+                throw new RESTError(400, 'Cursor paging requires the request to specify one or more sorts.');
+            }
+            let anchor = decodeCursor(cursor, meta.sorts);
+            let sorter = fieldSorter(meta.sorts);
+            if (meta.after) {
+                matches = matches.filter(v => sorter(v, anchor) > 0);
+            } else {
+                //page backwards from the cursor, then restore the sort order.
+                matches = matches.filter(v => sorter(v, anchor) < 0).reverse();
+            }
+        }
         if (meta.skip && meta.skip > 0) {
             matches.splice(0, meta.skip);
         }
+        let more = false;
         if (meta.take && meta.take > 0) {
+            more = (matches.length > meta.take);
             matches = matches.slice(0, meta.take);
         }
+        if (meta.before) {
+            matches.reverse();
+        }
+        let nextCursor = null;
+        if (more && !meta.count && meta.sorts && meta.sorts.length) {
+            nextCursor = encodeCursor(meta.before ? matches[0] : matches[matches.length - 1], meta.sorts);
+        }
         //handle count-only requests
         if (meta.count) {
             let res = new Response(null, total, 0, matches.length);
             return res;
         } else {
-            //apply property limitations (if any)
-            if (meta.properties && meta.properties.length) {
+            //apply property limitations (if any), grouped results only hold grouped and aggregated properties.
+            if (!grouped && meta.properties && meta.properties.length) {
                 for (let m of matches) {
                     //delete any keys not in specified properties
                     Object.keys(m)
@@ -188,14 +1063,90 @@ class MemoryEngine extends BaseEngine {
                         .map(k => delete m[k]);
                 }
             }
-            return new Response(matches, total, 0, matches.length);
+            let res = new Response(matches, total, 0, matches.length);
+            res.cursor = nextCursor;
+            return res;
+        }
+    }
+
+    /**
+     * Groups the objects by the values of the `groupBy` properties and computes the aggregate values of each group.
+     * When there are no `groupBy` properties, all objects are aggregated into a single group.
+     * @param {Array} objects - The objects to group.
+     * @param {Array.<String>} groupBy - The names of the properties to group by.
+     * @param {Array.<GetRequest.Aggregate>} aggregates - The aggregates to compute for each group.
+     * @returns {Array} Returns one object per group with the grouped property values and aggregate values.
+     * @private
+     */
+    _group(objects, groupBy, aggregates) {
+        groupBy = groupBy || [];
+        aggregates = aggregates || [];
+        let groups = new Map();
+        if (groupBy.length === 0) {
+            groups.set('', objects);
+        } else {
+            for (let o of objects) {
+                let key = JSON.stringify(groupBy.map(p => o[p] instanceof Date ? o[p].getTime() : o[p]));
+                let group = groups.get(key);
+                if (!group) {
+                    group = [];
+                    groups.set(key, group);
+                }
+                group.push(o);
+            }
+        }
+        let results = [];
+        for (let group of groups.values()) {
+            let result = {};
+            for (let p of groupBy) {
+                result[p] = group[0][p];
+            }
+            for (let a of aggregates) {
+                let values = group;
+                if (a.property !== '*') {
+                    values = group.map(v => v[a.property]).filter(v => v !== null && typeof v !== 'undefined');
+                }
+                let value = null;
+                switch (a.fn) {
+                    case GetRequest.AGGREGATE.COUNT:
+                        value = values.length;
+                        break;
+                    case GetRequest.AGGREGATE.SUM:
+                    case GetRequest.AGGREGATE.AVG:
+                        if (values.length) {
+                            value = values.reduce((pv, cv) => pv + Number(cv), 0);
+                            if (a.fn === GetRequest.AGGREGATE.AVG) {
+                                value = value / values.length;
+                            }
+                        }
+                        break;
+                    case GetRequest.AGGREGATE.MIN:
+                        value = values.reduce((pv, cv) => (pv === null || cv < pv ? cv : pv), null);
+                        break;
+                    case GetRequest.AGGREGATE.MAX:
+                        value = values.reduce((pv, cv) => (pv === null || cv > pv ? cv : pv), null);
+                        break;
+                }
+                result[a.as] = value;
+            }
+            results.push(result);
         }
+        return results;
     }
 
     /**
      * @override
      * @description
      * This will create the resource in memory if it does not already exist.
+     * 
+     * When the request specifies an `onConflict` mode, objects are matched to stored objects by their `pk` property
+     * values, and conflicting objects either fail the request, are ignored, or update the stored object.
+     * 
+     * Missing property values of created objects are generated (or defaulted) by the resource's generators, and
+     * are included in the response data.
+     * @throws 400 Error when an `onConflict` mode is specified without any `pk` properties.
+     * @throws 409 Error when an object conflicts with a stored object under the "error" conflict mode.
+     * @throws 409 Error when an object would violate a unique constraint of the resource.
      * @param {PostRequest} request - The POST request to send to the storage engine.
      * @returns {Promise.<Response>} Returns the data objects from storage that were created with the request criteria.
      */
@@ -206,16 +1157,67 @@ class MemoryEngine extends BaseEngine {
         let meta = request.metadata;
         if (meta.objects && meta.objects.length) {
             let to = this.resourceOf(request);
+            if (meta.onConflict && (!meta.pk || !meta.pk.length)) {
+                throw new RESTError(400, `The "${meta.onConflict}" conflict mode requires one or more "pk" properties to be specified on the request.`);
+            }
             if (this.data.has(to) === false) {
                 this.data.set(to, []);
             }
-            let resource = this.data.get(to);
-            let storageClones = meta.objects.map(v => Object.assign({}, v));
-            let responseClones = meta.objects.map(v => Object.assign({}, v));
-            if (this.config && this.config.limit && resource.length + storageClones.length > this.config.limit) {
+            let resource = this._writable(to);
+            let generate = this._generator(to, request, meta.objects);
+            let inserts = [];
+            let pending = new Map();
+            let responseClones = [];
+            if (meta.onConflict) {
+                //match objects to stored objects by their primary key values.
+                let stored = new Map(resource.map(r => [keyOf(r, meta.pk), r]));
+                for (let o of meta.objects) {
+                    let keyed = meta.pk.every(k => o[k] !== null && typeof o[k] !== 'undefined');
+                    let existing = (keyed ? stored.get(keyOf(o, meta.pk)) : null);
+                    if (!existing) {
+                        let clone = generate(Object.assign({}, o), true);
+                        stored.set(keyOf(clone, meta.pk), clone);
+                        inserts.push(clone);
+                        responseClones.push(Object.assign({}, clone));
+                    } else if (meta.onConflict === PostRequest.CONFLICT.ERROR) {
+                        let err = new RESTError(409, `An object already exists matching the specified primary keys ("${meta.pk.join('", "')}").`);
+                        err.data = Object.fromEntries(meta.pk.map(k => [k, o[k]]));
+                        throw err;
+                    } else if (meta.onConflict === PostRequest.CONFLICT.UPDATE) {
+                        if (inserts.indexOf(existing) >= 0) {
+                            Object.assign(existing, o);
+                            responseClones.push(Object.assign({}, existing));
+                        } else {
+                            //stored objects are only changed once the request is validated.
+                            let next = generate(Object.assign(pending.get(existing) || Object.assign({}, existing), o), false);
+                            pending.set(existing, next);
+                            responseClones.push(Object.assign({}, next));
+                        }
+                    }
+                }
+            } else {
+                inserts = meta.objects.map(v => generate(Object.assign({}, v), true));
+                responseClones = inserts.map(v => Object.assign({}, v));
+            }
+            if (this.config && this.config.limit && resource.length + inserts.length > this.config.limit) {
                 throw new RESTError(400, `Cannot add additional objects to storage. The limit of ${this.config.limit} objects would be exceeded.`);
             }
-            resource.push(...storageClones);
+            this._unique(to, this._constraints(to, request), [
+                ...inserts.map(i => ({ target: null, next: i })),
+                ...Array.from(pending, ([target, next]) => ({ target, next }))
+            ]);
+            let updates = Array.from(pending.keys());
+            for (let [target, next] of pending) {
+                Object.assign(target, next);
+            }
+            resource.push(...inserts);
+            this._indexAdd(to, inserts);
+            if (updates.length) {
+                this._indexUpdate(to, updates);
+            }
+            if (inserts.length || updates.length) {
+                this._changed(to);
+            }
             if (meta.count) {
                 return new Response(null, responseClones.length, responseClones.length, responseClones.length);
             } else {
@@ -228,6 +1230,7 @@ class MemoryEngine extends BaseEngine {
     /**
      * @override
      * @throws 404 Error when the requested resource is has not been stored in memory.
+     * @throws 409 Error when an updated object would violate a unique constraint of the resource.
      * @param {PutRequest} request - The PUT request to send to the storage engine.
      * @returns {Promise.<Response>} Returns the data objects from storage that were updated with the request criteria. This 
      * *__could potentially not__* exactly match the objects requested to be updated, as some may have been deleted from storage or
@@ -243,8 +1246,10 @@ class MemoryEngine extends BaseEngine {
         }
         //process
         if (meta.objects && meta.objects.length) {
-            let resource = this.data.get(to);
+            let resource = this._writable(to);
             let res = new Response();
+            let generate = this._generator(to, request);
+            let pending = new Map();
             for (let o of meta.objects) {
                 //find existing
                 let record = resource.filter(r => meta.pk.every(k => r[k] === o[k]));
@@ -252,11 +1257,21 @@ class MemoryEngine extends BaseEngine {
                     let values = meta.pk.map(k => o[k]);
                     throw new RESTError(409, `Multiple objects exist matching the specified primary keys ("${meta.pk.join('", "')}" with values "=${values.join('; =')}"). Only one to one matches are allowed.`);
                 } else if (record.length === 1) {
-                    //found a match, update and send in response...
-                    Object.assign(record[0], o); //update record with properties/values from o.
-                    res.data.push(Object.assign({}, record[0])); //store shallow clone in response so original is not affected.
+                    //found a match, stage the update and send in response...
+                    let next = generate(Object.assign(pending.get(record[0]) || Object.assign({}, record[0]), o), false);
+                    pending.set(record[0], next);
+                    res.data.push(Object.assign({}, next)); //store shallow clone in response so original is not affected.
                 }
             }
+            this._unique(to, this._constraints(to, request), Array.from(pending, ([target, next]) => ({ target, next })));
+            let updated = Array.from(pending.keys());
+            for (let [target, next] of pending) {
+                Object.assign(target, next); //update record with properties/values from the request.
+            }
+            if (res.data.length) {
+                this._indexUpdate(to, updated);
+                this._changed(to);
+            }
             //send response
             res.total = res.data.length;
             res.affected = res.data.length;
@@ -271,6 +1286,7 @@ class MemoryEngine extends BaseEngine {
     /**
      * @override
      * @throws 404 Error when the requested resource is has not been stored in memory.
+     * @throws 409 Error when an updated object would violate a unique constraint of the resource.
      * @param {PatchRequest} request - The PATCH request to send to the storage engine.
      * @returns {Promise.<Response>} Returns a response with the total number of the objects affected in storage. No
      * data objects are typically returned with this request.
@@ -284,12 +1300,20 @@ class MemoryEngine extends BaseEngine {
             throw new RESTError(404, `The requested resource "${meta.to}" was not found.`);
         }
         //find objects
-        let matches = this.data.get(to);
+        let matches = this._writable(to);
         if (meta.where && Filter.isEmpty(meta.where) === false) {
-            matches = matches.filter(v => meta.where.test(v));
+            matches = (this._plan(to, meta.where) || matches).filter(v => meta.where.test(v));
+        }
+        //validate & perform update
+        let generate = this._generator(to, request);
+        let nexts = matches.map(m => generate(Object.assign({}, m, meta.template), false));
+        let constraints = this._constraints(to, request).filter(c => c.some(p => Object.prototype.hasOwnProperty.call(meta.template ?? {}, p)));
+        this._unique(to, constraints, matches.map((m, i) => ({ target: m, next: nexts[i] })));
+        matches.forEach((m, i) => Object.assign(m, nexts[i]));
+        if (matches.length) {
+            this._indexUpdate(to, matches);
+            this._changed(to);
         }
-        //perform update
-        matches.map(m => Object.assign(m, meta.template));
         if (meta.count) {
             return new Response(null, matches.length, matches.length, matches.length);
         } else {
@@ -315,18 +1339,22 @@ class MemoryEngine extends BaseEngine {
             throw new RESTError(404, `The requested resource "${meta.from}" was not found.`);
         }
         //find objects
-        let matches = this.data.get(from);
+        let storage = this._writable(from);
+        let matches = storage;
         if (meta.where && Filter.isEmpty(meta.where) === false) {
-            matches = matches.filter(v => meta.where.test(v));
+            matches = (this._plan(from, meta.where) || matches).filter(v => meta.where.test(v));
         }
         //perform delete
-        let storage = this.data.get(from);
         for (let m of matches) {
             let index = storage.findIndex(v => v === m);
             if (index >= 0) {
                 storage.splice(index, 1);
             }
         }
+        if (matches.length) {
+            this._indexRemove(from, matches);
+            this._changed(from);
+        }
         if (meta.count) {
             return new Response(null, matches.length, matches.length, matches.length);
         } else {
@@ -335,6 +1363,45 @@ class MemoryEngine extends BaseEngine {
     }
 
     /**
+     * Infers the foreign-key `references` of a resource's property definitions by name. A property named after
+     * another stored resource followed by "ID" (such as "ThemeID", "Theme_ID", or "theme_id" for a "themes"
+     * resource) is considered to reference the "ID" property of that resource's objects.
+     * @param {String} resource - The name of the resource in memory.
+     * @param {Map.<String, Modeling.PropertyDefinition>} properties - The discovered property definitions of the
+     * resource, updated in place.
+     * @private
+     */
+    _references(resource, properties) {
+        let normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        for (let [k, def] of properties) {
+            let match = k.match(/^(.+?)[_-]?id$/i);
+            if (!match) {
+                continue;
+            }
+            let prefix = normalize(match[1]);
+            for (let [other, objects] of this.data) {
+                if (other === resource || (normalize(other) !== prefix && normalize(Strings.singular(other)) !== prefix)) {
+                    continue;
+                }
+                let target = null;
+                for (let o of objects) {
+                    target = (o ? Object.keys(o).find(ok => ok.toLowerCase() === 'id') : null);
+                    if (target) {
+                        break;
+                    }
+                }
+                if (target) {
+                    def.references = { resource: other, target };
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the model types of the requested resource (or all resources with "*"), discovering the property
+     * definitions from the stored objects. Foreign-key `references` of properties are inferred by name (see
+     * `_references`).
      * @override
      * @throws 404 Error when the requested resource is has not been stored in memory.
      * @param {OptionsRequest} request - The OPTIONS request to send to the storage engine.
@@ -377,6 +1444,7 @@ class MemoryEngine extends BaseEngine {
                     }
                 }
             }
+            this._references(from, properties);
             //generate model type and return
             let mt = ModelGenerator.generateModelType(from, properties, { resource: from });
             modelTypes.push(mt);
@@ -386,4 +1454,20 @@ class MemoryEngine extends BaseEngine {
 
 }
 
+/**
+ * @readonly
+ */
+MemoryEngine.GENERATOR = {
+    INCREMENT: 'increment',
+    UUID: 'uuid',
+    CREATED_AT: 'createdAt',
+    UPDATED_AT: 'updatedAt'
+};
+
+/**
+ * Array of supported property value generators.
+ * @type {Array.<String>}
+ */
+const GENERATORS = Object.keys(MemoryEngine.GENERATOR).map(k => MemoryEngine.GENERATOR[k]);
+
 export default MemoryEngine;
\ No newline at end of file
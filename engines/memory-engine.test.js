@@ -10,7 +10,10 @@ import Sort from '../sort.js';
 import Logger from '../logger.js';
 import Response from '../response.js';
 import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import MemoryEngine from './memory-engine.js';
+import ThemeModel from '../test/models/theme-model.js';
 
 const samples = {
     products: null,
@@ -58,6 +61,254 @@ describe('#configure', () => {
         expect(engine.config.caseSensitive).toBe(true);
         delete process.env.STASHKU_MEMORY_CASE_SENSITIVE;
     });
+    it('sets default persist properties with persistence disabled.', () => {
+        let engine = new MemoryEngine();
+        expect(engine.configure()).toBeUndefined();
+        expect(engine.config.persist).toEqual({ path: null, format: 'json', debounce: 250 });
+    });
+    it('sets the persist properties from the environmental variables.', async () => {
+        let engine = new MemoryEngine();
+        process.env.STASHKU_MEMORY_PERSIST_PATH = path.join(os.tmpdir(), 'stashku-memory-does-not-exist');
+        process.env.STASHKU_MEMORY_PERSIST_FORMAT = 'ndjson';
+        process.env.STASHKU_MEMORY_PERSIST_DEBOUNCE = '0';
+        await engine.configure();
+        expect(engine.config.persist.path).toBe(process.env.STASHKU_MEMORY_PERSIST_PATH);
+        expect(engine.config.persist.format).toBe('ndjson');
+        expect(engine.config.persist.debounce).toBe(0);
+        delete process.env.STASHKU_MEMORY_PERSIST_PATH;
+        delete process.env.STASHKU_MEMORY_PERSIST_FORMAT;
+        delete process.env.STASHKU_MEMORY_PERSIST_DEBOUNCE;
+    });
+    it('throws when the persist format is not supported.', () => {
+        let engine = new MemoryEngine();
+        expect(() => engine.configure({ persist: { format: 'xml' } })).toThrow(/persist\.format/);
+    });
+    it('declares the configured indexes.', () => {
+        let engine = new MemoryEngine();
+        engine.configure({ indexes: { Themes: ['ID', { property: 'Name', type: 'sorted' }] } });
+        let indexes = engine._indexes.get('themes').indexes;
+        expect(indexes.get('ID').type).toBe('hash');
+        expect(indexes.get('Name').type).toBe('sorted');
+    });
+    it('throws when a unique constraint is not valid.', () => {
+        let engine = new MemoryEngine();
+        expect(() => engine.configure({ unique: { themes: 'ID' } })).toThrow(/unique/);
+        expect(() => engine.configure({ unique: { themes: [[]] } })).toThrow(/unique/);
+        expect(() => engine.configure({ unique: { themes: [123] } })).toThrow(/unique/);
+    });
+    it('throws when a generator is not supported.', () => {
+        let engine = new MemoryEngine();
+        expect(() => engine.configure({ generators: { themes: { ID: 'random' } } })).toThrow(/generators/);
+    });
+});
+
+describe('#load', () => {
+    let dirPath = null;
+    beforeEach(async () => {
+        dirPath = await fs.mkdtemp(path.join(os.tmpdir(), 'stashku-memory-'));
+    });
+    afterEach(async () => {
+        await fs.rm(dirPath, { recursive: true, force: true });
+    });
+    it('loads JSON and NDJSON resource files on configure.', async () => {
+        await fs.writeFile(path.join(dirPath, 'Themes.json'), JSON.stringify([{ ID: 1 }, { ID: 2 }]));
+        await fs.writeFile(path.join(dirPath, 'products.ndjson'), '{"ID":1}\n\n{"ID":2}\n{"ID":3}\n');
+        await fs.writeFile(path.join(dirPath, 'readme.txt'), 'ignored');
+        let engine = new MemoryEngine();
+        await engine.configure({ persist: { path: dirPath } });
+        expect(Array.from(engine.data.keys()).sort()).toEqual(['products', 'themes']);
+        expect(engine.data.get('themes')).toEqual([{ ID: 1 }, { ID: 2 }]);
+        expect(engine.data.get('products')).toEqual([{ ID: 1 }, { ID: 2 }, { ID: 3 }]);
+    });
+    it('loads nothing when the directory does not exist.', async () => {
+        let engine = new MemoryEngine();
+        await engine.configure({ persist: { path: path.join(dirPath, 'nope') } });
+        expect(engine.data.size).toBe(0);
+    });
+    it('throws when a resource file does not contain an array.', async () => {
+        await fs.writeFile(path.join(dirPath, 'themes.json'), '{"ID":1}');
+        let engine = new MemoryEngine();
+        await expect(engine.configure({ persist: { path: dirPath } })).rejects.toThrow(/must contain an array/);
+    });
+    it('throws when a resource file cannot be parsed.', async () => {
+        await fs.writeFile(path.join(dirPath, 'themes.ndjson'), '{"ID":1}\n{ID:2}');
+        let engine = new MemoryEngine();
+        await expect(engine.configure({ persist: { path: dirPath } })).rejects.toThrow(/Failed to parse/);
+    });
+});
+
+describe('#flush', () => {
+    let dirPath = null;
+    beforeEach(async () => {
+        dirPath = await fs.mkdtemp(path.join(os.tmpdir(), 'stashku-memory-'));
+    });
+    afterEach(async () => {
+        await fs.rm(dirPath, { recursive: true, force: true });
+    });
+    it('does nothing when persistence is not configured.', async () => {
+        let engine = new MemoryEngine();
+        engine.configure();
+        await engine.post(new PostRequest().to('themes').objects({ ID: 1 }));
+        await expect(engine.flush()).resolves.toBeUndefined();
+    });
+    it('writes changed resources back to the file they were loaded from.', async () => {
+        await fs.writeFile(path.join(dirPath, 'themes.ndjson'), '{"ID":1,"Name":"a"}\n{"ID":2,"Name":"b"}\n');
+        let engine = new MemoryEngine();
+        await engine.configure({ persist: { path: dirPath, debounce: 10000 } });
+        await engine.post(new PostRequest().to('themes').objects({ ID: 3, Name: 'c' }));
+        await engine.put(new PutRequest().to('themes').pk('ID').objects({ ID: 1, Name: 'z' }));
+        await engine.patch(new PatchRequest().to('themes').template({ Name: 'y' }).where(f => f.and('ID', f.OP.EQUALS, 2)));
+        await engine.delete(new DeleteRequest().from('themes').where(f => f.and('ID', f.OP.EQUALS, 3)));
+        await engine.flush();
+        let content = await fs.readFile(path.join(dirPath, 'themes.ndjson'), 'utf8');
+        expect(content).toBe('{"ID":1,"Name":"z"}\n{"ID":2,"Name":"y"}\n');
+        expect((await fs.readdir(dirPath)).filter(f => f.endsWith('.tmp')).length).toBe(0);
+    });
+    it('writes new resources using the configured format.', async () => {
+        let engine = new MemoryEngine();
+        await engine.configure({ persist: { path: path.join(dirPath, 'sub'), debounce: 10000 } });
+        await engine.post(new PostRequest().to('Themes').objects({ ID: 1 }, { ID: 2 }));
+        await engine.flush();
+        let content = JSON.parse(await fs.readFile(path.join(dirPath, 'sub', 'themes.json'), 'utf8'));
+        expect(content).toEqual([{ ID: 1 }, { ID: 2 }]);
+        //round-trip
+        let engine2 = new MemoryEngine();
+        await engine2.configure({ persist: { path: path.join(dirPath, 'sub') } });
+        expect(engine2.data.get('themes')).toEqual([{ ID: 1 }, { ID: 2 }]);
+    });
+    it('writes pending changes automatically after the debounce delay.', async () => {
+        let engine = new MemoryEngine();
+        await engine.configure({ persist: { path: dirPath, debounce: 5 } });
+        await engine.post(new PostRequest().to('themes').objects({ ID: 1 }));
+        await new Promise(r => setTimeout(r, 50));
+        await engine.flush(); //awaits any in-flight write
+        let content = JSON.parse(await fs.readFile(path.join(dirPath, 'themes.json'), 'utf8'));
+        expect(content).toEqual([{ ID: 1 }]);
+    });
+});
+
+describe('#destroy', () => {
+    it('flushes pending changes to file.', async () => {
+        let dirPath = await fs.mkdtemp(path.join(os.tmpdir(), 'stashku-memory-'));
+        let engine = new MemoryEngine();
+        await engine.configure({ persist: { path: dirPath, debounce: 10000 } });
+        await engine.post(new PostRequest().to('themes').objects({ ID: 1 }));
+        await engine.destroy();
+        let content = JSON.parse(await fs.readFile(path.join(dirPath, 'themes.json'), 'utf8'));
+        expect(content).toEqual([{ ID: 1 }]);
+        await fs.rm(dirPath, { recursive: true, force: true });
+    });
+});
+
+describe('#begin', () => {
+    it('returns a transaction-scoped memory engine sharing the stored resources.', async () => {
+        let memory = new MemoryEngine();
+        await memory.configure({ indexes: { themes: ['ID'] }, persist: { path: path.join(os.tmpdir(), 'stashku-memory-does-not-exist') } });
+        memory.data.set('themes', samples.themes);
+        let tx = await memory.begin();
+        expect(tx).toBeInstanceOf(MemoryEngine);
+        expect(tx.data.get('themes')).toBe(memory.data.get('themes'));
+        expect(tx.config.persist.path).toBeNull();
+        expect(tx._indexes.get('themes').indexes.get('ID').type).toBe('hash');
+    });
+    it('copies a resource on the first change within the transaction.', async () => {
+        let memory = new MemoryEngine();
+        memory.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let original = memory.data.get('themes');
+        let tx = await memory.begin();
+        await tx.patch(new PatchRequest().to('themes').template({ Name: 'Changed' }).where(f => f.and('ID', Filter.OP.EQUALS, 1)));
+        expect(tx.data.get('themes')).not.toBe(original);
+        expect(memory.data.get('themes')).toBe(original);
+        expect(original[0].Name).toBe(samples.themes[0].Name);
+        expect(tx.data.get('themes')[0].Name).toBe('Changed');
+    });
+});
+
+describe('#commit', () => {
+    it('applies the changes made within the transaction.', async () => {
+        let memory = new MemoryEngine();
+        memory.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let tx = await memory.begin();
+        await tx.post(new PostRequest().to('colors').objects({ ID: 1, Name: 'Red' }));
+        await tx.delete(new DeleteRequest().from('themes').where(f => f.and('ID', Filter.OP.LESSTHANOREQUAL, 10)));
+        await memory.commit(tx);
+        expect(memory.data.get('colors')).toEqual([{ ID: 1, Name: 'Red' }]);
+        expect(memory.data.get('themes').length).toBe(90);
+    });
+    it('writes committed changes to file when persistence is configured.', async () => {
+        let dirPath = await fs.mkdtemp(path.join(os.tmpdir(), 'stashku-memory-'));
+        let memory = new MemoryEngine();
+        await memory.configure({ persist: { path: dirPath, debounce: 10000 } });
+        let tx = await memory.begin();
+        await tx.post(new PostRequest().to('colors').objects({ ID: 1, Name: 'Red' }));
+        await tx.destroy();
+        await expect(fs.readdir(dirPath)).resolves.toEqual([]);
+        await memory.commit(tx);
+        await memory.flush();
+        await expect(fs.readdir(dirPath)).resolves.toEqual(['colors.json']);
+        await fs.rm(dirPath, { recursive: true, force: true });
+    });
+    it('throws a 409 error when a changed resource was changed outside of the transaction.', async () => {
+        let memory = new MemoryEngine();
+        memory.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        memory.data.set('colors', []);
+        let tx = await memory.begin();
+        await tx.patch(new PatchRequest().to('themes').template({ Name: 'Inside' }).where(f => f.and('ID', Filter.OP.EQUALS, 1)));
+        await memory.patch(new PatchRequest().to('themes').template({ Name: 'Outside' }).where(f => f.and('ID', Filter.OP.EQUALS, 2)));
+        await expect(memory.commit(tx)).rejects.toMatchObject({ code: 409, message: expect.stringMatching(/themes/) });
+        expect(memory.data.get('themes')[0].Name).toBe(samples.themes[0].Name);
+        expect(memory.data.get('themes')[1].Name).toBe('Outside');
+        await memory.rollback(tx);
+        //resources replaced outside of the transaction also conflict.
+        tx = await memory.begin();
+        await tx.post(new PostRequest().to('colors').objects({ ID: 1, Name: 'Red' }));
+        memory.data.set('colors', [{ ID: 2, Name: 'Blue' }]);
+        await expect(memory.commit(tx)).rejects.toMatchObject({ code: 409 });
+        await memory.rollback(tx);
+        expect(memory.data.get('colors')).toEqual([{ ID: 2, Name: 'Blue' }]);
+    });
+    it('commits when only other resources were changed outside of the transaction.', async () => {
+        let memory = new MemoryEngine();
+        memory.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let tx = await memory.begin();
+        await tx.post(new PostRequest().to('colors').objects({ ID: 1, Name: 'Red' }));
+        await memory.patch(new PatchRequest().to('themes').template({ Name: 'Outside' }).where(f => f.and('ID', Filter.OP.EQUALS, 2)));
+        await memory.commit(tx);
+        expect(memory.data.get('colors')).toEqual([{ ID: 1, Name: 'Red' }]);
+        expect(memory.data.get('themes')[1].Name).toBe('Outside');
+    });
+    it('commits when writes outside of the transaction did not change the resource.', async () => {
+        let memory = new MemoryEngine();
+        memory.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let tx = await memory.begin();
+        await tx.patch(new PatchRequest().to('themes').template({ Name: 'Inside' }).where(f => f.and('ID', Filter.OP.EQUALS, 1)));
+        await memory.patch(new PatchRequest().to('themes').template({ Name: 'Outside' }).where(f => f.and('ID', Filter.OP.EQUALS, -1)));
+        await memory.delete(new DeleteRequest().from('themes').where(f => f.and('ID', Filter.OP.EQUALS, -1)));
+        await memory.commit(tx);
+        expect(memory.data.get('themes')[0].Name).toBe('Inside');
+    });
+    it('throws when the transaction was not started on the engine or already completed.', async () => {
+        let memory = new MemoryEngine();
+        let other = new MemoryEngine();
+        let tx = await other.begin();
+        await expect(memory.commit(tx)).rejects.toThrow(/started on this engine/);
+        await expect(memory.commit(null)).rejects.toThrow(/started on this engine/);
+        await other.commit(tx);
+        await expect(other.commit(tx)).rejects.toThrow(/already been committed/);
+        await expect(other.rollback(tx)).rejects.toThrow(/already been committed/);
+    });
+});
+
+describe('#rollback', () => {
+    it('discards the changes made within the transaction.', async () => {
+        let memory = new MemoryEngine();
+        memory.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let tx = await memory.begin();
+        await tx.put(new PutRequest().to('themes').pk('ID').objects({ ID: 1, Name: 'Changed' }));
+        await memory.rollback(tx);
+        expect(memory.data.get('themes')[0].Name).toBe(samples.themes[0].Name);
+        expect(tx.data.size).toBe(0);
+    });
 });
 
 describe('#resources', () => {
@@ -115,6 +366,132 @@ describe('#resourceOf', () => {
     });
 });
 
+describe('#index', () => {
+    it('declares hash indexes on the primary keys of a model type.', () => {
+        let engine = new MemoryEngine();
+        engine.configure();
+        expect(engine.index(ThemeModel)).toBe(engine);
+        let indexes = engine._indexes.get('themes').indexes;
+        expect(Array.from(indexes.keys())).toEqual(['ID']);
+        expect(indexes.get('ID').type).toBe('hash');
+    });
+    it('declares indexes by resource name with case-sensitivity.', () => {
+        let engine = new MemoryEngine();
+        engine.configure({ caseSensitive: true });
+        engine.index('Themes', 'Name', { property: 'ID', type: 'sorted' });
+        expect(engine._indexes.has('themes')).toBe(false);
+        expect(Array.from(engine._indexes.get('Themes').indexes.keys())).toEqual(['Name', 'ID']);
+    });
+    it('throws on an invalid resource or index definition.', () => {
+        let engine = new MemoryEngine();
+        expect(() => engine.index(null, 'ID')).toThrow(/resourceOrModelType/);
+        expect(() => engine.index('themes', { type: 'hash' })).toThrow(/property/);
+        expect(() => engine.index('themes', { property: 'ID', type: 'bad' })).toThrow(/type/);
+    });
+});
+
+describe('#_plan', () => {
+    let memory = null;
+    beforeEach(() => {
+        memory = new MemoryEngine();
+        memory.configure({ indexes: { products: ['ID', { property: 'Name', type: 'sorted' }, { property: 'Price', type: 'sorted' }] } });
+        memory.data.set('products', samples.products.map(p => Object.assign({}, p)));
+        memory.data.set('themes', samples.themes.map(p => Object.assign({}, p)));
+    });
+    it('returns null when the resource has no indexes.', () => {
+        expect(memory._plan('themes', new Filter().and('ID', Filter.OP.EQUALS, 3))).toBeNull();
+    });
+    it('returns null when no indexed property is filtered.', () => {
+        expect(memory._plan('products', new Filter().and('Cost', Filter.OP.EQUALS, 3))).toBeNull();
+        expect(memory._plan('products', new Filter().and('ID', Filter.OP.NOTEQUALS, 3))).toBeNull();
+    });
+    it('returns null when top-level conditions are "or"ed.', () => {
+        expect(memory._plan('products', new Filter()
+            .or('ID', Filter.OP.EQUALS, 3)
+            .or('ID', Filter.OP.EQUALS, 4)
+        )).toBeNull();
+    });
+    it('returns the candidates of the most selective index in storage order.', () => {
+        let products = memory.data.get('products');
+        let candidates = memory._plan('products', new Filter()
+            .and('Price', Filter.OP.GREATERTHANOREQUAL, 0)
+            .and('ID', Filter.OP.IN, [10, 3, 7])
+        );
+        expect(candidates).toEqual([3, 7, 10].map(id => products.find(p => p.ID === id)));
+    });
+    it('combines range conditions on the same sorted index.', () => {
+        let candidates = memory._plan('products', new Filter()
+            .and('Price', Filter.OP.GREATERTHAN, 10)
+            .and('Price', Filter.OP.LESSTHANOREQUAL, 20)
+        );
+        let expected = memory.data.get('products').filter(p => p.Price > 10 && p.Price <= 20);
+        expect(candidates).toEqual(expected);
+    });
+    it('uses conditions in nested "and" groups.', () => {
+        let f = new Filter().and('Cost', Filter.OP.GREATERTHAN, 1).and(new Filter().and('ID', Filter.OP.EQUALS, 5));
+        expect(memory._plan('products', f).map(p => p.ID)).toEqual([5]);
+    });
+    it('rebuilds indexes when the resource data is replaced.', () => {
+        let f = new Filter().and('ID', Filter.OP.EQUALS, 5);
+        expect(memory._plan('products', f).length).toBe(1);
+        memory.data.set('products', [{ ID: 5 }, { ID: 5 }]);
+        expect(memory._plan('products', f).length).toBe(2);
+    });
+});
+
+describe('indexed requests', () => {
+    let indexed = null;
+    let scanned = null;
+    beforeEach(() => {
+        indexed = new MemoryEngine();
+        indexed.configure({ indexes: { products: ['ID', { property: 'Name', type: 'sorted' }, { property: 'Price', type: 'sorted' }] } });
+        scanned = new MemoryEngine();
+        scanned.configure();
+        for (let engine of [indexed, scanned]) {
+            engine.data.set('products', samples.products.map(p => Object.assign({}, p)));
+        }
+    });
+    const filters = () => [
+        new Filter().and('ID', Filter.OP.EQUALS, 42),
+        new Filter().and('ID', Filter.OP.IN, [1, 2, 3, 500]).and('Price', Filter.OP.GREATERTHAN, 10),
+        new Filter().and('Price', Filter.OP.GREATERTHANOREQUAL, 10).and('Price', Filter.OP.LESSTHAN, 12),
+        new Filter().and('Name', Filter.OP.STARTSWITH, 'S'),
+        new Filter().and('Name', Filter.OP.STARTSWITH, 'S').or('ID', Filter.OP.EQUALS, 1)
+    ];
+    it('returns the same GET results as a scan.', async () => {
+        for (let f of filters()) {
+            let expected = await scanned.get(new GetRequest().from('products').where(f));
+            let actual = await indexed.get(new GetRequest().from('products').where(f));
+            expect(actual).toEqual(expected);
+        }
+    });
+    it('keeps indexes up to date through POST, PUT, PATCH, and DELETE requests.', async () => {
+        for (let engine of [indexed, scanned]) {
+            await engine.get(new GetRequest().from('products').where(f => f.and('ID', Filter.OP.EQUALS, 1)));
+            await engine.post(new PostRequest().to('products').objects({ ID: 5000, Name: 'Sample', Price: 11 }));
+            await engine.put(new PutRequest().to('products').pk('ID').objects({ ID: 42, Name: 'Squash', Price: 10.5 }));
+            await engine.patch(new PatchRequest().to('products').template({ ID: 6000 }).where(f => f.and('ID', Filter.OP.EQUALS, 3)));
+            await engine.delete(new DeleteRequest().from('products').where(f => f.and('ID', Filter.OP.IN, [1, 2])));
+        }
+        for (let f of filters().concat(new Filter().and('ID', Filter.OP.IN, [3, 5000, 6000]))) {
+            let expected = await scanned.get(new GetRequest().from('products').where(f));
+            let actual = await indexed.get(new GetRequest().from('products').where(f));
+            expect(actual).toEqual(expected);
+        }
+    });
+    it('returns the same PATCH and DELETE results as a scan.', async () => {
+        for (let f of filters()) {
+            let expected = await scanned.patch(new PatchRequest().to('products').template({ Cost: 1 }).where(f));
+            let actual = await indexed.patch(new PatchRequest().to('products').template({ Cost: 1 }).where(f));
+            expect(actual).toEqual(expected);
+            expected = await scanned.delete(new DeleteRequest().from('products').where(f));
+            actual = await indexed.delete(new DeleteRequest().from('products').where(f));
+            expect(actual).toEqual(expected);
+        }
+        expect(indexed.data.get('products')).toEqual(scanned.data.get('products'));
+    });
+});
+
 describe('#get', () => {
     //create pre-populated engine
     let memory = new MemoryEngine();
@@ -237,6 +614,74 @@ describe('#get', () => {
             expect(o.Hex_Code).not.toBeUndefined();
         }
     });
+    it('returns grouped results with aggregates.', async () => {
+        let data = [
+            { Category: 'A', Price: 10, Name: 'x' },
+            { Category: 'B', Price: 5, Name: 'y' },
+            { Category: 'A', Price: 20, Name: 'z' },
+            { Category: 'B', Price: null, Name: 'w' },
+            { Category: 'C', Price: 1, Name: 'v' }
+        ];
+        let engine = new MemoryEngine();
+        engine.data.set('items', data);
+        let results = await engine.get(new GetRequest()
+            .from('items')
+            .properties('Category', 'Name')
+            .groupBy('Category')
+            .sum('Price')
+            .avg('Price')
+            .min('Name')
+            .max('Price')
+            .aggregate('count', '*')
+            .aggregate('count', 'Price', 'priced')
+            .sort(Sort.desc('Category'))
+        );
+        expect(results.total).toBe(3);
+        expect(results.data).toEqual([
+            { Category: 'C', sum_Price: 1, avg_Price: 1, min_Name: 'v', max_Price: 1, count: 1, priced: 1 },
+            { Category: 'B', sum_Price: 5, avg_Price: 5, min_Name: 'w', max_Price: 5, count: 2, priced: 1 },
+            { Category: 'A', sum_Price: 30, avg_Price: 15, min_Name: 'x', max_Price: 20, count: 2, priced: 2 }
+        ]);
+    });
+    it('aggregates all matching objects when not grouped.', async () => {
+        let results = await memory.get(new GetRequest()
+            .from('themes')
+            .where(f => f.and('ID', Filter.OP.LESSTHANOREQUAL, 10))
+            .aggregate('count', '*')
+            .sum('ID')
+        );
+        expect(results.data).toEqual([{ count: 10, sum_ID: 55 }]);
+        results = await memory.get(new GetRequest()
+            .from('themes')
+            .where(f => f.and('ID', Filter.OP.LESSTHAN, 0))
+            .aggregate('count', '*')
+            .sum('ID')
+        );
+        expect(results.data).toEqual([{ count: 0, sum_ID: null }]);
+    });
+    it('filters grouped results with having conditions and pages them.', async () => {
+        let engine = new MemoryEngine();
+        engine.data.set('items', [1, 2, 2, 3, 3, 3, 4, 4, 4, 4].map(n => ({ N: n })));
+        let results = await engine.get(new GetRequest()
+            .from('items')
+            .groupBy('N')
+            .aggregate('count', '*', 'Total')
+            .having(f => f.and('Total', Filter.OP.GREATERTHANOREQUAL, 2))
+            .sort(Sort.desc('Total'))
+            .take(2)
+        );
+        expect(results.total).toBe(3);
+        expect(results.returned).toBe(2);
+        expect(results.data).toEqual([{ N: 4, Total: 4 }, { N: 3, Total: 3 }]);
+        results = await engine.get(new GetRequest()
+            .from('items')
+            .groupBy('N')
+            .having(f => f.and('N', Filter.OP.GREATERTHAN, 1))
+            .count()
+        );
+        expect(results.total).toBe(3);
+        expect(results.data.length).toBe(0);
+    });
     it('responds with property values derrived from a defined model.', async () => {
         class Theme {
             static get ID() { return 'ID'; }
@@ -273,6 +718,91 @@ describe('#get', () => {
     });
 });
 
+describe('#get (cursors)', () => {
+    let memory = new MemoryEngine();
+    beforeAll(() => {
+        memory.data.set('themes', samples.themes);
+        memory.data.set('events', [
+            { ID: 1, Name: 'Ä', At: new Date(2020, 0, 3) },
+            { ID: 2, Name: 'B', At: new Date(2020, 0, 1) },
+            { ID: 3, Name: 'C', At: new Date(2020, 0, 2) }
+        ]);
+    });
+    it('returns a cursor when there are more objects to page through.', async () => {
+        let res = await memory.get(new GetRequest().from('themes').sort('ID').take(10));
+        expect(typeof res.cursor).toBe('string');
+        expect(res.cursor).toMatch(/^[\w-]+$/);
+        res = await memory.get(new GetRequest().from('themes').sort('ID').take(100));
+        expect(res.cursor).toBeNull();
+        res = await memory.get(new GetRequest().from('themes').take(10));
+        expect(res.cursor).toBeNull();
+    });
+    it('pages forward through all objects with "after" cursors.', async () => {
+        let ids = [];
+        let cursor = null;
+        do {
+            let res = await memory.get(new GetRequest().from('themes').sort('{Name} DESC', 'ID').take(30).after(cursor));
+            expect(res.total).toBe(100);
+            ids.push(...res.data.map(t => t.ID));
+            cursor = res.cursor;
+        } while (cursor);
+        let expected = samples.themes
+            .slice()
+            .sort((a, b) => (a.Name < b.Name ? 1 : a.Name > b.Name ? -1 : a.ID - b.ID))
+            .map(t => t.ID);
+        expect(ids).toEqual(expected);
+    });
+    it('encodes and decodes cursors without the global "btoa" and "atob" functions.', async () => {
+        let globals = { btoa: global.btoa, atob: global.atob };
+        let expected = await memory.get(new GetRequest().from('events').sort('{Name} DESC').take(1));
+        try {
+            delete global.btoa;
+            delete global.atob;
+            let res = await memory.get(new GetRequest().from('events').sort('{Name} DESC').take(1));
+            expect(res.cursor).toBe(expected.cursor);
+            res = await memory.get(new GetRequest().from('events').sort('{Name} DESC').take(1).after(res.cursor));
+            expect(res.data.map(e => e.ID)).toEqual([3]);
+        } finally {
+            Object.assign(global, globals);
+        }
+    });
+    it('pages backward with "before" cursors, keeping the sort order.', async () => {
+        let res = await memory.get(new GetRequest().from('themes').sort('ID').take(50));
+        let page = await memory.get(new GetRequest().from('themes').sort('ID').before(
+            (await memory.get(new GetRequest().from('themes').sort('ID').skip(49).take(1))).cursor
+        ).take(10));
+        expect(page.data.map(t => t.ID)).toEqual(res.data.slice(39, 49).map(t => t.ID));
+        expect(typeof page.cursor).toBe('string');
+        let prior = await memory.get(new GetRequest().from('themes').sort('ID').before(page.cursor).take(10));
+        expect(prior.data.map(t => t.ID)).toEqual(res.data.slice(29, 39).map(t => t.ID));
+    });
+    it('does not drift when objects are added while paging.', async () => {
+        let data = [1, 2, 3, 4].map(ID => ({ ID }));
+        memory.data.set('drift', data);
+        let first = await memory.get(new GetRequest().from('drift').sort('ID').take(2));
+        data.unshift({ ID: 0 });
+        let second = await memory.get(new GetRequest().from('drift').sort('ID').take(2).after(first.cursor));
+        expect(second.data.map(d => d.ID)).toEqual([3, 4]);
+        expect(second.cursor).toBeNull();
+    });
+    it('supports date and unicode sort values in cursors.', async () => {
+        let first = await memory.get(new GetRequest().from('events').sort('At').take(1));
+        let next = await memory.get(new GetRequest().from('events').sort('At').take(1).after(first.cursor));
+        expect(next.data[0].ID).toBe(3);
+        first = await memory.get(new GetRequest().from('events').sort('{Name} DESC').take(1));
+        next = await memory.get(new GetRequest().from('events').sort('{Name} DESC').take(1).after(first.cursor));
+        expect(next.data[0].Name).toBe('C');
+    });
+    it('throws a 400 error when a cursor is used without sorts.', async () => {
+        await expect(memory.get(new GetRequest().from('themes').after('abc'))).rejects.toThrow(/sorts/);
+    });
+    it('throws a 400 error on a malformed or mismatched cursor.', async () => {
+        await expect(memory.get(new GetRequest().from('themes').sort('ID').after('%%%'))).rejects.toThrow(/malformed/);
+        let res = await memory.get(new GetRequest().from('themes').sort('ID', 'Name').take(1));
+        await expect(memory.get(new GetRequest().from('themes').sort('ID').after(res.cursor))).rejects.toThrow(/sorts/);
+    });
+});
+
 describe('#post', () => {
     it('throws a 400 error the configured limit would be exceeded.', async () => {
         let mem = new MemoryEngine();
@@ -363,6 +893,198 @@ describe('#post', () => {
     });
 });
 
+describe('#post (conflicts)', () => {
+    let mem = null;
+    beforeEach(() => {
+        mem = new MemoryEngine();
+        mem.data.set('things', [{ ID: 1, Name: 'a' }, { ID: 2, Name: 'b' }]);
+    });
+    it('throws a 400 error when a conflict mode has no primary keys.', async () => {
+        await expect(mem.post(new PostRequest().to('things').upsert().objects({ ID: 1 }))).rejects.toThrow(/pk/);
+    });
+    it('throws a 409 error with the conflicting key values under the "error" mode.', async () => {
+        expect.assertions(4);
+        try {
+            await mem.post(new PostRequest().to('things').onConflict('error', 'ID').objects({ ID: 3 }, { ID: 2, Name: 'x' }));
+        } catch (err) {
+            expect(err.code).toBe(409);
+            expect(err.data).toEqual({ ID: 2 });
+        }
+        expect(mem.data.get('things').length).toBe(2);
+        expect(mem.data.get('things')[1].Name).toBe('b');
+    });
+    it('skips conflicting objects under the "ignore" mode.', async () => {
+        let res = await mem.post(new PostRequest().to('things').onConflict('ignore', 'ID').objects({ ID: 2, Name: 'x' }, { ID: 3, Name: 'c' }));
+        expect(res.data).toEqual([{ ID: 3, Name: 'c' }]);
+        expect(res.affected).toBe(1);
+        expect(mem.data.get('things')).toEqual([{ ID: 1, Name: 'a' }, { ID: 2, Name: 'b' }, { ID: 3, Name: 'c' }]);
+    });
+    it('updates conflicting objects under the "update" mode.', async () => {
+        let res = await mem.post(new PostRequest().to('things').upsert('ID').objects(
+            { ID: 2, Name: 'x' },
+            { ID: 3, Name: 'c' },
+            { ID: 3, Name: 'd' }
+        ));
+        expect(res.data).toEqual([{ ID: 2, Name: 'x' }, { ID: 3, Name: 'c' }, { ID: 3, Name: 'd' }]);
+        expect(res.affected).toBe(3);
+        expect(mem.data.get('things')).toEqual([{ ID: 1, Name: 'a' }, { ID: 2, Name: 'x' }, { ID: 3, Name: 'd' }]);
+    });
+    it('keeps indexes in sync with upserted objects.', async () => {
+        mem.index('things', 'Name');
+        await mem.post(new PostRequest().to('things').upsert('ID').objects({ ID: 2, Name: 'x' }, { ID: 3, Name: 'y' }));
+        let res = await mem.get(new GetRequest().from('things').where(f => f.or('Name', f.OP.EQUALS, 'x').or('Name', f.OP.EQUALS, 'b')));
+        expect(res.data).toEqual([{ ID: 2, Name: 'x' }]);
+        res = await mem.get(new GetRequest().from('things').where(f => f.and('Name', f.OP.EQUALS, 'y')));
+        expect(res.data).toEqual([{ ID: 3, Name: 'y' }]);
+    });
+});
+
+describe('generators', () => {
+    let mem = null;
+    beforeEach(() => {
+        mem = new MemoryEngine();
+        mem.configure({
+            generators: {
+                Things: {
+                    ID: MemoryEngine.GENERATOR.INCREMENT,
+                    Key: MemoryEngine.GENERATOR.UUID,
+                    Created: MemoryEngine.GENERATOR.CREATED_AT,
+                    Updated: MemoryEngine.GENERATOR.UPDATED_AT
+                }
+            }
+        });
+        mem.data.set('things', [{ ID: 5, Name: 'a' }]);
+    });
+    it('generates missing values of created objects and returns them in the response.', async () => {
+        let res = await mem.post(new PostRequest().to('things').objects({ Name: 'b' }, { ID: 9, Name: 'c' }, { Name: 'd' }));
+        expect(res.data.map(d => d.ID)).toEqual([10, 9, 11]);
+        for (let d of res.data) {
+            expect(d.Key).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            expect(d.Created).toBeInstanceOf(Date);
+            expect(d.Updated).toBeInstanceOf(Date);
+        }
+        expect(new Set(res.data.map(d => d.Key)).size).toBe(3);
+        expect(mem.data.get('things').slice(1)).toEqual(res.data);
+    });
+    it('does not replace given values of created objects.', async () => {
+        let created = new Date(2020, 1, 1);
+        let res = await mem.post(new PostRequest().to('things').objects({ ID: 1, Key: 'abc', Created: created }));
+        expect(res.data[0].ID).toBe(1);
+        expect(res.data[0].Key).toBe('abc');
+        expect(res.data[0].Created).toBe(created);
+    });
+    it('only generates "updatedAt" values when objects are updated.', async () => {
+        let updated = new Date(2020, 1, 1);
+        mem.data.set('things', [{ ID: 5, Name: 'a', Updated: updated }]);
+        let res = await mem.put(new PutRequest().to('things').pk('ID').objects({ ID: 5, Name: 'b' }));
+        expect(res.data[0].Updated.getTime()).toBeGreaterThan(updated.getTime());
+        expect(res.data[0].Key).toBeUndefined();
+        mem.data.get('things')[0].Updated = updated;
+        res = await mem.patch(new PatchRequest().to('things').template({ Name: 'c' }).where(f => f.and('ID', f.OP.EQUALS, 5)));
+        expect(res.data[0].Updated.getTime()).toBeGreaterThan(updated.getTime());
+        expect(mem.data.get('things')[0].Name).toBe('c');
+        mem.data.get('things')[0].Updated = updated;
+        res = await mem.post(new PostRequest().to('things').upsert('ID').objects({ ID: 5, Name: 'd' }, { Name: 'e' }));
+        expect(res.data[0].Updated.getTime()).toBeGreaterThan(updated.getTime());
+        expect(res.data[1].ID).toBe(6);
+    });
+    it('applies generated and default values from the request "model" header.', async () => {
+        class ThingModel {
+            static get ID() {
+                return { target: 'ID', pk: true, generated: 'increment' };
+            }
+            static get Name() {
+                return { target: 'Name', default: 'unnamed' };
+            }
+            static get $stashku() {
+                return { resource: 'widgets' };
+            }
+        }
+        let engine = new MemoryEngine();
+        engine.configure();
+        let res = await engine.post(new PostRequest().model(ThingModel, false, true).objects({ Name: 'a' }, {}));
+        expect(res.data).toEqual([{ ID: 1, Name: 'a' }, { ID: 2, Name: 'unnamed' }]);
+    });
+    it('throws a 500 error when a "model" header generated value is not supported.', async () => {
+        let req = new PostRequest().to('things').objects({}).headers({ model: { generated: { ID: 'random' } } });
+        await expect(mem.post(req)).rejects.toThrow(/random/);
+    });
+});
+
+describe('unique constraints', () => {
+    let mem = null;
+    beforeEach(() => {
+        mem = new MemoryEngine();
+        mem.configure({ unique: { Things: ['ID', ['First', 'Last']] } });
+        mem.data.set('things', [
+            { ID: 1, First: 'Ada', Last: 'Lovelace' },
+            { ID: 2, First: 'Alan', Last: 'Turing' }
+        ]);
+    });
+    const conflict = async (promise) => {
+        try {
+            await promise;
+        } catch (err) {
+            return err;
+        }
+        return null;
+    };
+    it('throws a 409 error with the conflicting key values on POST.', async () => {
+        let err = await conflict(mem.post(new PostRequest().to('things').objects({ ID: 3, First: 'Grace' }, { ID: 1 })));
+        expect(err).toBeInstanceOf(RESTError);
+        expect(err.code).toBe(409);
+        expect(err.data).toEqual({ ID: 1 });
+        expect(mem.data.get('things').length).toBe(2);
+    });
+    it('throws a 409 error on duplicates within the same POST.', async () => {
+        let err = await conflict(mem.post(new PostRequest().to('things').objects({ ID: 3 }, { ID: 3 })));
+        expect(err.code).toBe(409);
+        expect(err.data).toEqual({ ID: 3 });
+    });
+    it('enforces composite constraints and ignores incomplete key values.', async () => {
+        let err = await conflict(mem.post(new PostRequest().to('things').objects({ ID: 3, First: 'Alan', Last: 'Turing' })));
+        expect(err.code).toBe(409);
+        expect(err.data).toEqual({ First: 'Alan', Last: 'Turing' });
+        let res = await mem.post(new PostRequest().to('things').objects({ ID: 3, First: 'Alan' }, { ID: 4, First: 'Alan' }));
+        expect(res.affected).toBe(2);
+    });
+    it('does not apply any upserted changes when a constraint is violated.', async () => {
+        let err = await conflict(mem.post(new PostRequest().to('things').upsert('ID').objects(
+            { ID: 1, First: 'Augusta' },
+            { ID: 2, First: 'Augusta', Last: 'Lovelace' }
+        )));
+        expect(err.code).toBe(409);
+        expect(mem.data.get('things')[0].First).toBe('Ada');
+        expect(mem.data.get('things')[1].First).toBe('Alan');
+    });
+    it('throws a 409 error when a PUT would duplicate key values.', async () => {
+        let err = await conflict(mem.put(new PutRequest().to('things').pk('ID').objects({ ID: 2, First: 'Ada', Last: 'Lovelace' })));
+        expect(err.code).toBe(409);
+        expect(err.data).toEqual({ First: 'Ada', Last: 'Lovelace' });
+        expect(mem.data.get('things')[1]).toEqual({ ID: 2, First: 'Alan', Last: 'Turing' });
+        let res = await mem.put(new PutRequest().to('things').pk('ID').objects({ ID: 2, First: 'Alan', Last: 'Kay' }));
+        expect(res.affected).toBe(1);
+    });
+    it('throws a 409 error when a PATCH would duplicate key values.', async () => {
+        let err = await conflict(mem.patch(new PatchRequest().to('things').template({ ID: 5 }).where(f => f.and('ID', f.OP.GREATERTHAN, 0))));
+        expect(err.code).toBe(409);
+        expect(err.data).toEqual({ ID: 5 });
+        expect(mem.data.get('things').map(t => t.ID)).toEqual([1, 2]);
+        let res = await mem.patch(new PatchRequest().to('things').template({ Last: 'Unknown' }).where(f => f.and('ID', f.OP.EQUALS, 1)));
+        expect(res.affected).toBe(1);
+    });
+    it('infers primary-key constraints from the request "model" header.', async () => {
+        let engine = new MemoryEngine();
+        engine.configure();
+        engine.data.set('themes', [{ ID: 1, Name: 'a' }]);
+        let err = await conflict(engine.post(new PostRequest().model(ThemeModel, false, true).objects({ ID: 1, Name: 'b' })));
+        expect(err.code).toBe(409);
+        expect(err.data).toEqual({ ID: 1 });
+        let res = await engine.post(new PostRequest().to('themes').objects({ ID: 1, Name: 'b' }));
+        expect(res.affected).toBe(1);
+    });
+});
+
 describe('#put', () => {
     //create pre-populated engine
     let memory = new MemoryEngine();
@@ -620,4 +1342,18 @@ describe('#options', () => {
         expect(res.affected).toBe(0);
         expect(res.returned).toBe(2);
     });
+    it('infers the foreign-key references of properties named after other resources.', async () => {
+        let engine = new MemoryEngine();
+        engine.data.set('themes', [{ ID: 1, Name: 'Red' }]);
+        engine.data.set('products', [{ ID: 1, Theme_ID: 1, themeid: 1, CategoryID: 2, Paid: true }]);
+        let res = await engine.options(new OptionsRequest('products'));
+        let mt = res.data[0];
+        expect(mt.themeID.references).toEqual({ resource: 'themes', target: 'ID' });
+        expect(mt.themeid.references).toEqual({ resource: 'themes', target: 'ID' });
+        expect(mt.categoryID.references).toBeUndefined();
+        expect(mt.paid.references).toBeUndefined();
+        expect(mt.ID.references).toBeUndefined();
+        res = await engine.options(new OptionsRequest('themes'));
+        expect(res.data[0].ID.references).toBeUndefined();
+    });
 });
\ No newline at end of file
@@ -0,0 +1,369 @@
+import Filter from '../filter.js';
+
+/**
+ * @typedef MemoryIndexDefinition
+ * @property {String} property - The name of the property whose values are indexed.
+ * @property {String} [type="hash"] - The type of index, either `"hash"` or `"sorted"`. A hash index supports
+ * equality (`eq`) and `in` lookups. A sorted index additionally supports range (`lt`, `lte`, `gt`, `gte`) and
+ * `startswith` lookups.
+ */
+
+/**
+ * Marks a sorted index value that cannot be ordered with the other values in the index.
+ * @type {Symbol}
+ * @ignore
+ */
+const UNORDERED = Symbol('unordered');
+
+/**
+ * Returns the kind of orderable value, either "number", "string", or "date". If the value cannot be reliably
+ * ordered, `null` is returned.
+ * @param {*} value - The value to check.
+ * @returns {String}
+ * @ignore
+ */
+const kindOf = (value) => {
+    let valueType = typeof value;
+    if (valueType === 'number' && isNaN(value) === false) {
+        return 'number';
+    } else if (valueType === 'string') {
+        return 'string';
+    } else if (value instanceof Date && isNaN(value.getTime()) === false) {
+        return 'date';
+    }
+    return null;
+};
+
+/**
+ * Returns the comparable key of an orderable value.
+ * @param {*} value - The value to convert.
+ * @returns {Number|String}
+ * @ignore
+ */
+const keyOf = (value) => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * A secondary index over the values of a single property of the objects stored in a memory engine resource. Index
+ * lookups return *candidate* objects - a superset of the objects that match the condition - so the caller must
+ * still test each candidate with the full filter.
+ */
+class MemoryIndex {
+    /**
+     * Creates a new `MemoryIndex` instance.
+     * @param {String} property - The name of the property whose values are indexed.
+     * @param {String} [type="hash"] - The type of index, either `"hash"` or `"sorted"`.
+     */
+    constructor(property, type) {
+        if (!property || typeof property !== 'string') {
+            throw new Error('The "property" argument is required and must be a string.');
+        }
+        type = type || MemoryIndex.TYPE.HASH;
+        if (type !== MemoryIndex.TYPE.HASH && type !== MemoryIndex.TYPE.SORTED) {
+            throw new Error(`The "type" argument value "${type}" is invalid. The value must be "hash" or "sorted".`);
+        }
+
+        /**
+         * The name of the property whose values are indexed.
+         * @type {String}
+         */
+        this.property = property;
+
+        /**
+         * The type of index, either `"hash"` or `"sorted"`.
+         * @type {String}
+         */
+        this.type = type;
+
+        /**
+         * The indexed key of each object in the index.
+         * @type {Map.<*, *>}
+         * @private
+         */
+        this._keys = new Map();
+
+        /**
+         * Hash index buckets of objects by value.
+         * @type {Map.<*, Set.<*>>}
+         * @private
+         */
+        this._buckets = new Map();
+
+        /**
+         * Sorted index entries ordered by key.
+         * @type {Array.<{key: Number|String, object: *}>}
+         * @private
+         */
+        this._entries = [];
+
+        /**
+         * The kind of value ordered by a sorted index, either "number", "string", or "date".
+         * @type {String}
+         * @private
+         */
+        this._kind = null;
+
+        /**
+         * Objects in a sorted index whose values cannot be ordered with the rest. These are always included as
+         * candidates in range lookups.
+         * @type {Set.<*>}
+         * @private
+         */
+        this._unordered = new Set();
+    }
+
+    /**
+     * The number of objects in the index.
+     * @type {Number}
+     */
+    get size() {
+        return this._keys.size;
+    }
+
+    /**
+     * Clears the index and adds all of the given objects to it.
+     * @param {Array} objects - The objects to index.
+     * @returns {MemoryIndex}
+     */
+    build(objects) {
+        this._keys.clear();
+        this._buckets.clear();
+        this._entries = [];
+        this._kind = null;
+        this._unordered.clear();
+        if (objects) {
+            for (let o of objects) {
+                this._add(o, true);
+            }
+            if (this.type === MemoryIndex.TYPE.SORTED) {
+                //sorted once instead of inserting each entry in place (stable, so equal keys keep their order).
+                this._entries.sort((a, b) => (a.key < b.key ? -1 : (a.key > b.key ? 1 : 0)));
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Adds an object to the index.
+     * @param {*} object - The object to index.
+     */
+    add(object) {
+        this._add(object, false);
+    }
+
+    /**
+     * Adds an object to the index. Sorted index entries are inserted in order, unless `append` is `true`, in which
+     * case the caller must sort the entries afterwards.
+     * @param {*} object - The object to index.
+     * @param {Boolean} append - Append the sorted index entry instead of inserting it in order.
+     * @private
+     */
+    _add(object, append) {
+        if (!object || this._keys.has(object)) {
+            return;
+        }
+        let value = object[this.property];
+        if (this.type === MemoryIndex.TYPE.HASH) {
+            let bucket = this._buckets.get(value);
+            if (!bucket) {
+                bucket = new Set();
+                this._buckets.set(value, bucket);
+            }
+            bucket.add(object);
+            this._keys.set(object, value);
+        } else {
+            let kind = kindOf(value);
+            if (kind && !this._kind) {
+                this._kind = kind;
+            }
+            if (kind && kind === this._kind) {
+                let key = keyOf(value);
+                if (append) {
+                    this._entries.push({ key, object });
+                } else {
+                    this._entries.splice(this._bound(key, true), 0, { key, object });
+                }
+                this._keys.set(object, key);
+            } else {
+                this._unordered.add(object);
+                this._keys.set(object, UNORDERED);
+            }
+        }
+    }
+
+    /**
+     * Removes an object from the index.
+     * @param {*} object - The object to remove.
+     */
+    remove(object) {
+        if (this._keys.has(object) === false) {
+            return;
+        }
+        let key = this._keys.get(object);
+        this._keys.delete(object);
+        if (this.type === MemoryIndex.TYPE.HASH) {
+            let bucket = this._buckets.get(key);
+            if (bucket) {
+                bucket.delete(object);
+                if (bucket.size === 0) {
+                    this._buckets.delete(key);
+                }
+            }
+        } else if (key === UNORDERED) {
+            this._unordered.delete(object);
+        } else {
+            for (let i = this._bound(key, false); i < this._entries.length && this._entries[i].key === key; i++) {
+                if (this._entries[i].object === object) {
+                    this._entries.splice(i, 1);
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Re-indexes an object whose property value may have changed.
+     * @param {*} object - The object to re-index.
+     */
+    update(object) {
+        if (this._keys.has(object)) {
+            let value = object[this.property];
+            let key = this._keys.get(object);
+            if (this.type === MemoryIndex.TYPE.HASH && key === value) {
+                return;
+            } else if (this.type === MemoryIndex.TYPE.SORTED && key !== UNORDERED && kindOf(value) === this._kind && keyOf(value) === key) {
+                return;
+            }
+            this.remove(object);
+        }
+        this.add(object);
+    }
+
+    /**
+     * Finds the candidate objects for a single filter condition using the index. If the index cannot be used for
+     * the condition, `null` is returned.
+     * @param {String} op - The filter operator.
+     * @param {*} value - The filter condition value.
+     * @returns {Array}
+     */
+    lookup(op, value) {
+        switch (op) {
+            case Filter.OP.EQUALS:
+                return this._equal([value]);
+            case Filter.OP.IN:
+                if (Array.isArray(value)) {
+                    return this._equal(value);
+                }
+                return null;
+            case Filter.OP.LESSTHAN:
+            case Filter.OP.LESSTHANOREQUAL:
+            case Filter.OP.GREATERTHAN:
+            case Filter.OP.GREATERTHANOREQUAL:
+                return this.range({ op, value });
+            case Filter.OP.STARTSWITH:
+                if (this.type === MemoryIndex.TYPE.SORTED && this._kind === 'string' && typeof value === 'string') {
+                    let results = [];
+                    for (let i = this._bound(value, false); i < this._entries.length && this._entries[i].key.startsWith(value); i++) {
+                        results.push(this._entries[i].object);
+                    }
+                    return results.concat(Array.from(this._unordered));
+                }
+                return null;
+        }
+        return null;
+    }
+
+    /**
+     * Finds the candidate objects matching all of the given range conditions (`lt`, `lte`, `gt`, `gte`) using a
+     * sorted index. If the index cannot be used for the conditions, `null` is returned.
+     * @param  {...Filtering.Condition} conditions - The range conditions on the indexed property.
+     * @returns {Array}
+     */
+    range(...conditions) {
+        if (this.type !== MemoryIndex.TYPE.SORTED || !this._kind) {
+            return null;
+        }
+        let start = 0;
+        let end = this._entries.length;
+        for (let c of conditions) {
+            if (kindOf(c.value) !== this._kind) {
+                return null;
+            }
+            let key = keyOf(c.value);
+            switch (c.op) {
+                case Filter.OP.LESSTHAN: end = Math.min(end, this._bound(key, false)); break;
+                case Filter.OP.LESSTHANOREQUAL: end = Math.min(end, this._bound(key, true)); break;
+                case Filter.OP.GREATERTHAN: start = Math.max(start, this._bound(key, true)); break;
+                case Filter.OP.GREATERTHANOREQUAL: start = Math.max(start, this._bound(key, false)); break;
+                default: return null;
+            }
+        }
+        let results = [];
+        for (let i = start; i < end; i++) {
+            results.push(this._entries[i].object);
+        }
+        return results.concat(Array.from(this._unordered));
+    }
+
+    /**
+     * Finds the objects with property values equal to any of the given values.
+     * @param {Array} values - The values to match.
+     * @returns {Array}
+     * @private
+     */
+    _equal(values) {
+        let results = new Set();
+        for (let v of values) {
+            if (this.type === MemoryIndex.TYPE.HASH) {
+                let bucket = this._buckets.get(v);
+                if (bucket) {
+                    for (let o of bucket) {
+                        results.add(o);
+                    }
+                }
+            } else {
+                if (kindOf(v) !== this._kind || v instanceof Date) {
+                    //values compared by identity or of another kind can't be found through ordering.
+                    return null;
+                }
+                for (let i = this._bound(v, false); i < this._entries.length && this._entries[i].key === v; i++) {
+                    results.add(this._entries[i].object);
+                }
+            }
+        }
+        return Array.from(results);
+    }
+
+    /**
+     * Binary searches the sorted entries for the first index with a key greater than or equal to (or when `after` is
+     * `true`, greater than) the given key.
+     * @param {Number|String} key - The key to search for.
+     * @param {Boolean} after - Search for the first entry after any entries equal to the key.
+     * @returns {Number}
+     * @private
+     */
+    _bound(key, after) {
+        let low = 0;
+        let high = this._entries.length;
+        while (low < high) {
+            let mid = (low + high) >>> 1;
+            let midKey = this._entries[mid].key;
+            if (midKey < key || (after && midKey === key)) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+}
+
+/**
+ * @readonly
+ */
+MemoryIndex.TYPE = {
+    HASH: 'hash',
+    SORTED: 'sorted'
+};
+
+export default MemoryIndex;
@@ -0,0 +1,146 @@
+import Filter from '../filter.js';
+import MemoryIndex from './memory-index.js';
+
+const objects = [
+    { ID: 1, Name: 'apple', Created: new Date(2020, 0, 1) },
+    { ID: 2, Name: 'banana', Created: new Date(2021, 0, 1) },
+    { ID: 3, Name: 'apricot', Created: new Date(2022, 0, 1) },
+    { ID: 4, Name: null, Created: null },
+    { ID: 5, Name: 'cherry', Created: new Date(2023, 0, 1) },
+    { ID: 5, Name: 'avocado', Created: new Date(2024, 0, 1) }
+];
+
+describe('#constructor', () => {
+    it('sets the property and defaults to a hash index.', () => {
+        let index = new MemoryIndex('ID');
+        expect(index.property).toBe('ID');
+        expect(index.type).toBe(MemoryIndex.TYPE.HASH);
+        expect(new MemoryIndex('ID', 'sorted').type).toBe(MemoryIndex.TYPE.SORTED);
+    });
+    it('throws when the property is missing.', () => {
+        expect(() => new MemoryIndex()).toThrow(/property/);
+        expect(() => new MemoryIndex(123)).toThrow(/property/);
+    });
+    it('throws when the type is invalid.', () => {
+        expect(() => new MemoryIndex('ID', 'tree')).toThrow(/type/);
+    });
+});
+
+describe('#build', () => {
+    it('indexes all objects.', () => {
+        expect(new MemoryIndex('ID').build(objects).size).toBe(6);
+        expect(new MemoryIndex('Name', 'sorted').build(objects).size).toBe(6);
+    });
+    it('clears previously indexed objects.', () => {
+        let index = new MemoryIndex('ID').build(objects);
+        index.build(objects.slice(0, 2));
+        expect(index.size).toBe(2);
+        expect(index.lookup(Filter.OP.EQUALS, 5)).toEqual([]);
+    });
+    it('orders a sorted index the same as adding each object.', () => {
+        let many = Array.from({ length: 500 }, (_, i) => ({ ID: i, Group: (i * 7919) % 37 }));
+        let built = new MemoryIndex('Group', 'sorted').build(many);
+        let added = new MemoryIndex('Group', 'sorted');
+        many.forEach(o => added.add(o));
+        expect(built._entries).toEqual(added._entries);
+        expect(built._entries.every((e, i) => i === 0 || built._entries[i - 1].key <= e.key)).toBe(true);
+        expect(built.range({ op: Filter.OP.LESSTHAN, value: 2 })).toEqual(many.filter(o => o.Group < 2).sort((a, b) => a.Group - b.Group));
+    });
+});
+
+describe('#add', () => {
+    it('adds objects that can be found by a lookup.', () => {
+        for (let type of ['hash', 'sorted']) {
+            let index = new MemoryIndex('ID', type).build(objects);
+            let o = { ID: 99 };
+            index.add(o);
+            expect(index.lookup(Filter.OP.EQUALS, 99)).toEqual([o]);
+        }
+    });
+    it('ignores objects already in the index.', () => {
+        let index = new MemoryIndex('ID').build(objects);
+        index.add(objects[0]);
+        expect(index.size).toBe(6);
+    });
+});
+
+describe('#remove', () => {
+    it('removes objects from the index.', () => {
+        for (let type of ['hash', 'sorted']) {
+            let index = new MemoryIndex('ID', type).build(objects);
+            index.remove(objects[4]);
+            expect(index.size).toBe(5);
+            expect(index.lookup(Filter.OP.EQUALS, 5)).toEqual([objects[5]]);
+        }
+    });
+    it('removes unordered objects from a sorted index.', () => {
+        let index = new MemoryIndex('Name', 'sorted').build(objects);
+        index.remove(objects[3]);
+        expect(index.lookup(Filter.OP.LESSTHAN, 'b')).toEqual([objects[0], objects[2], objects[5]]);
+    });
+});
+
+describe('#update', () => {
+    it('re-indexes an object with a changed value.', () => {
+        for (let type of ['hash', 'sorted']) {
+            let o = { ID: 1 };
+            let index = new MemoryIndex('ID', type).build([o]);
+            o.ID = 2;
+            index.update(o);
+            expect(index.size).toBe(1);
+            expect(index.lookup(Filter.OP.EQUALS, 1)).toEqual([]);
+            expect(index.lookup(Filter.OP.EQUALS, 2)).toEqual([o]);
+        }
+    });
+});
+
+describe('#lookup', () => {
+    it('finds eq and in matches using a hash index.', () => {
+        let index = new MemoryIndex('ID').build(objects);
+        expect(index.lookup(Filter.OP.EQUALS, 5)).toEqual([objects[4], objects[5]]);
+        expect(index.lookup(Filter.OP.IN, [1, 3, 42])).toEqual([objects[0], objects[2]]);
+    });
+    it('returns null for operations a hash index cannot serve.', () => {
+        let index = new MemoryIndex('ID').build(objects);
+        expect(index.lookup(Filter.OP.GREATERTHAN, 1)).toBeNull();
+        expect(index.lookup(Filter.OP.STARTSWITH, '1')).toBeNull();
+        expect(index.lookup(Filter.OP.CONTAINS, 1)).toBeNull();
+        expect(index.lookup(Filter.OP.IN, '1,2')).toBeNull();
+    });
+    it('finds eq and in matches using a sorted index.', () => {
+        let index = new MemoryIndex('ID', 'sorted').build(objects);
+        expect(index.lookup(Filter.OP.EQUALS, 5)).toEqual([objects[4], objects[5]]);
+        expect(index.lookup(Filter.OP.IN, [1, 3, 42])).toEqual([objects[0], objects[2]]);
+    });
+    it('finds range candidates using a sorted index, including unordered values.', () => {
+        let index = new MemoryIndex('Name', 'sorted').build(objects);
+        expect(index.lookup(Filter.OP.LESSTHAN, 'b')).toEqual([objects[0], objects[2], objects[5], objects[3]]);
+        expect(index.lookup(Filter.OP.GREATERTHANOREQUAL, 'banana')).toEqual([objects[1], objects[4], objects[3]]);
+        let dates = new MemoryIndex('Created', 'sorted').build(objects);
+        expect(dates.lookup(Filter.OP.GREATERTHAN, new Date(2022, 0, 1))).toEqual([objects[4], objects[5], objects[3]]);
+    });
+    it('finds startswith candidates using a sorted index.', () => {
+        let index = new MemoryIndex('Name', 'sorted').build(objects);
+        expect(index.lookup(Filter.OP.STARTSWITH, 'ap')).toEqual([objects[0], objects[2], objects[3]]);
+    });
+    it('returns null when the value cannot be ordered with the indexed values.', () => {
+        let index = new MemoryIndex('ID', 'sorted').build(objects);
+        expect(index.lookup(Filter.OP.LESSTHAN, '3')).toBeNull();
+        expect(index.lookup(Filter.OP.EQUALS, null)).toBeNull();
+        expect(index.lookup(Filter.OP.STARTSWITH, '1')).toBeNull();
+    });
+});
+
+describe('#range', () => {
+    it('finds candidates between combined bounds.', () => {
+        let index = new MemoryIndex('ID', 'sorted').build(objects);
+        expect(index.range(
+            { op: Filter.OP.GREATERTHAN, value: 1 },
+            { op: Filter.OP.LESSTHANOREQUAL, value: 3 }
+        )).toEqual([objects[1], objects[2]]);
+    });
+    it('returns null on a hash index.', () => {
+        let index = new MemoryIndex('ID').build(objects);
+        expect(index.range({ op: Filter.OP.GREATERTHAN, value: 1 })).toBeNull();
+    });
+});
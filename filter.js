@@ -15,6 +15,21 @@
 const ISO8601Date = /^\d{4}-\d\d-\d\dT\d\d:\d\d(:\d\d(\.\d+)?)?(([+-]\d\d:\d\d)|Z)?$/i;
 const NakedValueTokenTerminator = /\s|\)|\(|\[|\]/;
 
+/**
+ * Returns `true` when the character at the index of the input is escaped by an odd number of preceding backslashes.
+ * @param {String} input - The input string.
+ * @param {Number} index - The index of the character to check.
+ * @returns {Boolean}
+ * @ignore
+ */
+function isEscaped(input, index) {
+    let count = 0;
+    for (let i = index - 1; i >= 0 && input[i] === '\\'; i--) {
+        count++;
+    }
+    return (count % 2 === 1);
+}
+
 /**
  * The `Filter` represents a conditional expression. That is, a tree of conditions that can be used to filter objects
  * and data based on "properties", "operations", and "values" in logical "and" "or" groupings.
@@ -472,7 +487,7 @@ class Filter {
                     if (Array.isArray(fg.value)) {
                         strValue = '[' + fg.value.map(v => {
                             if (typeof v === 'string') {
-                                return `"${v}"`;
+                                return `"${v.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
                             } else if (v === null) {
                                 return 'null';
                             } else if (typeof v === 'undefined') {
@@ -484,7 +499,7 @@ class Filter {
                             }
                         }).join(',') + ']';
                     } else if (typeof fg.value === 'string') {
-                        strValue = `"${fg.value}"`;
+                        strValue = `"${fg.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
                     } else if (fg.value === null) {
                         strValue = 'null';
                     } else if (typeof fg.value === 'undefined') {
@@ -655,9 +670,9 @@ class Filter {
             if (openToken && openToken.type === 'condition-value') { //parsing a value
                 if (!openToken.endIndex
                     && (
-                        (openToken.style === 'double-quoted' && input[i - 1] !== '\\' && input[i] === '"')
-                        || (openToken.style === 'single-quoted' && input[i - 1] !== '\\' && input[i] === '\'')
-                        || (openToken.style === 'array' && input[i - 1] !== '\\' && input[i] === ']')
+                        (openToken.style === 'double-quoted' && isEscaped(input, i) === false && input[i] === '"')
+                        || (openToken.style === 'single-quoted' && isEscaped(input, i) === false && input[i] === '\'')
+                        || (openToken.style === 'array' && isEscaped(input, i) === false && input[i] === ']')
                     )) {
                     openToken.value += input[i]; //we include the quote (parsed out later)
                     openToken.endIndex = i + 1;
@@ -666,9 +681,9 @@ class Filter {
                     openToken.endIndex = i;
                     openToken = null;
                     i--; //need to walk back (-1) on this after closing as it may be a actionable char
-                } else if (!openToken.endIndex && openToken.style === 'naked' && input[i - 1] !== '\\' && input[i] === '"') {
+                } else if (!openToken.endIndex && openToken.style === 'naked' && isEscaped(input, i) === false && input[i] === '"') {
                     throw new SyntaxError(`Failed to tokenize filter string, a conditional value at position ${openToken.startIndex} found a closing double-quote, but the value was not opened with one.`);
-                } else if (!openToken.endIndex && openToken.style === 'naked' && input[i - 1] !== '\\' && input[i] === '\'') {
+                } else if (!openToken.endIndex && openToken.style === 'naked' && isEscaped(input, i) === false && input[i] === '\'') {
                     throw new SyntaxError(`Failed to tokenize filter string, a conditional value at position ${openToken.startIndex} found a closing single-quote, but the value was not opened with one.`);
                 } else {
                     openToken.value += input[i];
@@ -748,7 +763,7 @@ class Filter {
                         value: input[i],
                         style: 'naked'
                     };
-                    if (input[i - 1] !== '\\') { //ignore escaped values
+                    if (isEscaped(input, i) === false) { //ignore escaped values
                         if (input[i] === '"') {
                             newToken.style = 'double-quoted';
                         } else if (input[i] === '\'') {
@@ -822,13 +837,13 @@ class Filter {
                 return new Date(value);
             } else if (/^(""|'')$/.test(value)) { //empty string
                 return '';
-            } else if (/^".*[^\\]"$/.test(value)) {
-                return value.substring(1, value.length - 1).replace(/\\"/g, '"');
-            } else if (/^'.*[^\\]'$/.test(value)) {
-                return value.substring(1, value.length - 1).replace(/\\'/g, '\'');
-            } else if (/^".*([^"]|\\")$/.test(value) || /^([^"]|\\").*[^\\]"$/.test(value)) {
+            } else if (value.length > 1 && value[0] === '"' && value[value.length - 1] === '"' && isEscaped(value, value.length - 1) === false) {
+                return value.substring(1, value.length - 1).replace(/\\(["\\])/g, '$1');
+            } else if (value.length > 1 && value[0] === '\'' && value[value.length - 1] === '\'' && isEscaped(value, value.length - 1) === false) {
+                return value.substring(1, value.length - 1).replace(/\\(['\\])/g, '$1');
+            } else if (value[0] === '"' || (value[value.length - 1] === '"' && isEscaped(value, value.length - 1) === false)) {
                 throw new SyntaxError(`Error parsing filter value "${value}", unterminated double-quoted value.`);
-            } else if (/^'.*([^']|\\')$/.test(value) || /^([^']|\\').*[^\\]'$/.test(value)) {
+            } else if (value[0] === '\'' || (value[value.length - 1] === '\'' && isEscaped(value, value.length - 1) === false)) {
                 throw new SyntaxError(`Error parsing filter value "${value}", unterminated single-quoted value.`);
             } else if (/^\[.*\]$/.test(value)) {
                 let extract = [];
@@ -841,10 +856,10 @@ class Filter {
                             extract.push(null); //blank first item, set a null
                         }
                         extract.push(null); //create a space for the new item
-                    } else if (value[i - 1] !== '\\' && value[i] === '"') {
+                    } else if (isEscaped(value, i) === false && value[i] === '"' && isSingleQuoted === false) {
                         isDoubleQuoted = !isDoubleQuoted;
                         append = true;
-                    } else if (value[i - 1] !== '\\' && value[i] === '\'') {
+                    } else if (isEscaped(value, i) === false && value[i] === '\'' && isDoubleQuoted === false) {
                         isSingleQuoted = !isSingleQuoted;
                         append = true;
                     } else if (/\s/.test(value[i]) === false || extract[extract.length - 1]) {
@@ -400,6 +400,21 @@ describe('#toString', () => {
             );
         expect(f.toString()).toBe('{test0} EQ 1 OR {test1} EQ 2 OR {test2} EQ 3 OR (({test3} ISNULL AND {test4} EQ 4) OR {test5} IN "1,2,3,4,5,6" OR {test5} IN ["abc",null,123,undefined,true])');
     });
+    it('escapes double-quotes in string values.', () => {
+        let f = Filter
+            .and('test0', Filter.OP.EQUALS, 'say "hi"')
+            .and('test1', Filter.OP.IN, ['"a"', 'b']);
+        expect(f.toString()).toBe('{test0} EQ "say \\"hi\\"" AND {test1} IN ["\\"a\\"","b"]');
+        expect(Filter.parse(f.toString()).tree).toEqual(f.tree);
+    });
+    it('escapes backslashes before double-quotes in string values.', () => {
+        let f = Filter
+            .and('test0', Filter.OP.EQUALS, 'C:\\dir\\')
+            .and('test1', Filter.OP.CONTAINS, 'say "hi" \\ bye \\"')
+            .and('test2', Filter.OP.IN, ['a\\', 'b"c', 'it\'s', '\\"']);
+        expect(f.toString()).toBe('{test0} EQ "C:\\\\dir\\\\" AND {test1} CONTAINS "say \\"hi\\" \\\\ bye \\\\\\"" AND {test2} IN ["a\\\\","b\\"c","it\'s","\\\\\\""]');
+        expect(Filter.parse(f.toString()).tree).toEqual(f.tree);
+    });
 });
 
 describe('#toJSON', () => {
@@ -189,6 +189,110 @@ class ModelGenerator {
         return mt;
     }
 
+    /**
+     * Generates a model type class from a JSON Schema (draft 2020-12) object schema, such as one created by
+     * `ModelUtility.jsonSchema`. Each schema property is mapped to a model property targeting the property name.
+     * Properties listed in the schema `required` keyword are marked `required`.
+     *
+     * The resource, names, and primary-key targets (`pk`) of the model are read from the non-standard `x-stashku`
+     * keyword when present, otherwise the schema `title` is used as the resource name and no primary keys are set.
+     * @throws 500 `RESTError` if the "schema" argument is missing or not an object schema.
+     * @throws 500 `RESTError` if a resource name can't be found on the schema.
+     * @param {*} schema - The JSON Schema object schema.
+     * @param {String} [className] - Optional argument to utilize a specific class name instead of generating one
+     * from the resource name.
+     * @returns {Modeling.AnyModelType}
+     */
+    static fromJSONSchema(schema, className) {
+        if (!schema || typeof schema !== 'object' || typeof schema.properties !== 'object' || schema.properties === null) {
+            throw new RESTError(500, 'The "schema" argument is required and must be a JSON schema object with "properties".');
+        }
+        let configuration = {};
+        let stashku = schema['x-stashku'];
+        if (stashku && typeof stashku === 'object') {
+            for (let k of ['resource', 'name', 'slug']) {
+                if (typeof stashku[k] === 'string') {
+                    configuration[k] = stashku[k];
+                }
+            }
+            if (stashku.plural && typeof stashku.plural === 'object') {
+                configuration.plural = Object.assign({}, stashku.plural);
+            }
+        }
+        let resource = configuration.resource || schema.title;
+        if (!resource) {
+            throw new RESTError(500, 'The "schema" argument must have a "title" or an "x-stashku" resource to generate a model type.');
+        }
+        let required = Array.isArray(schema.required) ? schema.required : [];
+        let pk = Array.isArray(stashku?.pk) ? stashku.pk : [];
+        let properties = new Map();
+        for (let target in schema.properties) {
+            properties.set(target, ModelGenerator._jsonSchemaDefinition(
+                target,
+                schema.properties[target],
+                pk.indexOf(target) >= 0,
+                required.indexOf(target) >= 0
+            ));
+        }
+        return ModelGenerator.generateModelType(resource, properties, configuration, className);
+    }
+
+    /**
+     * Converts a JSON Schema property into a model property definition.
+     * @param {String} target - The property name.
+     * @param {*} schema - The JSON Schema of the property.
+     * @param {Boolean} pk - Indicates the property is a primary key.
+     * @param {Boolean} required - Indicates the property is required. This is not set on primary keys.
+     * @returns {Modeling.PropertyDefinition}
+     * @private
+     */
+    static _jsonSchemaDefinition(target, schema, pk, required) {
+        let definition = { target };
+        let type = schema?.type;
+        if (Array.isArray(type)) {
+            type = type.find(t => t !== 'null');
+        }
+        switch (type) {
+            case 'string':
+                if (schema.format === 'date-time' || schema.format === 'date') {
+                    definition.type = 'Date';
+                } else {
+                    definition.type = 'String';
+                    if (schema.maxLength > 0) {
+                        definition.charLength = schema.maxLength;
+                    }
+                }
+                break;
+            case 'integer':
+            case 'number':
+                definition.type = 'Number';
+                if (type === 'integer') {
+                    definition.radix = 0;
+                } else if (schema.multipleOf > 0 && schema.multipleOf < 1) {
+                    definition.radix = Math.round(-Math.log10(schema.multipleOf));
+                }
+                if (schema.exclusiveMaximum > 0) {
+                    let digits = Math.log10(schema.exclusiveMaximum);
+                    if (Number.isInteger(digits)) {
+                        definition.precision = digits + (definition.radix ?? 0);
+                    }
+                }
+                break;
+            case 'boolean': definition.type = 'Boolean'; break;
+            case 'array': definition.type = 'Array'; break;
+            case 'object': definition.type = 'Object'; break;
+        }
+        if (pk) {
+            definition.pk = true;
+        } else if (required) {
+            definition.required = true;
+        }
+        if (typeof schema?.default !== 'undefined') {
+            definition.default = (definition.type === 'Date' && typeof schema.default === 'string' ? new Date(schema.default) : schema.default);
+        }
+        return definition;
+    }
+
 }
 
 export default ModelGenerator;
@@ -1,4 +1,5 @@
 import ModelGenerator from './model-generator.js';
+import ModelUtility from './model-utility.js';
 
 describe('.formatPropName', () => {
     it('returns a formatted camelCase name when given dirty values.', () => {
@@ -217,4 +218,78 @@ describe('.generateModelType', () => {
             expect(results.age).toBeNull();
         });
     });
-});
\ No newline at end of file
+});
+
+describe('.fromJSONSchema', () => {
+    it('throws an error if the "schema" argument is not an object schema.', () => {
+        for (let v of [null, undefined, 'hello', 123, {}, { type: 'object' }]) {
+            expect(() => { ModelGenerator.fromJSONSchema(v); }).toThrow(/schema.+properties/);
+        }
+    });
+    it('throws an error if no resource name is found.', () => {
+        expect(() => { ModelGenerator.fromJSONSchema({ properties: {} }); }).toThrow(/title.+resource/);
+    });
+    it('returns a model type mapping the schema properties.', () => {
+        let mt = ModelGenerator.fromJSONSchema({
+            title: 'dbo.Contacts',
+            type: 'object',
+            properties: {
+                ID: { type: 'integer', exclusiveMinimum: -100000, exclusiveMaximum: 100000 },
+                First_Name: { type: ['string', 'null'], maxLength: 30, default: 'Joe' },
+                Balance: { type: ['number', 'null'], multipleOf: 0.01, exclusiveMaximum: 10000 },
+                Birthday: { type: 'string', format: 'date' },
+                Active: { type: 'boolean' },
+                Tags: { type: 'array' },
+                Extra: {}
+            },
+            required: ['ID', 'Active'],
+            'x-stashku': { pk: ['ID'] }
+        });
+        expect(mt.name).toBe('ContactModel');
+        expect(mt.$stashku.resource).toBe('dbo.Contacts');
+        expect(mt.$stashku.name).toBe('Contact');
+        expect(mt.ID).toEqual({ target: 'ID', type: 'Number', radix: 0, precision: 5, pk: true });
+        expect(mt.firstName).toEqual({ target: 'First_Name', type: 'String', charLength: 30, default: 'Joe' });
+        expect(mt.balance).toEqual({ target: 'Balance', type: 'Number', radix: 2, precision: 6 });
+        expect(mt.birthday).toEqual({ target: 'Birthday', type: 'Date' });
+        expect(mt.active).toEqual({ target: 'Active', type: 'Boolean', required: true });
+        expect(mt.tags).toEqual({ target: 'Tags', type: 'Array' });
+        expect(mt.extra).toEqual({ target: 'Extra' });
+        expect(new mt().firstName).toBe('Joe');
+    });
+    it('does not mark required properties as primary keys without an "x-stashku" pk.', () => {
+        let mt = ModelGenerator.fromJSONSchema({
+            title: 'orders',
+            properties: { Order_No: { type: 'string' }, Total: { type: 'number' } },
+            required: ['Order_No', 'Total']
+        });
+        expect(mt.orderNo).toEqual({ target: 'Order_No', type: 'String', required: true });
+        expect(mt.total).toEqual({ target: 'Total', type: 'Number', required: true });
+        expect(ModelUtility.pk(mt)).toEqual([]);
+    });
+    it('uses the "x-stashku" configuration and class name when given.', () => {
+        let mt = ModelGenerator.fromJSONSchema({
+            title: 'Ignored',
+            properties: { ID: { type: 'integer' } },
+            'x-stashku': { resource: 'people', name: 'Person', plural: { name: 'People' } }
+        }, 'HumanModel');
+        expect(mt.name).toBe('HumanModel');
+        expect(mt.$stashku.resource).toBe('people');
+        expect(mt.$stashku.name).toBe('Person');
+        expect(mt.$stashku.slug).toBe('person');
+        expect(mt.$stashku.plural).toEqual({ name: 'People', slug: 'people' });
+    });
+    it('round-trips model types exported by ModelUtility.jsonSchema.', () => {
+        let properties = new Map(Object.entries({
+            ID: { target: 'ID', type: 'Number', radix: 0, precision: 10, pk: true },
+            Price: { target: 'Price', type: 'Number', radix: 3, precision: 8 },
+            Name: { target: 'Name', type: 'String', charLength: 50, default: 'Untitled', required: true },
+            Created: { target: 'Created', type: 'Date', default: new Date('2021-03-01T00:00:00Z') }
+        }));
+        let mt = ModelGenerator.generateModelType('dbo.Products', properties);
+        let regenerated = ModelGenerator.fromJSONSchema(ModelUtility.jsonSchema(mt));
+        expect(regenerated.name).toBe(mt.name);
+        expect(ModelUtility.schema(regenerated)).toEqual(ModelUtility.schema(mt));
+        expect(ModelUtility.jsonSchema(regenerated)).toEqual(ModelUtility.jsonSchema(mt));
+    });
+});
@@ -1,9 +1,201 @@
 ///<reference path="./modeling.d.js" />
+/* global BigInt */
 import {Strings} from '@appku/common';
 import RESTError from '../rest-error.js';
 import Sort from '../sort.js';
 import Filter from '../filter.js';
 
+const HAS_BUFFER = (typeof Buffer !== 'undefined');
+
+/**
+ * Attempts to parse a JSON string, returning the parsed value if it is of the expected type, otherwise the original
+ * value is returned.
+ * @param {String} value - The JSON string.
+ * @param {Boolean} array - Whether the parsed value must be an array (`true`) or a non-array object (`false`).
+ * @returns {*}
+ * @ignore
+ */
+function parseJSON(value, array) {
+    try {
+        let parsed = JSON.parse(value);
+        if (parsed && typeof parsed === 'object' && Array.isArray(parsed) === array) {
+            return parsed;
+        }
+    } catch (err) {
+        //not valid JSON, the value is left as-is.
+    }
+    return value;
+}
+
+/**
+ * Reads the value of a property definition `target` from a storage object. When the definition is `nested`, a
+ * dot-notation target (such as "address.city") is read from the nested sub-objects of the storage object, otherwise
+ * the target is read as a flat key (such as a dot-notation column).
+ * @param {*} obj - The storage object.
+ * @param {Modeling.PropertyDefinition} definition - The property definition.
+ * @returns {*}
+ * @ignore
+ */
+function readTarget(obj, definition) {
+    if (definition.nested !== true) {
+        return obj[definition.target];
+    }
+    return definition.target.split('.').reduce((o, p) => (o !== null && typeof o === 'object' ? o[p] : undefined), obj);
+}
+
+/**
+ * Writes a value to the property definition `target` of a storage object. When the definition is `nested`, the
+ * nested sub-objects of a dot-notation target (such as "address.city") are created as needed, otherwise the target is
+ * written as a flat key.
+ * @param {*} record - The storage object.
+ * @param {Modeling.PropertyDefinition} definition - The property definition.
+ * @param {*} value - The value to write.
+ * @ignore
+ */
+function writeTarget(record, definition, value) {
+    if (definition.nested !== true) {
+        record[definition.target] = value;
+        return;
+    }
+    let path = definition.target.split('.');
+    let last = path.pop();
+    let o = record;
+    for (let p of path) {
+        if (o[p] === null || typeof o[p] !== 'object') {
+            o[p] = {};
+        }
+        o = o[p];
+    }
+    o[last] = value;
+}
+
+/**
+ * Returns the embedded model type declared by the `model` of a property definition, or `null` if one is not
+ * declared. The `model` may be the model type, or a function returning it.
+ * @param {Modeling.PropertyDefinition} definition - The property definition.
+ * @returns {Modeling.AnyModelType}
+ * @ignore
+ */
+function embeddedType(definition) {
+    let mt = definition?.model;
+    if (typeof mt === 'function' && ModelUtility.isValidType(mt) === false) {
+        mt = mt();
+    }
+    return (ModelUtility.isValidType(mt) ? mt : null);
+}
+
+/**
+ * Translates a modeled property name or dot-notation path into its target path. Each path segment following a
+ * property with an embedded model type is translated using the embedded model type. Segments that cannot be
+ * translated are left as-is.
+ * @param {Map.<String, Modeling.PropertyDefinition>} mapping - The model type property mapping.
+ * @param {String} path - The modeled property name or path.
+ * @returns {String}
+ * @ignore
+ */
+function unmodelPath(mapping, path) {
+    if (mapping.has(path)) {
+        return mapping.get(path).target;
+    }
+    let dot = path.indexOf('.');
+    if (dot > 0 && mapping.has(path.substring(0, dot))) {
+        let definition = mapping.get(path.substring(0, dot));
+        let rest = path.substring(dot + 1);
+        let embedded = embeddedType(definition);
+        return definition.target + '.' + (embedded ? unmodelPath(ModelUtility.map(embedded), rest) : rest);
+    }
+    return path;
+}
+
+/**
+ * The registered property definition types and their type handlers, keyed by type name.
+ * Built-in types convert values from common storage representations (strings, numbers, JSON text, and base64) and
+ * serialize model values that cannot be represented in JSON.
+ * @type {Map.<String, Modeling.TypeHandler>}
+ * @ignore
+ */
+const TYPES = new Map([
+    ['String', { jsDocType: 'String', tsType: 'string' }],
+    ['Number', {
+        jsDocType: 'Number',
+        tsType: 'number',
+        parse: (v) => (typeof v === 'string' ? parseFloat(v) : v)
+    }],
+    ['Boolean', {
+        jsDocType: 'Boolean',
+        tsType: 'boolean',
+        parse: (v) => {
+            if (typeof v === 'string') {
+                return /^[tTyY1]/.test(v);
+            } else if (typeof v === 'number') {
+                return (v !== 0);
+            }
+            return v;
+        }
+    }],
+    ['Date', {
+        jsDocType: 'Date',
+        tsType: 'Date',
+        parse: (v) => (typeof v === 'string' || typeof v === 'number' ? new Date(v) : v)
+    }],
+    ['BigInt', {
+        jsDocType: 'BigInt',
+        tsType: 'bigint',
+        parse: (v) => {
+            if ((typeof v === 'string' && /^\s*[-+]?\d+\s*$/.test(v)) || Number.isInteger(v)) {
+                return BigInt(v);
+            }
+            return v;
+        },
+        serialize: (v) => (typeof v === 'bigint' ? v.toString() : v)
+    }],
+    ['Object', {
+        jsDocType: 'Object',
+        tsType: 'any',
+        parse: (v) => (typeof v === 'string' ? parseJSON(v, false) : v)
+    }],
+    ['Array', {
+        jsDocType: 'Array',
+        tsType: 'any[]',
+        parse: (v) => (typeof v === 'string' ? parseJSON(v, true) : v)
+    }],
+    ['Buffer', {
+        jsDocType: 'Buffer',
+        tsType: 'Buffer',
+        parse: (v) => {
+            if (HAS_BUFFER && Buffer.isBuffer(v) === false) {
+                if (typeof v === 'string') {
+                    return Buffer.from(v, 'base64');
+                } else if (v.type === 'Buffer' && Array.isArray(v.data)) { //JSON representation of a buffer
+                    return Buffer.from(v.data);
+                }
+            }
+            return v;
+        },
+        serialize: (v) => (HAS_BUFFER && Buffer.isBuffer(v) ? v.toString('base64') : v)
+    }],
+    ['Decimal', {
+        jsDocType: 'String',
+        tsType: 'string',
+        parse: (v) => (typeof v === 'number' || typeof v === 'bigint' ? v.toString() : v)
+    }],
+    ['URL', {
+        jsDocType: 'URL',
+        tsType: 'URL',
+        parse: (v) => {
+            if (typeof v === 'string') {
+                try {
+                    return new URL(v);
+                } catch (err) {
+                    //not a valid URL, the value is left as-is.
+                }
+            }
+            return v;
+        },
+        serialize: (v) => (v instanceof URL ? v.href : v)
+    }]
+]);
+
 /**
  * A utility class for working with StashKu-compatible model objects.
  */
@@ -19,6 +211,55 @@ class ModelUtility {
         return !!(modelType && modelType.constructor && modelType.prototype);
     }
 
+    /**
+     * Registers a property definition `type` and the handler used to convert its values between their storage and
+     * model forms. A handler's `parse` function is called on non-null values when objects are modeled, and its
+     * `serialize` function is called on non-null values when models are unmodeled. The optional `jsDocType` and
+     * `tsType` values are used by the CLI when exporting models of the type.
+     *
+     * The built-in types "String", "Number", "Boolean", "Date", "BigInt", "Object", "Array", "Buffer", "Decimal",
+     * and "URL" may be overridden by registering a handler under the same name. Registering a `null` handler removes
+     * the type.
+     * @example
+     * ModelUtility.registerType('Point', {
+     *     parse: (v) => (typeof v === 'string' ? v.split(',').map(parseFloat) : v),
+     *     serialize: (v) => (Array.isArray(v) ? v.join(',') : v),
+     *     jsDocType: 'Array.<Number>',
+     *     tsType: 'number[]'
+     * });
+     * @throws 500 `RESTError` if the "name" argument is missing or not a string.
+     * @throws 500 `RESTError` if the "handler" argument is not an object or `null`.
+     * @throws 500 `RESTError` if the handler `parse` or `serialize` value is defined and not a function.
+     * @param {String} name - The property definition type name.
+     * @param {Modeling.TypeHandler} handler - The type handler.
+     */
+    static registerType(name, handler) {
+        if (!name || typeof name !== 'string') {
+            throw new RESTError(500, 'The "name" argument is required and must be a string.');
+        } else if (handler === null) {
+            TYPES.delete(name);
+            return;
+        } else if (!handler || typeof handler !== 'object') {
+            throw new RESTError(500, 'The "handler" argument is required and must be an object or null.');
+        }
+        for (let fn of ['parse', 'serialize']) {
+            if (typeof handler[fn] !== 'undefined' && typeof handler[fn] !== 'function') {
+                throw new RESTError(500, `The "handler" argument "${fn}" property must be a function.`);
+            }
+        }
+        TYPES.set(name, handler);
+    }
+
+    /**
+     * Returns the type handler registered for a property definition type, or `undefined` if the type is not
+     * registered.
+     * @param {String} name - The property definition type name.
+     * @returns {Modeling.TypeHandler}
+     */
+    static registeredType(name) {
+        return TYPES.get(name);
+    }
+
     /**
      * Returns a map of modeled properties (keys) and their definitions (values). The value is a property definition
      * that details how the modeled property maps to the underlying storage, including the actual storage `target`.
@@ -94,6 +335,111 @@ class ModelUtility {
         return schema;
     }
 
+    /**
+     * Converts a model property definition into a JSON Schema (draft 2020-12) describing the property value. The
+     * `type`, `charLength`, `precision`, `radix`, and `default` definition values are used. Values that are not
+     * primary keys may also be `null`.
+     * @param {Modeling.PropertyDefinition} definition - The property definition.
+     * @returns {*}
+     */
+    static jsonSchemaProperty(definition) {
+        let schema = {};
+        switch (definition?.type) {
+            case 'String':
+                schema.type = 'string';
+                if (definition.charLength > 0) {
+                    schema.maxLength = definition.charLength;
+                }
+                break;
+            case 'Number':
+                schema.type = (definition.radix === 0 ? 'integer' : 'number');
+                if (definition.radix > 0) {
+                    schema.multipleOf = Math.pow(10, -definition.radix);
+                }
+                if (definition.precision > 0) {
+                    let limit = Math.pow(10, definition.precision - (definition.radix ?? 0));
+                    schema.exclusiveMinimum = -limit;
+                    schema.exclusiveMaximum = limit;
+                }
+                break;
+            case 'BigInt': schema.type = 'integer'; break;
+            case 'Boolean': schema.type = 'boolean'; break;
+            case 'Date':
+                schema.type = 'string';
+                schema.format = 'date-time';
+                break;
+            case 'Array': schema.type = 'array'; break;
+            case 'Object': schema.type = 'object'; break;
+        }
+        if (schema.type && !definition.pk) {
+            schema.type = [schema.type, 'null'];
+        }
+        if (typeof definition?.default !== 'undefined' && typeof definition.default !== 'function') {
+            schema.default = (definition.default instanceof Date ? definition.default.toISOString() : definition.default);
+        }
+        if (definition?.generated) {
+            schema.description = `Generated by the storage engine ("${definition.generated}").`;
+        }
+        return schema;
+    }
+
+    /**
+     * Converts a model type into a JSON Schema (draft 2020-12) document describing the unmodeled objects of the model,
+     * with properties keyed by their target names and the primary-key and `required` properties required. The
+     * `$stashku` resource, name, slug, and plural names, and the primary-key targets of the model are kept on the
+     * non-standard `x-stashku` keyword so that the model type can be regenerated from the schema (see
+     * `ModelGenerator.fromJSONSchema`).
+     * @throws 500 `RESTError` if the "modelType" argument is missing or not a supported StashKu model type object.
+     * @param {Modeling.AnyModelType} modelType - The model "class" or constructor function.
+     * @returns {*}
+     */
+    static jsonSchema(modelType) {
+        if (ModelUtility.isValidType(modelType) === false) {
+            throw new RESTError(500, 'The "modelType" argument is required and must be a supported StashKu model type object.');
+        }
+        let config = modelType.$stashku;
+        let schema = {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            title: (typeof config?.name === 'string' ? config.name : modelType.name),
+            type: 'object',
+            properties: {}
+        };
+        let required = [];
+        let pk = [];
+        for (let [, v] of ModelUtility.map(modelType)) {
+            schema.properties[v.target] = ModelUtility.jsonSchemaProperty(v);
+            if (v.pk) {
+                pk.push(v.target);
+            }
+            if (v.pk || v.required) {
+                required.push(v.target);
+            }
+        }
+        if (required.length) {
+            schema.required = required;
+        }
+        //keep the plain-string model configuration
+        let stashku = { resource: ModelUtility.resource(modelType) };
+        if (pk.length) {
+            stashku.pk = pk;
+        }
+        for (let k of ['name', 'slug']) {
+            if (typeof config?.[k] === 'string') {
+                stashku[k] = config[k];
+            }
+        }
+        if (typeof config?.plural?.name === 'string' || typeof config?.plural?.slug === 'string') {
+            stashku.plural = {};
+            for (let k of ['name', 'slug']) {
+                if (typeof config.plural[k] === 'string') {
+                    stashku.plural[k] = config.plural[k];
+                }
+            }
+        }
+        schema['x-stashku'] = stashku;
+        return schema;
+    }
+
     /**
      * Returns the StashKu resource name for the given model, if specified. Optionally checks for a specific action
      * name configuration and uses it if specified. If the resource is a function, it is called with and the return
@@ -159,6 +505,134 @@ class ModelUtility {
         return primaryKeys;
     }
 
+    /**
+     * Returns the modeled property names of a model instance that have changed since change tracking began. Only
+     * properties whose value differs from the tracked original value are returned.
+     *
+     * If the model does not support change tracking (no `tracking` object is present), all modeled properties with
+     * a defined value are returned.
+     * @throws 500 `RESTError` if the "modelType" argument is missing or not a supported StashKu model type object.
+     * @param {Modeling.AnyModelType} modelType - The model "class" or constructor function.
+     * @param {Modeling.AnyModel} model - The model instance to check for changes.
+     * @returns {Array.<String>}
+     */
+    static changes(modelType, model) {
+        if (ModelUtility.isValidType(modelType) === false) {
+            throw new RESTError(500, 'The "modelType" argument is required and must be a supported StashKu model type object.');
+        }
+        let changed = [];
+        if (model) {
+            let mapping = ModelUtility.map(modelType);
+            let tracking = (model.tracking && typeof model.tracking === 'object' ? model.tracking : null);
+            for (let k of mapping.keys()) {
+                if (tracking) {
+                    if (tracking.original && Object.prototype.hasOwnProperty.call(tracking.original, k)) {
+                        let original = tracking.original[k];
+                        let value = model[k];
+                        if (original instanceof Date && value instanceof Date) {
+                            if (original.getTime() !== value.getTime()) {
+                                changed.push(k);
+                            }
+                        } else if (original !== value) {
+                            changed.push(k);
+                        }
+                    }
+                } else if (typeof model[k] !== 'undefined') {
+                    changed.push(k);
+                }
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Returns the value of the `model` header added to requests for a model type. This is the model's `$stashku`
+     * configuration, extended with the following properties (keyed by target name) when the model defines them:
+     * - `pk`: An array of the primary-key property target names.
+     * - `generated`: An object of the `generated` property definition values.
+     * - `defaults`: An object of the `default` property definition values.
+     * @param {Modeling.AnyModelType} modelType - The model "class" or constructor function.
+     * @returns {Modeling.Configuration}
+     */
+    static header(modelType) {
+        if (ModelUtility.isValidType(modelType)) {
+            let extensions = {};
+            let primaryKeys = ModelUtility.pk(modelType);
+            if (primaryKeys.length) {
+                extensions.pk = primaryKeys;
+            }
+            for (let [_, v] of ModelUtility.map(modelType)) {
+                if (v && typeof v.generated === 'string') {
+                    extensions.generated = Object.assign(extensions.generated || {}, { [v.target]: v.generated });
+                }
+                if (v && typeof v.default !== 'undefined') {
+                    extensions.defaults = Object.assign(extensions.defaults || {}, { [v.target]: v.default });
+                }
+            }
+            if (Object.keys(extensions).length) {
+                return Object.assign({}, modelType.$stashku, extensions);
+            }
+            return modelType.$stashku;
+        }
+        return null;
+    }
+
+    /**
+     * Returns a map of the relationships defined on the `$stashku` configuration of a model type, keyed by the
+     * relationship name. Each relationship definition is resolved: the related `model` type is unwrapped from an
+     * arrow function if needed, and omitted key properties are defaulted to the appropriate primary-key property.
+     * @throws 500 `RESTError` if a relationship has an invalid "type" value.
+     * @throws 500 `RESTError` if a relationship "model" is not a supported StashKu model type object.
+     * @throws 500 `RESTError` if a relationship key property is missing and cannot be defaulted.
+     * @param {Modeling.AnyModelType} modelType - The model "class" or constructor function.
+     * @returns {Map.<String, Modeling.RelationshipDefinition>}
+     */
+    static relationships(modelType) {
+        let relMap = new Map();
+        if (ModelUtility.isValidType(modelType) && modelType.$stashku && modelType.$stashku.relationships) {
+            let pkProperty = (mt) => {
+                for (let [k, v] of ModelUtility.map(mt)) {
+                    if (v && v.pk) {
+                        return k;
+                    }
+                }
+                return null;
+            };
+            for (let [name, def] of Object.entries(modelType.$stashku.relationships)) {
+                if (!def) {
+                    continue;
+                }
+                if (def.type !== ModelUtility.RELATIONSHIP.BELONGS_TO && def.type !== ModelUtility.RELATIONSHIP.HAS_MANY) {
+                    throw new RESTError(500, `The "${name}" relationship on the model "${modelType.name}" has an invalid "type". The value must be "belongsTo" or "hasMany".`);
+                }
+                let relatedType = def.model;
+                if (typeof relatedType === 'function' && ModelUtility.isValidType(relatedType) === false) {
+                    relatedType = relatedType();
+                }
+                if (ModelUtility.isValidType(relatedType) === false) {
+                    throw new RESTError(500, `The "${name}" relationship on the model "${modelType.name}" must specify a "model" that is a supported StashKu model type object.`);
+                }
+                let localKey = def.localKey;
+                let foreignKey = def.foreignKey;
+                if (def.type === ModelUtility.RELATIONSHIP.BELONGS_TO) {
+                    foreignKey = foreignKey || pkProperty(relatedType);
+                } else {
+                    localKey = localKey || pkProperty(modelType);
+                }
+                if (!localKey || !foreignKey) {
+                    throw new RESTError(500, `The "${name}" relationship on the model "${modelType.name}" requires a "localKey" and "foreignKey", and they could not be determined.`);
+                }
+                relMap.set(name, {
+                    type: def.type,
+                    model: relatedType,
+                    localKey,
+                    foreignKey
+                });
+            }
+        }
+        return relMap;
+    }
+
     /**
      * @template T
      * @typedef {new(...args: Array) | new(...args: Array) => T} Constructor
@@ -170,6 +644,8 @@ class ModelUtility {
      * 
      * This method is called by StashKu after a response is returned by the underlying engine (and a model is being
      * used) but before it is handed back to the caller.
+     * 
+     * Values of properties with a registered `type` are parsed by the type handler (see `registerType`).
      * @throws 500 `RESTError` if the "modelType" argument is missing or not a supported StashKu model type object.
      * @throws 500 `RESTError` if the "method" argument is missing or not a string.
      * @template T
@@ -198,23 +674,25 @@ class ModelUtility {
                         model.track(false); //turn off change tracking until we're done.
                     }
                     for (let [k, v] of mapping) {
-                        if (typeof obj[v.target] !== 'undefined' || typeof obj[k] !== 'undefined') {
-                            model[k] = obj[v.target];
+                        let targetValue = readTarget(obj, v);
+                        if (typeof targetValue !== 'undefined' || typeof obj[k] !== 'undefined') {
+                            model[k] = targetValue;
                             if (typeof obj[k] !== 'undefined') {
                                 model[k] = obj[k];
                             }
-                            //handle type conversion for objects that may have come from JSON
-                            let valueType = typeof model[k];
-                            if (v.type === 'Date' && (valueType === 'string' || valueType === 'number')) {
-                                model[k] = new Date(model[k]);
-                            } else if (v.type === 'Boolean') {
-                                if (valueType === 'string') {
-                                    model[k] = /^[tTyY1]/.test(model[k]);
-                                } else if (valueType === 'number') {
-                                    model[k] = (model[k] !== 0);
+                            //handle type conversion for objects that may have come from storage or JSON
+                            let handler = TYPES.get(v.type);
+                            if (handler?.parse && model[k] !== null && typeof model[k] !== 'undefined') {
+                                model[k] = handler.parse(model[k], v);
+                            }
+                            //model embedded objects
+                            let embedded = embeddedType(v);
+                            if (embedded && model[k] !== null && typeof model[k] === 'object') {
+                                if (Array.isArray(model[k])) {
+                                    model[k] = Array.from(ModelUtility.model(embedded, method, ...model[k]));
+                                } else {
+                                    model[k] = ModelUtility.model(embedded, method, model[k]).next().value;
                                 }
-                            } else if (v.type === 'Number' && valueType === 'string') {
-                                model[k] = parseFloat(model[k]);
                             }
                         } else if (typeof v.default === 'undefined') {
                             //not given by input object, and no default defined- nuke property from model instance.
@@ -262,6 +740,8 @@ class ModelUtility {
      * Certain StashKu requests will call this automatically before the request is sent to the underlying engine.    
      * A PATCH request will attempt to unmodel it's template.    
      * A PUT & POST request will attempt to unmodel it's objects.
+     * 
+     * Values of properties with a registered `type` are serialized by the type handler (see `registerType`).
      * @throws 500 `RESTError` if the "modelType" argument is missing or not a supported StashKu model type object.
      * @throws 500 `RESTError` if the "method" argument is missing or not a string.
      * @template T
@@ -283,14 +763,27 @@ class ModelUtility {
             if (model) {
                 let record = {};
                 for (let [k, v] of mapping) {
-                    if (typeof model[k] !== 'undefined') { //only set a value if the property value is defined.
-                        record[v.target] = model[k];
+                    let value = model[k];
+                    let defined = (typeof value !== 'undefined'); //only set a value if the property value is defined.
+                    if (v.transform) { //run a transform if present.
+                        value = v.transform.call(modelType, v.target, value, model, method, 'unmodel');
+                        defined = true;
                     }
-                    if (v && v.transform) { //run a transform if present.
-                        record[v.target] = v.transform.call(modelType, v.target, record[v.target], model, method, 'unmodel');
+                    //unmodel embedded models
+                    let embedded = embeddedType(v);
+                    if (embedded && value !== null && typeof value === 'object') {
+                        if (Array.isArray(value)) {
+                            value = Array.from(ModelUtility.unmodel(embedded, method, ...value));
+                        } else {
+                            value = ModelUtility.unmodel(embedded, method, value).next().value;
+                        }
                     }
-                    if (v && this.unmodelPropertyOmit(modelType, k, v, method, model)) {
-                        delete record[v.target];
+                    let handler = TYPES.get(v.type);
+                    if (handler?.serialize && value !== null && typeof value !== 'undefined') {
+                        value = handler.serialize(value, v);
+                    }
+                    if (defined && this.unmodelPropertyOmit(modelType, k, v, method, model) === false) {
+                        writeTarget(record, v, value);
                     }
                 }
                 yield record;
@@ -352,8 +845,8 @@ class ModelUtility {
         let map = ModelUtility.map(modelType);
         if (propertyNames && propertyNames.length) {
             for (let pn of propertyNames) {
-                if (pn && map.has(pn)) {
-                    translatedProps.push(map.get(pn).target);
+                if (pn && typeof pn === 'string') {
+                    translatedProps.push(unmodelPath(map, pn));
                 } else {
                     translatedProps.push(pn);
                 }
@@ -376,10 +869,8 @@ class ModelUtility {
         let map = ModelUtility.map(modelType);
         if (sorts && sorts.length) {
             for (let s of sorts) {
-                if (s && s.property) {
-                    if (map.has(s.property)) {
-                        s.property = map.get(s.property).target;
-                    }
+                if (s && s.property && typeof s.property === 'string') {
+                    s.property = unmodelPath(map, s.property);
                 }
             }
         }
@@ -401,10 +892,8 @@ class ModelUtility {
             for (let filter of filters) {
                 if (filter instanceof Filter) {
                     filter.walk(f => {
-                        if (f.property) { //is a logical condition
-                            if (map.has(f.property)) {
-                                f.property = map.get(f.property).target;
-                            }
+                        if (f.property && typeof f.property === 'string') { //is a logical condition
+                            f.property = unmodelPath(map, f.property);
                         }
                     });
                 }
@@ -414,4 +903,12 @@ class ModelUtility {
 
 }
 
+/**
+ * @readonly
+ */
+ModelUtility.RELATIONSHIP = {
+    BELONGS_TO: 'belongsTo',
+    HAS_MANY: 'hasMany'
+};
+
 export default ModelUtility;
\ No newline at end of file
@@ -46,6 +46,52 @@ describe('.isValidType', () => {
     });
 });
 
+describe('.registerType', () => {
+    afterEach(() => {
+        ModelUtility.registerType('Point', null);
+    });
+    it('throws when the "name" argument is missing or not a string.', () => {
+        for (let v of [null, undefined, '', 123]) {
+            expect(() => ModelUtility.registerType(v, {})).toThrow(/"name"/);
+        }
+    });
+    it('throws when the "handler" argument is invalid.', () => {
+        for (let v of [undefined, 123, 'abc']) {
+            expect(() => ModelUtility.registerType('Point', v)).toThrow(/"handler"/);
+        }
+        expect(() => ModelUtility.registerType('Point', { parse: true })).toThrow(/"parse"/);
+        expect(() => ModelUtility.registerType('Point', { serialize: 'abc' })).toThrow(/"serialize"/);
+    });
+    it('registers and removes a type handler.', () => {
+        let handler = { parse: (v) => v, tsType: 'number[]' };
+        ModelUtility.registerType('Point', handler);
+        expect(ModelUtility.registeredType('Point')).toBe(handler);
+        ModelUtility.registerType('Point', null);
+        expect(ModelUtility.registeredType('Point')).toBeUndefined();
+    });
+    it('parses and serializes values of a registered type.', () => {
+        ModelUtility.registerType('Point', {
+            parse: (v) => (typeof v === 'string' ? v.split(',').map(parseFloat) : v),
+            serialize: (v) => (Array.isArray(v) ? v.join(',') : v)
+        });
+        class TestModel {
+            static get location() { return { target: 'Location', type: 'Point' }; }
+        }
+        let m = ModelUtility.model(TestModel, 'get', { Location: '1.5,-2' }).next().value;
+        expect(m.location).toEqual([1.5, -2]);
+        expect(ModelUtility.unmodel(TestModel, 'post', m).next().value).toEqual({ Location: '1.5,-2' });
+    });
+});
+
+describe('.registeredType', () => {
+    it('returns the built-in type handlers.', () => {
+        for (let t of ['String', 'Number', 'Boolean', 'Date', 'BigInt', 'Object', 'Array', 'Buffer', 'Decimal', 'URL']) {
+            expect(ModelUtility.registeredType(t)).toBeTruthy();
+        }
+        expect(ModelUtility.registeredType('Nope')).toBeUndefined();
+    });
+});
+
 describe('.map', () => {
     it('returns an empty map when the "modelType" argument is not a valid model type.', () => {
         for (let i = 4; i < invalidModelTypeValues.length; i++) {
@@ -126,6 +172,91 @@ describe('.schema', () => {
     });
 });
 
+describe('.jsonSchemaProperty', () => {
+    it('maps property definition types to JSON schema types.', () => {
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'String' })).toEqual({ type: ['string', 'null'] });
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Number' })).toEqual({ type: ['number', 'null'] });
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Boolean' })).toEqual({ type: ['boolean', 'null'] });
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Date' })).toEqual({ type: ['string', 'null'], format: 'date-time' });
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Array' })).toEqual({ type: ['array', 'null'] });
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Object' })).toEqual({ type: ['object', 'null'] });
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a' })).toEqual({});
+    });
+    it('does not allow null primary key values.', () => {
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'String', pk: true })).toEqual({ type: 'string' });
+    });
+    it('maps the "charLength", "precision", and "radix" definition values.', () => {
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'String', charLength: 50 })).toEqual({ type: ['string', 'null'], maxLength: 50 });
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Number', precision: 6, radix: 2 })).toEqual({
+            type: ['number', 'null'],
+            multipleOf: 0.01,
+            exclusiveMinimum: -10000,
+            exclusiveMaximum: 10000
+        });
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Number', precision: 3, radix: 0 })).toEqual({
+            type: ['integer', 'null'],
+            exclusiveMinimum: -1000,
+            exclusiveMaximum: 1000
+        });
+    });
+    it('includes non-function default values.', () => {
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'String', default: 'abc' }).default).toBe('abc');
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Date', default: new Date('2021-03-01T00:00:00Z') }).default).toBe('2021-03-01T00:00:00.000Z');
+        expect(ModelUtility.jsonSchemaProperty({ target: 'a', type: 'Number', default: () => 1 }).default).toBeUndefined();
+    });
+});
+
+describe('.jsonSchema', () => {
+    it('throws a REST error when given an invalid model type.', () => {
+        for (let i = 4; i < invalidModelTypeValues.length; i++) {
+            expect(() => ModelUtility.jsonSchema(invalidModelTypeValues[i])).toThrow(/modelType/);
+        }
+    });
+    it('returns a JSON schema of the model properties keyed by target name.', () => {
+        class TestModel {
+            static get id() { return { target: 'ID', type: 'Number', radix: 0, pk: true }; }
+            static get firstName() { return { target: 'First_Name', type: 'String', charLength: 30, default: 'Joe', required: true }; }
+            static get notes() { return 'Notes'; }
+            static get $stashku() {
+                return {
+                    resource: 'dbo.People',
+                    name: 'Person',
+                    slug: 'person',
+                    plural: { name: 'People', slug: 'people' },
+                    validations: {}
+                };
+            }
+        }
+        expect(ModelUtility.jsonSchema(TestModel)).toEqual({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            title: 'Person',
+            type: 'object',
+            properties: {
+                ID: { type: 'integer' },
+                First_Name: { type: ['string', 'null'], maxLength: 30, default: 'Joe' },
+                Notes: {}
+            },
+            required: ['ID', 'First_Name'],
+            'x-stashku': {
+                resource: 'dbo.People',
+                pk: ['ID'],
+                name: 'Person',
+                slug: 'person',
+                plural: { name: 'People', slug: 'people' }
+            }
+        });
+    });
+    it('uses the model type name and derived resource when no $stashku names are set.', () => {
+        class TestModel {
+            static get FirstName() { return 'First_Name'; }
+        }
+        let schema = ModelUtility.jsonSchema(TestModel);
+        expect(schema.title).toBe('TestModel');
+        expect(schema.required).toBeUndefined();
+        expect(schema['x-stashku']).toEqual({ resource: 'TestModels' });
+    });
+});
+
 describe('.resource', () => {
     it('returns null when an invalid model type is specified.', () => {
         for (let invalid of invalidModelTypeValues) {
@@ -229,6 +360,174 @@ describe('.pk', () => {
     });
 });
 
+describe('.changes', () => {
+    class TestModel {
+        static get id() {
+            return { target: 'ID', pk: true };
+        }
+        static get title() {
+            return 'Title';
+        }
+        static get created() {
+            return { target: 'Created', type: 'Date' };
+        }
+    }
+    it('throws when an invalid model type is specified.', () => {
+        for (let v of invalidModelTypeValues) {
+            expect(() => ModelUtility.changes(v, {})).toThrow(/modelType/);
+        }
+    });
+    it('returns the changed properties of a tracked model.', () => {
+        let model = {
+            id: 1,
+            title: 'B',
+            created: new Date('2021-01-01T00:00:00Z'),
+            tracking: {
+                enabled: true,
+                changes: true,
+                original: { title: 'A', created: new Date('2021-01-01T00:00:00Z') }
+            }
+        };
+        expect(ModelUtility.changes(TestModel, model)).toEqual(['title']);
+        model.created = new Date('2022-01-01T00:00:00Z');
+        expect(ModelUtility.changes(TestModel, model)).toEqual(['title', 'created']);
+        model.title = 'A';
+        expect(ModelUtility.changes(TestModel, model)).toEqual(['created']);
+    });
+    it('returns an empty array when a tracked model has no changes.', () => {
+        expect(ModelUtility.changes(TestModel, { id: 1, tracking: { enabled: true, original: null } })).toEqual([]);
+        expect(ModelUtility.changes(TestModel, null)).toEqual([]);
+    });
+    it('returns all defined properties of an untracked model.', () => {
+        expect(ModelUtility.changes(TestModel, { id: 1, title: 'A', other: true })).toEqual(['id', 'title']);
+    });
+});
+
+describe('.header', () => {
+    it('returns the $stashku configuration when no primary keys are configured.', () => {
+        let config = { resource: 'tests' };
+        class TestModel {
+            static get test1() {
+                return {};
+            }
+            static get $stashku() {
+                return config;
+            }
+        }
+        expect(ModelUtility.header(TestModel)).toBe(config);
+    });
+    it('adds the primary key target names to a copy of the $stashku configuration.', () => {
+        class TestModel {
+            static get test1() {
+                return { pk: true, target: 'apples' };
+            }
+            static get $stashku() {
+                return { resource: 'tests' };
+            }
+        }
+        expect(ModelUtility.header(TestModel)).toEqual({ resource: 'tests', pk: ['apples'] });
+        expect(TestModel.$stashku.pk).toBeUndefined();
+    });
+    it('adds the generated and default property values keyed by target name.', () => {
+        class TestModel {
+            static get test1() {
+                return { target: 'ID', generated: 'increment' };
+            }
+            static get test2() {
+                return { default: 'hello' };
+            }
+            static get $stashku() {
+                return { resource: 'tests' };
+            }
+        }
+        expect(ModelUtility.header(TestModel)).toEqual({
+            resource: 'tests',
+            generated: { ID: 'increment' },
+            defaults: { test2: 'hello' }
+        });
+    });
+    it('returns null when an invalid model type is specified.', () => {
+        expect(ModelUtility.header()).toBeNull();
+        expect(ModelUtility.header({})).toBeNull();
+    });
+});
+
+describe('.relationships', () => {
+    class AuthorModel {
+        static get ID() {
+            return { target: 'Author_ID', pk: true };
+        }
+        static get $stashku() {
+            return {
+                resource: 'authors',
+                relationships: {
+                    books: { type: 'hasMany', model: () => BookModel, foreignKey: 'AuthorID' }
+                }
+            };
+        }
+    }
+    class BookModel {
+        static get ID() {
+            return { pk: true };
+        }
+        static get AuthorID() {
+            return { target: 'Author_ID' };
+        }
+        static get $stashku() {
+            return {
+                resource: 'books',
+                relationships: {
+                    author: { type: 'belongsTo', model: AuthorModel, localKey: 'AuthorID' }
+                }
+            };
+        }
+    }
+    it('returns an empty map when no relationships are defined or the model type is invalid.', () => {
+        expect(ModelUtility.relationships(class Test { }).size).toBe(0);
+        for (let i = 4; i < invalidModelTypeValues.length; i++) {
+            expect(ModelUtility.relationships(invalidModelTypeValues[i]).size).toBe(0);
+        }
+    });
+    it('resolves relationships and defaults keys to the primary-key property.', () => {
+        expect(ModelUtility.relationships(BookModel).get('author')).toEqual({
+            type: 'belongsTo',
+            model: AuthorModel,
+            localKey: 'AuthorID',
+            foreignKey: 'ID'
+        });
+        expect(ModelUtility.relationships(AuthorModel).get('books')).toEqual({
+            type: 'hasMany',
+            model: BookModel,
+            localKey: 'ID',
+            foreignKey: 'AuthorID'
+        });
+    });
+    it('throws on an invalid relationship type.', () => {
+        class TestModel {
+            static get $stashku() {
+                return { relationships: { x: { type: 'hasOne', model: AuthorModel, localKey: 'a' } } };
+            }
+        }
+        expect(() => ModelUtility.relationships(TestModel)).toThrow(/type/);
+    });
+    it('throws on an invalid related model.', () => {
+        class TestModel {
+            static get $stashku() {
+                return { relationships: { x: { type: 'belongsTo', model: 'authors', localKey: 'a' } } };
+            }
+        }
+        expect(() => ModelUtility.relationships(TestModel)).toThrow(/model/);
+    });
+    it('throws when keys cannot be determined.', () => {
+        class TestModel {
+            static get $stashku() {
+                return { relationships: { x: { type: 'hasMany', model: BookModel } } };
+            }
+        }
+        expect(() => ModelUtility.relationships(TestModel)).toThrow(/localKey/);
+    });
+});
+
 describe('.model', () => {
     it('throws error when the model type is invalid.', () => {
         for (let invalid of invalidModelTypeValues) {
@@ -287,6 +586,47 @@ describe('.model', () => {
             expect(m.b).toBe(false);
         }
     });
+    it('parses values of the "BigInt", "Object", "Array", "Buffer", "Decimal", and "URL" types.', () => {
+        class TestModel {
+            static get id() { return { target: 'ID', type: 'BigInt' }; }
+            static get meta() { return { target: 'Meta', type: 'Object' }; }
+            static get tags() { return { target: 'Tags', type: 'Array' }; }
+            static get file() { return { target: 'File', type: 'Buffer' }; }
+            static get price() { return { target: 'Price', type: 'Decimal' }; }
+            static get site() { return { target: 'Site', type: 'URL' }; }
+        }
+        let m = ModelUtility.model(TestModel, 'get', {
+            ID: '9007199254740993',
+            Meta: '{"a":1}',
+            Tags: '["x","y"]',
+            File: Buffer.from('hello').toString('base64'),
+            Price: 12.5,
+            Site: 'https://appku.com/a'
+        }).next().value;
+        expect(m.id).toBe(9007199254740993n);
+        expect(m.meta).toEqual({ a: 1 });
+        expect(m.tags).toEqual(['x', 'y']);
+        expect(Buffer.isBuffer(m.file)).toBe(true);
+        expect(m.file.toString()).toBe('hello');
+        expect(m.price).toBe('12.5');
+        expect(m.site).toBeInstanceOf(URL);
+        expect(m.site.pathname).toBe('/a');
+        //values that cannot be parsed are left as-is
+        m = ModelUtility.model(TestModel, 'get', {
+            ID: 'abc',
+            Meta: '[1]',
+            Tags: 'nope',
+            File: { type: 'Buffer', data: [104, 105] },
+            Price: '1.10',
+            Site: 'not a url'
+        }).next().value;
+        expect(m.id).toBe('abc');
+        expect(m.meta).toBe('[1]');
+        expect(m.tags).toBe('nope');
+        expect(m.file.toString()).toBe('hi');
+        expect(m.price).toBe('1.10');
+        expect(m.site).toBe('not a url');
+    });
     it('does basic type conversion for definitions with type "Number".', () => {
         class TestModel {
             static get a() { return { target: 'a', type: 'Number' }; }
@@ -412,12 +752,73 @@ describe('.model', () => {
     });
 });
 
+describe('.model nested & embedded', () => {
+    class AddressModel {
+        static get city() { return 'City'; }
+        static get zip() { return 'Zip_Code'; }
+    }
+    class PersonModel {
+        static get name() { return 'PersonModel'; }
+        static get first() { return { target: 'name.first', nested: true }; }
+        static get city() { return 'address.city'; }
+        static get address() { return { target: 'Address', model: () => AddressModel }; }
+        static get previous() { return { target: 'Previous', model: AddressModel }; }
+    }
+    it('reads nested dot-notation targets from nested objects.', () => {
+        let iterator = ModelUtility.model(PersonModel, 'get', { name: { first: 'Bob' } }, { 'name.first': 'Lucy' });
+        expect(iterator.next().value.first).toBe('Bob');
+        expect(iterator.next().value.first).toBeUndefined();
+    });
+    it('reads flat dot-notation targets from dot-notation keys.', () => {
+        let iterator = ModelUtility.model(PersonModel, 'get', { 'address.city': 'Reno' }, { address: { city: 'Reno' } });
+        expect(iterator.next().value.city).toBe('Reno');
+        expect(iterator.next().value.city).toBeUndefined();
+    });
+    it('models embedded objects and arrays of objects.', () => {
+        let m = ModelUtility.model(PersonModel, 'get', {
+            Address: { City: 'Seattle', Zip_Code: '98101' },
+            Previous: [{ City: 'Tacoma' }, null]
+        }).next().value;
+        expect(m.address).toBeInstanceOf(AddressModel);
+        expect(m.address.city).toBe('Seattle');
+        expect(m.address.zip).toBe('98101');
+        expect(m.previous.length).toBe(2);
+        expect(m.previous[0]).toBeInstanceOf(AddressModel);
+        expect(m.previous[0].city).toBe('Tacoma');
+        expect(m.previous[1]).toBeNull();
+    });
+});
+
 describe('.unmodel', () => {
     it('throws error when the model type is invalid.', () => {
         for (let invalid of invalidModelTypeValues) {
             expect(() => ModelUtility.unmodel(invalid, 'post').next().done()).toThrow(/model/);
         }
     });
+    it('serializes values of the "BigInt", "Buffer", and "URL" types.', () => {
+        class TestModel {
+            static get id() { return { target: 'ID', type: 'BigInt' }; }
+            static get meta() { return { target: 'Meta', type: 'Object' }; }
+            static get file() { return { target: 'File', type: 'Buffer' }; }
+            static get site() { return { target: 'Site', type: 'URL' }; }
+            static get created() { return { target: 'Created', type: 'Date' }; }
+        }
+        let created = new Date();
+        let record = ModelUtility.unmodel(TestModel, 'post', {
+            id: 10n,
+            meta: { a: 1 },
+            file: Buffer.from('hello'),
+            site: new URL('https://appku.com/a'),
+            created
+        }).next().value;
+        expect(record).toEqual({
+            ID: '10',
+            Meta: { a: 1 },
+            File: Buffer.from('hello').toString('base64'),
+            Site: 'https://appku.com/a',
+            Created: created
+        });
+    });
     it('throws error when the method is missing.', () => {
         expect(() => ModelUtility.unmodel(function MyModel() { }).next().done()).toThrow(/method/);
         expect(() => ModelUtility.unmodel(function MyModel() { }, '').next().done()).toThrow(/method/);
@@ -544,6 +945,46 @@ describe('.unmodel', () => {
     });
 });
 
+describe('.unmodel nested & embedded', () => {
+    class AddressModel {
+        static get city() { return 'City'; }
+        static get zip() { return { target: 'Zip_Code', omit: { post: true } }; }
+    }
+    class PersonModel {
+        static get name() { return 'PersonModel'; }
+        static get first() { return { target: 'name.first', nested: true }; }
+        static get last() { return { target: 'name.last', nested: true }; }
+        static get city() { return 'address.city'; }
+        static get address() { return { target: 'Address', model: () => AddressModel }; }
+        static get previous() { return { target: 'Previous', model: AddressModel }; }
+    }
+    it('writes nested dot-notation targets into nested objects.', () => {
+        let record = ModelUtility.unmodel(PersonModel, 'get', { first: 'Bob', last: 'Jones' }).next().value;
+        expect(record).toEqual({ name: { first: 'Bob', last: 'Jones' } });
+    });
+    it('round-trips flat dot-notation targets as dot-notation keys.', () => {
+        let m = ModelUtility.model(PersonModel, 'get', { 'address.city': 'Reno' }).next().value;
+        expect(ModelUtility.unmodel(PersonModel, 'put', m).next().value).toEqual({ 'address.city': 'Reno' });
+    });
+    it('unmodels embedded objects and arrays of objects.', () => {
+        let m = ModelUtility.model(PersonModel, 'get', {
+            name: { first: 'Bob' },
+            Address: { City: 'Seattle', Zip_Code: '98101' },
+            Previous: [{ City: 'Tacoma' }]
+        }).next().value;
+        expect(ModelUtility.unmodel(PersonModel, 'get', m).next().value).toEqual({
+            name: { first: 'Bob' },
+            Address: { City: 'Seattle', Zip_Code: '98101' },
+            Previous: [{ City: 'Tacoma' }]
+        });
+        expect(ModelUtility.unmodel(PersonModel, 'post', m).next().value).toEqual({
+            name: { first: 'Bob' },
+            Address: { City: 'Seattle' },
+            Previous: [{ City: 'Tacoma' }]
+        });
+    });
+});
+
 describe('.unmodelProperties', () => {
     class TestModel {
         constructor() {
@@ -566,6 +1007,17 @@ describe('.unmodelProperties', () => {
         expect(results[1]).toBe('aaa');
         expect(results[2]).toBe('c');
     });
+    it('maps nested and embedded property paths to target paths', () => {
+        class AddressModel {
+            static get city() { return 'City'; }
+        }
+        class NestedModel {
+            static get a() { return 'aaa'; }
+            static get address() { return { target: 'Address', model: AddressModel }; }
+        }
+        let results = ModelUtility.unmodelProperties(NestedModel, 'a.b', 'address.city', 'address.zip', 'tacos.city');
+        expect(results).toEqual(['aaa.b', 'Address.City', 'Address.zip', 'tacos.city']);
+    });
 });
 
 describe('.unmodelSorts', () => {
@@ -597,6 +1049,18 @@ describe('.unmodelSorts', () => {
         expect(test[2].property).toBe('c');
         expect(test[2].dir).toBe(Sort.DIR.ASC);
     });
+    it('maps nested and embedded property paths to target paths', () => {
+        class AddressModel {
+            static get city() { return 'City'; }
+        }
+        class NestedModel {
+            static get address() { return { target: 'Address', model: () => AddressModel }; }
+        }
+        let test = [new Sort('address.city', Sort.DIR.DESC)];
+        ModelUtility.unmodelSorts(NestedModel, ...test);
+        expect(test[0].property).toBe('Address.City');
+        expect(test[0].dir).toBe(Sort.DIR.DESC);
+    });
 });
 
 describe('.unmodelFilters', () => {
@@ -639,4 +1103,23 @@ describe('.unmodelFilters', () => {
             ]
         });
     });
+    it('maps nested and embedded property paths to target paths', () => {
+        class AddressModel {
+            static get city() { return 'City'; }
+        }
+        class NestedModel {
+            static get first() { return { target: 'name.first', nested: true }; }
+            static get address() { return { target: 'Address', model: AddressModel }; }
+        }
+        let test = Filter.parse('{first} == "Bob" AND {address.city} == "Seattle" AND {address.zip} == "98101"');
+        ModelUtility.unmodelFilters(NestedModel, test);
+        expect(test.tree).toEqual({
+            logic: 'and',
+            filters: [
+                { property: 'name.first', op: 'eq', value: 'Bob' },
+                { property: 'Address.City', op: 'eq', value: 'Seattle' },
+                { property: 'Address.zip', op: 'eq', value: '98101' }
+            ]
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,203 @@
+///<reference path="./modeling.d.js" />
+import RESTError from '../rest-error.js';
+import ModelUtility from './model-utility.js';
+
+/**
+ * @typedef ModelValidationError
+ * @property {Number} index - The index of the invalid object in the request (always `0` for a PATCH template).
+ * @property {String} property - The modeled property name.
+ * @property {Array.<String>} messages - The validation messages of the property.
+ */
+
+/**
+ * The request methods that write objects and are validated.
+ * @type {Array.<String>}
+ * @ignore
+ */
+const METHODS = ['post', 'put', 'patch'];
+
+/**
+ * Checks that a value matches the `type` of the property definition. Unrecognized types are not checked.
+ * @param {String} type - The property definition type.
+ * @param {*} value - The (non-null) value to check.
+ * @returns {Boolean}
+ * @ignore
+ */
+function typeMatch(type, value) {
+    switch (type) {
+        case 'String': return typeof value === 'string';
+        case 'Number': return typeof value === 'number' && !isNaN(value);
+        case 'BigInt': return typeof value === 'bigint';
+        case 'Boolean': return typeof value === 'boolean';
+        case 'Date': return value instanceof Date && !isNaN(value.getTime());
+        case 'Array': return Array.isArray(value);
+        case 'Object': return typeof value === 'object';
+    }
+    return true;
+}
+
+/**
+ * A utility class for validating modeled objects against the rules of their model type's property definitions and
+ * the `$stashku.validations` callbacks before they are written to storage.
+ *
+ * The following property definition values are checked:
+ * - `required`: The value must not be `null`, `undefined`, or an empty string. Not checked on PATCH templates, or
+ *   properties left out of PUT objects.
+ * - `type`: The value must match the definition type, once converted by the `parse` handler of the registered type
+ *   (see `ModelUtility.registerType`), such as a numeric string of a "Number" property.
+ * - `charLength`: A string value must not be longer than the character length.
+ * - `precision` & `radix`: A number value must not have more digits than allowed.
+ * - `min` & `max`: A number, bigint, or date value must be within the (inclusive) range.
+ * - `pattern`: A string value must match the regular expression (or regular expression string).
+ * - `enum`: The value must be one of the values in the array.
+ * - `validate`: A custom (optionally async) validation callback returning an error message for invalid values.
+ */
+class ModelValidator {
+
+    /**
+     * Validates a single property value against its property definition, returning the validation messages (if any).
+     * `null` and `undefined` values are only checked by the `required` rule. Other values are converted by the
+     * `parse` handler of the registered definition type before they are checked.
+     * @param {String} property - The modeled property name.
+     * @param {Modeling.PropertyDefinition} definition - The property definition.
+     * @param {*} value - The property value.
+     * @param {String} method - The request method.
+     * @returns {Array.<String>}
+     */
+    static property(property, definition, value, method) {
+        let messages = [];
+        if (value === null || typeof value === 'undefined' || value === '') {
+            if (definition.required === true && method !== 'patch') {
+                messages.push(`The "${property}" value is required.`);
+            }
+            if (value !== '') {
+                return messages;
+            }
+        }
+        let handler = ModelUtility.registeredType(definition.type);
+        if (handler?.parse && value !== '') {
+            value = handler.parse(value, definition);
+        }
+        if (definition.type && typeMatch(definition.type, value) === false) {
+            messages.push(`The "${property}" value must be of type "${definition.type}".`);
+            return messages;
+        }
+        if (typeof value === 'string') {
+            if (definition.charLength > 0 && value.length > definition.charLength) {
+                messages.push(`The "${property}" value must be no more than ${definition.charLength} characters long.`);
+            }
+            if (definition.pattern) {
+                let pattern = (definition.pattern instanceof RegExp ? definition.pattern : new RegExp(definition.pattern));
+                if (pattern.test(value) === false) {
+                    messages.push(`The "${property}" value is not in a valid format.`);
+                }
+            }
+        } else if (typeof value === 'number' && isFinite(value)) {
+            let [whole, decimals] = Math.abs(value).toString().split('.');
+            let radix = definition.radix;
+            if (radix >= 0 && (decimals ?? '').length > radix) {
+                messages.push(`The "${property}" value must have no more than ${radix} decimal place(s).`);
+            }
+            if (definition.precision > 0 && /e/i.test(whole) === false) {
+                let max = definition.precision - (radix ?? 0);
+                if ((whole === '0' ? 0 : whole.length) > max) {
+                    messages.push(`The "${property}" value must have no more than ${max} digit(s) before the decimal point.`);
+                }
+            }
+        }
+        if (typeof value === 'number' || typeof value === 'bigint' || value instanceof Date) {
+            if (typeof definition.min !== 'undefined' && definition.min !== null && value < definition.min) {
+                messages.push(`The "${property}" value must be greater than or equal to ${definition.min instanceof Date ? definition.min.toISOString() : definition.min}.`);
+            }
+            if (typeof definition.max !== 'undefined' && definition.max !== null && value > definition.max) {
+                messages.push(`The "${property}" value must be less than or equal to ${definition.max instanceof Date ? definition.max.toISOString() : definition.max}.`);
+            }
+        }
+        if (Array.isArray(definition.enum) && definition.enum.indexOf(value) < 0) {
+            messages.push(`The "${property}" value must be one of: ${definition.enum.map(v => JSON.stringify(v)).join(', ')}.`);
+        }
+        return messages;
+    }
+
+    /**
+     * Validates the modeled objects against the property definitions and `$stashku.validations` callbacks of the
+     * model type. Properties omitted from the request method are not validated, and only the properties present on
+     * an object are validated for PUT requests (which update only the given properties) and PATCH requests (templates).
+     * A property value not found by its modeled name is read by its `target` name, such as on PATCH templates given
+     * by target.
+     *
+     * Custom validation callbacks (the property definition `validate` and `$stashku.validations` callbacks) are
+     * called with the arguments `(model, property, value)` and may return an error message string, or a promise
+     * resolving to one, when the value is invalid.
+     * @throws 500 `RESTError` if the "modelType" argument is missing or not a supported StashKu model type object.
+     * @param {Modeling.AnyModelType} modelType - The model "class" or constructor function.
+     * @param {String} method - The request method.
+     * @param {...*} models - The modeled objects to validate.
+     * @returns {Promise.<Array.<ModelValidationError>>} Returns the validation errors, or an empty array if all
+     * objects are valid.
+     */
+    static async validate(modelType, method, ...models) {
+        if (ModelUtility.isValidType(modelType) === false) {
+            throw new RESTError(500, 'The "modelType" argument is required and must be a supported StashKu model type object.');
+        }
+        let mapping = ModelUtility.map(modelType);
+        let validations = modelType.$stashku?.validations;
+        let errors = [];
+        for (let index = 0; index < models.length; index++) {
+            let model = models[index];
+            if (!model || typeof model !== 'object') {
+                continue;
+            }
+            for (let [k, v] of mapping) {
+                if (ModelUtility.unmodelPropertyOmit(modelType, k, v, method, model)) {
+                    continue;
+                }
+                let value = (typeof model[k] !== 'undefined' ? model[k] : model[v.target]);
+                if ((method === 'put' || method === 'patch') && typeof value === 'undefined') {
+                    continue;
+                }
+                let messages = ModelValidator.property(k, v, value, method);
+                let callbacks = [].concat(v.validate ?? [], validations?.[k] ?? []);
+                if (messages.length === 0) {
+                    for (let cb of callbacks) {
+                        if (typeof cb === 'function') {
+                            let msg = await cb.call(model, model, k, value);
+                            if (msg) {
+                                messages.push(msg);
+                                break;
+                            }
+                        }
+                    }
+                }
+                if (messages.length) {
+                    errors.push({ index, property: k, messages });
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Validates the objects (or template) of a modeled POST, PUT, or PATCH request. Requests of other methods are not
+     * validated.
+     * @throws 422 `RESTError` with the list of `ModelValidationError` objects as `data` when validation fails.
+     * @param {Modeling.AnyModelType} modelType - The model "class" or constructor function.
+     * @param {PostRequest|PutRequest|PatchRequest} request - The request holding modeled objects.
+     * @returns {Promise}
+     */
+    static async request(modelType, request) {
+        if (METHODS.indexOf(request.method) < 0) {
+            return;
+        }
+        let models = (request.method === 'patch' ? [request.metadata.template] : (request.metadata.objects ?? []));
+        let errors = await ModelValidator.validate(modelType, request.method, ...models);
+        if (errors.length) {
+            let err = new RESTError(422, `The request failed validation with ${errors.length} invalid propert${errors.length === 1 ? 'y' : 'ies'}.`);
+            err.data = errors;
+            throw err;
+        }
+    }
+
+}
+
+export default ModelValidator;
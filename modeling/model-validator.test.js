@@ -0,0 +1,187 @@
+import ModelValidator from './model-validator.js';
+import PatchRequest from '../requests/patch-request.js';
+import PostRequest from '../requests/post-request.js';
+import DeleteRequest from '../requests/delete-request.js';
+
+class ProductModel {
+    static get id() {
+        return { target: 'ID', type: 'Number', pk: true, omit: { post: true } };
+    }
+    static get title() {
+        return { target: 'Title', type: 'String', required: true, charLength: 20 };
+    }
+    static get price() {
+        return { target: 'Price', type: 'Number', precision: 5, radix: 2, min: 0 };
+    }
+    static get category() {
+        return { target: 'Category', type: 'String', enum: ['Food', 'Toys'] };
+    }
+    static get $stashku() {
+        return {
+            resource: 'products',
+            validations: {
+                price: [
+                    (model, key, value) => (value === 13 ? 'Unlucky.' : null),
+                    async (model, key, value) => (value === 99 ? 'Too expensive.' : null)
+                ]
+            }
+        };
+    }
+}
+
+describe('.property', () => {
+    it('checks the "required" value, except in PATCH requests.', () => {
+        let def = { target: 'a', required: true };
+        for (let v of [null, undefined, '']) {
+            expect(ModelValidator.property('a', def, v, 'post')).toEqual(['The "a" value is required.']);
+            expect(ModelValidator.property('a', def, v, 'patch')).toEqual([]);
+        }
+        expect(ModelValidator.property('a', def, 0, 'post')).toEqual([]);
+        expect(ModelValidator.property('a', { target: 'a' }, null, 'post')).toEqual([]);
+    });
+    it('checks the "type" value.', () => {
+        let tests = [
+            ['String', 'abc', 123],
+            ['Number', 1.5, 'abc'],
+            ['Number', 0, NaN],
+            ['BigInt', 10n, 1.5],
+            ['Boolean', false, {}],
+            ['Date', new Date(), 'nope'],
+            ['Date', new Date(), new Date('nope')],
+            ['Array', [], {}],
+            ['Object', {}, 'abc']
+        ];
+        for (let [type, valid, invalid] of tests) {
+            expect(ModelValidator.property('a', { target: 'a', type }, valid, 'post')).toEqual([]);
+            expect(ModelValidator.property('a', { target: 'a', type }, invalid, 'post')).toEqual([`The "a" value must be of type "${type}".`]);
+        }
+        expect(ModelValidator.property('a', { target: 'a', type: 'Buffer' }, 'abc', 'post')).toEqual([]);
+    });
+    it('checks values converted by the "parse" handler of the registered type.', () => {
+        let tests = [
+            ['Number', '1.5'],
+            ['BigInt', 10],
+            ['BigInt', '10'],
+            ['Boolean', 'false'],
+            ['Date', '2000-01-01'],
+            ['Array', '[1,2]']
+        ];
+        for (let [type, valid] of tests) {
+            expect(ModelValidator.property('a', { target: 'a', type }, valid, 'post')).toEqual([]);
+        }
+        expect(ModelValidator.property('a', { target: 'a', type: 'Number', min: 10 }, '5', 'post')).toEqual([
+            'The "a" value must be greater than or equal to 10.'
+        ]);
+    });
+    it('checks the "charLength" value.', () => {
+        let def = { target: 'a', type: 'String', charLength: 3 };
+        expect(ModelValidator.property('a', def, 'abc', 'post')).toEqual([]);
+        expect(ModelValidator.property('a', def, 'abcd', 'post')).toEqual(['The "a" value must be no more than 3 characters long.']);
+    });
+    it('checks the "precision" and "radix" values.', () => {
+        let def = { target: 'a', type: 'Number', precision: 5, radix: 2 };
+        for (let v of [0, 0.5, 999.99, -999.99]) {
+            expect(ModelValidator.property('a', def, v, 'post')).toEqual([]);
+        }
+        expect(ModelValidator.property('a', def, 1.234, 'post')).toEqual(['The "a" value must have no more than 2 decimal place(s).']);
+        expect(ModelValidator.property('a', def, -1000, 'post')).toEqual(['The "a" value must have no more than 3 digit(s) before the decimal point.']);
+        expect(ModelValidator.property('a', { target: 'a', type: 'Number', radix: 0 }, 1.5, 'post')).toEqual(['The "a" value must have no more than 0 decimal place(s).']);
+    });
+    it('checks the "min" and "max" values.', () => {
+        let def = { target: 'a', min: 1, max: 10 };
+        expect(ModelValidator.property('a', def, 1, 'post')).toEqual([]);
+        expect(ModelValidator.property('a', def, 10, 'post')).toEqual([]);
+        expect(ModelValidator.property('a', def, 0, 'post')).toEqual(['The "a" value must be greater than or equal to 1.']);
+        expect(ModelValidator.property('a', def, 11, 'post')).toEqual(['The "a" value must be less than or equal to 10.']);
+        let dateDef = { target: 'a', type: 'Date', min: new Date('2020-01-01T00:00:00Z') };
+        expect(ModelValidator.property('a', dateDef, new Date('2019-01-01T00:00:00Z'), 'post')).toEqual(['The "a" value must be greater than or equal to 2020-01-01T00:00:00.000Z.']);
+    });
+    it('checks the "pattern" value.', () => {
+        for (let pattern of [/^[a-z]+$/, '^[a-z]+$']) {
+            expect(ModelValidator.property('a', { target: 'a', pattern }, 'abc', 'post')).toEqual([]);
+            expect(ModelValidator.property('a', { target: 'a', pattern }, 'ABC', 'post')).toEqual(['The "a" value is not in a valid format.']);
+        }
+    });
+    it('checks the "enum" value.', () => {
+        let def = { target: 'a', enum: ['x', 1] };
+        expect(ModelValidator.property('a', def, 1, 'post')).toEqual([]);
+        expect(ModelValidator.property('a', def, 'y', 'post')).toEqual(['The "a" value must be one of: "x", 1.']);
+    });
+});
+
+describe('.validate', () => {
+    it('throws when the model type is invalid.', async () => {
+        await expect(ModelValidator.validate(null, 'post', {})).rejects.toThrow(/modelType/);
+    });
+    it('returns an empty array when all objects are valid.', async () => {
+        let errors = await ModelValidator.validate(ProductModel, 'post',
+            { title: 'Apple', price: 1.5, category: 'Food' },
+            { title: 'Ball', price: null }
+        );
+        expect(errors).toEqual([]);
+    });
+    it('returns the errors of each invalid object property.', async () => {
+        let errors = await ModelValidator.validate(ProductModel, 'put',
+            { id: 'one', title: 'Apple', price: -1.555 },
+            { id: 2, title: 'Ball', price: 13, category: 'Cars' },
+            null,
+            { id: 3, title: 'Car', price: 99 }
+        );
+        expect(errors).toEqual([
+            { index: 0, property: 'id', messages: ['The "id" value must be of type "Number".'] },
+            { index: 0, property: 'price', messages: [
+                'The "price" value must have no more than 2 decimal place(s).',
+                'The "price" value must be greater than or equal to 0.'
+            ] },
+            { index: 1, property: 'price', messages: ['Unlucky.'] },
+            { index: 1, property: 'category', messages: ['The "category" value must be one of: "Food", "Toys".'] },
+            { index: 3, property: 'price', messages: ['Too expensive.'] }
+        ]);
+    });
+    it('skips properties left out of PUT objects.', async () => {
+        expect(await ModelValidator.validate(ProductModel, 'put', { id: 1, price: 2 })).toEqual([]);
+        expect(await ModelValidator.validate(ProductModel, 'put', { id: 1, title: null })).toEqual([
+            { index: 0, property: 'title', messages: ['The "title" value is required.'] }
+        ]);
+    });
+    it('skips properties omitted from the method.', async () => {
+        let errors = await ModelValidator.validate(ProductModel, 'post', { id: 'one', title: 'Apple' });
+        expect(errors).toEqual([]);
+    });
+    it('runs the property definition "validate" callback.', async () => {
+        class NoteModel {
+            static get text() {
+                return { target: 'Text', validate: async (model, key, value) => (value === 'bad' ? `The "${key}" is bad.` : undefined) };
+            }
+        }
+        expect(await ModelValidator.validate(NoteModel, 'post', { text: 'good' })).toEqual([]);
+        expect(await ModelValidator.validate(NoteModel, 'post', { text: 'bad' })).toEqual([
+            { index: 0, property: 'text', messages: ['The "text" is bad.'] }
+        ]);
+    });
+});
+
+describe('.request', () => {
+    it('throws a 422 error with the validation errors of the request objects.', async () => {
+        let req = new PostRequest().objects({ title: 'Apple' }, { price: 1 });
+        await expect(ModelValidator.request(ProductModel, req)).rejects.toMatchObject({
+            code: 422,
+            message: 'The request failed validation with 1 invalid property.',
+            data: [{ index: 1, property: 'title', messages: ['The "title" value is required.'] }]
+        });
+    });
+    it('validates only the properties present on a PATCH template.', async () => {
+        await expect(ModelValidator.request(ProductModel, new PatchRequest().template({ price: 1 }))).resolves.toBeUndefined();
+        await expect(ModelValidator.request(ProductModel, new PatchRequest().template({ title: 'A'.repeat(21) }))).rejects.toMatchObject({ code: 422 });
+    });
+    it('validates PATCH template values given by target name.', async () => {
+        await expect(ModelValidator.request(ProductModel, new PatchRequest().template({ Price: 1 }))).resolves.toBeUndefined();
+        await expect(ModelValidator.request(ProductModel, new PatchRequest().template({ Title: 'A'.repeat(21) }))).rejects.toMatchObject({
+            code: 422,
+            data: [{ index: 0, property: 'title', messages: ['The "title" value must be no more than 20 characters long.'] }]
+        });
+    });
+    it('does not validate requests that do not write objects.', async () => {
+        await expect(ModelValidator.request(ProductModel, new DeleteRequest().from('products'))).resolves.toBeUndefined();
+    });
+});
@@ -56,15 +56,37 @@
 /**
  * @typedef Modeling.PropertyDefinition
  * @property {String} target - The target resource property/column/field for this model's property.
- * @property {String} [type] - The JavaScript type intended for the property value.
+ * @property {Boolean} [nested=false] - If `true`, a dot-notation `target` (such as "address.city") maps the property to a value in a nested sub-object of the resource object. Otherwise the target is a flat property name (such as a dot-notation column).
+ * @property {String} [type] - The JavaScript type intended for the property value. Values of registered types (see `ModelUtility.registerType`) are parsed when modeled and serialized when unmodeled.
  * @property {*} [default] - The default value for this models property. This is used when a model type is generated and set in the model constructor.
  * @property {Boolean | Modeling.BooleanByRequestMethod | Modeling.PropertyOmitCallback} [omit=false] - If `true`, the property is ignored (not included) from processing in a request. 
  * If the value is `null` and the model instance value is `null` or `undefined`, then it is omitted from being processed in the request.
  * @property {Boolean} [pk=false] - Indicates the property is a primary-key identifier for the model.
+ * @property {String} [generated] - Indicates the property value is generated by the storage engine, either: "increment" (auto-incrementing integer), "uuid" (UUID v4), "createdAt" (timestamp set on creation), or "updatedAt" (timestamp set on creation and every update). This property is not used by StashKu directly, but may be leveraged by certain engines.
  * @property {Modeling.PropertyTransformCallback} [transform] - A callback that allows for values to be transformed whenever objects are turned into a model, or the model is "unmodeled" into a regular object.
  * @property {Number} [precision] - The maximum amount of number places, including decimals that may be used. This property is not used by StashKu directly, but may be leveraged by certain engines.
  * @property {Number} [radix] - The number of decimal places. This property is not used by StashKu directly, but may be leveraged by certain engines.
  * @property {Number} [charLength] - The maximum amount of storable characters. This property is not used by StashKu directly, but may be leveraged by certain engines.
+ * @property {Boolean} [required=false] - Indicates the property value must not be `null`, `undefined`, or an empty string when the model is written in a POST request, or when the property is given in a PUT request.
+ * @property {Number | BigInt | Date} [min] - The minimum (inclusive) value allowed for the property.
+ * @property {Number | BigInt | Date} [max] - The maximum (inclusive) value allowed for the property.
+ * @property {RegExp | String} [pattern] - A regular expression that string values of the property must match.
+ * @property {Array} [enum] - The only values allowed for the property.
+ * @property {Modeling.ValidationCallback} [validate] - A custom (optionally async) validation callback for the property value.
+ * @property {Modeling.AnyModelType | function(): Modeling.AnyModelType} [model] - The model type of an embedded object (or array of objects) held in the property. Embedded objects are modeled and unmodeled with the property value, and dot-notation paths through the property (such as "address.city") are translated using the embedded model type.
+ * @property {{resource: String, target: String}} [references] - Foreign-key metadata indicating the property holds the value of the `target` property of objects in another `resource`. This may be set by engines in OPTIONS responses, and is used by the CLI to generate model relationships.
+ *
+ * The `type`, `charLength`, `precision`, `radix`, `required`, `min`, `max`, `pattern`, `enum`, and `validate` values are checked by StashKu before modeled objects are written (see `ModelValidator`).
+ */
+
+/**
+ * Defines how values of a property definition `type` are converted between their storage and model forms. Type
+ * handlers are registered with `ModelUtility.registerType`.
+ * @typedef Modeling.TypeHandler
+ * @property {function(*, Modeling.PropertyDefinition): *} [parse] - Converts a (non-null) storage value into the model value when modeling.
+ * @property {function(*, Modeling.PropertyDefinition): *} [serialize] - Converts a (non-null) model value into the storage value when unmodeling.
+ * @property {String} [jsDocType] - The JSDoc type of model values, used by the CLI when exporting models.
+ * @property {String} [tsType] - The TypeScript type of model values, used by the CLI when exporting TypeScript declarations.
  */
 
 /**
@@ -72,7 +94,7 @@
  * @property {AnyModelType} model
  * @property {String} key
  * @property {*} value
- * @returns {String}
+ * @returns {String | Promise.<String>}
  */
 
 /**
@@ -87,4 +109,18 @@
  * @property {String | Modeling.StringByRequestMethod} [name] - An optionally stored, singular, PascalCase version of this model's name.
  * @property {Object.<String, Array.<Modeling.ValidationCallback> | Modeling.ValidationCallback>} [validations] - A validation object with keys optionally mapped to model properties.
  * @property {{slug: String | Modeling.StringByRequestMethod, name: String | Modeling.StringByRequestMethod}} [plural] - An optionally stored, plural form of the model's slug and name.
+ * @property {Object.<String, Modeling.RelationshipDefinition>} [relationships] - Relationships to other model types, keyed by the name of the relationship. The name is also the property the related model instance(s) are attached to when included in a GET request.
+ */
+
+/**
+ * Defines how a model relates to another model type through key properties.
+ * 
+ * A "belongsTo" relationship attaches a single related model instance (or `null`) whose `foreignKey` property value
+ * matches the model's `localKey` property value. A "hasMany" relationship attaches an array of all related model
+ * instances whose `foreignKey` property value matches the model's `localKey` property value.
+ * @typedef Modeling.RelationshipDefinition
+ * @property {String} type - The type of relationship, either "belongsTo" or "hasMany".
+ * @property {Modeling.AnyModelType | function(): Modeling.AnyModelType} model - The related model type, or an arrow function returning it (useful when model types reference each other).
+ * @property {String} [localKey] - The modeled property name on this model holding the key value. Required for "belongsTo" relationships, and defaults to this model's primary-key property for "hasMany" relationships.
+ * @property {String} [foreignKey] - The modeled property name on the related model holding the key value. Required for "hasMany" relationships, and defaults to the related model's primary-key property for "belongsTo" relationships.
  */
\ No newline at end of file
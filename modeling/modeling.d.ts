@@ -0,0 +1,117 @@
+/**
+ * TypeScript declarations of the `Modeling` namespace (see `modeling.d.js`), written alongside models exported by
+ * the StashKu CLI with the `--typescript` option.
+ */
+declare namespace Modeling {
+
+    /**
+     * Defines the string value used for a specific request method. If a specific method is `undefined` the
+     * `all` property value will be used as a fallback.
+     */
+    interface StringByRequestMethod {
+        all?: string;
+        get?: string;
+        post?: string;
+        put?: string;
+        patch?: string;
+        delete?: string;
+        options?: string;
+    }
+
+    /**
+     * Defines the boolean value used for a specific request method. If a specific method is `undefined` the
+     * `all` property value will be used as a fallback.
+     */
+    interface BooleanByRequestMethod {
+        all?: boolean;
+        get?: boolean;
+        post?: boolean;
+        put?: boolean;
+        patch?: boolean;
+        delete?: boolean;
+        options?: boolean;
+    }
+
+    type PropertyTransformCallback = (property: string, value: any, model: any, method: string, step: 'model' | 'unmodel') => any;
+
+    type PropertyOmitCallback = (property: string, value: any, model: any, method: string, step: 'model' | 'unmodel') => boolean;
+
+    interface PropertyDefinition {
+        /** The target resource property/column/field for this model's property. */
+        target: string;
+        /** If `true`, a dot-notation `target` maps the property to a value in a nested sub-object. */
+        nested?: boolean;
+        /** The JavaScript type intended for the property value. */
+        type?: string;
+        /** The default value for this models property. */
+        default?: any;
+        /** If `true`, the property is ignored (not included) from processing in a request. */
+        omit?: boolean | null | BooleanByRequestMethod | PropertyOmitCallback;
+        /** Indicates the property is a primary-key identifier for the model. */
+        pk?: boolean;
+        /** Indicates the property value is generated by the storage engine. */
+        generated?: 'increment' | 'uuid' | 'createdAt' | 'updatedAt' | string;
+        /** A callback that allows for values to be transformed when modeling and unmodeling. */
+        transform?: PropertyTransformCallback;
+        /** The maximum amount of number places, including decimals that may be used. */
+        precision?: number;
+        /** The number of decimal places. */
+        radix?: number;
+        /** The maximum amount of storable characters. */
+        charLength?: number;
+        /** Indicates the property value is required when written in a POST request, or given in a PUT request. */
+        required?: boolean;
+        /** The minimum (inclusive) value allowed for the property. */
+        min?: number | bigint | Date;
+        /** The maximum (inclusive) value allowed for the property. */
+        max?: number | bigint | Date;
+        /** A regular expression that string values of the property must match. */
+        pattern?: RegExp | string;
+        /** The only values allowed for the property. */
+        enum?: any[];
+        /** A custom (optionally async) validation callback for the property value. */
+        validate?: ValidationCallback;
+        /** The model type of an embedded object (or array of objects) held in the property, or a function returning it. */
+        model?: any | (() => any);
+        /** Foreign-key metadata indicating the property holds the value of the `target` property of objects in another `resource`. */
+        references?: { resource: string; target: string };
+    }
+
+    /**
+     * Defines how values of a property definition `type` are converted between their storage and model forms.
+     */
+    interface TypeHandler {
+        parse?: (value: any, definition: PropertyDefinition) => any;
+        serialize?: (value: any, definition: PropertyDefinition) => any;
+        jsDocType?: string;
+        tsType?: string;
+    }
+
+    type ValidationCallback = (model: any, key: string, value: any) => string | null | undefined | void | Promise<string | null | undefined | void>;
+
+    /**
+     * Defines how a model relates to another model type through key properties.
+     */
+    interface RelationshipDefinition {
+        type: 'belongsTo' | 'hasMany';
+        model: any | (() => any);
+        localKey?: string;
+        foreignKey?: string;
+    }
+
+    /**
+     * The StashKu resource configuration of a model.
+     */
+    interface Configuration {
+        resource: string | StringByRequestMethod;
+        slug?: string | StringByRequestMethod;
+        name?: string | StringByRequestMethod;
+        validations?: { [key: string]: ValidationCallback | ValidationCallback[] };
+        plural?: {
+            slug?: string | StringByRequestMethod;
+            name?: string | StringByRequestMethod;
+        };
+        relationships?: { [name: string]: RelationshipDefinition };
+    }
+
+}
@@ -0,0 +1,420 @@
+import RESTError from '../rest-error.js';
+import ModelUtility from './model-utility.js';
+import {Strings} from '@appku/common';
+
+/**
+ * @typedef OpenAPIGeneratorOptions
+ * @property {String} [title="StashKu API"] - The title of the API.
+ * @property {String} [version="1.0.0"] - The version of the API (not the OpenAPI specification).
+ * @property {String} [description] - An optional description of the API.
+ * @property {Array.<String>} [servers] - The URLs of the servers hosting the API.
+ * @property {String} [pathProperty="resource"] - The property from the `$stashku` object on a model type used as the
+ * path of its endpoints, either `"resource"`, `"name"`, `"slug"`, `"plural.name"`, or `"plural.slug"` (see the
+ * fetch engine `model.pathProperty` configuration).
+ */
+
+/**
+ * The request methods documented for each model, in document order.
+ * @type {Array.<String>}
+ * @ignore
+ */
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options'];
+
+/**
+ * Array of supported path properties.
+ * @type {Array.<String>}
+ * @ignore
+ */
+const PATH_PROPERTIES = ['resource', 'name', 'slug', 'plural.name', 'plural.slug'];
+
+/**
+ * Shared component schemas and parameters referenced by the generated endpoints.
+ * @ignore
+ */
+const COMPONENTS = {
+    schemas: {
+        Filter: {
+            description: 'A filter, given as a filter string (e.g. `{Name} CONTAINS "blue" AND {ID} GT 3`) or a filter tree object (also as JSON).',
+            oneOf: [
+                { type: 'string' },
+                { $ref: '#/components/schemas/FilterGroup' }
+            ]
+        },
+        FilterGroup: {
+            type: 'object',
+            properties: {
+                logic: { type: 'string', enum: ['and', 'or'] },
+                filters: {
+                    type: 'array',
+                    items: {
+                        oneOf: [
+                            { $ref: '#/components/schemas/FilterGroup' },
+                            { $ref: '#/components/schemas/FilterCondition' }
+                        ]
+                    }
+                }
+            },
+            required: ['logic', 'filters']
+        },
+        FilterCondition: {
+            type: 'object',
+            properties: {
+                property: { type: 'string' },
+                op: { type: 'string' },
+                value: {}
+            },
+            required: ['property', 'op']
+        },
+        Error: {
+            type: 'object',
+            properties: {
+                code: { type: 'integer', description: 'The HTTP status code of the error.' },
+                message: { type: 'string' },
+                data: { description: 'Optional data describing the error.' }
+            },
+            required: ['code', 'message']
+        }
+    },
+    parameters: {
+        where: {
+            name: 'where',
+            in: 'query',
+            description: 'Filters the objects, given as a filter string (e.g. `{Name} CONTAINS "blue"`), a JSON filter tree, or a bracketed filter tree (e.g. `where[logic]=and&where[filters][0][property]=ID...`).',
+            schema: { type: 'string' }
+        },
+        properties: {
+            name: 'properties',
+            in: 'query',
+            description: 'The properties to return (e.g. `properties=ID&properties=Name`). Indexed names (e.g. `properties[0]=ID&properties[1]=Name`) are also accepted.',
+            style: 'form',
+            explode: true,
+            schema: { type: 'array', items: { type: 'string' } }
+        },
+        sorts: {
+            name: 'sorts',
+            in: 'query',
+            description: 'The property sort order, each given as a sort string (e.g. `sorts={Name} desc&sorts={ID}`). Indexed sort objects (e.g. `sorts[0][property]=Name&sorts[0][dir]=desc`) are also accepted.',
+            style: 'form',
+            explode: true,
+            schema: { type: 'array', items: { type: 'string' } }
+        },
+        skip: { name: 'skip', in: 'query', description: 'The number of objects to skip.', schema: { type: 'integer', minimum: 0 } },
+        take: { name: 'take', in: 'query', description: 'The maximum number of objects to return.', schema: { type: 'integer', minimum: 0 } },
+        after: { name: 'after', in: 'query', description: 'Returns the objects after the cursor of a previous response.', schema: { type: 'string' } },
+        before: { name: 'before', in: 'query', description: 'Returns the objects before the cursor of a previous response.', schema: { type: 'string' } },
+        distinct: { name: 'distinct', in: 'query', description: 'Returns only distinct objects.', schema: { type: 'boolean' } },
+        count: { name: 'count', in: 'query', description: 'Returns only the count of objects (no data).', schema: { type: 'boolean' } },
+        all: { name: 'all', in: 'query', description: 'Allows the request to affect all objects when no filter is given.', schema: { type: 'boolean' } },
+        groupBy: {
+            name: 'groupBy',
+            in: 'query',
+            description: 'The properties to group by (e.g. `groupBy=Category`). Indexed names (e.g. `groupBy[0]=Category`) are also accepted.',
+            style: 'form',
+            explode: true,
+            schema: { type: 'array', items: { type: 'string' } }
+        },
+        aggregates: {
+            name: 'aggregates',
+            in: 'query',
+            description: 'Aggregate functions keyed by their position (e.g. `aggregates[0][fn]=count&aggregates[0][property]=ID`).',
+            style: 'deepObject',
+            explode: true,
+            schema: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    properties: {
+                        fn: { type: 'string' },
+                        property: { type: 'string' },
+                        as: { type: 'string' }
+                    }
+                }
+            }
+        },
+        having: {
+            name: 'having',
+            in: 'query',
+            description: 'Filters the grouped objects, in the same form as `where`.',
+            schema: { type: 'string' }
+        },
+        q: {
+            name: 'q',
+            in: 'query',
+            description: 'The whole GET request as base64url-encoded JSON. When given, all other query parameters are ignored.',
+            schema: { type: 'string', contentEncoding: 'base64url' }
+        }
+    }
+};
+
+/**
+ * A utility class for generating OpenAPI documents describing the HTTP endpoints that serve StashKu model types (see
+ * `StashKu.router` and the `HttpRequestLoader`).
+ */
+class OpenAPIGenerator {
+
+    /**
+     * Creates a JSON schema describing the objects of a model type sent or received in a request of the given method.
+     * Properties are keyed by their target names, and properties omitted from the method are excluded.
+     * @throws 500 `RESTError` if the "modelType" argument is missing or not a supported StashKu model type object.
+     * @param {Modeling.AnyModelType} modelType - The model "class" or constructor function.
+     * @param {String} method - The request method.
+     * @returns {*}
+     */
+    static modelSchema(modelType, method) {
+        if (ModelUtility.isValidType(modelType) === false) {
+            throw new RESTError(500, 'The "modelType" argument is required and must be a supported StashKu model type object.');
+        }
+        let schema = { type: 'object', properties: {} };
+        let required = [];
+        for (let [k, v] of ModelUtility.map(modelType)) {
+            if (ModelUtility.unmodelPropertyOmit(modelType, k, v, method, null) === false) {
+                schema.properties[v.target] = ModelUtility.jsonSchemaProperty(v);
+                if (v.pk && method === 'put') {
+                    required.push(v.target);
+                }
+            }
+        }
+        if (required.length) {
+            schema.required = required;
+        }
+        return schema;
+    }
+
+    /**
+     * Generates an OpenAPI 3.1 document describing the GET, POST, PUT, PATCH, DELETE, and OPTIONS endpoints, and the
+     * request and response bodies accepted by the `HttpRequestLoader`, for each of the given model types. Models with
+     * primary-key properties also have endpoints addressing a single object by its keys (e.g. `/products/{ID}`).
+     * @throws 500 `RESTError` if a model type is not a supported StashKu model type object.
+     * @throws 500 `RESTError` if the "pathProperty" option is invalid.
+     * @param {Array.<Modeling.AnyModelType>} modelTypes - The model types served by the API.
+     * @param {OpenAPIGeneratorOptions} [options] - Options describing the API.
+     * @returns {*}
+     */
+    static generate(modelTypes, options) {
+        let pathProperty = options?.pathProperty ?? 'resource';
+        if (PATH_PROPERTIES.indexOf(pathProperty) < 0) {
+            throw new RESTError(500, `The "pathProperty" option must be one of: "${PATH_PROPERTIES.join('", "')}".`);
+        }
+        let doc = {
+            openapi: '3.1.0',
+            info: {
+                title: options?.title ?? 'StashKu API',
+                version: options?.version ?? '1.0.0'
+            }
+        };
+        if (options?.description) {
+            doc.info.description = options.description;
+        }
+        if (options?.servers && options.servers.length) {
+            doc.servers = options.servers.map(url => ({ url }));
+        }
+        doc.paths = {};
+        doc.components = JSON.parse(JSON.stringify(COMPONENTS));
+        for (let modelType of modelTypes ?? []) {
+            if (ModelUtility.isValidType(modelType) === false) {
+                throw new RESTError(500, 'The "modelTypes" argument must contain only supported StashKu model type objects.');
+            }
+            OpenAPIGenerator._model(doc, modelType, pathProperty);
+        }
+        return doc;
+    }
+
+    /**
+     * Adds the component schemas and endpoint paths of a model type to the document.
+     * @param {*} doc - The OpenAPI document.
+     * @param {Modeling.AnyModelType} modelType - The model type.
+     * @param {String} pathProperty - The `$stashku` property used as the path of the endpoints.
+     * @private
+     */
+    static _model(doc, modelType, pathProperty) {
+        let config = modelType.$stashku ?? {};
+        let name = Strings.camelify(config.name || modelType.name, true);
+        let pluralName = Strings.camelify(config.plural?.name || Strings.plural(name), true);
+        let keys = [];
+        for (let [k, v] of ModelUtility.map(modelType)) {
+            if (v && v.pk) {
+                keys.push({ key: k, definition: v });
+            }
+        }
+        //add a schema for each method, re-using the "get" schema when identical
+        let refs = {};
+        let baseSchema = OpenAPIGenerator.modelSchema(modelType, 'get');
+        doc.components.schemas[name] = baseSchema;
+        for (let method of METHODS) {
+            let schema = OpenAPIGenerator.modelSchema(modelType, method);
+            let schemaName = name;
+            if (JSON.stringify(schema) !== JSON.stringify(baseSchema)) {
+                schemaName = name + Strings.camelify(method, true);
+                doc.components.schemas[schemaName] = schema;
+            }
+            refs[method] = `#/components/schemas/${schemaName}`;
+        }
+        //add a response schema for each distinct object schema
+        let responseRefs = {};
+        for (let method of METHODS) {
+            let responseName = (refs[method] === refs.get ? `${name}Response` : `${name}${Strings.camelify(method, true)}Response`);
+            responseRefs[method] = `#/components/schemas/${responseName}`;
+            doc.components.schemas[responseName] = {
+                type: 'object',
+                properties: {
+                    data: { type: 'array', items: { $ref: refs[method] } },
+                    total: { type: 'integer', description: 'The total number of objects matching the request (disregarding paging).' },
+                    affected: { type: 'integer', description: 'The number of objects affected in storage.' },
+                    returned: { type: 'integer', description: 'The number of objects returned.' },
+                    cursor: { type: 'string', description: 'A cursor to the next page of objects (if supported by the engine).' }
+                },
+                required: ['data', 'total', 'affected', 'returned']
+            };
+        }
+        let error = {
+            description: 'An error response.',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+        let response = (method, description) => ({
+            '200': {
+                description,
+                content: { 'application/json': { schema: { $ref: responseRefs[method] } } }
+            },
+            default: error
+        });
+        let body = (properties, required) => ({
+            required: true,
+            content: {
+                'application/json': { schema: { type: 'object', properties, required } },
+                'application/x-www-form-urlencoded': { schema: { type: 'object', properties, required } }
+            }
+        });
+        let params = (...names) => names.map(n => ({ $ref: `#/components/parameters/${n}` }));
+        let keyParams = keys.map(k => ({
+            name: k.key,
+            in: 'path',
+            required: true,
+            schema: ModelUtility.jsonSchemaProperty(k.definition)
+        }));
+        let operations = {
+            get: {
+                summary: `Retrieves ${pluralName} objects.`,
+                parameters: params('where', 'properties', 'sorts', 'skip', 'take', 'after', 'before', 'distinct', 'count', 'groupBy', 'aggregates', 'having', 'q'),
+                responses: response('get', `The ${pluralName} objects matching the request.`)
+            },
+            post: {
+                summary: `Creates ${pluralName} objects.`,
+                requestBody: body({
+                    objects: { type: 'array', items: { $ref: refs.post } },
+                    pk: { type: 'array', items: { type: 'string' }, description: 'The properties matching existing objects when upserting.' },
+                    onConflict: { type: 'string', enum: ['error', 'ignore', 'update'], description: 'How objects matching existing objects are handled.' },
+                    count: { type: 'boolean' }
+                }, ['objects']),
+                responses: response('post', `The ${pluralName} objects created.`)
+            },
+            put: {
+                summary: `Updates ${pluralName} objects matched by their primary keys.`,
+                requestBody: body({
+                    objects: { type: 'array', items: { $ref: refs.put } },
+                    pk: { type: 'array', items: { type: 'string' }, description: 'The properties matching the objects to update.' },
+                    count: { type: 'boolean' }
+                }, ['objects']),
+                responses: response('put', `The ${pluralName} objects updated.`)
+            },
+            patch: {
+                summary: `Updates all ${pluralName} objects matching a filter with the template values.`,
+                parameters: params('where'),
+                requestBody: body({
+                    template: { $ref: refs.patch },
+                    where: { $ref: '#/components/schemas/Filter' },
+                    all: { type: 'boolean', description: 'Allows all objects to be updated when no filter is given.' },
+                    count: { type: 'boolean' }
+                }, ['template']),
+                responses: response('patch', `The ${pluralName} objects updated.`)
+            },
+            delete: {
+                summary: `Deletes all ${pluralName} objects matching a filter.`,
+                parameters: params('where', 'all', 'count'),
+                responses: response('delete', `The ${pluralName} objects deleted.`)
+            },
+            options: {
+                summary: `Describes the ${pluralName} model.`,
+                responses: {
+                    '200': {
+                        description: `The model definition of ${pluralName} objects.`,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        data: { type: 'array', items: { type: 'object' } },
+                                        total: { type: 'integer' },
+                                        affected: { type: 'integer' },
+                                        returned: { type: 'integer' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    default: error
+                }
+            }
+        };
+        let keyOperations = {
+            get: {
+                summary: `Retrieves a ${name} object by its primary key.`,
+                parameters: keyParams.concat(params('properties')),
+                responses: response('get', `The ${name} object (if found).`)
+            },
+            put: {
+                summary: `Updates a ${name} object by its primary key.`,
+                parameters: keyParams,
+                requestBody: body({ objects: { type: 'array', items: { $ref: refs.put }, maxItems: 1 } }, ['objects']),
+                responses: response('put', `The ${name} object updated.`)
+            },
+            patch: {
+                summary: `Updates a ${name} object by its primary key with the template values.`,
+                parameters: keyParams,
+                requestBody: body({ template: { $ref: refs.patch } }, ['template']),
+                responses: response('patch', `The ${name} object updated.`)
+            },
+            delete: {
+                summary: `Deletes a ${name} object by its primary key.`,
+                parameters: keyParams,
+                responses: response('delete', `The ${name} object deleted.`)
+            }
+        };
+        for (let method of METHODS) {
+            let segment = OpenAPIGenerator._path(modelType, method, pathProperty);
+            if (!segment) {
+                continue;
+            }
+            let path = '/' + segment;
+            doc.paths[path] = doc.paths[path] ?? {};
+            doc.paths[path][method] = Object.assign({ operationId: method + pluralName, tags: [pluralName] }, operations[method]);
+            if (keys.length && keyOperations[method]) {
+                let keyPath = path + keys.map(k => `/{${k.key}}`).join('');
+                doc.paths[keyPath] = doc.paths[keyPath] ?? {};
+                doc.paths[keyPath][method] = Object.assign({ operationId: `${method}${name}ByKey`, tags: [pluralName] }, keyOperations[method]);
+            }
+        }
+    }
+
+    /**
+     * Returns the path segment of a model type's endpoint for the request method.
+     * @param {Modeling.AnyModelType} modelType - The model type.
+     * @param {String} method - The request method.
+     * @param {String} pathProperty - The `$stashku` property used as the path of the endpoints.
+     * @returns {String}
+     * @private
+     */
+    static _path(modelType, method, pathProperty) {
+        let config = modelType.$stashku;
+        let segment = null;
+        switch (pathProperty) {
+            case 'name': segment = config?.name; break;
+            case 'slug': segment = config?.slug; break;
+            case 'plural.name': segment = config?.plural?.name; break;
+            case 'plural.slug': segment = config?.plural?.slug; break;
+        }
+        return segment || ModelUtility.resource(modelType, method);
+    }
+
+}
+
+export default OpenAPIGenerator;
@@ -0,0 +1,135 @@
+import OpenAPIGenerator from './openapi-generator.js';
+import ThemeModel from '../test/models/theme-model.js';
+
+class OrderLineModel {
+    static get orderID() {
+        return { target: 'Order_ID', type: 'Number', radix: 0, pk: true };
+    }
+    static get lineNo() {
+        return { target: 'Line_No', type: 'Number', radix: 0, pk: true };
+    }
+    static get sku() {
+        return { target: 'SKU', type: 'String', charLength: 12 };
+    }
+    static get price() {
+        return { target: 'Price', type: 'Number', precision: 6, radix: 2 };
+    }
+    static get created() {
+        return { target: 'Created', type: 'Date', generated: 'createdAt', omit: { post: true, put: true, patch: true } };
+    }
+    static get $stashku() {
+        return {
+            resource: 'dbo.OrderLines',
+            name: 'OrderLine',
+            slug: 'order-line',
+            plural: { name: 'OrderLines', slug: 'order-lines' }
+        };
+    }
+}
+
+/**
+ * Returns all `$ref` values found in the object.
+ * @param {*} obj - The object to search.
+ * @param {Array.<String>} [refs] - The found references.
+ * @returns {Array.<String>}
+ */
+function findRefs(obj, refs = []) {
+    if (obj && typeof obj === 'object') {
+        for (let [k, v] of Object.entries(obj)) {
+            if (k === '$ref') {
+                refs.push(v);
+            } else {
+                findRefs(v, refs);
+            }
+        }
+    }
+    return refs;
+}
+
+describe('.modelSchema', () => {
+    it('throws when the model type is invalid.', () => {
+        expect(() => OpenAPIGenerator.modelSchema(null, 'get')).toThrow(/modelType/);
+    });
+    it('returns the properties of the model keyed by target name.', () => {
+        let schema = OpenAPIGenerator.modelSchema(ThemeModel, 'get');
+        expect(schema.type).toBe('object');
+        expect(Object.keys(schema.properties)).toEqual(['ID', 'Name', 'Hex_Code']);
+        expect(schema.required).toBeUndefined();
+    });
+    it('excludes properties omitted from the method.', () => {
+        expect(Object.keys(OpenAPIGenerator.modelSchema(ThemeModel, 'delete').properties)).toEqual(['ID']);
+        expect(Object.keys(OpenAPIGenerator.modelSchema(OrderLineModel, 'post').properties)).toEqual(['Order_ID', 'Line_No', 'SKU', 'Price']);
+    });
+    it('requires the primary key properties of PUT objects.', () => {
+        expect(OpenAPIGenerator.modelSchema(OrderLineModel, 'put').required).toEqual(['Order_ID', 'Line_No']);
+    });
+});
+
+describe('.generate', () => {
+    it('throws when a model type is invalid.', () => {
+        expect(() => OpenAPIGenerator.generate([ThemeModel, 'themes'])).toThrow(/modelTypes/);
+    });
+    it('throws when the "pathProperty" option is invalid.', () => {
+        expect(() => OpenAPIGenerator.generate([ThemeModel], { pathProperty: 'nope' })).toThrow(/pathProperty/);
+    });
+    it('returns an OpenAPI 3.1 document with the given information.', () => {
+        let doc = OpenAPIGenerator.generate([], {
+            title: 'Test API',
+            version: '2.1.0',
+            description: 'Testing.',
+            servers: ['https://example.com/api']
+        });
+        expect(doc.openapi).toBe('3.1.0');
+        expect(doc.info).toEqual({ title: 'Test API', version: '2.1.0', description: 'Testing.' });
+        expect(doc.servers).toEqual([{ url: 'https://example.com/api' }]);
+        expect(doc.paths).toEqual({});
+        expect(doc.components.schemas.Error).toBeDefined();
+    });
+    it('documents the endpoints of each model type.', () => {
+        let doc = OpenAPIGenerator.generate([ThemeModel, OrderLineModel]);
+        expect(Object.keys(doc.paths)).toEqual(['/themes', '/themes/{ID}', '/dbo.OrderLines', '/dbo.OrderLines/{orderID}/{lineNo}']);
+        expect(Object.keys(doc.paths['/themes'])).toEqual(['get', 'post', 'put', 'patch', 'delete', 'options']);
+        expect(Object.keys(doc.paths['/themes/{ID}'])).toEqual(['get', 'put', 'patch', 'delete']);
+        expect(doc.paths['/themes'].get.operationId).toBe('getThemes');
+        expect(doc.paths['/themes/{ID}'].get.operationId).toBe('getThemeByKey');
+        expect(doc.paths['/dbo.OrderLines/{orderID}/{lineNo}'].delete.parameters.map(p => p.name)).toEqual(['orderID', 'lineNo']);
+        expect(doc.paths['/dbo.OrderLines/{orderID}/{lineNo}'].delete.parameters[0].schema).toEqual({ type: 'integer' });
+    });
+    it('documents array query parameters with a style valid for arrays.', () => {
+        let params = OpenAPIGenerator.generate([ThemeModel]).components.parameters;
+        for (let [name, p] of Object.entries(params)) {
+            if (p.schema.type === 'array') {
+                expect({ name, style: p.style, explode: p.explode }).toEqual({ name, style: 'form', explode: true });
+            } else if (p.style === 'deepObject') {
+                expect(p.schema.type).toBe('object');
+            }
+        }
+        expect(params.sorts.schema.items).toEqual({ type: 'string' });
+    });
+    it('documents the request and response bodies of each method.', () => {
+        let doc = OpenAPIGenerator.generate([ThemeModel, OrderLineModel]);
+        let schemas = doc.components.schemas;
+        expect(schemas.Theme.properties.Hex_Code).toEqual({ type: ['string', 'null'], default: '#000000' });
+        expect(Object.keys(schemas.ThemeDelete.properties)).toEqual(['ID']);
+        expect(schemas.ThemePost).toBeUndefined(); //same as the "get" schema
+        expect(doc.paths['/themes'].get.responses['200'].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/ThemeResponse' });
+        expect(doc.paths['/themes'].delete.responses['200'].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/ThemeDeleteResponse' });
+        expect(schemas.ThemeDeleteResponse.properties.data.items).toEqual({ $ref: '#/components/schemas/ThemeDelete' });
+        let postBody = doc.paths['/dbo.OrderLines'].post.requestBody.content;
+        expect(Object.keys(postBody)).toEqual(['application/json', 'application/x-www-form-urlencoded']);
+        expect(postBody['application/json'].schema.properties.objects.items).toEqual({ $ref: '#/components/schemas/OrderLinePost' });
+        expect(doc.paths['/dbo.OrderLines'].patch.requestBody.content['application/json'].schema.properties.template).toEqual({ $ref: '#/components/schemas/OrderLinePatch' });
+        expect(doc.paths['/themes'].delete.responses.default.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+    });
+    it('uses the "pathProperty" option for the endpoint paths.', () => {
+        let doc = OpenAPIGenerator.generate([OrderLineModel], { pathProperty: 'plural.slug' });
+        expect(Object.keys(doc.paths)).toEqual(['/order-lines', '/order-lines/{orderID}/{lineNo}']);
+    });
+    it('only references defined components.', () => {
+        let doc = OpenAPIGenerator.generate([ThemeModel, OrderLineModel]);
+        for (let ref of findRefs(doc)) {
+            let [, section, name] = ref.match(/^#\/components\/(\w+)\/(.+)$/);
+            expect(doc.components[section][name]).toBeDefined();
+        }
+    });
+});
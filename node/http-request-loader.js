@@ -1,8 +1,7 @@
 import qs from 'qs';
-import url from 'url';
-import path from 'path';
 import Filter from '../filter.js';
 import ModelUtility from '../modeling/model-utility.js';
+import RESTError from '../rest-error.js';
 import DeleteRequest from '../requests/delete-request.js';
 import GetRequest from '../requests/get-request.js';
 import OptionsRequest from '../requests/options-request.js';
@@ -10,18 +9,253 @@ import PatchRequest from '../requests/patch-request.js';
 import PostRequest from '../requests/post-request.js';
 import PutRequest from '../requests/put-request.js';
 
-function bodyParse(req) {
-    if (Buffer.isBuffer(req.body)) {
-        return JSON.parse(req.body.toString());
-    } else if (typeof req.body === 'string') {
-        return JSON.parse(req.body);
+/**
+ * Parses a request body given as a string, `Buffer`, or already-parsed object. String bodies are parsed as
+ * `application/x-www-form-urlencoded` data when indicated by the content type, otherwise they are parsed as JSON.
+ * An empty body is parsed as an empty object.
+ * @throws 400 `RESTError` if the body is not valid JSON.
+ * @param {String|Buffer|Object} body - The request body.
+ * @param {String} [contentType] - The `Content-Type` header value of the request.
+ * @returns {*}
+ * @ignore
+ */
+function bodyParse(body, contentType) {
+    if (typeof Buffer !== 'undefined' && Buffer.isBuffer(body)) {
+        body = body.toString();
+    }
+    if (typeof body === 'string') {
+        if (body.length === 0) {
+            return {};
+        } else if (/^application\/x-www-form-urlencoded/i.test(contentType ?? '')) {
+            return qs.parse(body);
+        }
+        try {
+            return JSON.parse(body);
+        } catch (err) {
+            throw new RESTError(400, `The request body is not valid JSON: ${err.message}`, err);
+        }
+    }
+    return body ?? {};
+}
+
+/**
+ * Parses the query string of the URL into a query object, decoding a base64url-encoded JSON "q" parameter if
+ * present.
+ * @param {URL} url - The URL of the request.
+ * @returns {*}
+ * @ignore
+ */
+function queryParse(url) {
+    let clone = qs.parse(url.search.substring(1));
+    if (typeof clone.q === 'string') { //base64url JSON encoded query
+        clone = queryDecode(clone.q);
     }
-    return req.body;
+    return clone;
 }
 
 /**
- * Attempts to parse a request object from an `http.IncomingMessage`, matched by the request method.
- * @param {http.IncomingMessage} httpReq - The request object.
+ * Returns `true` if the value is `true`, or a string starting with "t", "y", or "1" (such as from a query string or
+ * form body).
+ * @param {*} value - The flag value.
+ * @returns {Boolean}
+ * @ignore
+ */
+function flag(value) {
+    if (typeof value === 'string') {
+        return /^[tTyY1]/.test(value);
+    }
+    return !!value;
+}
+
+/**
+ * Returns the value of a query string parameter as an array, whether it was given once (e.g. `properties=ID`),
+ * repeated (e.g. `properties=ID&properties=Name`), or indexed (e.g. `properties[0]=ID`).
+ * @param {*} value - The parameter value.
+ * @returns {Array}
+ * @ignore
+ */
+function list(value) {
+    return (Array.isArray(value) ? value : [value]);
+}
+
+/**
+ * Returns the `Content-Type` header value of the HTTP request.
+ * @param {http.IncomingMessage|Request} httpReq - The HTTP request.
+ * @returns {String}
+ * @ignore
+ */
+function contentType(httpReq) {
+    if (typeof httpReq.headers?.get === 'function') {
+        return httpReq.headers.get('content-type');
+    }
+    return httpReq.headers?.['content-type'];
+}
+
+/**
+ * Finds the primary-key values given as path segments following the model's resource name (or `$stashku` name,
+ * slug, plural name, or plural slug) in the URL path, for example `/products/42`. The values are returned in the
+ * order of the model's primary-key properties.
+ * @throws 400 `RESTError` if the number of values does not match the number of primary-key properties.
+ * @throws 400 `RESTError` if a value is not a number when the primary-key property is a `Number`.
+ * @param {URL} url - The URL of the request.
+ * @param {Modeling.AnyModelType} modelType - The model type of the request.
+ * @param {String} method - The request method.
+ * @returns {Array.<{key: String, target: String, value: *}>}
+ * @ignore
+ */
+function pathKeys(url, modelType, method) {
+    let config = modelType.$stashku;
+    let names = [
+        ModelUtility.resource(modelType, method),
+        config?.name,
+        config?.slug,
+        config?.plural?.name,
+        config?.plural?.slug
+    ].filter(n => n);
+    let segments = url.pathname.split('/').filter(s => s).map(s => decodeURIComponent(s));
+    let index = -1;
+    for (let x = segments.length - 1; x >= 0 && index < 0; x--) {
+        if (names.indexOf(segments[x]) >= 0) {
+            index = x;
+        }
+    }
+    let values = (index >= 0 ? segments.slice(index + 1) : []);
+    if (values.length === 0) {
+        return [];
+    }
+    let keys = [];
+    for (let [k, v] of ModelUtility.map(modelType)) {
+        if (v && v.pk) {
+            keys.push({ key: k, target: v.target, type: v.type });
+        }
+    }
+    if (keys.length !== values.length) {
+        throw new RESTError(400, `The request path must specify ${keys.length} primary key value(s), but ${values.length} were found.`);
+    }
+    return keys.map((k, i) => {
+        let value = values[i];
+        if (k.type === 'Number') {
+            value = Number(value);
+            if (isNaN(value)) {
+                throw new RESTError(400, `The request path value "${values[i]}" for primary key "${k.key}" must be a number.`);
+            }
+        }
+        return { key: k.key, target: k.target, value };
+    });
+}
+
+/**
+ * Converts a PATCH template written by property targets (as sent over HTTP) to the model type. Only the properties
+ * given in the template are kept, so the defaults of the model's other properties are not patched.
+ * @param {Modeling.AnyModelType} modelType - The model type of the request.
+ * @param {*} template - The PATCH template.
+ * @returns {*}
+ * @ignore
+ */
+function templateModel(modelType, template) {
+    let model = ModelUtility.model(modelType, 'patch', template).next().value;
+    for (let [k, v] of ModelUtility.map(modelType)) {
+        let value = template[v.target];
+        if (v.nested === true) {
+            value = v.target.split('.').reduce((o, p) => (o !== null && typeof o === 'object' ? o[p] : undefined), template);
+        }
+        if (typeof value === 'undefined' && typeof template[k] === 'undefined') {
+            delete model[k];
+        }
+    }
+    return model;
+}
+
+/**
+ * Adds "equals" conditions for the primary-key values to the request's `where` filter.
+ * @param {GetRequest|PatchRequest|DeleteRequest} req - The request to filter.
+ * @param {Array.<{key: String, target: String, value: *}>} keys - The primary-key values.
+ * @ignore
+ */
+function whereKeys(req, keys) {
+    if (keys.length) {
+        let where = req.metadata.where;
+        let f = (where && where.tree ? Filter.and(where) : new Filter());
+        for (let k of keys) {
+            f.and(k.target, Filter.OP.EQUALS, k.value);
+        }
+        req.where(f);
+    }
+}
+
+/**
+ * Determines whether the HTTP request is a Fetch API (WHATWG) `Request` instead of a node `http.IncomingMessage`.
+ * @param {http.IncomingMessage|Request} httpReq - The HTTP request.
+ * @returns {Boolean}
+ * @ignore
+ */
+function isFetchRequest(httpReq) {
+    return (
+        typeof httpReq.text === 'function'
+        && typeof httpReq.headers?.get === 'function'
+        && typeof httpReq.url === 'string'
+        && typeof httpReq.method === 'string'
+    );
+}
+
+/**
+ * Parses a filter given as a filter tree object, a JSON string of a filter tree, or a filter string (as created by
+ * `Filter.toString()`).
+ * @throws 400 `RESTError` if the filter string is invalid.
+ * @param {String|Filtering.LogicalGroup} value - The filter value to parse.
+ * @returns {Filter}
+ * @ignore
+ */
+function filterParse(value) {
+    if (typeof value === 'string') {
+        let tree = null;
+        try {
+            tree = JSON.parse(value);
+        } catch (err) {
+            try {
+                return Filter.parse(value);
+            } catch (parseErr) {
+                throw new RESTError(400, `The request filter is invalid: ${parseErr.message}`, parseErr);
+            }
+        }
+        return new Filter(tree);
+    }
+    return Filter.fromObject(value);
+}
+
+/**
+ * Decodes the base64url-encoded JSON "q" query parameter into a query object. `Buffer` is used on platforms without
+ * a global `atob` (node 14 and earlier).
+ * @throws 400 `RESTError` if the value is not valid base64url-encoded JSON.
+ * @param {String} value - The encoded query parameter value.
+ * @returns {*}
+ * @ignore
+ */
+function queryDecode(value) {
+    try {
+        let encoded = value.replace(/-/g, '+').replace(/_/g, '/');
+        let binary = (typeof atob === 'function' ? atob(encoded) : Buffer.from(encoded, 'base64').toString('binary'));
+        return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    } catch (err) {
+        throw new RESTError(400, `The encoded "q" query parameter is invalid: ${err.message}`, err);
+    }
+}
+
+/**
+ * Attempts to parse a request object from an `http.IncomingMessage` or a Fetch API (WHATWG) `Request`, matched by
+ * the request method. The body of a Fetch API `Request` is read (and consumed).
+ * 
+ * GET requests are parsed from the query string. All other requests are parsed from the body (JSON or
+ * `application/x-www-form-urlencoded`), merged over any query string parameters, such as a `where` filter on a
+ * DELETE request.
+ * 
+ * When a model type is given (such as by the `stashku.router`), primary-key values may follow the model's resource
+ * name in the URL path (e.g. `/products/42`). These are added to the `where` filter of GET, PATCH, and DELETE
+ * requests, and set on the objects of PUT requests, whose `pk` defaults to the primary-key targets.
+ * 
+ * This loader does not depend on node modules, so it can be used on any platform.
+ * @throws 400 `RESTError` if the body, query, or path of the request is malformed.
+ * @param {http.IncomingMessage|Request} httpReq - The request object.
  * @param {Modeling.AnyModelType} [modelType] - Optional model set 
  * @returns {Promise.<GetRequest | PostRequest | PutRequest | PatchRequest | DeleteRequest | OptionsRequest>}
  */
@@ -30,56 +264,84 @@ async function HttpRequestLoader(httpReq, modelType) {
     let req = null;
     let resource = null;
     let url = new URL(httpReq.url, 'http://localhost');
+    let body = httpReq.body;
+    let keys = [];
+    if (isFetchRequest(httpReq)) {
+        body = (method === 'get' || method === 'head' ? undefined : await httpReq.text());
+    }
     if (modelType) {
         resource = ModelUtility.resource(modelType, method);
+        keys = pathKeys(url, modelType, method);
     } else if (url.pathname) {
-        resource = path.basename(url.pathname);
+        resource = url.pathname.split('/').filter(s => s).pop() ?? '';
     }
     if (method === 'get') {
         req = new GetRequest().from(resource);
         if (url.search) {
-            let clone = qs.parse(url.search.substring(1));
+            let clone = queryParse(url);
             if (!modelType && clone.from) {
                 req.from(clone.from);
             }
             if (clone.count) {
-                req.metadata.count = !!clone.count;
+                req.metadata.count = flag(clone.count);
             }
             if (clone.distinct) {
-                req.metadata.distinct = !!clone.distinct;
+                req.metadata.distinct = flag(clone.distinct);
             }
             if (clone.headers) {
                 req.headers(clone.headers);
             }
             if (clone.properties && clone.properties.length) {
-                req.properties(...clone.properties);
+                req.properties(...list(clone.properties));
             }
             if (clone.skip) {
                 req.metadata.skip = clone.skip;
             }
             if (clone.sorts && clone.sorts.length) {
-                req.sort(...clone.sorts);
+                req.sort(...list(clone.sorts));
             }
             if (clone.take) {
                 req.metadata.take = clone.take;
             }
+            if (clone.after) {
+                req.after(clone.after);
+            } else if (clone.before) {
+                req.before(clone.before);
+            }
             if (clone.filter && !clone.where) { //support legacy where/filters
                 clone.where = clone.filter;
             }
-            if (typeof clone.where === 'string') {
-                req.where(new Filter(JSON.parse(clone.where)));
-            } else {
-                req.where(Filter.fromObject(clone.where));
+            req.where(filterParse(clone.where));
+            if (clone.groupBy && clone.groupBy.length) {
+                req.groupBy(...list(clone.groupBy));
+            }
+            if (clone.aggregates) {
+                for (let a of Object.values(clone.aggregates)) {
+                    req.aggregate(a);
+                }
             }
+            req.having(filterParse(clone.having));
+        }
+        whereKeys(req, keys);
+        return req;
+    }
+    let clone = Object.assign(url.search ? queryParse(url) : {}, bodyParse(body, contentType(httpReq)));
+    if (method === 'post') {
+        if (keys.length) {
+            throw new RESTError(400, 'Primary key values in the request path are not supported on POST requests.');
         }
-    } else if (method === 'post') {
         req = new PostRequest().to(resource);
-        let clone = bodyParse(httpReq);
         if (!modelType && clone.to) {
             req.to(clone.to);
         }
         if (clone.count) {
-            req.metadata.count = !!clone.count;
+            req.metadata.count = flag(clone.count);
+        }
+        if (clone.pk && clone.pk.length) {
+            req.pk(...clone.pk);
+        }
+        if (clone.onConflict) {
+            req.onConflict(clone.onConflict);
         }
         if (clone.headers) {
             req.headers(clone.headers);
@@ -92,71 +354,71 @@ async function HttpRequestLoader(httpReq, modelType) {
         }
     } else if (method === 'put') {
         req = new PutRequest().to(resource);
-        let clone = bodyParse(httpReq);
         if (!modelType && clone.to) {
             req.to(clone.to);
         }
         if (clone.count) {
-            req.metadata.count = !!clone.count;
+            req.metadata.count = flag(clone.count);
         }
         if (clone.headers) {
             req.headers(clone.headers);
         }
         if (clone.pk && clone.pk.length) {
             req.pk(...clone.pk);
+        } else if (keys.length) {
+            req.pk(...keys.map(k => k.target));
         }
         if (clone.objects && clone.objects.length) {
             if (modelType) { //convert objects to model type
-                clone.objects = ModelUtility.model(modelType, 'PUT', ...clone.objects);
+                clone.objects = Array.from(ModelUtility.model(modelType, 'PUT', ...clone.objects));
+                for (let obj of clone.objects) {
+                    for (let k of keys) {
+                        obj[k.key] = k.value;
+                    }
+                }
             }
             req.objects(...clone.objects);
         }
     } else if (method === 'patch') {
         req = new PatchRequest().to(resource);
-        let clone = bodyParse(httpReq);
         if (!modelType && clone.to) {
             req.to(clone.to);
         }
         if (clone.count) {
-            req.metadata.count = !!clone.count;
+            req.metadata.count = flag(clone.count);
         }
         if (clone.all) {
-            req.metadata.all = !!clone.all;
+            req.metadata.all = flag(clone.all);
         }
         if (clone.headers) {
             req.headers(clone.headers);
         }
         if (clone.template) {
+            if (modelType) { //convert template to model type
+                clone.template = templateModel(modelType, clone.template);
+            }
             req.template(clone.template);
         }
-        if (typeof clone.where === 'string') {
-            req.where(new Filter(JSON.parse(clone.where)));
-        } else {
-            req.where(Filter.fromObject(clone.where));
-        }
+        req.where(filterParse(clone.where));
+        whereKeys(req, keys);
     } else if (method === 'delete') {
         req = new DeleteRequest().from(resource);
-        let clone = bodyParse(httpReq);
         if (!modelType && clone.from) {
             req.from(clone.from);
         }
         if (clone.count) {
-            req.metadata.count = !!clone.count;
+            req.metadata.count = flag(clone.count);
         }
         if (clone.all) {
-            req.metadata.all = !!clone.all;
+            req.metadata.all = flag(clone.all);
         }
         if (clone.headers) {
             req.headers(clone.headers);
         }
-        if (typeof clone.where === 'string') {
-            req.where(new Filter(JSON.parse(clone.where)));
-        } else {
-            req.where(Filter.fromObject(clone.where));
-        }
+        req.where(filterParse(clone.where));
+        whereKeys(req, keys);
     } else if (method === 'options') {
         req = new OptionsRequest().from(resource);
-        let clone = bodyParse(httpReq);
         if (!modelType && clone.from) {
             req.from(clone.from);
         }
@@ -167,4 +429,4 @@ async function HttpRequestLoader(httpReq, modelType) {
     return req;
 }
 
-export default HttpRequestLoader;
\ No newline at end of file
+export default HttpRequestLoader;
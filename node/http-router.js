@@ -0,0 +1,198 @@
+import HttpRequestLoader from './http-request-loader.js';
+import ModelUtility from '../modeling/model-utility.js';
+import Response from '../response.js';
+import RESTError from '../rest-error.js';
+
+/**
+ * @typedef HttpRouterOptions
+ * @property {Array.<Modeling.AnyModelType>} [models] - The model types served by the router. A model is routed by its
+ * resource name, as well as its `$stashku` `name`, `slug`, `plural.name`, and `plural.slug` values.
+ * @property {Array.<String>} [resources] - The (unmodeled) resource names served by the router.
+ */
+
+/**
+ * @typedef HttpRoute
+ * @property {Modeling.AnyModelType} [modelType] - The model type of the route, if any.
+ * @property {String} [resource] - The resource name of the route, if unmodeled.
+ * @ignore
+ */
+
+/**
+ * Reads the body of the HTTP request stream if it has not already been read by other middleware (such as an Express
+ * body parser), and sets it on the request's `body` property. An empty body is set as an empty object.
+ * @param {http.IncomingMessage} httpReq - The HTTP request.
+ * @returns {Promise}
+ * @ignore
+ */
+async function bodyRead(httpReq) {
+    if (typeof httpReq.body === 'undefined' && typeof httpReq.on === 'function' && !httpReq.readableEnded) {
+        let chunks = [];
+        for await (let chunk of httpReq) {
+            chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        }
+        httpReq.body = Buffer.concat(chunks);
+    }
+    if (typeof httpReq.body === 'undefined' || httpReq.body === null || httpReq.body.length === 0) {
+        httpReq.body = {};
+    }
+}
+
+/**
+ * Writes a JSON body and status code to the HTTP response.
+ * @param {http.ServerResponse} httpRes - The HTTP response.
+ * @param {Number} code - The HTTP status code.
+ * @param {*} body - The body to be serialized as JSON.
+ * @ignore
+ */
+function send(httpRes, code, body) {
+    httpRes.statusCode = code;
+    httpRes.setHeader('Content-Type', 'application/json; charset=utf-8');
+    httpRes.end(JSON.stringify(body));
+}
+
+/**
+ * Converts the modeled data of a response back to objects written by property targets, as expected by the
+ * `FetchEngine`. Only the selected (or grouped) properties of a GET request are kept, along with the values of its
+ * aggregates.
+ * @param {Modeling.AnyModelType} modelType - The model type of the request.
+ * @param {GetRequest|PostRequest|PutRequest|PatchRequest|DeleteRequest|OptionsRequest} request - The request run.
+ * @param {Array} data - The modeled response data.
+ * @returns {Array}
+ * @ignore
+ */
+function unmodelData(modelType, request, data) {
+    let selected = [];
+    if (request.method === 'get') {
+        //grouped objects only hold the grouped properties (and aggregates).
+        selected = (request.metadata.groupBy?.length ? request.metadata.groupBy : request.metadata.properties ?? []);
+    }
+    let aggregates = request.metadata.aggregates ?? [];
+    let mapping = ModelUtility.map(modelType);
+    return data.map(m => {
+        let record = ModelUtility.unmodel(modelType, request.method, m).next().value;
+        if (selected.length) {
+            for (let v of mapping.values()) {
+                if (v.nested !== true && selected.indexOf(v.target) < 0) {
+                    delete record[v.target];
+                }
+            }
+        }
+        for (let a of aggregates) {
+            record[a.as] = m[a.as];
+        }
+        return record;
+    });
+}
+
+/**
+ * Creates a request handler function, compatible with `http.createServer` and Express/Connect, that runs HTTP
+ * requests through the StashKu instance and writes the responses in the JSON form expected by the `FetchEngine`:
+ * `{ data, total, affected, returned }`.
+ *
+ * A GET request to the `/resources` path responds with the names of the served resources available from the
+ * storage engine. All other requests are routed by the last segment of the URL path to a served model or resource.
+ * Modeled requests are run through a StashKu instance of the model (so the objects are validated by the
+ * `ModelValidator`) and may also give primary-key values as the path segments following the model's resource name,
+ * such as `/products/42`. If no models or resources are specified, all resources are served.
+ *
+ * Thrown `RESTError`s are written with their status code as `{ code, message, data }`. Any other error is written as
+ * a `500` error without its message (which is logged instead).
+ * @param {StashKu} stashku - The StashKu instance running the requests.
+ * @param {HttpRouterOptions} [options] - Options that specify the models and resources served.
+ * @returns {function(http.IncomingMessage, http.ServerResponse, Function=):Promise}
+ */
+function HttpRouter(stashku, options) {
+    let models = options?.models ?? [];
+    let resources = options?.resources ?? [];
+    let restricted = (models.length > 0 || resources.length > 0);
+
+    /**
+     * Finds the route of the URL path segments for the request method. The segments are searched from last to first
+     * for a served model, so that primary-key values may follow its name. Unmodeled resources are only routed by the
+     * last segment.
+     * @param {Array.<String>} segments - The URL path segments.
+     * @param {String} method - The request method.
+     * @returns {HttpRoute}
+     * @ignore
+     */
+    let route = (segments, method) => {
+        for (let x = segments.length - 1; x >= 0; x--) {
+            for (let modelType of models) {
+                let config = modelType.$stashku;
+                let names = [
+                    ModelUtility.resource(modelType, method),
+                    config?.name,
+                    config?.slug,
+                    config?.plural?.name,
+                    config?.plural?.slug
+                ];
+                if (names.indexOf(segments[x]) >= 0) {
+                    return { modelType };
+                }
+            }
+            if (x === segments.length - 1 && (!restricted || resources.indexOf(segments[x]) >= 0)) {
+                return { resource: segments[x] };
+            }
+        }
+        return null;
+    };
+
+    return async function (httpReq, httpRes, next) {
+        try {
+            let method = httpReq.method.toLowerCase();
+            let segments = new URL(httpReq.url, 'http://localhost').pathname.split('/').filter(s => s).map(s => decodeURIComponent(s));
+            let name = segments[segments.length - 1] ?? '';
+            let target = route(segments, method);
+            if (method === 'get' && name === 'resources' && (!target || !restricted)) {
+                let engine = await stashku.engine;
+                let data = await engine.resources();
+                if (restricted) {
+                    let served = models.map(mt => ModelUtility.resource(mt, method)).concat(resources);
+                    data = data.filter(r => served.indexOf(r) >= 0);
+                }
+                send(httpRes, 200, new Response(data, data.length, 0, data.length));
+                return;
+            } else if (!target) {
+                if (typeof next === 'function') {
+                    next();
+                    return;
+                }
+                throw new RESTError(404, `The resource "${name}" was not found.`);
+            }
+            await bodyRead(httpReq);
+            let request = await HttpRequestLoader(httpReq, target.modelType);
+            if (!request) {
+                throw new RESTError(405, `The "${httpReq.method}" method is not supported.`);
+            }
+            let resource = target.resource ?? ModelUtility.resource(target.modelType, method);
+            if (request.metadata.to) {
+                request.to(resource);
+            } else {
+                request.from(resource);
+            }
+            let response = await (target.modelType ? stashku.model(target.modelType) : stashku).http(request);
+            let body = {
+                data: response.data,
+                total: response.total,
+                affected: response.affected,
+                returned: response.returned
+            };
+            if (target.modelType && method !== 'options' && response.data) {
+                body.data = unmodelData(target.modelType, request, response.data);
+            }
+            if (response.cursor) {
+                body.cursor = response.cursor;
+            }
+            send(httpRes, response.code, body);
+        } catch (err) {
+            if (err instanceof RESTError) {
+                send(httpRes, err.code, { code: err.code, message: err.message, data: err.data });
+            } else {
+                stashku.log.error(err);
+                send(httpRes, 500, { code: 500, message: 'An unexpected error occurred processing the request.' });
+            }
+        }
+    };
+}
+
+export default HttpRouter;
@@ -40,7 +40,7 @@ class DeleteRequest {
      * @param {Boolean} [overwrite = false] - Optional flag that, when `true`, overwrites request settings and values
      * with the model's (where applicable).
      * @param {Boolean} [header=false] - Optional flag that, when `true`, adds a `model` header to the request with
-     * the model type's `$stashku` definition.
+     * the model type's `$stashku` definition and primary-key (`pk`) target names.
      * @returns {DeleteRequest}
      * @private
      */
@@ -53,7 +53,7 @@ class DeleteRequest {
                 this.from(ModelUtility.resource(modelType, this.method));
             }
             if (header) {
-                this.headers({ model: modelType.$stashku });
+                this.headers({ model: ModelUtility.header(modelType) });
             }
             ModelUtility.unmodelFilters(modelType, this.metadata.where);
         }
@@ -3,6 +3,26 @@ import Filter from '../filter.js';
 import Sort from '../sort.js';
 import ModelUtility from '../modeling/model-utility.js';
 
+/**
+ * @typedef GetRequest.Aggregate
+ * @property {String} fn - The aggregate function, either "sum", "avg", "min", "max", or "count".
+ * @property {String} property - The property whose values are aggregated. For the "count" function this can be `"*"` to
+ * count all objects instead of only those with a non-null property value.
+ * @property {String} as - The name of the property the aggregated value is returned under.
+ */
+
+/**
+ * @callback GetRequest.IncludeCallback
+ * @param {GetRequest} r - The follow-up GET request retrieving the related model objects.
+ * @param {Modeling.AnyModelType} m - The related model type.
+ */
+
+/**
+ * @typedef GetRequest.Include
+ * @property {String} relation - The name of the model relationship to include.
+ * @property {GetRequest.IncludeCallback} configure - Optional callback used to configure the follow-up GET request.
+ */
+
 /**
  * This class defines a StashKu GET request that instructs StashKu to retrieve objects from storage.
  */
@@ -29,6 +49,18 @@ class GetRequest {
             distinct: false,
             /** @type {Boolean} */
             count: false,
+            /** @type {Array.<String>} */
+            groupBy: [],
+            /** @type {Array.<GetRequest.Aggregate>} */
+            aggregates: [],
+            /** @type {Filter} */
+            having: null,
+            /** @type {Array.<GetRequest.Include>} */
+            includes: [],
+            /** @type {String} */
+            after: null,
+            /** @type {String} */
+            before: null,
             /** @type {Map.<String, *>} */
             headers: null
         };
@@ -51,7 +83,7 @@ class GetRequest {
      * @param {Boolean} [overwrite = false] - Optional flag that, when `true`, overwrites request settings and values
      * with the model's (where applicable).
      * @param {Boolean} [header=false] - Optional flag that, when `true`, adds a `model` header to the request with
-     * the model type's `$stashku` definition.
+     * the model type's `$stashku` definition and primary-key (`pk`) target names.
      * @returns {GetRequest}
      * @private
      */
@@ -65,7 +97,7 @@ class GetRequest {
                 this.from(ModelUtility.resource(modelType, this.method));
             }
             if (header) {
-                this.headers({ model: modelType.$stashku });
+                this.headers({ model: ModelUtility.header(modelType) });
             }
             if (overwrite === true || !this.metadata.properties || this.metadata.properties.length === 0) {
                 //set all properties expected by the model.
@@ -92,6 +124,15 @@ class GetRequest {
             }
             ModelUtility.unmodelFilters(modelType, this.metadata.where);
             ModelUtility.unmodelSorts(modelType, ...this.metadata.sorts);
+            if (this.metadata.groupBy && this.metadata.groupBy.length) {
+                this.metadata.groupBy = ModelUtility.unmodelProperties(modelType, ...this.metadata.groupBy);
+            }
+            for (let a of this.metadata.aggregates ?? []) {
+                if (a.property !== '*') {
+                    a.property = ModelUtility.unmodelProperties(modelType, a.property)[0];
+                }
+            }
+            ModelUtility.unmodelFilters(modelType, this.metadata.having);
         }
         return this;
     }
@@ -159,6 +200,206 @@ class GetRequest {
         return this;
     }
 
+    /**
+     * Groups the retrieved results by the values of the given properties, returning one object per group containing
+     * the grouped property values and any aggregate values (see `aggregate`). If the property is already present, it
+     * is ignored.    
+     * If a `null` value is passed, the grouping is cleared.
+     * @throws Error if the any `properties` argument value is not a string or property definition.
+     * @param  {...String|Modeling.PropertyDefinition} [properties] - Spread of property names to group results by.
+     * @returns {GetRequest}
+     */
+    groupBy(...properties) {
+        if (Array.isArray(this.metadata.groupBy) === false) {
+            this.metadata.groupBy = [];
+        }
+        if (!properties || (properties.length === 1 && properties[0] === null)) {
+            this.metadata.groupBy = [];
+        } else {
+            for (let f of properties) {
+                let prop = f;
+                if (f && f.target && typeof f.target === 'string') {
+                    prop = f.target;
+                }
+                if (typeof prop !== 'string') {
+                    throw new Error('Invalid "properties" argument. The array contains a non-string value.');
+                }
+                if (this.metadata.groupBy.some(v => v === prop) == false) {
+                    this.metadata.groupBy.push(prop);
+                }
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Adds an aggregate projection to the GET request, computing a single value from the property values of each
+     * group of results (see `groupBy`), or of all results when not grouped. If an aggregate with the same `as` name
+     * is already present, it is replaced.    
+     * If a `null` value is passed, all aggregates are cleared.
+     * 
+     * @example
+     * new GetRequest()
+     *     .from('Products')
+     *     .groupBy('Category')
+     *     .aggregate('sum', 'Price', 'Total_Price')
+     *     .aggregate(GetRequest.AGGREGATE.COUNT, '*', 'Products');
+     * @throws Error if the `fn` argument is not a supported aggregate function.
+     * @throws Error if the `property` argument is missing or not a string.
+     * @param {String|GetRequest.Aggregate} fn - The aggregate function, either "sum", "avg", "min", "max", or 
+     * "count". Optionally, an aggregate definition object may be passed instead of all arguments.
+     * @param {String|Modeling.PropertyDefinition} [property="*"] - The property whose values are aggregated. Only the
+     * "count" function supports `"*"` to count all objects.
+     * @param {String} [as] - The name of the property the aggregated value is returned under. Defaults to the function
+     * and property name joined by an underscore, such as `"sum_Price"`, or just `"count"` when counting all objects.
+     * @returns {GetRequest}
+     */
+    aggregate(fn, property, as) {
+        if (Array.isArray(this.metadata.aggregates) === false) {
+            this.metadata.aggregates = [];
+        }
+        if (fn === null) {
+            this.metadata.aggregates = [];
+            return this;
+        } else if (fn && typeof fn === 'object') {
+            as = fn.as;
+            property = fn.property;
+            fn = fn.fn;
+        }
+        if (property && property.target && typeof property.target === 'string') {
+            property = property.target;
+        }
+        property = property ?? '*';
+        fn = (typeof fn === 'string' ? fn.toLowerCase() : fn);
+        if (AGGREGATE_FUNCTIONS.indexOf(fn) < 0) {
+            throw new Error(`Invalid "fn" argument "${fn}". The value must be one of "${AGGREGATE_FUNCTIONS.join('", "')}".`);
+        } else if (!property || typeof property !== 'string') {
+            throw new Error('Invalid "property" argument. The value must be a string.');
+        } else if (property === '*' && fn !== GetRequest.AGGREGATE.COUNT) {
+            throw new Error(`Invalid "property" argument. The "*" value is only supported by the "${GetRequest.AGGREGATE.COUNT}" function.`);
+        }
+        if (!as) {
+            as = (property === '*' ? fn : `${fn}_${property}`);
+        }
+        let existingIndex = this.metadata.aggregates.findIndex(v => v.as === as);
+        if (existingIndex >= 0) {
+            this.metadata.aggregates.splice(existingIndex, 1);
+        }
+        this.metadata.aggregates.push({ fn, property, as });
+        return this;
+    }
+
+    /**
+     * Adds a "sum" aggregate projection of the property values. See `aggregate`.
+     * @param {String|Modeling.PropertyDefinition} property - The property whose values are summed.
+     * @param {String} [as] - The name of the property the aggregated value is returned under.
+     * @returns {GetRequest}
+     */
+    sum(property, as) {
+        return this.aggregate(GetRequest.AGGREGATE.SUM, property, as);
+    }
+
+    /**
+     * Adds an "avg" (average) aggregate projection of the property values. See `aggregate`.
+     * @param {String|Modeling.PropertyDefinition} property - The property whose values are averaged.
+     * @param {String} [as] - The name of the property the aggregated value is returned under.
+     * @returns {GetRequest}
+     */
+    avg(property, as) {
+        return this.aggregate(GetRequest.AGGREGATE.AVG, property, as);
+    }
+
+    /**
+     * Adds a "min" (minimum) aggregate projection of the property values. See `aggregate`.
+     * @param {String|Modeling.PropertyDefinition} property - The property to find the lowest value of.
+     * @param {String} [as] - The name of the property the aggregated value is returned under.
+     * @returns {GetRequest}
+     */
+    min(property, as) {
+        return this.aggregate(GetRequest.AGGREGATE.MIN, property, as);
+    }
+
+    /**
+     * Adds a "max" (maximum) aggregate projection of the property values. See `aggregate`.
+     * @param {String|Modeling.PropertyDefinition} property - The property to find the highest value of.
+     * @param {String} [as] - The name of the property the aggregated value is returned under.
+     * @returns {GetRequest}
+     */
+    max(property, as) {
+        return this.aggregate(GetRequest.AGGREGATE.MAX, property, as);
+    }
+
+    /**
+     * Creates a set of conditions on the request to match specific groups of results after grouping and aggregation.
+     * The conditions may use grouped property names and aggregate (`as`) names.    
+     * Any existing having conditions will be overwritten.    
+     * If a `null` value is passed, the having conditions are cleared.
+     * @throws Error if the "conditions" argument must be null or a Filter instance.
+     * @param {Filter|ConditionCallback} conditions - The conditions to be used to filter out grouped results.
+     * @returns {GetRequest}
+     */
+    having(conditions) {
+        if (conditions === null) {
+            this.metadata.having = null;
+            return this;
+        } else if (conditions instanceof Filter) {
+            this.metadata.having = conditions;
+        } else if (typeof conditions === 'string') {
+            this.metadata.having = Filter.parse(conditions);
+        } else if (typeof conditions === 'function') {
+            let originalFilter = this.metadata.having ?? new Filter();
+            this.metadata.having = new Filter();
+            let optionalReturn = conditions(this.metadata.having, originalFilter);
+            if (optionalReturn) {
+                this.metadata.having = optionalReturn;
+            }
+        } else {
+            throw new Error('The "conditions" argument must be null, a callback, or a Filter instance.');
+        }
+        return this;
+    }
+
+    /**
+     * Includes the related model objects of a relationship defined on the request's model (`$stashku.relationships`)
+     * in the response. After the model objects are retrieved, StashKu makes a single follow-up GET request per
+     * included relationship for all of the related objects and attaches them to each model instance under the
+     * relationship name - a single instance (or `null`) for a "belongsTo" relationship, or an array of instances for
+     * a "hasMany" relationship.
+     * 
+     * The optional `configure` callback can further refine the follow-up GET request, such as adding conditions,
+     * sorts, or nested includes. Note that `skip` and `take` apply to the related objects of *all* model instances.
+     * 
+     * Includes are only resolved on modeled requests and are not serialized by `toJSON`.    
+     * If the relationship is already included, its `configure` callback is replaced.    
+     * If a `null` value is passed, all includes are cleared.
+     * @throws Error if the "relation" argument is not null or a string.
+     * @throws Error if the "configure" argument is specified and not a function.
+     * @param {String} relation - The name of the model relationship to include.
+     * @param {GetRequest.IncludeCallback} [configure] - Optional callback used to configure the follow-up GET request.
+     * @returns {GetRequest}
+     */
+    include(relation, configure) {
+        if (Array.isArray(this.metadata.includes) === false) {
+            this.metadata.includes = [];
+        }
+        if (relation === null) {
+            this.metadata.includes = [];
+            return this;
+        } else if (!relation || typeof relation !== 'string') {
+            throw new Error('The "relation" argument is required and must be a string.');
+        } else if (configure !== null && typeof configure !== 'undefined' && typeof configure !== 'function') {
+            throw new Error('The "configure" argument must be a function when specified.');
+        }
+        let include = { relation, configure: configure ?? null };
+        let index = this.metadata.includes.findIndex(i => i.relation === relation);
+        if (index >= 0) {
+            this.metadata.includes[index] = include;
+        } else {
+            this.metadata.includes.push(include);
+        }
+        return this;
+    }
+
     /**
      * @callback ConditionCallback
      * @param {Filter} f
@@ -288,6 +529,50 @@ class GetRequest {
         return this.take(1);
     }
 
+    /**
+     * Requests the page of objects that come *after* the object the given cursor points to, in the order of the
+     * request's `sorts`. Cursors are opaque strings returned by the storage engine on a `Response` (`cursor`) and are
+     * only valid for requests with the same sorts. Unlike `skip`, cursor paging does not drift when objects are
+     * added or removed while paging; the sorts should end on a unique property so no two objects share a position.
+     * 
+     * Setting an "after" cursor clears any "before" cursor.    
+     * If a `null` value is passed, the cursor is cleared.
+     * @throws Error if the "cursor" argument is not null or a string.
+     * @param {String} cursor - The cursor returned from the response of the previous page.
+     * @returns {GetRequest}
+     */
+    after(cursor) {
+        if (cursor !== null && typeof cursor !== 'string') {
+            throw new Error('The "cursor" argument must be null or a string.');
+        }
+        this.metadata.after = cursor || null;
+        if (this.metadata.after) {
+            this.metadata.before = null;
+        }
+        return this;
+    }
+
+    /**
+     * Requests the page of objects that come *before* the object the given cursor points to, in the order of the
+     * request's `sorts`. See `after` for details.
+     * 
+     * Setting a "before" cursor clears any "after" cursor.    
+     * If a `null` value is passed, the cursor is cleared.
+     * @throws Error if the "cursor" argument is not null or a string.
+     * @param {String} cursor - The cursor returned from the response of the previous page.
+     * @returns {GetRequest}
+     */
+    before(cursor) {
+        if (cursor !== null && typeof cursor !== 'string') {
+            throw new Error('The "cursor" argument must be null or a string.');
+        }
+        this.metadata.before = cursor || null;
+        if (this.metadata.before) {
+            this.metadata.after = null;
+        }
+        return this;
+    }
+
     /**
      * Hints that the request wishes to retrieve only the specified number of objects from storage.
      * @param {Number|String} count - The number of models to take. Optionally, if the string `"all"` is provided, then
@@ -323,6 +608,12 @@ class GetRequest {
         this.metadata.from = null;
         this.metadata.skip = 0;
         this.metadata.take = 0;
+        this.metadata.groupBy = [];
+        this.metadata.aggregates = [];
+        this.metadata.having = null;
+        this.metadata.includes = [];
+        this.metadata.after = null;
+        this.metadata.before = null;
         this.metadata.headers = null;
         return this;
     }
@@ -386,6 +677,12 @@ class GetRequest {
         if (this.metadata.distinct) {
             metaClone.distinct = this.metadata.distinct;
         }
+        if (this.metadata.after) {
+            metaClone.after = this.metadata.after;
+        }
+        if (this.metadata.before) {
+            metaClone.before = this.metadata.before;
+        }
         if (this.metadata.properties && this.metadata.properties.length) {
             metaClone.properties = this.metadata.properties;
         }
@@ -395,11 +692,37 @@ class GetRequest {
         if (this.metadata.where && Filter.isEmpty(this.metadata.where) === false) {
             metaClone.where = JSON.stringify(this.metadata.where.toJSON());
         }
+        if (this.metadata.groupBy && this.metadata.groupBy.length) {
+            metaClone.groupBy = this.metadata.groupBy;
+        }
+        if (this.metadata.aggregates && this.metadata.aggregates.length) {
+            metaClone.aggregates = this.metadata.aggregates;
+        }
+        if (this.metadata.having && Filter.isEmpty(this.metadata.having) === false) {
+            metaClone.having = JSON.stringify(this.metadata.having.toJSON());
+        }
         return metaClone;
     }
 
 }
 
-const STANDARD_METADATA = ['properties', 'where', 'sorts', 'from', 'skip', 'take', 'distinct', 'count', 'model', 'headers'];
+/**
+ * @readonly
+ */
+GetRequest.AGGREGATE = {
+    SUM: 'sum',
+    AVG: 'avg',
+    MIN: 'min',
+    MAX: 'max',
+    COUNT: 'count'
+};
+
+/**
+ * Array of supported aggregate function names.
+ * @type {Array.<String>}
+ */
+const AGGREGATE_FUNCTIONS = Object.keys(GetRequest.AGGREGATE).map(k => GetRequest.AGGREGATE[k]);
+
+const STANDARD_METADATA = ['properties', 'where', 'sorts', 'from', 'skip', 'take', 'distinct', 'count', 'groupBy', 'aggregates', 'having', 'includes', 'after', 'before', 'model', 'headers'];
 
 export default GetRequest;
\ No newline at end of file
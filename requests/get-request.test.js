@@ -47,6 +47,20 @@ describe('#model', () => {
         expect(r.metadata.sorts[1].property).toBe('bbbb');
         expect(r.metadata.sorts[2].property).toBe('c');
     });
+    it('translates modeled groupBy, aggregate, and having properties.', () => {
+        let r = new GetRequest()
+            .groupBy('a', 'c')
+            .sum('b')
+            .aggregate('count', '*')
+            .having('{b} > 5');
+        r.model(TestModel);
+        expect(r.metadata.groupBy).toEqual(['aaa', 'c']);
+        expect(r.metadata.aggregates).toEqual([
+            { fn: 'sum', property: 'bbbb', as: 'sum_b' },
+            { fn: 'count', property: '*', as: 'count' }
+        ]);
+        expect(r.metadata.having.tree.filters[0].property).toBe('bbbb');
+    });
     it('translates modeled where conditions.', () => {
         let r = new GetRequest().where('{a} == 55 OR {b} ~~ "soda" OR {c} != 53');
         r.model(TestModel);
@@ -222,6 +236,102 @@ describe('#properties', () => {
     });
 });
 
+describe('#groupBy', () => {
+    it('throws on a non-string value of the "properties" argument.', () => {
+        expect(() => new GetRequest().groupBy(123)).toThrow(/properties/);
+        expect(() => new GetRequest().groupBy('a', {})).toThrow(/properties/);
+    });
+    it('sets the "groupBy" metadata from strings and PropertyDefinitions, ignoring duplicates.', () => {
+        let r = new GetRequest().groupBy('a', { target: 'b' }, 'a');
+        expect(r.metadata.groupBy).toEqual(['a', 'b']);
+    });
+    it('clears the "groupBy" metadata when null is passed.', () => {
+        let r = new GetRequest().groupBy('a');
+        expect(r.groupBy(null)).toBe(r);
+        expect(r.metadata.groupBy).toEqual([]);
+    });
+});
+
+describe('#aggregate', () => {
+    it('throws on an unsupported aggregate function.', () => {
+        expect(() => new GetRequest().aggregate('median', 'a')).toThrow(/fn/);
+        expect(() => new GetRequest().aggregate(null, 'a')).not.toThrow();
+        expect(() => new GetRequest().aggregate()).toThrow(/fn/);
+    });
+    it('throws on an invalid property.', () => {
+        expect(() => new GetRequest().aggregate('sum', 123)).toThrow(/property/);
+        expect(() => new GetRequest().aggregate('sum', '*')).toThrow(/"\*"/);
+    });
+    it('adds aggregates with default and explicit names.', () => {
+        let r = new GetRequest()
+            .aggregate('SUM', 'Price')
+            .aggregate(GetRequest.AGGREGATE.COUNT)
+            .aggregate('count', 'Price', 'priced')
+            .aggregate({ fn: 'max', property: { target: 'Cost' }, as: 'highest' });
+        expect(r.metadata.aggregates).toEqual([
+            { fn: 'sum', property: 'Price', as: 'sum_Price' },
+            { fn: 'count', property: '*', as: 'count' },
+            { fn: 'count', property: 'Price', as: 'priced' },
+            { fn: 'max', property: 'Cost', as: 'highest' }
+        ]);
+    });
+    it('replaces an aggregate with the same name.', () => {
+        let r = new GetRequest().sum('Price', 'x').avg('Price', 'x');
+        expect(r.metadata.aggregates).toEqual([{ fn: 'avg', property: 'Price', as: 'x' }]);
+    });
+    it('adds aggregates through the sum, avg, min, and max shortcuts.', () => {
+        let r = new GetRequest().sum('a').avg('a').min('a').max('a');
+        expect(r.metadata.aggregates.map(a => a.as)).toEqual(['sum_a', 'avg_a', 'min_a', 'max_a']);
+    });
+    it('clears the aggregates when null is passed.', () => {
+        let r = new GetRequest().sum('a');
+        expect(r.aggregate(null)).toBe(r);
+        expect(r.metadata.aggregates).toEqual([]);
+    });
+});
+
+describe('#having', () => {
+    it('throws on a non-filtering "conditions" argument.', () => {
+        expect(() => new GetRequest().having(123)).toThrow(/conditions/);
+    });
+    it('sets the "having" metadata from a Filter, string, or callback.', () => {
+        let f = Filter.and('count', Filter.OP.GREATERTHAN, 2);
+        expect(new GetRequest().having(f).metadata.having).toBe(f);
+        expect(new GetRequest().having('{count} > 2').metadata.having.tree).toEqual(f.tree);
+        expect(new GetRequest().having(h => h.and('count', Filter.OP.GREATERTHAN, 2)).metadata.having.tree).toEqual(f.tree);
+    });
+    it('clears the "having" metadata when a null is passed.', () => {
+        let r = new GetRequest().having('{count} > 2');
+        expect(r.having(null).metadata.having).toBeNull();
+    });
+});
+
+describe('#include', () => {
+    it('throws on an invalid "relation" argument.', () => {
+        for (let v of [undefined, '', 123, {}]) {
+            expect(() => new GetRequest().include(v)).toThrow(/relation/);
+        }
+    });
+    it('throws on a non-function "configure" argument.', () => {
+        expect(() => new GetRequest().include('author', 'abc')).toThrow(/configure/);
+    });
+    it('adds includes, replacing an already included relationship.', () => {
+        let cb = () => { };
+        let r = new GetRequest().include('author').include('tags').include('author', cb);
+        expect(r.metadata.includes).toEqual([
+            { relation: 'author', configure: cb },
+            { relation: 'tags', configure: null }
+        ]);
+    });
+    it('clears the "includes" metadata when a null is passed.', () => {
+        let r = new GetRequest().include('author');
+        expect(r.include(null).metadata.includes).toEqual([]);
+    });
+    it('is not serialized by toJSON.', () => {
+        expect(new GetRequest().from('books').include('author').toJSON()).toEqual({ from: 'books' });
+    });
+});
+
 describe('#where', () => {
     it('throws on a non-filtering "conditions" argument.', () => {
         expect(() => new GetRequest().where(1312312)).toThrow(/conditions.+argument/);
@@ -422,6 +532,35 @@ describe('#skip', () => {
     });
 });
 
+describe('#after', () => {
+    it('throws on a non-string "cursor" argument.', () => {
+        expect(() => new GetRequest().after(123)).toThrow(/cursor/);
+        expect(() => new GetRequest().after()).toThrow(/cursor/);
+    });
+    it('sets the "after" cursor and clears the "before" cursor.', () => {
+        let r = new GetRequest().before('abc').after('xyz');
+        expect(r.metadata.after).toBe('xyz');
+        expect(r.metadata.before).toBeNull();
+    });
+    it('clears the cursor when a null is passed.', () => {
+        expect(new GetRequest().after('xyz').after(null).metadata.after).toBeNull();
+    });
+});
+
+describe('#before', () => {
+    it('throws on a non-string "cursor" argument.', () => {
+        expect(() => new GetRequest().before(123)).toThrow(/cursor/);
+    });
+    it('sets the "before" cursor and clears the "after" cursor.', () => {
+        let r = new GetRequest().after('abc').before('xyz');
+        expect(r.metadata.before).toBe('xyz');
+        expect(r.metadata.after).toBeNull();
+    });
+    it('clears the cursor when a null is passed.', () => {
+        expect(new GetRequest().before('xyz').before(null).metadata.before).toBeNull();
+    });
+});
+
 describe('#take', () => {
     it('stores the take value.', () => {
         let q = new GetRequest().take(111);
@@ -466,8 +605,19 @@ describe('#clear', () => {
             .properties('a', 'b', 'c')
             .from('somewhere')
             .where(f => f.and('a', Filter.OP.CONTAINS, 'z'))
-            .sort('a', 'b');
+            .sort('a', 'b')
+            .groupBy('a')
+            .sum('b')
+            .having('{sum_b} > 1')
+            .include('c')
+            .after('abc');
         r.clear();
+        expect(r.metadata.after).toBeNull();
+        expect(r.metadata.before).toBeNull();
+        expect(r.metadata.includes.length).toBe(0);
+        expect(r.metadata.groupBy.length).toBe(0);
+        expect(r.metadata.aggregates.length).toBe(0);
+        expect(r.metadata.having).toBeNull();
         expect(r.metadata.properties.length).toBe(0);
         expect(r.metadata.where).toBeNull();
         expect(r.metadata.sorts.length).toBe(0);
@@ -608,4 +758,23 @@ describe('#toJSON', () => {
         expect(parsed.where).toEqual(JSON.stringify(r.metadata.where));
         expect(parsed.headers).toEqual({ hello: 'world' });
     });
+    it('includes grouping, aggregates, and having conditions when set.', () => {
+        let r = new GetRequest()
+            .from('Products')
+            .groupBy('Category')
+            .sum('Price')
+            .having(f => f.and('sum_Price', Filter.OP.GREATERTHAN, 100));
+        let parsed = JSON.parse(JSON.stringify(r));
+        expect(parsed.groupBy).toEqual(['Category']);
+        expect(parsed.aggregates).toEqual([{ fn: 'sum', property: 'Price', as: 'sum_Price' }]);
+        expect(parsed.having).toEqual(JSON.stringify(r.metadata.having));
+        parsed = JSON.parse(JSON.stringify(new GetRequest().from('Products')));
+        expect(parsed.groupBy).toBeUndefined();
+        expect(parsed.aggregates).toBeUndefined();
+        expect(parsed.having).toBeUndefined();
+    });
+    it('includes the paging cursor when set.', () => {
+        expect(JSON.parse(JSON.stringify(new GetRequest().from('a').after('xyz')))).toEqual({ from: 'a', after: 'xyz' });
+        expect(JSON.parse(JSON.stringify(new GetRequest().from('a').before('xyz')))).toEqual({ from: 'a', before: 'xyz' });
+    });
 });
\ No newline at end of file
@@ -50,7 +50,7 @@ class PatchRequest {
      * @param {Boolean} [overwrite = false] - Optional flag that, when `true`, overwrites request settings and values
      * with the model's (where applicable).
      * @param {Boolean} [header=false] - Optional flag that, when `true`, adds a `model` header to the request with
-     * the model type's `$stashku` definition.
+     * the model type's `$stashku` definition and primary-key (`pk`) target names.
      * @returns {PatchRequest}
      * @private
      */
@@ -63,7 +63,7 @@ class PatchRequest {
                 this.to(ModelUtility.resource(modelType, this.method));
             }
             if (header) {
-                this.headers({ model: modelType.$stashku });
+                this.headers({ model: ModelUtility.header(modelType) });
             }
             if (this.metadata.template) {
                 for (let m of ModelUtility.unmodel(modelType, this.method, this.metadata.template)) {
@@ -18,6 +18,10 @@ class PostRequest {
             to: null,
             /** @type {Boolean} */
             count: false,
+            /** @type {Array.<String>} */
+            pk: [],
+            /** @type {String} */
+            onConflict: null,
             /** @type {Map.<String, *>} */
             headers: null
         };
@@ -41,7 +45,7 @@ class PostRequest {
      * @param {Boolean} [overwrite = false] - Optional flag that, when `true`, overwrites request settings and values
      * with the model's (where applicable).
      * @param {Boolean} [header=false] - Optional flag that, when `true`, adds a `model` header to the request with
-     * the model type's `$stashku` definition.
+     * the model type's `$stashku` definition and primary-key (`pk`) target names.
      * @returns {PostRequest.<M>}
      * @private
      */
@@ -54,7 +58,12 @@ class PostRequest {
                 this.to(ModelUtility.resource(modelType, this.method));
             }
             if (header) {
-                this.headers({ model: modelType.$stashku });
+                this.headers({ model: ModelUtility.header(modelType) });
+            }
+            if (this.metadata.onConflict && (overwrite === true || !this.metadata.pk || !this.metadata.pk.length)) {
+                this
+                    .pk(null)
+                    .pk(...ModelUtility.pk(modelType));
             }
             if (this.metadata.objects) {
                 this.metadata.objects = Array.from(ModelUtility.unmodel(modelType, this.method, ...this.metadata.objects));
@@ -82,6 +91,75 @@ class PostRequest {
         return this;
     }
 
+    /**
+     * Defines the primary key property name(s) used to detect when an object being created conflicts with an object
+     * already in storage. See `onConflict`.    
+     * If a `null` value is passed, all PKs are cleared from the request.
+     * @throws Error if any "primaryKeys" argument value is not a string or property definition.
+     * @param  {...String|Array.<String | Modeling.PropertyDefinition>} primaryKeys - Spread of property names used to uniquely identify each object.
+     * @returns {PostRequest.<M>}
+     */
+    pk(...primaryKeys) {
+        if (Array.isArray(this.metadata.pk) === false) {
+            this.metadata.pk = [];
+        }
+        if (!primaryKeys || (primaryKeys.length === 1 && primaryKeys[0] === null)) {
+            this.metadata.pk = [];
+        } else {
+            primaryKeys = primaryKeys.flat();
+            for (let k of primaryKeys) {
+                let prop = k;
+                if (k && k.target && typeof k.target === 'string') {
+                    prop = k.target;
+                }
+                if (typeof prop !== 'string') {
+                    throw new Error('Invalid "primaryKeys" argument. The array contains a non-string value.');
+                }
+                if (prop && this.metadata.pk.indexOf(prop) < 0) {
+                    this.metadata.pk.push(prop);
+                }
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Sets how the engine handles an object that conflicts (by `pk` property values) with an object already in
+     * storage:
+     * - `"error"`: The request fails with a 409 error.
+     * - `"ignore"`: The conflicting object is skipped, leaving the stored object as-is.
+     * - `"update"`: The stored object is updated with the conflicting object's property values (an "upsert").
+     * 
+     * When used with a model, the model's primary key properties are used if no `pk` is set on the request.    
+     * If a `null` value is passed, the mode is cleared and the engine's default behavior applies.
+     * @throws Error if the "mode" argument is not null or a supported conflict mode.
+     * @param {String} mode - The conflict mode, either "error", "ignore", or "update".
+     * @param  {...String|Modeling.PropertyDefinition} [primaryKeys] - Optional spread of primary key property names
+     * to add to the request (see `pk`).
+     * @returns {PostRequest.<M>}
+     */
+    onConflict(mode, ...primaryKeys) {
+        if (mode !== null && CONFLICT_MODES.indexOf(mode) < 0) {
+            throw new Error(`Invalid "mode" argument. The value must be null or one of: "${CONFLICT_MODES.join('", "')}".`);
+        }
+        this.metadata.onConflict = mode;
+        if (primaryKeys.length) {
+            this.pk(...primaryKeys);
+        }
+        return this;
+    }
+
+    /**
+     * Requests that objects be created, or when they conflict (by `pk` property values) with an object already in
+     * storage, update the stored object instead. This is shorthand for `onConflict('update', ...primaryKeys)`.
+     * @param  {...String|Modeling.PropertyDefinition} [primaryKeys] - Optional spread of primary key property names
+     * to add to the request (see `pk`).
+     * @returns {PostRequest.<M>}
+     */
+    upsert(...primaryKeys) {
+        return this.onConflict(PostRequest.CONFLICT.UPDATE, ...primaryKeys);
+    }
+
     /**
      * Adds objects to the POST request. If any object has already been added to the request, it is skipped.    
      * If a single `null` value is passed, all objects are cleared from the request.
@@ -136,6 +214,8 @@ class PostRequest {
         }
         this.metadata.objects = [];
         this.metadata.to = null;
+        this.metadata.pk = [];
+        this.metadata.onConflict = null;
         this.metadata.headers = null;
         return this;
     }
@@ -190,6 +270,12 @@ class PostRequest {
         if (this.metadata.count) {
             metaClone.count = this.metadata.count;
         }
+        if (this.metadata.onConflict) {
+            metaClone.onConflict = this.metadata.onConflict;
+        }
+        if (this.metadata.pk && this.metadata.pk.length) {
+            metaClone.pk = this.metadata.pk;
+        }
         if (this.metadata.objects && this.metadata.objects.length) {
             metaClone.objects = this.metadata.objects;
         }
@@ -198,6 +284,21 @@ class PostRequest {
 
 }
 
-const STANDARD_METADATA = ['objects', 'to', 'count', 'model', 'headers'];
+/**
+ * @readonly
+ */
+PostRequest.CONFLICT = {
+    ERROR: 'error',
+    IGNORE: 'ignore',
+    UPDATE: 'update'
+};
+
+/**
+ * Array of supported conflict modes.
+ * @type {Array.<String>}
+ */
+const CONFLICT_MODES = Object.keys(PostRequest.CONFLICT).map(k => PostRequest.CONFLICT[k]);
+
+const STANDARD_METADATA = ['objects', 'to', 'count', 'pk', 'onConflict', 'model', 'headers'];
 
 export default PostRequest;
\ No newline at end of file
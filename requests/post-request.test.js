@@ -53,6 +53,59 @@ describe('#model', () => {
     });
 });
 
+describe('#model (conflicts)', () => {
+    class ThingModel {
+        static get ID() { return { target: 'Thing_ID', pk: true }; }
+        static get Name() { return 'Name'; }
+    }
+    it('uses the model primary keys when a conflict mode is set without a pk.', () => {
+        expect(new PostRequest().upsert().model(ThingModel).metadata.pk).toEqual(['Thing_ID']);
+        expect(new PostRequest().upsert('Name').model(ThingModel).metadata.pk).toEqual(['Name']);
+        expect(new PostRequest().upsert('Name').model(ThingModel, true).metadata.pk).toEqual(['Thing_ID']);
+    });
+    it('does not set a pk when no conflict mode is set.', () => {
+        expect(new PostRequest().model(ThingModel).metadata.pk).toEqual([]);
+    });
+});
+
+describe('#pk', () => {
+    it('throws on a non-string value.', () => {
+        expect(() => new PostRequest().pk(123)).toThrow(/primaryKeys/);
+    });
+    it('adds unique primary key names, from strings or property definitions.', () => {
+        expect(new PostRequest().pk('a', { target: 'b' }, 'a').metadata.pk).toEqual(['a', 'b']);
+    });
+    it('clears the primary keys when a null is passed.', () => {
+        expect(new PostRequest().pk('a').pk(null).metadata.pk).toEqual([]);
+    });
+});
+
+describe('#onConflict', () => {
+    it('throws on an invalid mode.', () => {
+        expect(() => new PostRequest().onConflict('merge')).toThrow(/mode/);
+        expect(() => new PostRequest().onConflict()).toThrow(/mode/);
+    });
+    it('sets the conflict mode and optional primary keys.', () => {
+        for (let mode of Object.values(PostRequest.CONFLICT)) {
+            let r = new PostRequest().onConflict(mode, 'ID');
+            expect(r.metadata.onConflict).toBe(mode);
+            expect(r.metadata.pk).toEqual(['ID']);
+        }
+    });
+    it('clears the conflict mode when a null is passed.', () => {
+        expect(new PostRequest().onConflict('ignore').onConflict(null).metadata.onConflict).toBeNull();
+    });
+});
+
+describe('#upsert', () => {
+    it('sets the "update" conflict mode and optional primary keys.', () => {
+        let r = new PostRequest().upsert('ID', 'Key');
+        expect(r.metadata.onConflict).toBe(PostRequest.CONFLICT.UPDATE);
+        expect(r.metadata.pk).toEqual(['ID', 'Key']);
+        expect(new PostRequest().upsert().metadata.pk).toEqual([]);
+    });
+});
+
 describe('#count', () => {
     it('is disabled by default.', () => {
         let g = new PostRequest();
@@ -149,8 +202,11 @@ describe('#clear', () => {
     it('resets metadata object properties to default.', () => {
         let r = new PostRequest()
             .objects({}, {}, {})
-            .to('somewhere', 's');
+            .to('somewhere', 's')
+            .upsert('ID');
         r.clear();
+        expect(r.metadata.pk).toEqual([]);
+        expect(r.metadata.onConflict).toBeNull();
         expect(Array.isArray(r.metadata.objects)).toBe(true);
         expect(r.metadata.objects.length).toBe(0);
         expect(r.metadata.to).toBeNull();
@@ -275,5 +331,11 @@ describe('#toJSON', () => {
         expect(parsed.count).toBeUndefined();
         expect(parsed.objects).toEqual([{ Bob: 'Sue', Hi: 12345 }, { Hi: true }]);
         expect(parsed.headers).toEqual({ hello: 'world' });
+        expect(parsed.pk).toBeUndefined();
+        expect(parsed.onConflict).toBeUndefined();
+    });
+    it('includes the conflict mode and primary keys when set.', () => {
+        let parsed = JSON.parse(JSON.stringify(new PostRequest().to('Goose').onConflict('ignore', 'ID')));
+        expect(parsed).toEqual({ to: 'Goose', onConflict: 'ignore', pk: ['ID'] });
     });
 });
\ No newline at end of file
@@ -48,7 +48,7 @@ class PutRequest {
      * @param {Boolean} [overwrite = false] - Optional flag that, when `true`, overwrites request settings and values
      * with the model's (where applicable).
      * @param {Boolean} [header=false] - Optional flag that, when `true`, adds a `model` header to the request with
-     * the model type's `$stashku` definition.
+     * the model type's `$stashku` definition and primary-key (`pk`) target names.
      * @returns {PutRequest.<M>}
      * @private
      */
@@ -61,7 +61,7 @@ class PutRequest {
                 this.to(ModelUtility.resource(modelType, this.method));
             }
             if (header) {
-                this.headers({ model: modelType.$stashku });
+                this.headers({ model: ModelUtility.header(modelType) });
             }
             if (overwrite === true || !this.metadata.pk || !this.metadata.pk?.length) {
                 this
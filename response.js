@@ -49,6 +49,14 @@ class Response {
          */
         this.returned = parseInt(returned) || 0;
 
+        /**
+         * An opaque cursor that can be given to a follow-up GET request (`after` or `before`, matching the request)
+         * to retrieve the next page of objects. This is `null` when there are no further objects or the engine does
+         * not support cursor paging.
+         * @type {String}
+         */
+        this.cursor = null;
+
         if (!this.total && this.data && this.data.length) {
             this.total = this.data.length;
         }
@@ -22,6 +22,9 @@ describe('#constructor', () => {
         expect(new Response(null, null, null, null, 500).code).toBe(500);
         expect(new Response(null, null, null, null, null).code).toBe(200);
     });
+    it('defaults the cursor to null.', () => {
+        expect(new Response([{}]).cursor).toBeNull();
+    });
 });
 
 describe('.empty', () => {
@@ -11,15 +11,30 @@ import Logger from './logger.js';
 import Sort from './sort.js';
 import ModelGenerator from './modeling/model-generator.js';
 import ModelUtility from './modeling/model-utility.js';
+import ModelValidator from './modeling/model-validator.js';
+import OpenAPIGenerator from './modeling/openapi-generator.js';
 import {Strings} from '@appku/common';
 import BaseEngine from './engines/base-engine.js';
 import MemoryEngine from './engines/memory-engine.js';
 import FetchEngine from './engines/fetch-engine.js';
+import HttpRequestLoader from './node/http-request-loader.js';
 
 const SUPPORTED_METHODS = ['all', '*', 'get', 'post', 'put', 'patch', 'delete', 'options'];
 const SUPPORTED_STATES = ['log', 'request', 'response', 'done'];
 const IS_BROWSER = !(typeof process !== 'undefined' && process.version);
-let HttpRequestLoader = null; //see .requestFromObject
+let transactionCounter = 0; //see .transaction
+
+/**
+ * Determines whether the object is a HTTP request that can be transformed into a StashKu request: either a node
+ * `http.IncomingMessage`, or a Fetch API (WHATWG) `Request`.
+ * @param {*} obj - The object to check.
+ * @returns {Boolean}
+ * @ignore
+ */
+const isHttpRequest = (obj) => !!obj && (
+    (IS_BROWSER === false && !!obj.url && !!obj.httpVersion)
+    || (typeof obj.url === 'string' && typeof obj.method === 'string' && typeof obj.text === 'function' && typeof obj.headers?.get === 'function')
+);
 
 /**
  * @callback StashKuMiddlewareCallback
@@ -35,6 +50,8 @@ let HttpRequestLoader = null; //see .requestFromObject
  *  - "response": Indicates the callback was made after the engine's response has been returned.
  *  - "done": Indicates the callback was made after the engine has completed the response and the action is about to
  * complete (StashKu hands off the storage engine response to the caller).
+ * @param {StashKuTransaction} [transaction] - The transaction the request is being made within, or `null` if the
+ * request is not part of a transaction.
  */
 
 /**
@@ -55,11 +72,35 @@ let HttpRequestLoader = null; //see .requestFromObject
  * @property {StashKuMiddlewareCallback|StashKuMiddlewareLogCallback} callback - The callback to be called when being processed.
  */
 
+/**
+ * @typedef StashKuTransaction
+ * @property {Number} id - A number identifying the transaction within the running process.
+ * @property {BaseEngine} engine - The transaction-scoped engine (returned from the engine's `begin` function) that
+ * requests made within the transaction are sent to.
+ * @property {StashKuTransaction} parent - The outer transaction when this transaction is nested, otherwise `null`.
+ * @property {String} status - The status of the transaction, either "active", "committed", or "rolledback".
+ */
+
+/**
+ * @callback StashKuTransactionCallback
+ * @param {StashKu} stashku - The transaction-scoped StashKu instance. Requests made through this instance (or its
+ * `model` proxies) are part of the transaction.
+ * @returns {Promise.<*>}
+ */
+
+/**
+ * @typedef StashKuStreamOptions
+ * @property {Number} [pageSize=100] - The number of objects to retrieve from the engine per page.
+ */
+
 /**
  * @typedef StashKuModelConfiguration
  * @property {Boolean} [header=false] - Instructs StashKu to add a header `model` with the value of the `$stashku`
  * definition to all modelled RESTful requests. Certain engines, such as `fetch` may offer advanced features that
  * leverage model information in their operation.
+ * @property {Boolean} [validate=true] - Instructs StashKu to validate the objects of modeled POST, PUT, and PATCH
+ * requests against the model's property definitions and `$stashku.validations` before they are sent to the engine.
+ * Invalid requests are rejected with a 422 `RESTError` (see `ModelValidator`).
  */
 
 /**
@@ -125,14 +166,14 @@ class StashKu {
          */
         this.log = null;
 
-        if (config && config.proxy && config.proxy.model && config.proxy.parent) {
-            //this instance is being crafted for a call to the `.model` function and is meant to act as
-            //a proxy to a parent StashKu class.
+        if (config && config.proxy && (config.proxy.model || config.proxy.transaction) && config.proxy.parent) {
+            //this instance is being crafted for a call to the `.model` or `.transaction` function and is meant to act
+            //as a proxy to a parent StashKu class.
             if ((config.proxy.parent instanceof StashKu) === false) {
                 throw new RESTError(500, 'StashKu cannot initialize a proxy instance from a non-StashKu parent instance.');
             }
             this.log = config.proxy.parent.log;
-            this.engine = config.proxy.parent.engine;
+            this.engine = config.proxy.transaction ? config.proxy.transaction.engine : config.proxy.parent.engine;
             this.middleware = config.proxy.parent.middleware;
             this.stats = config.proxy.parent.stats;
             this.resources = config.proxy.parent.resources;
@@ -214,13 +255,17 @@ class StashKu {
         //assign defaults
         let engineDefault = 'memory';
         let modelDefault = {
-            header: false
+            header: false,
+            validate: true
         };
         if (typeof process !== 'undefined' && typeof process.env === 'object') {
             engineDefault = process.env.STASHKU_ENGINE ?? (IS_BROWSER ? 'fetch' : 'memory');
             if (typeof process.env.STASHKU_MODEL_HEADER === 'string') {
                 modelDefault.header = !!process.env.STASHKU_MODEL_HEADER.match(/^[tTyY1]/);
             }
+            if (typeof process.env.STASHKU_MODEL_VALIDATE === 'string') {
+                modelDefault.validate = !!process.env.STASHKU_MODEL_VALIDATE.match(/^[tTyY1]/);
+            }
         } else {
             engineDefault = (IS_BROWSER ? 'fetch' : 'memory');
         }
@@ -232,8 +277,17 @@ class StashKu {
         this.log.debug('Configuration=', this.config);
         //load engine
         if (this.config.engine === 'memory') {
-            this.engine = new MemoryEngine();
-            this.engine.configure(this.config.memory, this.log);
+            let memoryEngine = new MemoryEngine();
+            let loading = memoryEngine.configure(this.config.memory, this.log);
+            if (loading && loading.then) {
+                //the memory engine is loading persisted resources, operations will await the load.
+                this.engine = loading.then(() => {
+                    this.engine = memoryEngine;
+                    return this.engine;
+                });
+            } else {
+                this.engine = memoryEngine;
+            }
         } else if (this.config.engine === 'fetch') {
             this.engine = new FetchEngine();
             this.engine.configure(this.config.fetch, this.log);
@@ -306,7 +360,7 @@ class StashKu {
                             } else {
                                 this.log.debug(`Calling middleware ${x + 1} of ${this.middleware.length}.`);
                             }
-                            await mw.callback(this, this.engine, request.method, request, response, state);
+                            await mw.callback(this, this.engine, request.method, request, response, state, this.config?.proxy?.transaction ?? null);
                             this.log.debug(`Completed middleware call ${x + 1} of ${this.middleware.length}.`);
                         }
                     }
@@ -327,13 +381,30 @@ class StashKu {
      * @private
      */
     async _handle(request, requestType) {
+        let prepared = await this._prepare(request, requestType);
+        return await this._execute(prepared.request, prepared.reqModel, prepared.reqID);
+    }
+
+    /**
+     * Builds and validates the `request` (even when defined as a callback), applies the model, and runs the request
+     * middleware, readying it to be sent to the engine.
+     * 
+     * @throws Error if the "request" argument is not a callback function or request-like instance.
+     * @throws Error if the engine module fails to load.
+     * @throws Error if the engine is `null`.
+     * @param {GetRequest|PostRequest|PutRequest|PatchRequest|DeleteRequest|OptionsRequest} request - The request to ensure.
+     * @param {*} requestType - The expected request instance type.
+     * @returns {Promise.<{request: *, reqModel: Modeling.AnyModelType, reqID: String}>}
+     * @private
+     */
+    async _prepare(request, requestType) {
         //validate arguments
         if (!requestType) {
             throw new Error('A "requestType" parameter argument is required.');
         }
         //build request
         let reqModel = this.config?.proxy?.model;
-        if (IS_BROWSER === false && request.url && request.httpVersion) { //looks like we want to process a StashKu request from an HTTP request.
+        if (isHttpRequest(request)) { //looks like we want to process a StashKu request from an HTTP request.
             request = await StashKu.requestFromObject(request, reqModel);
         } else if (typeof request === 'function') {
             //process callback
@@ -346,11 +417,33 @@ class StashKu {
             throw new Error(`The "request" argument must be a callback function or ${requestType.name} instance.`);
         } else if (!this.engine) {
             throw new Error('A StashKu storage engine has not been loaded. An engine must be configured before operations are allowed.');
+        } else if (this.config?.proxy?.transaction && this.config.proxy.transaction.status !== 'active') {
+            throw new Error(`The request cannot be made because the transaction has been ${this.config.proxy.transaction.status === 'committed' ? 'committed' : 'rolled back'}.`);
+        }
+        //validate the modeled objects before they are unmodeled
+        if (reqModel && this.config?.model?.validate !== false) {
+            await ModelValidator.request(reqModel, request);
         }
         //adjust the request by model, if present
         if (reqModel) {
             request.model(reqModel, false, this.config?.model?.header);
         }
+        //validate includes
+        if (request.metadata.includes && request.metadata.includes.length) {
+            if (!reqModel) {
+                throw new RESTError(400, 'Includes can only be resolved on a modeled GET request.');
+            }
+            let relationships = ModelUtility.relationships(reqModel);
+            for (let inc of request.metadata.includes) {
+                if (relationships.has(inc.relation) === false) {
+                    throw new RESTError(400, `The "${inc.relation}" relationship is not defined on the model "${reqModel.name}".`);
+                }
+                //the local key values are needed to resolve the include.
+                if (request.metadata.properties && request.metadata.properties.length) {
+                    request.properties(...ModelUtility.unmodelProperties(reqModel, relationships.get(inc.relation).localKey));
+                }
+            }
+        }
         //access restrictions
         if (this.config.resources && this.config.resources.length) {
             let resource = request.metadata.from || request.metadata.to;
@@ -359,7 +452,6 @@ class StashKu {
             }
         }
         //pre-process request
-        let response = null;
         this.stats.requests[request.method]++;
         this.stats.requests.total++;
         let reqID = this.stats.requests.total.toString().padStart(16, '0');
@@ -370,7 +462,20 @@ class StashKu {
             throw new RESTError(500, `The StashKu storage engine "${this.config.engine}" could not be loaded. ${err.toString()}`);
         }
         this.log.debug(`[${reqID}] Running "${request.method}" request middleware.`);
-        await this.middlerun('request', request, response);
+        await this.middlerun('request', request, null);
+        return { request, reqModel, reqID };
+    }
+
+    /**
+     * Sends a prepared request to the engine, models the response data, and runs the response middleware.
+     * @param {GetRequest|PostRequest|PutRequest|PatchRequest|DeleteRequest|OptionsRequest} request - The prepared request.
+     * @param {Modeling.AnyModelType} reqModel - The model type of the request, if any.
+     * @param {String} reqID - The identifier of the request used in log output.
+     * @returns {Promise.<Response>} Returns the data objects from storage matching request criteria.
+     * @private
+     */
+    async _execute(request, reqModel, reqID) {
+        let response = null;
         if (this.engine[request.method]) {
             try {
                 //make the request and get the response
@@ -381,12 +486,23 @@ class StashKu {
                     //convert data
                     this.log.debug(`[${reqID}] Modelling response data.`);
                     if (response.data && response.data.length) {
+                        let aggregates = request.metadata.aggregates ?? [];
                         let counter = 0;
                         for (let m of ModelUtility.model(reqModel, request.method, ...response.data)) {
+                            //keep the aggregate values, which are not model properties.
+                            for (let a of aggregates) {
+                                if (m && typeof response.data[counter][a.as] !== 'undefined') {
+                                    m[a.as] = response.data[counter][a.as];
+                                }
+                            }
                             response.data[counter] = m;
                             counter++;
                         }
                     }
+                    if (request.metadata.includes && request.metadata.includes.length) {
+                        this.log.debug(`[${reqID}] Resolving ${request.metadata.includes.length} include(s).`);
+                        await this._include(reqModel, request, response);
+                    }
                 }
                 this.log.debug(`[${reqID}] Running middleware for response.`);
                 await this.middlerun('response', request, response);
@@ -412,13 +528,72 @@ class StashKu {
         return response;
     }
 
+    /**
+     * Resolves the includes of a modeled GET request by making one follow-up GET request per included relationship
+     * for the related objects of all modeled response data, then attaching them to each model instance under the
+     * relationship name.
+     * @param {Modeling.AnyModelType} modelType - The model type of the response data.
+     * @param {GetRequest} request - The GET request with includes.
+     * @param {Response} response - The response with modeled data.
+     * @private
+     */
+    async _include(modelType, request, response) {
+        let relationships = ModelUtility.relationships(modelType);
+        let models = response.data.filter(m => m);
+        for (let inc of request.metadata.includes) {
+            let rel = relationships.get(inc.relation);
+            let keys = new Set();
+            for (let m of models) {
+                if (m[rel.localKey] !== null && typeof m[rel.localKey] !== 'undefined') {
+                    keys.add(m[rel.localKey]);
+                }
+            }
+            //retrieve all related objects in one batch
+            let related = new Map();
+            if (keys.size) {
+                let relResponse = await this.model(rel.model).get((r, m) => {
+                    if (inc.configure) {
+                        inc.configure(r, m);
+                    }
+                    if (r.metadata.properties.length) {
+                        r.properties(rel.foreignKey);
+                    }
+                    let keyFilter = Filter.and(rel.foreignKey, Filter.OP.IN, Array.from(keys));
+                    if (r.metadata.where && Filter.isEmpty(r.metadata.where) === false) {
+                        keyFilter = Filter.and(r.metadata.where).and(keyFilter);
+                    }
+                    r.where(keyFilter);
+                });
+                for (let o of relResponse.data) {
+                    if (o) {
+                        let key = o[rel.foreignKey];
+                        if (related.has(key) === false) {
+                            related.set(key, []);
+                        }
+                        related.get(key).push(o);
+                    }
+                }
+            }
+            //attach to the model instances
+            for (let m of models) {
+                let matches = related.get(m[rel.localKey]) ?? [];
+                if (rel.type === ModelUtility.RELATIONSHIP.BELONGS_TO) {
+                    m[inc.relation] = matches[0] ?? null;
+                } else {
+                    m[inc.relation] = matches;
+                }
+            }
+        }
+    }
+
     /**
      * This method safely cleans up resources and should be called after the use of the StashKu instance is complete,
      * such as just before application exit.
      */
     async destroy() {
-        if (this.engine && this.engine.destroy) {
-            await this.engine.destroy();
+        let engine = await this.engine;
+        if (engine && engine.destroy) {
+            await engine.destroy();
         }
     }
 
@@ -459,12 +634,84 @@ class StashKu {
         if (this.config && this.config.proxy && this.config.proxy.parent) { //prevent parent daisy-chaining
             parent = this.config.proxy.parent;
         }
-        return new StashKu({
-            proxy: {
-                parent,
-                model: modelType
+        let proxy = {
+            parent,
+            model: modelType
+        };
+        if (this.config?.proxy?.transaction) {
+            proxy.transaction = this.config.proxy.transaction;
+        }
+        return new StashKu({ proxy });
+    }
+
+    /**
+     * Runs the `callback` within a transaction, handing it a transaction-scoped StashKu instance. All requests made
+     * through the transaction-scoped instance are committed as one unit when the callback completes, or rolled back
+     * if the callback throws an error (which is then re-thrown).
+     * 
+     * Transactions can be nested by calling `transaction` on the transaction-scoped instance. The engine must
+     * support transactions through its `begin`, `commit`, and `rollback` functions.
+     * 
+     * @example
+     * let sk = new StashKu();
+     * ...
+     * await sk.transaction(async (tx) => {
+     *     await tx.post(r => r.to('Orders').objects(order));
+     *     await tx.patch(r => r
+     *         .to('Products')
+     *         .template({ Stock: 0 })
+     *         .where(f => f.and('ID', f.OP.EQUALS, order.ProductID))
+     *     );
+     * });
+     * 
+     * @throws Error if the `callback` argument is not a function.
+     * @throws Error if the engine is `null`.
+     * @throws A 501 REST error if the storage engine does not support transactions.
+     * @param {StashKuTransactionCallback} callback - The function making requests within the transaction.
+     * @returns {Promise.<*>} Returns the value returned by the `callback`.
+     */
+    async transaction(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('The "callback" argument is required and must be a function.');
+        }
+        let engine = await this.engine;
+        if (!engine) {
+            throw new Error('A StashKu storage engine has not been loaded. An engine must be configured before operations are allowed.');
+        }
+        let parent = this.config?.proxy?.parent ?? this;
+        let transaction = {
+            id: ++transactionCounter,
+            engine: null,
+            parent: this.config?.proxy?.transaction ?? null,
+            status: 'active'
+        };
+        if (transaction.parent && transaction.parent.status !== 'active') {
+            throw new Error(`The transaction cannot be started because the parent transaction has been ${transaction.parent.status === 'committed' ? 'committed' : 'rolled back'}.`);
+        }
+        this.log.debug(`[tx ${transaction.id}] Beginning transaction on engine "${engine.name}".`);
+        transaction.engine = await engine.begin();
+        let proxy = {
+            parent,
+            transaction
+        };
+        if (this.config?.proxy?.model) {
+            proxy.model = this.config.proxy.model;
+        }
+        let result = null;
+        try {
+            result = await callback(new StashKu({ proxy }));
+            this.log.debug(`[tx ${transaction.id}] Committing transaction.`);
+            await engine.commit(transaction.engine);
+            transaction.status = 'committed';
+        } catch (err) {
+            if (transaction.status === 'active') {
+                this.log.debug(`[tx ${transaction.id}] Rolling back transaction: ${err.message}`);
+                transaction.status = 'rolledback';
+                await engine.rollback(transaction.engine);
             }
-        });
+            throw err;
+        }
+        return result;
     }
 
     /**
@@ -496,6 +743,82 @@ class StashKu {
         return await this._handle(request ?? new GetRequest(), GetRequest);
     }
 
+    /**
+     * Streams the objects matching a GET `request` one at a time through an async iterator, retrieving them from the
+     * storage engine in pages instead of holding all of them in memory at once.
+     * 
+     * If the engine implements a native `stream` function, its objects are streamed directly. Otherwise StashKu pages
+     * through the results with GET requests of `pageSize` objects, using the response `cursor` when the engine
+     * returns one, or `skip` and `take` when it does not. The request's own `skip` and `take` limit the streamed
+     * objects as usual. Request middleware is run once, and response middleware is run for each page (but not for
+     * native engine streams).
+     * 
+     * @example
+     * let sk = new StashKu();
+     * ...
+     * for await (let contact of sk.stream(r => r.from('Contacts').sort('ID'), { pageSize: 500 })) {
+     *     ...
+     * }
+     * 
+     * @throws Error if the "pageSize" option is not a number greater than zero.
+     * @param {GetRequest | GetRequestCallback} [request] - The GET request to send to the storage engine.
+     * @param {StashKuStreamOptions} [options] - Options controlling how the objects are retrieved.
+     * @yields {I}
+     * @generator
+     */
+    async * stream(request, options) {
+        let pageSize = options?.pageSize ?? 100;
+        if (isNaN(pageSize) || pageSize < 1) {
+            throw new Error('The "pageSize" option must be a number greater than zero.');
+        }
+        pageSize = parseInt(pageSize);
+        let { request: req, reqModel, reqID } = await this._prepare(request ?? new GetRequest(), GetRequest);
+        let native = null;
+        if (typeof this.engine.stream === 'function') {
+            native = await this.engine.stream(req, { pageSize });
+        }
+        if (native) {
+            this.log.debug(`[${reqID}] Streaming "get" request from engine "${this.engine.name}".`);
+            for await (let obj of native) {
+                if (reqModel) {
+                    obj = ModelUtility.model(reqModel, req.method, obj).next().value;
+                }
+                yield obj;
+            }
+            return;
+        }
+        //page through the results
+        let meta = req.metadata;
+        let remaining = (meta.take > 0 ? meta.take : Infinity);
+        let backward = !!meta.before;
+        let cursored = false;
+        while (remaining > 0) {
+            let take = Math.min(pageSize, remaining);
+            req.take(take);
+            this.log.debug(`[${reqID}] Streaming page of up to ${take} object(s).`);
+            let response = await this._execute(req, reqModel, reqID);
+            for (let obj of response.data) {
+                yield obj;
+            }
+            remaining -= response.data.length;
+            if (response.data.length < take) {
+                break;
+            } else if (response.cursor) {
+                cursored = true;
+                if (backward) {
+                    req.before(response.cursor);
+                } else {
+                    req.after(response.cursor);
+                }
+                req.skip(0);
+            } else if (cursored) {
+                break;
+            } else {
+                req.skip((meta.skip || 0) + response.data.length);
+            }
+        }
+    }
+
     /**
      * @callback PostRequestCallback
      * @param {PostRequest} request
@@ -638,11 +961,123 @@ class StashKu {
     }
 
     /**
-     * Instructs StashKu to transform a HTTP request into a StashKu request and run it.
+     * Saves a model instance to storage using the model type attached to this StashKu instance (see `model`).
+     *
+     * If any primary-key property of the model has no value, the model is created through a POST request. Otherwise,
+     * only the properties changed since change tracking began (see `ModelUtility.changes`) are written, either in a
+     * PATCH request filtered by the primary-key values (the default), or a PUT request. If there are no changes, no
+     * request is made.
+     *
+     * Once saved, the values returned from storage (such as generated keys) are set on the model instance and its
+     * change tracking is reset, making the saved values the new tracked original.
+     *
+     * @example
+     * let sk = new StashKu();
+     * ...
+     * let person = (await sk.model(PersonModel).get(r => r.where(f => f.and('ID', f.OP.EQUALS, 1)))).one();
+     * person.track(true);
+     * person.LastName = 'Yolo';
+     * await sk.model(PersonModel).save(person); //PATCH of the "LastName" only.
+     *
+     * @throws 500 `RESTError` if a model type is not attached to the StashKu instance.
+     * @throws 500 `RESTError` if the "model" argument is missing or not an object.
+     * @throws 500 `RESTError` if the "method" argument is not "patch" or "put".
+     * @throws 500 `RESTError` if the model type does not define a primary-key property.
+     * @param {I} model - The model instance to save.
+     * @param {String} [method='patch'] - The method used to update an existing model, either "patch" or "put".
+     * @returns {Promise.<Response.<I>>} Returns the response of the request made, or an empty response if there were
+     * no changes to save.
+     */
+    async save(model, method = 'patch') {
+        let modelType = this.config?.proxy?.model;
+        if (!modelType) {
+            throw new RESTError(500, 'A model type must be attached (see the "model" function) before a model can be saved.');
+        } else if (!model || typeof model !== 'object') {
+            throw new RESTError(500, 'The "model" argument is required and must be a model instance object.');
+        } else if (method !== 'patch' && method !== 'put') {
+            throw new RESTError(500, 'The "method" argument must be either "patch" or "put".');
+        }
+        let mapping = ModelUtility.map(modelType);
+        let pks = Array.from(mapping).filter(([_, v]) => v && v.pk).map(([k]) => k);
+        if (pks.length === 0) {
+            throw new RESTError(500, `The model "${modelType.name}" cannot be saved because it does not define a primary-key property.`);
+        }
+        let response = null;
+        if (pks.some(k => model[k] === null || typeof model[k] === 'undefined')) {
+            response = await this.post(r => r.objects(model));
+        } else {
+            let changes = ModelUtility.changes(modelType, model).filter(k => pks.indexOf(k) < 0);
+            if (changes.length === 0) {
+                return new Response([], 0, 0, 0);
+            }
+            let values = {};
+            for (let k of changes) {
+                values[k] = model[k];
+            }
+            if (method === 'put') {
+                for (let k of pks) {
+                    values[k] = model[k];
+                }
+                response = await this.put(r => r.objects(values));
+            } else {
+                response = await this.patch(r => r
+                    .template(values)
+                    .where(f => {
+                        for (let k of pks) {
+                            f.and(k, f.OP.EQUALS, model[k]);
+                        }
+                    })
+                );
+            }
+        }
+        //update the model with the saved values and reset change tracking
+        let tracking = (model.tracking && typeof model.tracking === 'object' ? model.tracking : null);
+        let trackingEnabled = tracking?.enabled;
+        if (tracking) {
+            tracking.enabled = false; //don't track the saved values as changes.
+        }
+        let saved = response?.data?.[0];
+        if (saved && typeof saved === 'object') {
+            for (let k of mapping.keys()) {
+                if (typeof saved[k] !== 'undefined') {
+                    model[k] = saved[k];
+                }
+            }
+        }
+        if (tracking) {
+            tracking.original = null;
+            tracking.changes = false;
+            tracking.enabled = trackingEnabled;
+        }
+        return response;
+    }
+
+    /**
+     * Saves each model instance in order using the `save` function. To save all models as one unit, call this
+     * function on a transaction-scoped StashKu instance (see `transaction`).
+     * @throws 500 `RESTError` if the "models" argument is not an array.
+     * @param {Array.<I>} models - The model instances to save.
+     * @param {String} [method='patch'] - The method used to update existing models, either "patch" or "put".
+     * @returns {Promise.<Array.<Response.<I>>>} Returns the response of each saved model, in order.
+     */
+    async saveAll(models, method = 'patch') {
+        if (Array.isArray(models) === false) {
+            throw new RESTError(500, 'The "models" argument is required and must be an array of model instances.');
+        }
+        let responses = [];
+        for (let m of models) {
+            responses.push(await this.save(m, method));
+        }
+        return responses;
+    }
+
+    /**
+     * Instructs StashKu to transform a HTTP request into a StashKu request and run it. The HTTP request may be a
+     * node `http.IncomingMessage`, or a Fetch API (WHATWG) `Request` (whose body is read and consumed), such as
+     * those handed to service workers and edge runtimes.
      * 
      * @throws Error when StashKu failed to transform the HTTP request into a valid StashKu request.
-     * @throws Error when used on an unsupported platform (browser).
-     * @param {Request} httpRequest - The HTTP request to be transformed and run.
+     * @param {http.IncomingMessage|Request} httpRequest - The HTTP request to be transformed and run.
      * @param {Modeling.AnyModelType} [modelType] - The model type StashKu can use to discover the proper resource
      * of a request. If this is specified, the resource will *always* be derived from the model's appropriate 
      * resource value. 
@@ -650,43 +1085,87 @@ class StashKu {
      * @returns {Promise.<Response.<I>>} Returns the data objects from storage matching HTTP request criteria.
      */
     async http(httpRequest, modelType) {
-        if (IS_BROWSER === false) {
-            //support someone handing off a pre-constructed request, just forward to the proper handler.
-            if (httpRequest instanceof GetRequest) {
-                return this.get(httpRequest);
-            }
-            if (httpRequest instanceof PostRequest) {
-                return this.post(httpRequest);
-            }
-            if (httpRequest instanceof PutRequest) {
-                return this.put(httpRequest);
-            }
-            if (httpRequest instanceof PatchRequest) {
-                return this.patch(httpRequest);
-            }
-            if (httpRequest instanceof DeleteRequest) {
-                return this.delete(httpRequest);
-            }
-            if (httpRequest instanceof OptionsRequest) {
-                return this.options(httpRequest);
-            }
-            if (httpRequest.url && httpRequest.httpVersion) {
-                let reqModel = modelType || this.config?.proxy?.model;
-                let request = await StashKu.requestFromObject(httpRequest, reqModel);
-                if (request) {
-                    switch (request.method) {
-                        case 'get': return this._handle(request, GetRequest);
-                        case 'post': return this._handle(request, PostRequest);
-                        case 'put': return this._handle(request, PutRequest);
-                        case 'patch': return this._handle(request, PatchRequest);
-                        case 'delete': return this._handle(request, DeleteRequest);
-                        case 'options': return this._handle(request, OptionsRequest);
-                    }
+        //support someone handing off a pre-constructed request, just forward to the proper handler.
+        if (httpRequest instanceof GetRequest) {
+            return this.get(httpRequest);
+        }
+        if (httpRequest instanceof PostRequest) {
+            return this.post(httpRequest);
+        }
+        if (httpRequest instanceof PutRequest) {
+            return this.put(httpRequest);
+        }
+        if (httpRequest instanceof PatchRequest) {
+            return this.patch(httpRequest);
+        }
+        if (httpRequest instanceof DeleteRequest) {
+            return this.delete(httpRequest);
+        }
+        if (httpRequest instanceof OptionsRequest) {
+            return this.options(httpRequest);
+        }
+        if (isHttpRequest(httpRequest)) {
+            let reqModel = modelType || this.config?.proxy?.model;
+            let request = await StashKu.requestFromObject(httpRequest, reqModel);
+            if (request) {
+                switch (request.method) {
+                    case 'get': return this._handle(request, GetRequest);
+                    case 'post': return this._handle(request, PostRequest);
+                    case 'put': return this._handle(request, PutRequest);
+                    case 'patch': return this._handle(request, PatchRequest);
+                    case 'delete': return this._handle(request, DeleteRequest);
+                    case 'options': return this._handle(request, OptionsRequest);
                 }
             }
-            throw new RESTError(400, 'Failed to process request.');
         }
-        throw new RESTError(500, 'The "requestFromFile" function is not supported on this platform.');
+        throw new RESTError(400, 'Failed to process request.');
+    }
+
+    /**
+     * Returns a HTTP request handler function that serves StashKu requests and responses over HTTP, in the form
+     * expected by the `FetchEngine`. The handler can be used with `http.createServer` or as Express/Connect
+     * middleware. When used as middleware, requests for resources not served are passed on to the `next` handler,
+     * otherwise they are answered with a `404` error.
+     *
+     * The handler serves:
+     * - `GET /resources`: The names of the served resources available from the storage engine.
+     * - `* /{resource}`: The StashKu request for the resource, routed by the last segment of the URL path.
+     * - `GET|PUT|PATCH|DELETE /{resource}/{pk}`: The StashKu request for a model's resource, with primary-key
+     *   values given in the path (see `HttpRequestLoader`).
+     *
+     * Requests for a model's resource are run through a StashKu instance of the model, so their objects are validated
+     * (see `ModelValidator`). If no `models` or `resources` are specified, all resources are served.
+     * @example
+     * let sk = new StashKu();
+     * ...
+     * http.createServer(sk.router({ models: [ThemeModel], resources: ['colors'] })).listen(8080);
+     * //or...
+     * app.use('/api', sk.router({ models: [ThemeModel] }));
+     * @throws Error if the "models" option is not an array of model types.
+     * @throws Error if the "resources" option is not an array of strings.
+     * @throws Error when used on an unsupported platform (browser).
+     * @param {HttpRouterOptions} [options] - Options that specify the models and resources served.
+     * @returns {function(http.IncomingMessage, http.ServerResponse, Function=):Promise}
+     */
+    router(options) {
+        if (IS_BROWSER) {
+            throw new RESTError(500, 'The "router" function is not supported on this platform.');
+        }
+        if (options?.models && (Array.isArray(options.models) === false || options.models.some(mt => ModelUtility.isValidType(mt) === false))) {
+            throw new Error('The "models" option must be an array of model types.');
+        }
+        if (options?.resources && (Array.isArray(options.resources) === false || options.resources.some(r => typeof r !== 'string'))) {
+            throw new Error('The "resources" option must be an array of resource name strings.');
+        }
+        let handler = null;
+        return async (httpReq, httpRes, next) => {
+            if (!handler) {
+                //set import package as variable, so compilers like esbuild ignore the import
+                let pkg = './node/http-router.js';
+                handler = (await import(/* webpackIgnore: true */pkg)).default(this, options);
+            }
+            return handler(httpReq, httpRes, next);
+        };
     }
 
     /**
@@ -844,13 +1323,8 @@ class StashKu {
             } else if (ModelUtility.isValidType(modelNameResolver)) {
                 mt = modelNameResolver;
             }
-            //handle http.IncomingMessageg
-            if (IS_BROWSER === false && reqObj.url && reqObj.httpVersion) {
-                if (!HttpRequestLoader) {
-                    //set import package as variable, so compilers like esbuild ignore the import
-                    let pkg = './node/http-request-loader.js';
-                    HttpRequestLoader = (await import(/* webpackIgnore: true */pkg)).default;
-                }
+            //handle http.IncomingMessage and Fetch API Request objects
+            if (isHttpRequest(reqObj)) {
                 return await HttpRequestLoader(reqObj, mt);
             }
             if (!reqObj.method || /^delete|get|patch|post|put|options$/i.test(reqObj.method) === false) {
@@ -864,16 +1338,26 @@ class StashKu {
                     .all(reqObj.all ?? false)
                     .count(reqObj.count ?? false)
                     .where(Filter.fromObject(reqObj.where));
-                case 'get': return new GetRequest()
-                    .headers(reqObj.headers)
-                    .from(reqObj.from ?? null)
-                    .properties(...reqObj.properties)
-                    .distinct(reqObj.distinct ?? false)
-                    .count(reqObj.count ?? false)
-                    .skip(reqObj.skip ?? null)
-                    .take(reqObj.take ?? null)
-                    .sort(...reqObj.sorts)
-                    .where(Filter.fromObject(reqObj.where));
+                case 'get': {
+                    let req = new GetRequest()
+                        .headers(reqObj.headers ?? null)
+                        .from(reqObj.from ?? null)
+                        .properties(...(reqObj.properties ?? []))
+                        .distinct(reqObj.distinct ?? false)
+                        .count(reqObj.count ?? false)
+                        .skip(reqObj.skip ?? null)
+                        .take(reqObj.take ?? null)
+                        .after(reqObj.after ?? null)
+                        .before(reqObj.before ?? null)
+                        .sort(...(reqObj.sorts ?? []))
+                        .where(typeof reqObj.where === 'string' ? new Filter(JSON.parse(reqObj.where)) : Filter.fromObject(reqObj.where))
+                        .groupBy(...(reqObj.groupBy ?? []))
+                        .having(typeof reqObj.having === 'string' ? new Filter(JSON.parse(reqObj.having)) : Filter.fromObject(reqObj.having));
+                    for (let a of reqObj.aggregates ?? []) {
+                        req.aggregate(a);
+                    }
+                    return req;
+                }
                 case 'options': return new OptionsRequest()
                     .from(reqObj.from ?? null)
                     .headers(reqObj.headers);
@@ -885,9 +1369,11 @@ class StashKu {
                     .count(reqObj.count ?? false)
                     .where(Filter.fromObject(reqObj.where));
                 case 'post': return new PostRequest()
-                    .headers(reqObj.headers)
+                    .headers(reqObj.headers ?? null)
                     .to(reqObj.to ?? null)
                     .count(reqObj.count ?? false)
+                    .pk(...(reqObj.pk ?? []))
+                    .onConflict(reqObj.onConflict ?? null)
                     .objects(reqObj.objects ?? null);
                 case 'put': return new PutRequest()
                     .headers(reqObj.headers)
@@ -917,5 +1403,7 @@ export {
     Sort,
     ModelGenerator,
     ModelUtility,
+    ModelValidator,
+    OpenAPIGenerator,
     Strings as StringUtility
 };
\ No newline at end of file
@@ -12,6 +12,10 @@ import Sort from './sort.js';
 import Logger from './logger.js';
 import jest from 'jest-mock';
 import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import fetch, { Request as FetchRequest } from 'node-fetch';
 import ThemeModel from './test/models/theme-model.js';
 
 const samples = {
@@ -65,6 +69,14 @@ describe('~exports', () => {
         expect(index.Sort).not.toBeUndefined();
         expect(index.Sort.name).toBe('Sort');
     });
+    it('exports the OpenAPIGenerator class', () => {
+        expect(index.OpenAPIGenerator).not.toBeUndefined();
+        expect(index.OpenAPIGenerator.name).toBe('OpenAPIGenerator');
+    });
+    it('exports the ModelValidator class', () => {
+        expect(index.ModelValidator).not.toBeUndefined();
+        expect(index.ModelValidator.name).toBe('ModelValidator');
+    });
 });
 
 describe('#constructor', () => {
@@ -211,6 +223,7 @@ describe('#configure', () => {
         //reset env
         delete process.env.STASHKU_ENGINE;
         delete process.env.STASHKU_MODEL_HEADER;
+        delete process.env.STASHKU_MODEL_VALIDATE;
     });
     it('loads expected defaults.', async () => {
         let stash = new StashKu();
@@ -220,12 +233,13 @@ describe('#configure', () => {
         expect(stash.config.resources.length).toBe(0);
         expect(Array.isArray(stash.config.middleware)).toBe(true);
         expect(stash.config.middleware.length).toBe(0);
-        expect(stash.config.model).toEqual({ header: false });
+        expect(stash.config.model).toEqual({ header: false, validate: true });
     });
     it('sets the model configuration from the environment.', async () => {
         process.env.STASHKU_MODEL_HEADER = true;
+        process.env.STASHKU_MODEL_VALIDATE = 'false';
         let stash = new StashKu();
-        expect(stash.config.model).toEqual({ header: true });
+        expect(stash.config.model).toEqual({ header: true, validate: false });
     });
     it('loads a different built-in engine by value from the environment.', async () => {
         process.env.STASHKU_ENGINE = 'fetch';
@@ -246,6 +260,15 @@ describe('#configure', () => {
         expect(stash.engine.config.test).toBe(123);
         expect(stash.engine.config.nested.hello).toBe('world');
     });
+    it('awaits the memory engine loading persisted resources.', async () => {
+        let dirPath = await fs.mkdtemp(path.join(os.tmpdir(), 'stashku-'));
+        await fs.writeFile(path.join(dirPath, 'themes.json'), JSON.stringify([{ ID: 1 }]));
+        let stash = new StashKu({ memory: { persist: { path: dirPath } } });
+        let res = await stash.get(r => r.from('themes'));
+        expect(res.data).toEqual([{ ID: 1 }]);
+        await stash.destroy();
+        await fs.rm(dirPath, { recursive: true, force: true });
+    });
     it('throws when an invalid engine is specified, and called with an await.', async () => {
         let stash = new StashKu({
             engine: 'blargh'
@@ -297,6 +320,104 @@ describe('#model', () => {
     });
 });
 
+describe('#transaction', () => {
+    let stash = null;
+    beforeEach(() => {
+        stash = new StashKu();
+        stash.engine.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+    });
+    it('throws when the "callback" argument is not a function.', async () => {
+        await expect(stash.transaction()).rejects.toThrow(/callback.+function/);
+        await expect(stash.transaction('abc')).rejects.toThrow(/callback.+function/);
+    });
+    it('throws a 501 error when the engine does not support transactions.', async () => {
+        class NoTxEngine extends index.BaseEngine {
+            constructor() { super('notx'); }
+        }
+        let nostash = new StashKu({ engine: new NoTxEngine() });
+        await expect(nostash.transaction(async () => { })).rejects.toThrow(/not supported/);
+    });
+    it('commits all changes made within the callback and returns the callback result.', async () => {
+        let result = await stash.transaction(async (tx) => {
+            expect(tx).toBeInstanceOf(StashKu);
+            expect(tx.config.proxy.transaction.status).toBe('active');
+            await tx.post(r => r.to('themes').objects({ ID: 1000, Name: 'Transact', Hex_Code: '#000000' }));
+            await tx.delete(r => r.from('themes').where(f => f.and('ID', f.OP.EQUALS, 1)));
+            //changes are isolated until committed.
+            expect((await stash.get(r => r.from('themes').count())).total).toBe(100);
+            expect((await tx.get(r => r.from('themes').count())).total).toBe(100);
+            expect((await tx.get(r => r.from('themes').where(f => f.and('ID', f.OP.EQUALS, 1)))).total).toBe(0);
+            return 'done';
+        });
+        expect(result).toBe('done');
+        expect((await stash.get(r => r.from('themes').where(f => f.and('ID', f.OP.EQUALS, 1000)))).total).toBe(1);
+        expect((await stash.get(r => r.from('themes').where(f => f.and('ID', f.OP.EQUALS, 1)))).total).toBe(0);
+    });
+    it('rolls back all changes and re-throws when the callback throws.', async () => {
+        await expect(stash.transaction(async (tx) => {
+            await tx.patch(r => r.to('themes').template({ Name: 'Changed' }).where(f => f.and('ID', f.OP.EQUALS, 2)));
+            throw new Error('Oops.');
+        })).rejects.toThrow(/Oops/);
+        let res = await stash.get(r => r.from('themes').where(f => f.and('ID', f.OP.EQUALS, 2)));
+        expect(res.data[0].Name).toBe(samples.themes[1].Name);
+    });
+    it('rolls back and throws a 409 error when a resource was changed outside of the transaction.', async () => {
+        await expect(stash.transaction(async (tx) => {
+            await tx.patch(r => r.to('themes').template({ Name: 'Inside' }).where(f => f.and('ID', f.OP.EQUALS, 2)));
+            await stash.patch(r => r.to('themes').template({ Name: 'Outside' }).where(f => f.and('ID', f.OP.EQUALS, 3)));
+        })).rejects.toMatchObject({ code: 409 });
+        let res = await stash.get(r => r.from('themes').where(f => f.and('ID', f.OP.IN, [2, 3])).sort('ID'));
+        expect(res.data.map(t => t.Name)).toEqual([samples.themes[1].Name, 'Outside']);
+    });
+    it('keeps the transaction on model proxies.', async () => {
+        await stash.model(ThemeModel).transaction(async (tx) => {
+            expect(tx.config.proxy.model).toBe(ThemeModel);
+            let m = tx.model(ThemeModel);
+            expect(m.config.proxy.transaction).toBe(tx.config.proxy.transaction);
+            let res = await m.patch(r => r.template({ Name: 'Modeled' }).where(f => f.and('ID', f.OP.EQUALS, 3)));
+            expect(res.data[0]).toBeInstanceOf(ThemeModel);
+        });
+        let res = await stash.get(r => r.from('themes').where(f => f.and('ID', f.OP.EQUALS, 3)));
+        expect(res.data[0].Name).toBe('Modeled');
+    });
+    it('supports nested transactions.', async () => {
+        await stash.transaction(async (tx) => {
+            await tx.transaction(async (inner) => {
+                expect(inner.config.proxy.transaction.parent).toBe(tx.config.proxy.transaction);
+                await inner.post(r => r.to('themes').objects({ ID: 2000 }));
+            });
+            await expect(tx.transaction(async (inner) => {
+                await inner.post(r => r.to('themes').objects({ ID: 3000 }));
+                throw new Error('Inner oops.');
+            })).rejects.toThrow(/Inner oops/);
+            expect((await stash.get(r => r.from('themes').where(f => f.and('ID', f.OP.EQUALS, 2000)))).total).toBe(0);
+        });
+        expect((await stash.get(r => r.from('themes').where(f => f.and('ID', f.OP.IN, [2000, 3000])))).data.map(t => t.ID)).toEqual([2000]);
+    });
+    it('throws when requests are made after the transaction has completed.', async () => {
+        let scoped = null;
+        await stash.transaction(async (tx) => {
+            scoped = tx;
+        });
+        await expect(scoped.get(r => r.from('themes'))).rejects.toThrow(/transaction has been committed/);
+    });
+    it('passes the transaction context to request middleware.', async () => {
+        let contexts = [];
+        stash.use({
+            states: ['request'],
+            callback: (sk, engine, method, request, response, state, transaction) => contexts.push(transaction)
+        });
+        await stash.get(r => r.from('themes'));
+        await stash.transaction(async (tx) => {
+            await tx.get(r => r.from('themes'));
+        });
+        expect(contexts.length).toBe(2);
+        expect(contexts[0]).toBeNull();
+        expect(contexts[1].status).toBe('committed');
+        expect(contexts[1].id).toBeGreaterThan(0);
+    });
+});
+
 describe('#get', () => {
     it('throws when an invalid engine is specified.', async () => {
         let stash = new StashKu({
@@ -317,6 +438,181 @@ describe('#get', () => {
             expect(m).toBeInstanceOf(ThemeModel);
         }
     });
+    it('keeps aggregate values on model type instances.', async () => {
+        class ProductModel {
+            static get ID() { return { target: 'ID', pk: true }; }
+            static get Category() { return 'Product_Category'; }
+            static get Price() { return 'Price'; }
+            static get $stashku() { return { resource: 'products' }; }
+        }
+        let stash = new StashKu();
+        stash.engine.data.set('products', [
+            { ID: 1, Product_Category: 'A', Price: 1 },
+            { ID: 2, Product_Category: 'A', Price: 2 },
+            { ID: 3, Product_Category: 'B', Price: 5 }
+        ]);
+        let res = await stash.model(ProductModel).get(r => r.groupBy('Category').sum('Price').aggregate('count', '*').sort('Category'));
+        expect(res.data.length).toBe(2);
+        expect(res.data[0]).toBeInstanceOf(ProductModel);
+        expect(res.data.map(m => [m.Category, m.sum_Price, m.count])).toEqual([['A', 3, 2], ['B', 5, 1]]);
+    });
+});
+
+describe('#get (includes)', () => {
+    class AuthorModel {
+        static get ID() { return { target: 'Author_ID', pk: true }; }
+        static get Name() { return 'Name'; }
+        static get $stashku() {
+            return {
+                resource: 'authors',
+                relationships: {
+                    books: { type: 'hasMany', model: () => BookModel, foreignKey: 'AuthorID' }
+                }
+            };
+        }
+    }
+    class BookModel {
+        static get ID() { return { pk: true }; }
+        static get Title() { return 'Title'; }
+        static get AuthorID() { return 'Author_ID'; }
+        static get $stashku() {
+            return {
+                resource: 'books',
+                relationships: {
+                    author: { type: 'belongsTo', model: AuthorModel, localKey: 'AuthorID' }
+                }
+            };
+        }
+    }
+    let stash = null;
+    beforeEach(() => {
+        stash = new StashKu();
+        stash.engine.data.set('authors', [
+            { Author_ID: 1, Name: 'Ann' },
+            { Author_ID: 2, Name: 'Bo' },
+            { Author_ID: 3, Name: 'Cy' }
+        ]);
+        stash.engine.data.set('books', [
+            { ID: 10, Title: 'A1', Author_ID: 1 },
+            { ID: 11, Title: 'A2', Author_ID: 1 },
+            { ID: 12, Title: 'B1', Author_ID: 2 },
+            { ID: 13, Title: 'X1', Author_ID: null }
+        ]);
+    });
+    it('throws a 400 error when the request is not modeled.', async () => {
+        await expect(stash.get(r => r.from('books').include('author'))).rejects.toThrow(/modeled/);
+    });
+    it('throws a 400 error when the relationship is not defined.', async () => {
+        await expect(stash.model(BookModel).get(r => r.include('publisher'))).rejects.toThrow(/publisher/);
+    });
+    it('attaches a related instance or null for a "belongsTo" relationship.', async () => {
+        let res = await stash.model(BookModel).get(r => r.include('author'));
+        expect(res.data.length).toBe(4);
+        expect(res.data[0].author).toBeInstanceOf(AuthorModel);
+        expect(res.data[0].author.Name).toBe('Ann');
+        expect(res.data[1].author).toBe(res.data[0].author);
+        expect(res.data[2].author.Name).toBe('Bo');
+        expect(res.data[3].author).toBeNull();
+    });
+    it('attaches an array of related instances for a "hasMany" relationship.', async () => {
+        let res = await stash.model(AuthorModel).get(r => r.include('books'));
+        expect(res.data[0].books.map(b => b.Title)).toEqual(['A1', 'A2']);
+        expect(res.data[0].books[0]).toBeInstanceOf(BookModel);
+        expect(res.data[1].books.map(b => b.Title)).toEqual(['B1']);
+        expect(res.data[2].books).toEqual([]);
+    });
+    it('batches the follow-up request and applies the configure callback.', async () => {
+        let requests = [];
+        stash.use({ states: 'request', callback: async (sk, engine, method, request) => requests.push(request) });
+        let res = await stash.model(AuthorModel).get(r => r
+            .include('books', (br, m) => br
+                .properties(m.Title)
+                .where(f => f.and('Title', f.OP.STARTSWITH, 'A'))
+                .include('author')
+            )
+        );
+        expect(requests.length).toBe(3);
+        expect(requests[1].metadata.from).toBe('books');
+        expect(requests[1].metadata.properties).toEqual(['Title', 'Author_ID']);
+        expect(res.data[0].books.map(b => b.Title)).toEqual(['A1', 'A2']);
+        expect(res.data[0].books[0].author.Name).toBe('Ann');
+        expect(res.data[1].books).toEqual([]);
+    });
+    it('retrieves the local key of the relationship when properties are selected.', async () => {
+        let requests = [];
+        stash.use({ states: 'request', callback: async (sk, engine, method, request) => requests.push(request) });
+        let res = await stash.model(BookModel).get(r => r.properties('Title').include('author'));
+        expect(requests[0].metadata.properties).toEqual(['Title', 'Author_ID']);
+        expect(res.data[0].author.Name).toBe('Ann');
+        expect(res.data[2].author.Name).toBe('Bo');
+    });
+    it('skips the follow-up request when there are no keys.', async () => {
+        let requests = [];
+        stash.use({ states: 'request', callback: async (sk, engine, method, request) => requests.push(request) });
+        let res = await stash.model(BookModel).get(r => r.where(f => f.and('ID', f.OP.EQUALS, 13)).include('author'));
+        expect(requests.length).toBe(1);
+        expect(res.data[0].author).toBeNull();
+    });
+});
+
+describe('#stream', () => {
+    let stash = null;
+    let requests = null;
+    beforeEach(() => {
+        stash = new StashKu();
+        stash.engine.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        requests = [];
+        stash.use({ states: 'response', callback: async (sk, engine, method, request) => requests.push(Object.assign({}, request.metadata)) });
+    });
+    const collect = async (iterable) => {
+        let results = [];
+        for await (let v of iterable) {
+            results.push(v);
+        }
+        return results;
+    };
+    it('throws when the "pageSize" option is invalid.', async () => {
+        await expect(collect(stash.stream(r => r.from('themes'), { pageSize: 0 }))).rejects.toThrow(/pageSize/);
+        await expect(collect(stash.stream(r => r.from('themes'), { pageSize: 'abc' }))).rejects.toThrow(/pageSize/);
+    });
+    it('streams all objects in pages using skip and take.', async () => {
+        let results = await collect(stash.stream(r => r.from('themes'), { pageSize: 30 }));
+        expect(results.map(t => t.ID)).toEqual(samples.themes.map(t => t.ID));
+        expect(requests.map(r => [r.skip, r.take])).toEqual([[0, 30], [30, 30], [60, 30], [90, 30]]);
+    });
+    it('streams using the engine cursor when one is returned.', async () => {
+        let results = await collect(stash.stream(r => r.from('themes').sort('{ID} DESC'), { pageSize: 40 }));
+        expect(results.map(t => t.ID)).toEqual(samples.themes.map(t => t.ID).sort((a, b) => b - a));
+        expect(requests.length).toBe(3);
+        expect(requests[0].after).toBeNull();
+        expect(typeof requests[1].after).toBe('string');
+        expect(requests[2].skip).toBe(0);
+    });
+    it('limits the streamed objects by the request skip and take.', async () => {
+        let results = await collect(stash.stream(r => r.from('themes').skip(5).take(25), { pageSize: 10 }));
+        expect(results.map(t => t.ID)).toEqual(samples.themes.slice(5, 30).map(t => t.ID));
+        expect(requests.map(r => r.take)).toEqual([10, 10, 5]);
+    });
+    it('streams model instances from a model proxy.', async () => {
+        let results = await collect(stash.model(ThemeModel).stream(null, { pageSize: 50 }));
+        expect(results.length).toBe(100);
+        for (let m of results) {
+            expect(m).toBeInstanceOf(ThemeModel);
+        }
+    });
+    it('uses a native engine stream when provided.', async () => {
+        stash.engine.stream = async function* (request, options) {
+            expect(options.pageSize).toBe(100);
+            expect(request.metadata.from).toBe('themes');
+            yield { ID: 1, Name: 'a', Hex_Code: '#fff' };
+            yield { ID: 2, Name: 'b', Hex_Code: '#000' };
+        };
+        let results = await collect(stash.model(ThemeModel).stream());
+        expect(results.length).toBe(2);
+        expect(results[1]).toBeInstanceOf(ThemeModel);
+        expect(results[1].HexCode).toBe('#000');
+        expect(requests.length).toBe(0);
+    });
 });
 
 describe('#post', () => {
@@ -349,6 +645,111 @@ describe('#post', () => {
     });
 });
 
+describe('#post (upsert)', () => {
+    it('upserts modeled objects using the model primary keys.', async () => {
+        let stash = new StashKu();
+        stash.engine.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let count = samples.themes.length;
+        let theme = new ThemeModel();
+        theme.ID = 1;
+        theme.Name = 'Upserted';
+        let res = await stash.model(ThemeModel).post(r => r.upsert().objects(theme));
+        expect(res.data[0]).toBeInstanceOf(ThemeModel);
+        expect(res.data[0].Name).toBe('Upserted');
+        expect(stash.engine.data.get('themes').length).toBe(count);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 1).Name).toBe('Upserted');
+    });
+});
+
+describe('#post (validation)', () => {
+    class ValidatedThemeModel extends ThemeModel {
+        static get Name() {
+            return { target: 'Name', type: 'String', required: true, charLength: 10 };
+        }
+        static get HexCode() {
+            return { target: 'Hex_Code', type: 'String', default: '#000000', pattern: /^#[0-9a-f]{6}$/i };
+        }
+        static get $stashku() {
+            return Object.assign({}, ThemeModel.$stashku, {
+                validations: {
+                    Name: async (model, key, value) => (value === 'Taken' ? 'The name is already taken.' : null)
+                }
+            });
+        }
+    }
+    it('rejects modeled POST objects failing validation with a 422 error.', async () => {
+        let stash = new StashKu();
+        stash.engine.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let count = samples.themes.length;
+        expect.assertions(4);
+        try {
+            await stash.model(ValidatedThemeModel).post(r => r.objects(
+                { Name: 'Okay' },
+                { Name: null, HexCode: 'red' },
+                { Name: 'Taken' }
+            ));
+        } catch (err) {
+            expect(err).toBeInstanceOf(RESTError);
+            expect(err.code).toBe(422);
+            expect(err.data).toEqual([
+                { index: 1, property: 'Name', messages: ['The "Name" value is required.'] },
+                { index: 1, property: 'HexCode', messages: ['The "HexCode" value is not in a valid format.'] },
+                { index: 2, property: 'Name', messages: ['The name is already taken.'] }
+            ]);
+        }
+        expect(stash.engine.data.get('themes').length).toBe(count);
+    });
+    it('rejects modeled PATCH templates failing validation with a 422 error.', async () => {
+        let stash = new StashKu();
+        stash.engine.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        await expect(stash.model(ValidatedThemeModel).patch(r => r
+            .template({ Name: 'A very long theme name' })
+            .where(f => f.and('ID', f.OP.EQUALS, 1))
+        )).rejects.toMatchObject({ code: 422, data: [{ index: 0, property: 'Name', messages: ['The "Name" value must be no more than 10 characters long.'] }] });
+        //properties missing from the template are not required
+        let res = await stash.model(ValidatedThemeModel).patch(r => r
+            .template({ HexCode: '#FFFFFF' })
+            .where(f => f.and('ID', f.OP.EQUALS, 1))
+        );
+        expect(res.affected).toBe(1);
+    });
+    it('rejects HTTP PATCH templates given by target name failing validation with a 422 error.', async () => {
+        let stash = new StashKu();
+        stash.engine.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        await expect(stash.model(ValidatedThemeModel).http({
+            method: 'PATCH',
+            url: '/themes/1',
+            httpVersion: '1.1',
+            body: { template: { Hex_Code: 'red' } }
+        })).rejects.toMatchObject({ code: 422, data: [{ index: 0, property: 'HexCode', messages: ['The "HexCode" value is not in a valid format.'] }] });
+    });
+    it('accepts plain object values that parse to the property type.', async () => {
+        class PersonModel {
+            static get ID() { return { target: 'ID', type: 'Number', pk: true }; }
+            static get Born() { return { target: 'Born', type: 'Date' }; }
+            static get Age() { return { target: 'Age', type: 'Number', min: 0 }; }
+            static get $stashku() { return { resource: 'people' }; }
+        }
+        let stash = new StashKu();
+        stash.engine.data.set('people', []);
+        let res = await stash.model(PersonModel).post(r => r.objects({ ID: 2, Born: '2000-01-01', Age: '5' }));
+        expect(res.affected).toBe(1);
+        await expect(stash.model(PersonModel).post(r => r.objects({ ID: 3, Age: 'five' }))).rejects.toMatchObject({ code: 422 });
+    });
+    it('writes valid modeled objects.', async () => {
+        let stash = new StashKu();
+        stash.engine.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let res = await stash.model(ValidatedThemeModel).post(r => r.objects({ Name: 'Okay', HexCode: '#ABCDEF' }));
+        expect(res.data[0].Name).toBe('Okay');
+    });
+    it('skips validation when the "model.validate" configuration is false.', async () => {
+        let stash = new StashKu({ model: { validate: false } });
+        stash.engine.data.set('themes', samples.themes.map(t => Object.assign({}, t)));
+        let res = await stash.model(ValidatedThemeModel).post(r => r.objects({ Name: null, HexCode: 'red' }));
+        expect(res.data[0].HexCode).toBe('red');
+    });
+});
+
 describe('#put', () => {
     it('throws when an invalid engine is specified.', async () => {
         let stash = new StashKu({
@@ -469,6 +870,545 @@ describe('#options', () => {
     });
 });
 
+describe('#save', () => {
+    class TrackedThemeModel extends ThemeModel {
+        constructor() {
+            super();
+            this.tracking = { enabled: false, changes: false, ignore: null, original: null };
+            return new Proxy(this, {
+                set: (target, key, value) => {
+                    if (key !== 'tracking' && target.tracking.enabled) {
+                        target.tracking.original = target.tracking.original ?? {};
+                        if (Object.prototype.hasOwnProperty.call(target.tracking.original, key) === false) {
+                            target.tracking.original[key] = target[key];
+                        }
+                        target.tracking.changes = true;
+                    }
+                    target[key] = value;
+                    return true;
+                }
+            });
+        }
+        static get ID() {
+            return { target: 'ID', pk: true, type: 'Number', default: () => null, generated: 'increment' };
+        }
+    }
+    /** @type {StashKu} */
+    let stash = null;
+    beforeEach(async () => {
+        stash = new StashKu({ model: { header: true } });
+        stash.engine.data.set('themes', JSON.parse(await fs.readFile('./test/memory-engine/data-themes.json', 'utf8')));
+    });
+    let load = async (id) => {
+        let m = (await stash.model(TrackedThemeModel).get(r => r.where(f => f.and('ID', f.OP.EQUALS, id)))).one();
+        m.tracking.enabled = true;
+        return m;
+    };
+    it('throws when a model type is not attached.', async () => {
+        await expect(stash.save({ ID: 1 })).rejects.toThrow(/model type must be attached/);
+        await expect(stash.saveAll([{ ID: 1 }])).rejects.toThrow(/model type must be attached/);
+    });
+    it('throws when the "model" or "method" arguments are invalid.', async () => {
+        await expect(stash.model(TrackedThemeModel).save(null)).rejects.toThrow(/"model" argument/);
+        await expect(stash.model(TrackedThemeModel).save({ ID: 1 }, 'post')).rejects.toThrow(/"method" argument/);
+        await expect(stash.model(TrackedThemeModel).saveAll({ ID: 1 })).rejects.toThrow(/"models" argument/);
+    });
+    it('throws when the model type does not define a primary key.', async () => {
+        class KeylessModel {
+            static get Name() {
+                return 'Name';
+            }
+        }
+        await expect(stash.model(KeylessModel).save({ Name: 'abc' })).rejects.toThrow(/primary-key/);
+    });
+    it('sends a primary-key filtered PATCH request of only the changed properties.', async () => {
+        let spy = jest.spyOn(stash.engine, 'patch');
+        let m = await load(3);
+        m.Name = 'Changed';
+        let res = await stash.model(TrackedThemeModel).save(m);
+        expect(res.affected).toBe(1);
+        expect(spy).toHaveBeenCalledTimes(1);
+        let req = spy.mock.calls[0][0];
+        expect(req.metadata.to).toBe('themes');
+        expect(req.metadata.template).toEqual({ Name: 'Changed' });
+        expect(req.metadata.where.toString()).toBe('{ID} EQ 3');
+        expect(stash.engine.data.get('themes').find(t => t.ID === 3).Name).toBe('Changed');
+        expect(m.tracking.changes).toBe(false);
+        expect(m.tracking.original).toBeNull();
+        expect(m.tracking.enabled).toBe(true);
+    });
+    it('sends a PUT request of only the changed properties and primary keys.', async () => {
+        let spy = jest.spyOn(stash.engine, 'put');
+        let m = await load(3);
+        m.HexCode = '#123456';
+        await stash.model(TrackedThemeModel).save(m, 'put');
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0][0].metadata.objects).toEqual([{ ID: 3, Hex_Code: '#123456' }]);
+        expect(spy.mock.calls[0][0].metadata.pk).toEqual(['ID']);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 3).Hex_Code).toBe('#123456');
+        expect(m.tracking.changes).toBe(false);
+    });
+    it('does not send a request when there are no changes.', async () => {
+        let spy = jest.spyOn(stash.engine, 'patch');
+        let m = await load(3);
+        let name = m.Name;
+        m.Name = 'Changed';
+        m.Name = name;
+        let res = await stash.model(TrackedThemeModel).save(m);
+        expect(spy).not.toHaveBeenCalled();
+        expect(res).toBeInstanceOf(Response);
+        expect(res.total).toBe(0);
+    });
+    it('sends a POST request when a primary key value is not set, and updates the model.', async () => {
+        let count = stash.engine.data.get('themes').length;
+        let m = new TrackedThemeModel();
+        m.tracking.enabled = true;
+        m.Name = 'Fresh';
+        m.HexCode = '#FFFFFF';
+        let res = await stash.model(TrackedThemeModel).save(m);
+        expect(res.affected).toBe(1);
+        expect(stash.engine.data.get('themes').length).toBe(count + 1);
+        expect(typeof m.ID).toBe('number');
+        expect(stash.engine.data.get('themes').find(t => t.ID === m.ID).Name).toBe('Fresh');
+        expect(m.tracking.changes).toBe(false);
+        expect(m.tracking.original).toBeNull();
+    });
+    it('saves all models in order.', async () => {
+        let a = await load(1);
+        let b = await load(2);
+        a.Name = 'First';
+        b.Name = 'Second';
+        let responses = await stash.model(TrackedThemeModel).saveAll([a, b]);
+        expect(responses.length).toBe(2);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 1).Name).toBe('First');
+        expect(stash.engine.data.get('themes').find(t => t.ID === 2).Name).toBe('Second');
+    });
+});
+
+describe('#router', () => {
+    let server = null;
+    let client = null;
+    let stash = null;
+    beforeAll(async () => {
+        stash = new StashKu();
+        stash.engine.data.set('products', JSON.parse(await fs.readFile('./test/memory-engine/data-products.json', 'utf8')));
+        stash.engine.data.set('themes', JSON.parse(await fs.readFile('./test/memory-engine/data-themes.json', 'utf8')));
+        server = http.createServer(stash.router({ models: [ThemeModel], resources: ['products'] }));
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        client = new StashKu({
+            engine: 'fetch',
+            fetch: { root: `http://127.0.0.1:${server.address().port}` }
+        });
+    });
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+    it('throws when the "models" option is not an array of model types.', () => {
+        expect(() => new StashKu().router({ models: ThemeModel })).toThrow(/models/);
+        expect(() => new StashKu().router({ models: ['themes'] })).toThrow(/models/);
+    });
+    it('throws when the "resources" option is not an array of strings.', () => {
+        expect(() => new StashKu().router({ resources: 'themes' })).toThrow(/resources/);
+        expect(() => new StashKu().router({ resources: [ThemeModel] })).toThrow(/resources/);
+    });
+    it('serves the names of the served resources.', async () => {
+        let engine = await client.engine;
+        expect(await engine.resources()).toEqual(['products', 'themes']);
+    });
+    it('serves GET requests to a fetch engine client.', async () => {
+        let res = await client.get(r => r
+            .from('products')
+            .where(f => f.and('ID', f.OP.LESSTHANOREQUAL, 3))
+            .sort('ID')
+        );
+        expect(res.code).toBe(200);
+        expect(res.data).toEqual(stash.engine.data.get('products').filter(p => p.ID <= 3));
+        expect(res.total).toBe(3);
+        expect(res.returned).toBe(3);
+        expect(res.affected).toBe(0);
+    });
+    it('serves modeled requests routed by the model.', async () => {
+        let res = await client.model(ThemeModel).get(r => r.where(f => f.and('ID', f.OP.EQUALS, 2)));
+        expect(res.data.length).toBe(1);
+        expect(res.data[0]).toBeInstanceOf(ThemeModel);
+        expect(res.data[0].HexCode).toBe('#0D98BA');
+        res = await client.get(r => r.from('theme').where(f => f.and('ID', f.OP.EQUALS, 2)));
+        expect(res.data).toEqual([{ ID: 2, Name: 'Blue Green X8', Hex_Code: '#0D98BA' }]);
+    });
+    it('serves POST, PUT, PATCH, and DELETE requests to a fetch engine client.', async () => {
+        let res = await client.post(r => r.to('themes').objects({ ID: 9001, Name: 'Router Red', Hex_Code: '#FF0000' }));
+        expect(res.affected).toBe(1);
+        expect(res.data).toEqual([{ ID: 9001, Name: 'Router Red', Hex_Code: '#FF0000' }]);
+        res = await client.put(r => r.to('themes').pk('ID').objects({ ID: 9001, Name: 'Router Maroon' }));
+        expect(res.affected).toBe(1);
+        res = await client.patch(r => r
+            .to('themes')
+            .template({ Hex_Code: '#800000' })
+            .where(f => f.and('ID', f.OP.EQUALS, 9001))
+        );
+        expect(res.affected).toBe(1);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 9001)).toEqual({ ID: 9001, Name: 'Router Maroon', Hex_Code: '#800000' });
+        res = await client.delete(r => r.from('themes').where(f => f.and('ID', f.OP.EQUALS, 9001)));
+        expect(res.affected).toBe(1);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 9001)).toBeUndefined();
+    });
+    it('serves GET, PUT, PATCH, and DELETE requests with primary key values in the path of a model.', async () => {
+        let root = `http://127.0.0.1:${server.address().port}`;
+        stash.engine.data.get('themes').push({ ID: 9003, Name: 'Path Red', Hex_Code: '#FF0000' });
+        let res = await fetch(`${root}/themes/9003`);
+        expect(res.status).toBe(200);
+        expect((await res.json()).data).toEqual([{ ID: 9003, Name: 'Path Red', Hex_Code: '#FF0000' }]);
+        res = await fetch(`${root}/theme/9003`, {
+            method: 'PUT',
+            body: JSON.stringify({ objects: [{ Name: 'Path Maroon', Hex_Code: '#800000' }] })
+        });
+        expect(res.status).toBe(200);
+        expect((await res.json()).affected).toBe(1);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 9003)).toEqual({ ID: 9003, Name: 'Path Maroon', Hex_Code: '#800000' });
+        res = await fetch(`${root}/themes/9003`, { method: 'PATCH', body: JSON.stringify({ template: { Name: 'Path Brown' } }) });
+        expect(res.status).toBe(200);
+        expect((await res.json()).affected).toBe(1);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 9003).Name).toBe('Path Brown');
+        expect(stash.engine.data.get('themes').find(t => t.ID === 2).Name).toBe('Blue Green X8');
+        res = await fetch(`${root}/themes/9003`, { method: 'DELETE' });
+        expect(res.status).toBe(200);
+        expect((await res.json()).affected).toBe(1);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 9003)).toBeUndefined();
+    });
+    it('responds with a 400 error when the primary key values in the path of a model are invalid.', async () => {
+        let root = `http://127.0.0.1:${server.address().port}`;
+        let res = await fetch(`${root}/themes/1/2`);
+        expect(res.status).toBe(400);
+        expect((await res.json()).message).toMatch(/1 primary key/);
+        res = await fetch(`${root}/themes/abc`, { method: 'DELETE' });
+        expect(res.status).toBe(400);
+        expect((await res.json()).message).toMatch(/must be a number/);
+        res = await fetch(`${root}/themes/1`, { method: 'POST', body: JSON.stringify({ objects: [{ Name: 'Nope' }] }) });
+        expect(res.status).toBe(400);
+    });
+    it('combines primary key values in the path of a model with the "where" filter.', async () => {
+        let root = `http://127.0.0.1:${server.address().port}`;
+        let res = await fetch(`${root}/api/themes/2?where=` + encodeURIComponent('{Name} STARTSWITH "Blue"'));
+        expect((await res.json()).data).toEqual([{ ID: 2, Name: 'Blue Green X8', Hex_Code: '#0D98BA' }]);
+        res = await fetch(`${root}/api/themes/2?where=` + encodeURIComponent('{Name} STARTSWITH "Red"'));
+        expect((await res.json()).data).toEqual([]);
+    });
+    it('serves the primary key paths documented by the OpenAPIGenerator.', async () => {
+        let s = new StashKu();
+        s.engine.data.set('themes', JSON.parse(await fs.readFile('./test/memory-engine/data-themes.json', 'utf8')));
+        let router = s.router({ models: [ThemeModel] });
+        let doc = index.OpenAPIGenerator.generate([ThemeModel]);
+        let bodies = {
+            put: { objects: [{ Name: 'Documented', Hex_Code: '#000000' }] },
+            patch: { template: { Name: 'Documented' } }
+        };
+        expect(Object.keys(doc.paths['/themes/{ID}'])).toEqual(['get', 'put', 'patch', 'delete']);
+        for (let method of Object.keys(doc.paths['/themes/{ID}'])) {
+            let res = { setHeader: jest.fn(), end: jest.fn() };
+            await router({ method: method.toUpperCase(), url: '/themes/2', httpVersion: '1.1', body: bodies[method] }, res);
+            expect(res.statusCode).toBe(200);
+            expect(JSON.parse(res.end.mock.calls[0][0]).returned).toBe(1);
+        }
+        expect(s.engine.data.get('themes').find(t => t.ID === 2)).toBeUndefined();
+    });
+    it('serves only the selected properties and aggregates of modeled GET requests.', async () => {
+        let root = `http://127.0.0.1:${server.address().port}`;
+        let res = await fetch(`${root}/themes/2?properties=Name`);
+        expect((await res.json()).data).toEqual([{ Name: 'Blue Green X8' }]);
+        res = await fetch(`${root}/themes?groupBy=Hex_Code&aggregates[0][fn]=count&aggregates[0][property]=*&where=` + encodeURIComponent('{ID} EQ 2'));
+        expect((await res.json()).data).toEqual([{ Hex_Code: '#0D98BA', count: 1 }]);
+        res = await fetch(`${root}/themes`, { method: 'OPTIONS' });
+        expect(res.status).toBe(200);
+        expect((await res.json()).data[0]).toMatchObject({ ID: { target: 'ID', type: 'Number' } });
+    });
+    it('responds with a 422 error when the objects of a modeled request fail validation.', async () => {
+        class CheckedThemeModel extends ThemeModel {
+            static get HexCode() {
+                return { target: 'Hex_Code', type: 'String', default: '#000000', pattern: /^#[0-9a-f]{6}$/i };
+            }
+        }
+        let s = new StashKu();
+        s.engine.data.set('themes', JSON.parse(await fs.readFile('./test/memory-engine/data-themes.json', 'utf8')));
+        let router = s.router({ models: [CheckedThemeModel] });
+        let requests = [
+            ['POST', '/themes', { objects: [{ ID: 9010, Name: 'Invalid', Hex_Code: 'red' }] }],
+            ['PUT', '/themes/2', { objects: [{ Name: 'Invalid', Hex_Code: 'red' }] }],
+            ['PATCH', '/themes/2', { template: { Hex_Code: 'red' } }]
+        ];
+        for (let [method, url, body] of requests) {
+            let res = { setHeader: jest.fn(), end: jest.fn() };
+            await router({ method, url, httpVersion: '1.1', body }, res);
+            expect(res.statusCode).toBe(422);
+            expect(JSON.parse(res.end.mock.calls[0][0])).toMatchObject({ code: 422, data: [{ index: 0, property: 'HexCode' }] });
+        }
+        expect(s.engine.data.get('themes').find(t => t.ID === 2)).toEqual({ ID: 2, Name: 'Blue Green X8', Hex_Code: '#0D98BA' });
+        expect(s.engine.data.get('themes').find(t => t.ID === 9010)).toBeUndefined();
+    });
+    it('responds with a 404 error for resources not served.', async () => {
+        await expect(client.get(r => r.from('secrets'))).rejects.toMatchObject({ code: 404, message: 'The resource "secrets" was not found.' });
+    });
+    it('responds with the code, message, and data of a thrown RESTError.', async () => {
+        stash.use({
+            states: 'request',
+            methods: 'options',
+            callback: async (sk, engine, method, req) => {
+                if (req.metadata.from === 'products') {
+                    let err = new RESTError(409, 'Conflicted.');
+                    err.data = { reason: 'test' };
+                    throw err;
+                }
+            }
+        });
+        await expect(client.options(r => r.from('products'))).rejects.toMatchObject({ code: 409, message: 'Conflicted.', data: { reason: 'test' } });
+        stash.middleware.pop();
+    });
+    it('responds with a 500 error without the message of other errors.', async () => {
+        let res = {
+            headers: {},
+            setHeader(k, v) { this.headers[k] = v; },
+            end(body) { this.body = body; }
+        };
+        let log = jest.fn();
+        let s = new StashKu();
+        s.use({ states: 'log', callback: log });
+        s.engine.resources = async () => { throw new Error('Secret failure.'); };
+        await s.router()({ method: 'GET', url: '/resources', httpVersion: '1.1' }, res);
+        expect(res.statusCode).toBe(500);
+        expect(res.headers['Content-Type']).toMatch(/application\/json/);
+        expect(JSON.parse(res.body)).toEqual({ code: 500, message: 'An unexpected error occurred processing the request.' });
+        expect(log).toHaveBeenCalledWith(s, expect.anything(), 'error', [expect.objectContaining({ message: 'Secret failure.' })]);
+    });
+    it('responds with a 400 error when the request body is malformed.', async () => {
+        let res = { setHeader: jest.fn(), end: jest.fn() };
+        await stash.router()({ method: 'POST', url: '/products', httpVersion: '1.1', body: '{"objects":' }, res);
+        expect(res.statusCode).toBe(400);
+        expect(JSON.parse(res.end.mock.calls[0][0])).toMatchObject({ code: 400 });
+    });
+    it('passes requests for resources not served to the "next" handler.', async () => {
+        let next = jest.fn();
+        let res = { setHeader: jest.fn(), end: jest.fn() };
+        await stash.router({ resources: ['products'] })({ method: 'GET', url: '/api/secrets?take=1', httpVersion: '1.1' }, res, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.end).not.toHaveBeenCalled();
+    });
+    it('serves pre-parsed (Express) request bodies.', async () => {
+        let res = { setHeader: jest.fn(), end: jest.fn() };
+        await stash.router()({
+            method: 'POST',
+            url: '/products',
+            httpVersion: '1.1',
+            body: { objects: [{ ID: 9002, Name: 'Parsed' }] }
+        }, res);
+        expect(res.statusCode).toBe(200);
+        expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({ data: [{ ID: 9002, Name: 'Parsed' }], total: 1, affected: 1, returned: 1 });
+        await stash.delete(r => r.from('products').where(f => f.and('ID', f.OP.EQUALS, 9002)));
+    });
+});
+
+describe('#http', () => {
+    it('runs a Fetch API Request.', async () => {
+        let stash = new StashKu();
+        stash.engine.data.set('themes', JSON.parse(await fs.readFile('./test/memory-engine/data-themes.json', 'utf8')));
+        let res = await stash.http(new FetchRequest('https://example.com/themes', {
+            method: 'PATCH',
+            body: JSON.stringify(new PatchRequest()
+                .to('themes')
+                .template({ Hex_Code: '#FFFFFF' })
+                .where(f => f.and('ID', f.OP.EQUALS, 2))
+            )
+        }));
+        expect(res.affected).toBe(1);
+        expect(stash.engine.data.get('themes').find(t => t.ID === 2).Hex_Code).toBe('#FFFFFF');
+        res = await stash.model(ThemeModel).http(new FetchRequest('https://example.com/anything?where=' + encodeURIComponent('{ID} EQ 2')));
+        expect(res.data.length).toBe(1);
+        expect(res.data[0]).toBeInstanceOf(ThemeModel);
+        expect(res.data[0].HexCode).toBe('#FFFFFF');
+    });
+    it('runs a GET request with the array query parameters documented by the OpenAPI generator.', async () => {
+        let stash = new StashKu();
+        stash.engine.data.set('themes', JSON.parse(await fs.readFile('./test/memory-engine/data-themes.json', 'utf8')));
+        let query = new URLSearchParams([['properties', 'ID'], ['properties', 'Name'], ['sorts', '{Name} desc'], ['sorts', '{ID}']]);
+        let res = await stash.http(new FetchRequest('https://example.com/themes?' + query.toString()));
+        let expected = stash.engine.data.get('themes')
+            .map(t => ({ ID: t.ID, Name: t.Name }))
+            .sort((a, b) => (a.Name < b.Name ? 1 : (a.Name > b.Name ? -1 : a.ID - b.ID)));
+        expect(res.data).toEqual(expected);
+        query = new URLSearchParams([['groupBy', 'Hex_Code'], ['aggregates[0][fn]', 'count'], ['aggregates[0][property]', '*']]);
+        res = await stash.http(new FetchRequest('https://example.com/themes?' + query.toString()));
+        expect(res.data.length).toBeGreaterThan(0);
+        expect(res.data.reduce((sum, r) => sum + r.count, 0)).toBe(expected.length);
+    });
+    it('runs a GET request with array query parameters given once.', async () => {
+        let stash = new StashKu();
+        stash.engine.data.set('themes', JSON.parse(await fs.readFile('./test/memory-engine/data-themes.json', 'utf8')));
+        let query = new URLSearchParams([['properties', 'Name'], ['sorts', '{ID} desc'], ['take', '1']]);
+        let res = await stash.http(new FetchRequest('https://example.com/themes?' + query.toString()));
+        let last = stash.engine.data.get('themes').reduce((a, b) => (a.ID > b.ID ? a : b));
+        expect(res.data).toEqual([{ Name: last.Name }]);
+    });
+    it('throws a 400 error when the object is not a HTTP request.', async () => {
+        await expect(new StashKu().http({ method: 'GET', url: '/themes' })).rejects.toMatchObject({ code: 400 });
+    });
+});
+
+describe('.requestFromObject', () => {
+    it('round-trips a GET request through JSON.', async () => {
+        let req = new GetRequest()
+            .from('Products')
+            .properties('Category')
+            .where(f => f.and('Price', Filter.OP.GREATERTHAN, 1))
+            .groupBy('Category')
+            .sum('Price')
+            .aggregate('count', '*')
+            .having(f => f.and('count', Filter.OP.GREATERTHAN, 2))
+            .sort(Sort.desc('sum_Price'))
+            .take(5);
+        let r = await StashKu.requestFromObject(Object.assign({ method: 'get' }, JSON.parse(JSON.stringify(req))));
+        expect(r).toBeInstanceOf(GetRequest);
+        expect(r.metadata.from).toBe('Products');
+        expect(r.metadata.properties).toEqual(['Category']);
+        expect(r.metadata.where.tree).toEqual(req.metadata.where.tree);
+        expect(r.metadata.groupBy).toEqual(['Category']);
+        expect(r.metadata.aggregates).toEqual(req.metadata.aggregates);
+        expect(r.metadata.having).toBeInstanceOf(Filter);
+        expect(r.metadata.having.tree).toEqual(req.metadata.having.tree);
+        expect(r.metadata.sorts).toEqual(req.metadata.sorts);
+        expect(r.metadata.take).toBe(5);
+    });
+    it('round-trips a POST request conflict mode through JSON.', async () => {
+        let req = new PostRequest().to('Products').upsert('ID').objects({ ID: 1 });
+        let r = await StashKu.requestFromObject(Object.assign({ method: 'post' }, JSON.parse(JSON.stringify(req))));
+        expect(r).toBeInstanceOf(PostRequest);
+        expect(r.metadata.onConflict).toBe('update');
+        expect(r.metadata.pk).toEqual(['ID']);
+        expect(r.metadata.objects).toEqual([{ ID: 1 }]);
+    });
+    it('round-trips GET request cursors through JSON.', async () => {
+        let req = new GetRequest().from('Products').sort('ID').before('abc');
+        let r = await StashKu.requestFromObject(Object.assign({ method: 'get' }, JSON.parse(JSON.stringify(req))));
+        expect(r.metadata.before).toBe('abc');
+        expect(r.metadata.after).toBeNull();
+    });
+    it('loads a GET request from a Fetch API Request.', async () => {
+        let where = Filter.and('Name', Filter.OP.STARTSWITH, 'Blue').and('ID', Filter.OP.LESSTHAN, 10);
+        let req = new FetchRequest(`https://example.com/api/themes?take=2&where=${encodeURIComponent(where.toString())}`);
+        let r = await StashKu.requestFromObject(req);
+        expect(r).toBeInstanceOf(GetRequest);
+        expect(r.metadata.from).toBe('themes');
+        expect(r.metadata.where.tree).toEqual(where.tree);
+        expect(parseInt(r.metadata.take)).toBe(2);
+    });
+    it('loads a POST request from a Fetch API Request, reading the body.', async () => {
+        let req = new FetchRequest('https://example.com/api/themes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(new PostRequest().to('themes').objects({ ID: 1 }, { ID: 2 }))
+        });
+        let r = await StashKu.requestFromObject(req);
+        expect(r).toBeInstanceOf(PostRequest);
+        expect(r.metadata.to).toBe('themes');
+        expect(r.metadata.objects).toEqual([{ ID: 1 }, { ID: 2 }]);
+        expect(req.bodyUsed).toBe(true);
+    });
+    it('loads the "where" filter of a DELETE or PATCH request from the query string.', async () => {
+        let r = await StashKu.requestFromObject({
+            method: 'DELETE',
+            url: '/themes?where=' + encodeURIComponent('{ID} GT 3 AND {Name} STARTSWITH "Blue"'),
+            httpVersion: '1.1'
+        });
+        expect(r).toBeInstanceOf(DeleteRequest);
+        expect(r.metadata.from).toBe('themes');
+        expect(r.metadata.where.tree).toEqual(Filter.parse('{ID} GT 3 AND {Name} STARTSWITH "Blue"').tree);
+        r = await StashKu.requestFromObject({
+            method: 'PATCH',
+            url: '/themes?where[logic]=and&where[filters][0][property]=ID&where[filters][0][op]=eq&where[filters][0][value]=3',
+            httpVersion: '1.1',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ template: { Name: 'Patched' } })
+        });
+        expect(r).toBeInstanceOf(PatchRequest);
+        expect(r.metadata.template).toEqual({ Name: 'Patched' });
+        expect(r.metadata.where.tree).toEqual({ logic: 'and', filters: [{ property: 'ID', op: 'eq', value: '3' }] });
+    });
+    it('maps primary key values in the path of a modeled request to the "where" filter.', async () => {
+        let r = await StashKu.requestFromObject({ method: 'GET', url: '/api/themes/2', httpVersion: '1.1' }, ThemeModel);
+        expect(r.metadata.from).toBe('themes');
+        expect(r.metadata.where.tree).toEqual({ logic: 'and', filters: [{ property: 'ID', op: 'eq', value: 2 }] });
+        r = await StashKu.requestFromObject({
+            method: 'DELETE',
+            url: '/api/theme/2?where=' + encodeURIComponent('{Name} ISNOTNULL'),
+            httpVersion: '1.1'
+        }, ThemeModel);
+        expect(r.metadata.where.toString()).toBe('({Name} ISNOTNULL) AND {ID} EQ 2');
+        r = await StashKu.requestFromObject({
+            method: 'PATCH',
+            url: '/api/themes/2',
+            httpVersion: '1.1',
+            body: { template: { Name: 'Patched' } }
+        }, ThemeModel);
+        expect(r.metadata.where.toString()).toBe('{ID} EQ 2');
+    });
+    it('sets primary key values in the path of a modeled PUT request on the objects.', async () => {
+        let r = await StashKu.requestFromObject({
+            method: 'PUT',
+            url: '/themes/3',
+            httpVersion: '1.1',
+            body: JSON.stringify({ objects: [{ Name: 'Put' }] })
+        }, ThemeModel);
+        expect(r).toBeInstanceOf(PutRequest);
+        expect(r.metadata.objects.length).toBe(1);
+        expect(r.metadata.objects[0].ID).toBe(3);
+        expect(r.metadata.objects[0].Name).toBe('Put');
+    });
+    it('throws a 400 error when the path primary key values are invalid.', async () => {
+        await expect(StashKu.requestFromObject({ method: 'GET', url: '/themes/1/2', httpVersion: '1.1' }, ThemeModel))
+            .rejects.toMatchObject({ code: 400, message: expect.stringMatching(/1 primary key/) });
+        await expect(StashKu.requestFromObject({ method: 'DELETE', url: '/themes/abc', httpVersion: '1.1' }, ThemeModel))
+            .rejects.toMatchObject({ code: 400, message: expect.stringMatching(/must be a number/) });
+        await expect(StashKu.requestFromObject({ method: 'POST', url: '/themes/1', httpVersion: '1.1', body: {} }, ThemeModel))
+            .rejects.toMatchObject({ code: 400 });
+    });
+    it('loads a request from an "application/x-www-form-urlencoded" body.', async () => {
+        let r = await StashKu.requestFromObject({
+            method: 'POST',
+            url: '/themes',
+            httpVersion: '1.1',
+            headers: { 'content-type': 'application/x-www-form-urlencoded; charset=utf-8' },
+            body: Buffer.from('count=false&objects[0][ID]=9&objects[0][Name]=Form%20Red&objects[1][ID]=10')
+        });
+        expect(r).toBeInstanceOf(PostRequest);
+        expect(r.metadata.count).toBe(false);
+        expect(r.metadata.objects).toEqual([{ ID: '9', Name: 'Form Red' }, { ID: '10' }]);
+        r = await StashKu.requestFromObject(new FetchRequest('https://example.com/themes', {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'count=true&where=' + encodeURIComponent('{ID} EQ 9')
+        }));
+        expect(r).toBeInstanceOf(DeleteRequest);
+        expect(r.metadata.count).toBe(true);
+        expect(r.metadata.where.toString()).toBe('{ID} EQ 9');
+    });
+    it('throws a 400 error when the body, query, or filter is malformed.', async () => {
+        await expect(StashKu.requestFromObject({ method: 'POST', url: '/themes', httpVersion: '1.1', body: '{"objects":[' }))
+            .rejects.toMatchObject({ code: 400, message: expect.stringMatching(/not valid JSON/) });
+        await expect(StashKu.requestFromObject({ method: 'GET', url: '/themes?q=%%%', httpVersion: '1.1' }))
+            .rejects.toMatchObject({ code: 400 });
+        await expect(StashKu.requestFromObject({ method: 'DELETE', url: '/themes?where=' + encodeURIComponent('{ID} BLARGH 1'), httpVersion: '1.1' }))
+            .rejects.toMatchObject({ code: 400 });
+    });
+    it('loads a request from a Fetch API Request-like object without a body.', async () => {
+        let req = {
+            method: 'OPTIONS',
+            url: '/api/themes',
+            headers: new Map(),
+            text: async () => ''
+        };
+        let r = await StashKu.requestFromObject(req);
+        expect(r).toBeInstanceOf(OptionsRequest);
+        expect(r.metadata.from).toBe('themes');
+    });
+});
+
 describe('.requestFromFile', () => {
     let testFilter = Filter
         .or('lastName', Filter.OP.EQUALS, 'Thing')